@@ -14,7 +14,10 @@
  * 4. PaperProvider - UI komponenty Material Design
  * 5. AuthProvider - Autoryzacja i uwierzytelnianie
  * 6. OptimizedBookProvider - Zarządzanie księgozbiorem
- * 7. NavigationContainer - Nawigacja między ekranami
+ * 7. GoalProvider - Cele czytelnicze
+ * 8. ShelfProvider - Półki (kolekcje książek)
+ * 9. ReminderProvider - Lokalne przypomnienia
+ * 10. NavigationContainer - Nawigacja między ekranami
  * 
  * @author MojeKZ Team
  * @version 2.0
@@ -28,6 +31,9 @@ import { Provider as PaperProvider } from 'react-native-paper';
 import AppNavigator from './src/navigation/AppNavigator';
 import { AuthProvider } from './src/context/AuthContext';
 import { OptimizedBookProvider } from './src/context/OptimizedBookContext';
+import { GoalProvider } from './src/context/GoalContext';
+import { ShelfProvider } from './src/context/ShelfContext';
+import { ReminderProvider } from './src/context/ReminderContext';
 import { ThemeProvider, useTheme } from './src/context/ThemeContext';
 import AuthErrorBoundary from './src/components/AuthErrorBoundary';
 
@@ -49,16 +55,25 @@ const AppContent = () => {
           <AuthProvider>
             {/* Zoptymalizowany kontekst zarządzania książkami */}
             <OptimizedBookProvider>
-              {/* Kontener nawigacji React Navigation */}
-              <NavigationContainer>
-                {/* Konfiguracja paska statusu zgodnie z motywem */}
-                <StatusBar 
-                  barStyle={isDarkMode ? "light-content" : "dark-content"} 
-                  backgroundColor={theme.colors.primary} 
-                />
-                {/* Główny navigator aplikacji */}
-                <AppNavigator />
-              </NavigationContainer>
+              {/* Cele czytelnicze użytkownika */}
+              <GoalProvider>
+                {/* Półki użytkownika */}
+                <ShelfProvider>
+                  {/* Przypomnienia o wypożyczeniach i celach */}
+                  <ReminderProvider>
+                    {/* Kontener nawigacji React Navigation */}
+                    <NavigationContainer>
+                      {/* Konfiguracja paska statusu zgodnie z motywem */}
+                      <StatusBar 
+                        barStyle={isDarkMode ? "light-content" : "dark-content"} 
+                        backgroundColor={theme.colors.primary} 
+                      />
+                      {/* Główny navigator aplikacji */}
+                      <AppNavigator />
+                    </NavigationContainer>
+                  </ReminderProvider>
+                </ShelfProvider>
+              </GoalProvider>
             </OptimizedBookProvider>
           </AuthProvider>
         </AuthErrorBoundary>
@@ -0,0 +1,103 @@
+import {
+  MAX_SQL_VARIABLES,
+  BOOK_COLUMNS,
+  buildInsertStatements,
+  buildDeleteStatements,
+  bookToRows,
+  rowsToBooks,
+  assignPositions,
+} from '../../src/services/database/bookRows';
+
+const book = {
+  id: '1',
+  title: 'Pan Tadeusz',
+  author: 'Adam Mickiewicz',
+  status: 'Czytam',
+  rating: 4,
+  dateAdded: '2024-01-01T00:00:00.000Z',
+  tags: ['Klasyka', 'poezja'],
+  readingSessions: [{ id: 's1', pagesRead: 20 }],
+  loans: [{ id: 'l1', borrower: 'Ania', dueAt: '2024-06-01', returnedAt: null }],
+};
+
+describe('Book database rows', () => {
+  describe('bookToRows / rowsToBooks', () => {
+    it('should round-trip a book through its rows', () => {
+      const rows = bookToRows('books', 'id:1', book, 0);
+      const bookRow = Object.fromEntries(BOOK_COLUMNS.map((column, index) => [column, rows.book[index]]));
+
+      expect(bookRow).toMatchObject({ list_key: 'books', id: 'id:1', position: 0 });
+      expect(rows.tags).toEqual([
+        ['books', 'id:1', 0, 'Klasyka', 'klasyka'],
+        ['books', 'id:1', 1, 'poezja', 'poezja'],
+      ]);
+
+      const restored = rowsToBooks(
+        [{ id: 'id:1', data: bookRow.data }],
+        rows.tags.map(([, bookId, , tag]) => ({ book_id: bookId, tag })),
+        rows.sessions.map(([, bookId, , data]) => ({ book_id: bookId, data }))
+      );
+      expect(restored).toEqual([book]);
+    });
+
+    it('should give books without tags or sessions empty lists', () => {
+      const { book: row } = bookToRows('books', 'id:2', { id: '2', title: 'Lalka' }, 1);
+
+      expect(rowsToBooks([{ id: 'id:2', data: row[row.length - 1] }], [], [])).toEqual([
+        { id: '2', title: 'Lalka', tags: [], readingSessions: [] },
+      ]);
+    });
+  });
+
+  describe('statement builders', () => {
+    it('should split inserts to stay under the variable limit', () => {
+      const rows = Array.from({ length: 250 }, (_, index) => [index, 'a', 'b', 'c', 'd']);
+
+      const statements = buildInsertStatements('book_tags', ['a', 'b', 'c', 'd', 'e'], rows, { replace: true });
+
+      expect(statements).toHaveLength(2);
+      expect(statements[0].sql).toMatch(/^INSERT OR REPLACE INTO book_tags \(a, b, c, d, e\) VALUES/);
+      statements.forEach(statement => expect(statement.args.length).toBeLessThanOrEqual(MAX_SQL_VARIABLES));
+      expect(statements.reduce((total, statement) => total + statement.args.length, 0)).toBe(1250);
+    });
+
+    it('should build nothing for empty lists', () => {
+      expect(buildInsertStatements('books', BOOK_COLUMNS, [])).toEqual([]);
+      expect(buildDeleteStatements('books', 'id', 'books', [])).toEqual([]);
+    });
+
+    it('should scope deletes to the list', () => {
+      expect(buildDeleteStatements('book_tags', 'book_id', 'books', ['id:1', 'id:2'])).toEqual([{
+        sql: 'DELETE FROM book_tags WHERE list_key = ? AND book_id IN (?, ?)',
+        args: ['books', 'id:1', 'id:2'],
+      }]);
+    });
+  });
+
+  describe('assignPositions', () => {
+    const previous = new Map([['a', 0], ['b', 1], ['c', 2]]);
+
+    it('should keep positions and place new books between their neighbours', () => {
+      const rowIds = ['new1', 'a', 'new2', 'c', 'new3'];
+      const positions = assignPositions(rowIds, previous);
+
+      expect(rowIds.map(rowId => positions.get(rowId))).toEqual([-1, 0, 1, 2, 3]);
+    });
+
+    it('should spread several new books over the gap', () => {
+      const positions = assignPositions(['a', 'x', 'y', 'b'], previous);
+
+      expect(positions.get('x')).toBeCloseTo(1 / 3);
+      expect(positions.get('y')).toBeCloseTo(2 / 3);
+    });
+
+    it('should ask for renumbering when kept books changed order', () => {
+      expect(assignPositions(['b', 'a', 'c'], previous)).toBeNull();
+    });
+
+    it('should ask for renumbering when no gap is left', () => {
+      expect(assignPositions(['a', 'x', 'b'], new Map([['a', 0], ['b', 1e-7]]))).toBeNull();
+    });
+  });
+
+});
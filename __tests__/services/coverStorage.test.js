@@ -0,0 +1,29 @@
+import { CoverStorage } from '../../src/services/coverStorage';
+
+jest.mock('expo-file-system', () => ({
+  documentDirectory: 'file:///documents/',
+}));
+
+const coverUrl = 'https://example.supabase.co/storage/v1/object/public/covers/user-1/cover_1_abc.jpg';
+
+describe('CoverStorage', () => {
+  describe('getCoverPath', () => {
+    it('should read the path of a cover in the covers bucket', () => {
+      expect(CoverStorage.getCoverPath(coverUrl)).toBe('user-1/cover_1_abc.jpg');
+      expect(CoverStorage.getCoverPath(`${coverUrl}?t=1`)).toBe('user-1/cover_1_abc.jpg');
+    });
+
+    it('should ignore covers from other sources', () => {
+      expect(CoverStorage.getCoverPath('https://covers.openlibrary.org/b/id/1-L.jpg')).toBeNull();
+      expect(CoverStorage.getCoverPath('file:///cache/cover.jpg')).toBeNull();
+      expect(CoverStorage.getCoverPath(null)).toBeNull();
+    });
+  });
+
+  describe('deleteCover', () => {
+    it('should leave other covers alone', async () => {
+      expect(await CoverStorage.deleteCover('https://covers.openlibrary.org/b/id/1-L.jpg')).toBe(false);
+      expect(await CoverStorage.deleteCover('file:///cache/cover.jpg')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  MetadataService,
+  createLocalProvider,
+  localProvider,
+  applyMetadataToBook,
+} from '../../src/services/metadata';
+import { NetworkStatus } from '../../src/utils/networkStatus';
+
+// Mock AsyncStorage
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  setItem: jest.fn(() => Promise.resolve()),
+  getItem: jest.fn(() => Promise.resolve(null)),
+  removeItem: jest.fn(() => Promise.resolve()),
+  multiRemove: jest.fn(() => Promise.resolve()),
+  getAllKeys: jest.fn(() => Promise.resolve([])),
+}));
+
+// Mock network status
+jest.mock('../../src/utils/networkStatus', () => ({
+  NetworkStatus: {
+    executeWhenOnline: jest.fn((fn) => fn()),
+  },
+}));
+
+const solaris = {
+  isbn: '9788324702503',
+  title: 'Solaris',
+  authors: ['Stanislaw Lem'],
+  description: 'Ocean',
+  pageCount: 336,
+  publisher: 'Wydawnictwo Literackie',
+  year: 2012,
+  coverUrl: 'https://example.com/solaris.jpg',
+};
+
+describe('MetadataService', () => {
+  const remoteProvider = {
+    name: 'remote',
+    requiresNetwork: true,
+    lookupByIsbn: jest.fn(),
+    search: jest.fn(),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AsyncStorage.getItem.mockResolvedValue(null);
+    NetworkStatus.executeWhenOnline.mockImplementation((fn) => fn());
+    MetadataService.setProviders([remoteProvider, createLocalProvider([solaris])]);
+  });
+
+  describe('lookupByIsbn', () => {
+    it('should return result from the first provider that knows the book', async () => {
+      remoteProvider.lookupByIsbn.mockResolvedValue({ ...solaris, title: 'Solaris (remote)' });
+
+      const result = await MetadataService.lookupByIsbn('978-83-247-0250-3');
+
+      expect(remoteProvider.lookupByIsbn).toHaveBeenCalledWith('9788324702503');
+      expect(result.source).toBe('remote');
+      expect(result.fromCache).toBe(false);
+      expect(result.metadata.title).toBe('Solaris (remote)');
+    });
+
+    it('should fall back to the next provider when a provider has no result', async () => {
+      remoteProvider.lookupByIsbn.mockResolvedValue(null);
+
+      const result = await MetadataService.lookupByIsbn('9788324702503');
+
+      expect(result.source).toBe('local');
+      expect(result.metadata.title).toBe('Solaris');
+    });
+
+    it('should skip network providers while offline', async () => {
+      NetworkStatus.executeWhenOnline.mockRejectedValue(new Error('Device is offline'));
+
+      const result = await MetadataService.lookupByIsbn('9788324702503');
+
+      expect(NetworkStatus.executeWhenOnline).toHaveBeenCalledWith(
+        expect.any(Function),
+        { waitForConnection: false }
+      );
+      expect(remoteProvider.lookupByIsbn).not.toHaveBeenCalled();
+      expect(result.source).toBe('local');
+    });
+
+    it('should cache successful lookups', async () => {
+      remoteProvider.lookupByIsbn.mockResolvedValue(solaris);
+
+      await MetadataService.lookupByIsbn('9788324702503');
+
+      expect(AsyncStorage.setItem).toHaveBeenCalledWith(
+        'metadataCache_isbn_9788324702503',
+        expect.any(String)
+      );
+      const cached = JSON.parse(AsyncStorage.setItem.mock.calls[0][1]);
+      expect(cached.metadata).toEqual(solaris);
+      expect(cached.source).toBe('remote');
+    });
+
+    it('should serve results from cache', async () => {
+      AsyncStorage.getItem.mockResolvedValue(JSON.stringify({
+        metadata: solaris,
+        source: 'remote',
+        cachedAt: Date.now(),
+      }));
+
+      const result = await MetadataService.lookupByIsbn('9788324702503');
+
+      expect(result.fromCache).toBe(true);
+      expect(result.metadata).toEqual(solaris);
+      expect(remoteProvider.lookupByIsbn).not.toHaveBeenCalled();
+    });
+
+    it('should ignore expired cache entries', async () => {
+      AsyncStorage.getItem.mockResolvedValue(JSON.stringify({
+        metadata: solaris,
+        source: 'remote',
+        cachedAt: Date.now() - MetadataService.CACHE_TTL - 1000,
+      }));
+      remoteProvider.lookupByIsbn.mockResolvedValue(solaris);
+
+      const result = await MetadataService.lookupByIsbn('9788324702503');
+
+      expect(AsyncStorage.removeItem).toHaveBeenCalledWith('metadataCache_isbn_9788324702503');
+      expect(result.fromCache).toBe(false);
+    });
+
+    it('should return null for invalid ISBN', async () => {
+      const result = await MetadataService.lookupByIsbn('12345');
+
+      expect(result).toBeNull();
+      expect(remoteProvider.lookupByIsbn).not.toHaveBeenCalled();
+    });
+
+    it('should return null when no provider knows the book', async () => {
+      remoteProvider.lookupByIsbn.mockRejectedValue(new Error('Server error'));
+
+      const result = await MetadataService.lookupByIsbn('9788301000103');
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('search', () => {
+    it('should search by title and author', async () => {
+      remoteProvider.search.mockResolvedValue(null);
+
+      const result = await MetadataService.search({ title: ' solaris ', author: 'lem' });
+
+      expect(remoteProvider.search).toHaveBeenCalledWith({ title: 'solaris', author: 'lem' });
+      expect(result.metadata.isbn).toBe('9788324702503');
+    });
+
+    it('should return null for empty query', async () => {
+      expect(await MetadataService.search({})).toBeNull();
+    });
+  });
+
+  describe('registerProvider', () => {
+    it('should replace provider with the same name', () => {
+      MetadataService.registerProvider({ ...remoteProvider, requiresNetwork: false }, { first: true });
+
+      expect(MetadataService.providers).toHaveLength(2);
+      expect(MetadataService.providers[0].requiresNetwork).toBe(false);
+    });
+  });
+
+  describe('bundled catalogue', () => {
+    it('should resolve books from the bundled fixture', async () => {
+      const metadata = await localProvider.lookupByIsbn('9788373012349');
+
+      expect(metadata.title).toBe('Lalka');
+    });
+  });
+});
+
+describe('applyMetadataToBook', () => {
+  it('should fill empty fields only', () => {
+    const values = applyMetadataToBook(solaris, {
+      title: 'Moj tytul',
+      author: '',
+      description: '',
+      coverImage: null,
+      status: 'Czytam',
+    });
+
+    expect(values).toEqual({
+      title: 'Moj tytul',
+      author: 'Stanislaw Lem',
+      description: 'Ocean',
+      coverImage: 'https://example.com/solaris.jpg',
+      isbn: '9788324702503',
+      totalPages: 336,
+      status: 'Czytam',
+    });
+  });
+
+  it('should truncate long descriptions', () => {
+    const values = applyMetadataToBook({ ...solaris, description: 'A'.repeat(2000) }, {});
+
+    expect(values.description).toHaveLength(1000);
+  });
+});
@@ -126,6 +126,48 @@ jest.mock('expo-font', () => ({
   isLoaded: jest.fn(() => true),
 }));
 
+// Reminders are scheduled by AuthContext and ReminderContext
+jest.mock('expo-notifications', () => ({
+  setNotificationHandler: jest.fn(),
+  getPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  requestPermissionsAsync: jest.fn(() => Promise.resolve({ status: 'granted' })),
+  setNotificationChannelAsync: jest.fn(() => Promise.resolve()),
+  scheduleNotificationAsync: jest.fn(() => Promise.resolve('notification-id')),
+  cancelAllScheduledNotificationsAsync: jest.fn(() => Promise.resolve()),
+  AndroidImportance: { DEFAULT: 3 },
+}));
+
+// Storage for modules that tests do not mock themselves (e.g. NotificationService imported by AuthContext)
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+
+// CSV files are picked by ImportScreen (reached through AppNavigator)
+jest.mock('expo-document-picker', () => ({
+  getDocumentAsync: jest.fn(() => Promise.resolve({ canceled: true, assets: null })),
+}));
+
+// Exports are handed to the share sheet (utils/shareFile)
+jest.mock('expo-sharing', () => ({
+  isAvailableAsync: jest.fn(() => Promise.resolve(true)),
+  shareAsync: jest.fn(() => Promise.resolve()),
+}));
+
+// Book lists are stored by BookDatabase behind utils/bookStore
+jest.mock('expo-sqlite', () => ({
+  openDatabase: jest.fn(() => ({
+    transactionAsync: jest.fn((task) => task({
+      executeSqlAsync: jest.fn(() => Promise.resolve({ rows: [], rowsAffected: 0 })),
+    })),
+  })),
+}));
+
+// Covers are resized by CoverCache and ImageHandler
+jest.mock('expo-image-manipulator', () => ({
+  manipulateAsync: jest.fn((uri) => Promise.resolve({ uri, width: 800, height: 1200 })),
+  SaveFormat: { JPEG: 'jpeg', PNG: 'png' },
+}));
 
 // Mock file system for tests
 global.Blob = class Blob {
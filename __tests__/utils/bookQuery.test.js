@@ -0,0 +1,57 @@
+import { queryBooks, matchesBookQuery, BOOK_SORT_FIELDS } from '../../src/utils/bookQuery';
+import { TAG_FILTER_MODES } from '../../src/utils/tags';
+
+const NOW = new Date('2024-06-15T12:00:00.000Z');
+
+const books = [
+  { id: '1', title: 'Lalka', author: 'Bolesław Prus', status: 'Przeczytana', rating: 5, dateAdded: '2024-01-01T00:00:00.000Z', tags: ['klasyka'] },
+  { id: '2', title: 'Solaris', author: 'Stanisław Lem', status: 'Czytam', rating: 4, dateAdded: '2024-03-01T00:00:00.000Z', tags: ['sf', 'klasyka'] },
+  { id: '3', title: 'Wiedźmin', author: 'Andrzej Sapkowski', status: 'Chce przeczytac', rating: 0, dateAdded: '2024-02-01T00:00:00.000Z', tags: ['fantasy'],
+    loans: [{ id: 'l1', borrower: 'Ania', lentAt: '2024-05-01T00:00:00.000Z', dueAt: '2024-06-01T00:00:00.000Z', returnedAt: null }] },
+];
+
+const ids = (result) => result.books.map(book => book.id);
+
+describe('bookQuery', () => {
+  describe('matchesBookQuery', () => {
+    it('should search title and author case-insensitively', () => {
+      expect(matchesBookQuery(books[1], { search: 'LEM' }, NOW)).toBe(true);
+      expect(matchesBookQuery(books[2], { search: 'wiedź' }, NOW)).toBe(true);
+      expect(matchesBookQuery(books[0], { search: 'lem' }, NOW)).toBe(false);
+    });
+
+    it('should leave out books in the trash', () => {
+      expect(matchesBookQuery({ ...books[0], deletedAt: '2024-06-01T00:00:00.000Z' }, {}, NOW)).toBe(false);
+    });
+
+    it('should filter by overdue loans', () => {
+      expect(matchesBookQuery(books[2], { overdueOnly: true }, NOW)).toBe(true);
+      expect(matchesBookQuery(books[0], { overdueOnly: true }, NOW)).toBe(false);
+    });
+  });
+
+  describe('queryBooks', () => {
+    it('should sort by date added, newest first by default', () => {
+      expect(ids(queryBooks(books, {}, NOW))).toEqual(['2', '3', '1']);
+    });
+
+    it('should sort by title, author and rating', () => {
+      expect(ids(queryBooks(books, { sortBy: BOOK_SORT_FIELDS.TITLE, sortOrder: 'asc' }, NOW))).toEqual(['1', '2', '3']);
+      expect(ids(queryBooks(books, { sortBy: BOOK_SORT_FIELDS.AUTHOR, sortOrder: 'asc' }, NOW))).toEqual(['3', '1', '2']);
+      expect(ids(queryBooks(books, { sortBy: BOOK_SORT_FIELDS.RATING, sortOrder: 'desc' }, NOW))).toEqual(['1', '2', '3']);
+    });
+
+    it('should combine status and tag filters', () => {
+      expect(ids(queryBooks(books, { tags: ['klasyka'] }, NOW))).toEqual(['2', '1']);
+      expect(ids(queryBooks(books, { tags: ['SF', 'klasyka'], tagMode: TAG_FILTER_MODES.AND }, NOW))).toEqual(['2']);
+      expect(ids(queryBooks(books, { tags: ['klasyka'], status: 'Przeczytana' }, NOW))).toEqual(['1']);
+    });
+
+    it('should return a page and the total number of matches', () => {
+      const result = queryBooks(books, { limit: 2, offset: 1 }, NOW);
+
+      expect(ids(result)).toEqual(['3', '1']);
+      expect(result.total).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { saveBookList, loadBookList, removeBookList } from '../../src/utils/chunkedStorage';
+import { isCompressed } from '../../src/utils/compression';
+
+// In-memory AsyncStorage
+const mockStore = new Map();
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  setItem: jest.fn((key, value) => Promise.resolve(mockStore.set(key, value))),
+  getItem: jest.fn((key) => Promise.resolve(mockStore.has(key) ? mockStore.get(key) : null)),
+  multiSet: jest.fn((pairs) => Promise.resolve(pairs.forEach(([key, value]) => mockStore.set(key, value)))),
+  multiGet: jest.fn((keys) => Promise.resolve(keys.map(key => [key, mockStore.has(key) ? mockStore.get(key) : null]))),
+  multiRemove: jest.fn((keys) => Promise.resolve(keys.forEach(key => mockStore.delete(key)))),
+}));
+
+const OPTIONS = { chunkSize: 3 };
+
+const createBooks = (count) => Array.from({ length: count }, (_, index) => ({
+  id: String(index + 1),
+  title: `Ksiazka ${index + 1}`,
+  author: 'Autor',
+}));
+
+const storedKeys = () => [...mockStore.keys()].sort();
+
+// Keys written by the most recent multiSet call
+const lastWrittenKeys = () => {
+  const { calls } = AsyncStorage.multiSet.mock;
+  return calls[calls.length - 1][0].map(([key]) => key);
+};
+
+describe('Chunked storage', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    jest.clearAllMocks();
+  });
+
+  it('should store short lists inline with their metadata', async () => {
+    const books = createBooks(3);
+
+    const result = await saveBookList('books', books, { version: '1.0' }, OPTIONS);
+
+    expect(result).toMatchObject({ chunked: false });
+    expect(JSON.parse(mockStore.get('books'))).toEqual({ version: '1.0', books });
+    expect(await loadBookList('books')).toEqual({ books, metadata: { version: '1.0' }, legacy: false });
+  });
+
+  it('should split long lists into chunks', async () => {
+    const books = createBooks(7);
+
+    const result = await saveBookList('books', books, { version: '1.0' }, OPTIONS);
+
+    expect(result).toMatchObject({ chunked: true, writtenChunks: 3 });
+    expect(storedKeys()).toEqual(['books', 'books_chunk_0', 'books_chunk_1', 'books_chunk_2']);
+    expect(await loadBookList('books')).toEqual({ books, metadata: { version: '1.0' }, legacy: false });
+  });
+
+  it('should rewrite only the chunk of a changed book', async () => {
+    const books = createBooks(7);
+    await saveBookList('books', books, {}, OPTIONS);
+
+    books[4] = { ...books[4], rating: 5 };
+    const result = await saveBookList('books', books, {}, OPTIONS);
+
+    expect(result.writtenChunks).toBe(1);
+    expect(lastWrittenKeys()).toEqual(['books_chunk_1', 'books']);
+    expect((await loadBookList('books')).books).toEqual(books);
+  });
+
+  it('should add new books to the last chunk and drop emptied chunks', async () => {
+    const books = createBooks(7);
+    await saveBookList('books', books, {}, OPTIONS);
+
+    const updated = [...books.slice(0, 3), books[6], ...createBooks(9).slice(7)];
+    await saveBookList('books', updated, {}, OPTIONS);
+
+    expect(lastWrittenKeys()).toEqual(['books_chunk_2', 'books']);
+    expect(storedKeys()).toEqual(['books', 'books_chunk_0', 'books_chunk_2']);
+    expect((await loadBookList('books')).books).toEqual(updated);
+  });
+
+  it('should restore the saved order', async () => {
+    const books = createBooks(7);
+    await saveBookList('books', books, {}, OPTIONS);
+
+    const reversed = [...books].reverse();
+    const result = await saveBookList('books', reversed, {}, OPTIONS);
+
+    expect(result.writtenChunks).toBe(0);
+    expect((await loadBookList('books')).books).toEqual(reversed);
+  });
+
+  it('should rewrite everything when storage was changed elsewhere', async () => {
+    const books = createBooks(7);
+    await saveBookList('books', books, {}, OPTIONS);
+
+    mockStore.clear();
+    books[0] = { ...books[0], rating: 4 };
+    const result = await saveBookList('books', books, {}, OPTIONS);
+
+    expect(result.writtenChunks).toBe(3);
+    expect((await loadBookList('books')).books).toEqual(books);
+  });
+
+  it('should remove chunks when the list becomes short', async () => {
+    await saveBookList('books', createBooks(7), {}, OPTIONS);
+
+    await saveBookList('books', createBooks(2), {}, OPTIONS);
+
+    expect(storedKeys()).toEqual(['books']);
+  });
+
+  it('should compress chunks above the threshold', async () => {
+    const books = createBooks(7).map(book => ({ ...book, notes: 'Dluga notatka o ksiazce. '.repeat(20) }));
+
+    await saveBookList('books', books, {}, { ...OPTIONS, compressionThreshold: 100 });
+
+    expect(isCompressed(mockStore.get('books_chunk_0'))).toBe(true);
+    expect((await loadBookList('books')).books).toEqual(books);
+  });
+
+  it('should read legacy arrays and fail on missing chunks', async () => {
+    mockStore.set('legacy', JSON.stringify(createBooks(2)));
+    expect(await loadBookList('legacy')).toEqual({ books: createBooks(2), metadata: null, legacy: true });
+
+    await saveBookList('books', createBooks(7), {}, OPTIONS);
+    mockStore.delete('books_chunk_1');
+    await expect(loadBookList('books')).rejects.toThrow('Missing storage chunk books_chunk_1');
+  });
+
+  it('should remove a list with its chunks', async () => {
+    await saveBookList('books', createBooks(7), {}, OPTIONS);
+    mockStore.set('other', 'value');
+
+    await removeBookList('books');
+
+    expect(storedKeys()).toEqual(['other']);
+  });
+
+  it('should run saves to the same key in order', async () => {
+    const first = saveBookList('books', createBooks(7), {}, OPTIONS);
+    const second = saveBookList('books', createBooks(2), {}, OPTIONS);
+
+    await Promise.all([first, second]);
+
+    expect(storedKeys()).toEqual(['books']);
+    expect((await loadBookList('books')).books).toEqual(createBooks(2));
+  });
+});
@@ -0,0 +1,65 @@
+import {
+  COMPRESSED_PREFIX,
+  compressText,
+  decompressText,
+  compressIfLarge,
+  isCompressed,
+  readStoredText,
+} from '../../src/utils/compression';
+
+describe('Compression', () => {
+  describe('compressText / decompressText', () => {
+    it('should round-trip text with Polish characters and emoji', () => {
+      ['', 'a', 'aaaaaaaaaa', 'abababababab', 'Zażółć gęślą jaźń 📚', '\uD800 lone \uDC00'].forEach(text => {
+        expect(decompressText(compressText(text))).toBe(text);
+      });
+    });
+
+    it('should shrink repetitive JSON', () => {
+      const books = Array.from({ length: 200 }, (_, index) => ({
+        id: String(index),
+        title: `Książka ${index}`,
+        author: 'Henryk Sienkiewicz',
+        status: 'Przeczytana',
+        tags: ['klasyka', 'historyczna'],
+      }));
+      const text = JSON.stringify(books);
+
+      const compressed = compressText(text);
+
+      expect(compressed.length).toBeLessThan(text.length / 3);
+      expect(decompressText(compressed)).toBe(text);
+    });
+
+    it('should only use printable characters below the surrogate range', () => {
+      const data = compressText('Pan Tadeusz '.repeat(500)).slice(COMPRESSED_PREFIX.length);
+
+      expect([...data].every(char => char.charCodeAt(0) >= 0x20 && char.charCodeAt(0) < 0xD800)).toBe(true);
+    });
+
+    it('should reject values that are not compressed or are damaged', () => {
+      expect(() => decompressText('{"books":[]}')).toThrow('Value is not compressed');
+      expect(() => decompressText(`${COMPRESSED_PREFIX}a香`)).toThrow('Invalid compressed data');
+    });
+  });
+
+  describe('compressIfLarge', () => {
+    it('should compress only above the threshold', () => {
+      const text = 'Lalka '.repeat(100);
+
+      expect(compressIfLarge(text, 1000)).toBe(text);
+      expect(isCompressed(compressIfLarge(text, 100))).toBe(true);
+    });
+
+    it('should keep text that does not get shorter', () => {
+      expect(compressIfLarge('abc', 1)).toBe('abc');
+    });
+  });
+
+  describe('readStoredText', () => {
+    it('should read compressed and plain values', () => {
+      expect(readStoredText(compressText('[1,2,3]'))).toBe('[1,2,3]');
+      expect(readStoredText('[1,2,3]')).toBe('[1,2,3]');
+    });
+  });
+});
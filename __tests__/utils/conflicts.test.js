@@ -0,0 +1,78 @@
+import {
+  FIELD_CHOICES,
+  CONFLICT_FIELDS,
+  getConflictingFields,
+  mergeFieldValues,
+  resolveConflictFields,
+  formatFieldValue,
+} from '../../src/utils/conflicts';
+
+const field = (entity, key) => CONFLICT_FIELDS[entity].find(definition => definition.key === key);
+
+const server = {
+  id: 'b1',
+  title: 'Lalka',
+  author: 'Bolesław Prus',
+  rating: 4,
+  notes: 'Tom pierwszy',
+  tags: ['klasyka'],
+  loans: [{ id: 'l1', borrower: 'Ania' }],
+  updated_at: '2024-06-02T10:00:00.000Z',
+};
+
+const local = {
+  ...server,
+  rating: 5,
+  notes: 'Wokulski',
+  tags: ['klasyka', 'pozytywizm'],
+  loans: [{ id: 'l2', borrower: 'Tomek' }],
+  isbn: '',
+  updated_at: '2024-06-01T10:00:00.000Z',
+};
+
+describe('conflicts', () => {
+  it('should list edited fields that differ from the server', () => {
+    expect(getConflictingFields('book', local, { ...server, isbn: null }).map(definition => definition.key))
+      .toEqual(['rating', 'notes', 'tags', 'loans']);
+  });
+
+  it('should only compare fields present in a partial local update', () => {
+    expect(getConflictingFields('book', { deletedAt: '2024-06-01T10:00:00.000Z' }, server).map(definition => definition.key))
+      .toEqual(['deletedAt']);
+  });
+
+  it('should merge texts, sets and lists', () => {
+    expect(mergeFieldValues(field('book', 'notes'), 'Wokulski', 'Tom pierwszy')).toBe('Tom pierwszy\n\nWokulski');
+    expect(mergeFieldValues(field('book', 'notes'), 'Tom pierwszy i drugi', 'Tom pierwszy')).toBe('Tom pierwszy i drugi');
+    expect(mergeFieldValues(field('book', 'tags'), ['a', 'b'], ['b', 'c'])).toEqual(['b', 'c', 'a']);
+    expect(mergeFieldValues(field('book', 'loans'), local.loans, [...server.loans, local.loans[0]]))
+      .toEqual([...server.loans, local.loans[0]]);
+    expect(mergeFieldValues(field('book', 'currentPage'), 80, 120)).toBe(120);
+  });
+
+  it('should build the record from per-field choices', () => {
+    const resolved = resolveConflictFields('book', local, server, {
+      rating: FIELD_CHOICES.THEIRS,
+      notes: FIELD_CHOICES.MERGE,
+      loans: FIELD_CHOICES.MERGE,
+    });
+
+    expect(resolved).toMatchObject({
+      rating: 4,
+      notes: 'Tom pierwszy\n\nWokulski',
+      tags: ['klasyka', 'pozytywizm'],
+      loans: [{ id: 'l1', borrower: 'Ania' }, { id: 'l2', borrower: 'Tomek' }],
+    });
+  });
+
+  it('should ignore merge for fields that cannot be merged', () => {
+    expect(resolveConflictFields('book', local, server, { rating: FIELD_CHOICES.MERGE }).rating).toBe(5);
+  });
+
+  it('should format values for display', () => {
+    expect(formatFieldValue(field('book', 'tags'), ['a', 'b'])).toBe('a, b');
+    expect(formatFieldValue(field('book', 'loans'), local.loans)).toBe('Pozycji: 1');
+    expect(formatFieldValue(field('book', 'deletedAt'), null)).toBe('nie');
+    expect(formatFieldValue(field('book', 'isbn'), '')).toBe('—');
+  });
+});
@@ -0,0 +1,156 @@
+import {
+  COVER_VARIANTS,
+  createEmptyManifest,
+  getCoverCacheKey,
+  getManifestSize,
+  getManifestFileCount,
+  getCachedFile,
+  touchEntry,
+  setCachedFile,
+  renameEntry,
+  selectEvictions,
+  removeEntries,
+  selectClearableEntries,
+} from '../../src/utils/coverCacheManifest';
+
+const at = (minute) => new Date(Date.UTC(2024, 5, 1, 10, minute));
+
+const cover = (manifest, source, size, minute, options = {}) => setCachedFile(
+  manifest,
+  source,
+  COVER_VARIANTS.FULL,
+  { uri: `file:///cache/${getCoverCacheKey(source)}_full.jpg`, size },
+  { ...options, now: at(minute) }
+);
+
+describe('getCoverCacheKey', () => {
+  it('should give the same file-name safe key for the same source', () => {
+    const key = getCoverCacheKey('https://covers.openlibrary.org/b/id/123-L.jpg');
+
+    expect(key).toBe(getCoverCacheKey('https://covers.openlibrary.org/b/id/123-L.jpg'));
+    expect(key).toMatch(/^[a-z0-9]+$/);
+  });
+
+  it('should give different keys for different sources', () => {
+    expect(getCoverCacheKey('https://example.com/a.jpg')).not.toBe(getCoverCacheKey('https://example.com/b.jpg'));
+  });
+});
+
+describe('setCachedFile', () => {
+  it('should keep both variants of a cover in one entry', () => {
+    let manifest = cover(createEmptyManifest(), 'https://example.com/a.jpg', 1000, 0);
+    manifest = setCachedFile(manifest, 'https://example.com/a.jpg', COVER_VARIANTS.THUMBNAIL,
+      { uri: 'file:///cache/a_thumbnail.jpg', size: 100 }, { now: at(5) });
+
+    expect(Object.keys(manifest.entries)).toHaveLength(1);
+    expect(getCachedFile(manifest, 'https://example.com/a.jpg', COVER_VARIANTS.THUMBNAIL).size).toBe(100);
+    expect(getManifestSize(manifest)).toBe(1100);
+    expect(getManifestFileCount(manifest)).toBe(2);
+    expect(manifest.entries[getCoverCacheKey('https://example.com/a.jpg')].lastUsedAt).toBe(at(5).toISOString());
+  });
+
+  it('should keep the pin when it is not given', () => {
+    let manifest = cover(createEmptyManifest(), 'file:///photos/a.jpg', 1000, 0, { pinned: true });
+    manifest = setCachedFile(manifest, 'file:///photos/a.jpg', COVER_VARIANTS.THUMBNAIL,
+      { uri: 'file:///cache/a_thumbnail.jpg', size: 100 });
+
+    expect(manifest.entries[getCoverCacheKey('file:///photos/a.jpg')].pinned).toBe(true);
+  });
+});
+
+describe('touchEntry', () => {
+  it('should update the last use of an entry', () => {
+    const manifest = touchEntry(cover(createEmptyManifest(), 'https://example.com/a.jpg', 1000, 0),
+      'https://example.com/a.jpg', at(30));
+
+    expect(manifest.entries[getCoverCacheKey('https://example.com/a.jpg')].lastUsedAt).toBe(at(30).toISOString());
+  });
+
+  it('should return the same manifest for an unknown source', () => {
+    const manifest = createEmptyManifest();
+    expect(touchEntry(manifest, 'https://example.com/a.jpg')).toBe(manifest);
+  });
+});
+
+describe('renameEntry', () => {
+  it('should move an uploaded photo to its URL and unpin it', () => {
+    const manifest = renameEntry(
+      cover(createEmptyManifest(), 'file:///photos/a.jpg', 1000, 0, { pinned: true }),
+      'file:///photos/a.jpg',
+      'https://storage.example.com/covers/a.jpg'
+    );
+
+    expect(getCachedFile(manifest, 'file:///photos/a.jpg', COVER_VARIANTS.FULL)).toBeNull();
+    expect(manifest.entries[getCoverCacheKey('https://storage.example.com/covers/a.jpg')]).toEqual(
+      expect.objectContaining({ source: 'https://storage.example.com/covers/a.jpg', pinned: false })
+    );
+  });
+});
+
+describe('selectEvictions', () => {
+  let manifest;
+
+  beforeEach(() => {
+    manifest = createEmptyManifest();
+    manifest = cover(manifest, 'https://example.com/old.jpg', 400, 0);
+    manifest = cover(manifest, 'file:///photos/photo.jpg', 400, 1, { pinned: true });
+    manifest = cover(manifest, 'https://example.com/middle.jpg', 400, 2);
+    manifest = cover(manifest, 'https://example.com/new.jpg', 400, 3);
+  });
+
+  it('should evict nothing within the budget', () => {
+    expect(selectEvictions(manifest, 1600)).toEqual([]);
+  });
+
+  it('should evict the least recently used entries first', () => {
+    expect(selectEvictions(manifest, 1200)).toEqual([getCoverCacheKey('https://example.com/old.jpg')]);
+    expect(selectEvictions(manifest, 800)).toEqual([
+      getCoverCacheKey('https://example.com/old.jpg'),
+      getCoverCacheKey('https://example.com/middle.jpg'),
+    ]);
+  });
+
+  it('should never evict pinned entries or covers being shown', () => {
+    const evicted = selectEvictions(manifest, 0, ['https://example.com/new.jpg']);
+
+    expect(evicted).toEqual([
+      getCoverCacheKey('https://example.com/old.jpg'),
+      getCoverCacheKey('https://example.com/middle.jpg'),
+    ]);
+  });
+
+  it('should follow the last use', () => {
+    const touched = touchEntry(manifest, 'https://example.com/old.jpg', at(10));
+    expect(selectEvictions(touched, 1200)).toEqual([getCoverCacheKey('https://example.com/middle.jpg')]);
+  });
+});
+
+describe('removeEntries', () => {
+  it('should return the files of the removed entries', () => {
+    let manifest = cover(createEmptyManifest(), 'https://example.com/a.jpg', 1000, 0);
+    manifest = setCachedFile(manifest, 'https://example.com/a.jpg', COVER_VARIANTS.THUMBNAIL,
+      { uri: 'file:///cache/a_thumbnail.jpg', size: 100 });
+    manifest = cover(manifest, 'https://example.com/b.jpg', 1000, 1);
+
+    const result = removeEntries(manifest, [getCoverCacheKey('https://example.com/a.jpg')]);
+
+    expect(result.files).toEqual([
+      `file:///cache/${getCoverCacheKey('https://example.com/a.jpg')}_full.jpg`,
+      'file:///cache/a_thumbnail.jpg',
+    ]);
+    expect(Object.keys(result.manifest.entries)).toEqual([getCoverCacheKey('https://example.com/b.jpg')]);
+  });
+});
+
+describe('selectClearableEntries', () => {
+  it('should keep only photos still used by books', () => {
+    let manifest = cover(createEmptyManifest(), 'https://example.com/a.jpg', 1000, 0);
+    manifest = cover(manifest, 'file:///photos/used.jpg', 1000, 1, { pinned: true });
+    manifest = cover(manifest, 'file:///photos/unused.jpg', 1000, 2, { pinned: true });
+
+    expect(selectClearableEntries(manifest, ['https://example.com/a.jpg', 'file:///photos/used.jpg'])).toEqual([
+      getCoverCacheKey('https://example.com/a.jpg'),
+      getCoverCacheKey('file:///photos/unused.jpg'),
+    ]);
+  });
+});
@@ -0,0 +1,106 @@
+import {
+  getCoverOutputSize,
+  getDefaultCorners,
+  isConvexQuad,
+  getCoverWarp,
+} from '../../src/utils/coverGeometry';
+
+const box = (left, top, right, bottom) => ({
+  topLeft: { x: left, y: top },
+  topRight: { x: right, y: top },
+  bottomRight: { x: right, y: bottom },
+  bottomLeft: { x: left, y: bottom },
+});
+
+// Corners of a box rotated clockwise around its centre
+const tiltedBox = (left, top, right, bottom, degrees) => {
+  const radians = (degrees * Math.PI) / 180;
+  const cx = (left + right) / 2;
+  const cy = (top + bottom) / 2;
+  const turn = ({ x, y }) => ({
+    x: cx + (x - cx) * Math.cos(radians) - (y - cy) * Math.sin(radians),
+    y: cy + (x - cx) * Math.sin(radians) + (y - cy) * Math.cos(radians),
+  });
+  const corners = box(left, top, right, bottom);
+  return Object.fromEntries(Object.entries(corners).map(([key, point]) => [key, turn(point)]));
+};
+
+const keystone = {
+  topLeft: { x: 120, y: 100 },
+  topRight: { x: 280, y: 100 },
+  bottomRight: { x: 300, y: 400 },
+  bottomLeft: { x: 100, y: 400 },
+};
+
+describe('getCoverOutputSize', () => {
+  it('should follow the 2:3 cover aspect ratio', () => {
+    expect(getCoverOutputSize()).toEqual({ width: 800, height: 1200 });
+    expect(getCoverOutputSize([1, 1], 500)).toEqual({ width: 500, height: 500 });
+  });
+});
+
+describe('getDefaultCorners', () => {
+  it('should place a centred 2:3 box in a landscape photo', () => {
+    const corners = getDefaultCorners(1200, 900, [2, 3], 1);
+
+    expect(corners.topLeft).toEqual({ x: 300, y: 0 });
+    expect(corners.bottomRight).toEqual({ x: 900, y: 900 });
+  });
+
+  it('should inset the box', () => {
+    const corners = getDefaultCorners(200, 300, [2, 3], 0.5);
+
+    expect(corners.topLeft).toEqual({ x: 50, y: 75 });
+    expect(corners.bottomRight).toEqual({ x: 150, y: 225 });
+  });
+});
+
+describe('isConvexQuad', () => {
+  it('should accept a tilted box and a cover shot from above', () => {
+    expect(isConvexQuad(tiltedBox(100, 100, 300, 400, 8))).toBe(true);
+    expect(isConvexQuad(keystone)).toBe(true);
+  });
+
+  it('should reject crossed and collapsed corners', () => {
+    const crossed = { ...keystone, topLeft: keystone.topRight, topRight: keystone.topLeft };
+
+    expect(isConvexQuad(crossed)).toBe(false);
+    expect(isConvexQuad(box(200, 200, 200, 200))).toBe(false);
+  });
+});
+
+describe('getCoverWarp', () => {
+  it('should keep a photo whose cover is smaller than the output', () => {
+    const warp = getCoverWarp({ width: 1000, height: 800 }, box(100, 50, 500, 650));
+
+    expect(warp.resize).toBeNull();
+    expect(warp.corners).toEqual([
+      { x: 100, y: 50 }, { x: 500, y: 50 }, { x: 500, y: 650 }, { x: 100, y: 650 },
+    ]);
+    expect(warp.size).toEqual({ width: 800, height: 1200 });
+  });
+
+  it('should scale a large photo so the cover keeps the output resolution', () => {
+    const warp = getCoverWarp({ width: 4000, height: 3000 }, box(1000, 0, 2600, 2400));
+
+    expect(warp.resize).toEqual({ width: 2000, height: 1500 });
+    expect(warp.corners[0]).toEqual({ x: 500, y: 0 });
+    expect(warp.corners[2]).toEqual({ x: 1300, y: 1200 });
+  });
+
+  it('should size a cover shot from above by its longer edges', () => {
+    const warp = getCoverWarp({ width: 4000, height: 5000 }, {
+      topLeft: { x: 1200, y: 1000 },
+      topRight: { x: 2800, y: 1000 },
+      bottomRight: { x: 3200, y: 4000 },
+      bottomLeft: { x: 800, y: 4000 },
+    });
+
+    // The slanted side edges (about 3027 px) become 1200 px high
+    expect(warp.resize.height).toBe(Math.round((5000 * 1200) / Math.hypot(400, 3000)));
+  });
+
+  it('should reject corners that do not form a box', () => {
+    expect(() => getCoverWarp({ width: 400, height: 500 }, box(200, 200, 200, 200))).toThrow();
+  });
+});
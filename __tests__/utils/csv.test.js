@@ -0,0 +1,79 @@
+import { detectDelimiter, parseCsv, escapeCsvField, toCsv } from '../../src/utils/csv';
+
+describe('CSV Utilities', () => {
+  describe('detectDelimiter', () => {
+    it('should detect comma, semicolon and tab separated files', () => {
+      expect(detectDelimiter('Title,Author\nLalka,Prus')).toBe(',');
+      expect(detectDelimiter('Tytul;Autor\nLalka;Prus')).toBe(';');
+      expect(detectDelimiter('Title\tAuthor\nLalka\tPrus')).toBe('\t');
+    });
+
+    it('should ignore delimiters inside quoted headers', () => {
+      expect(detectDelimiter('"Title; full";Author,Name;Pages')).toBe(';');
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should parse simple rows and skip blank lines', () => {
+      expect(parseCsv('Title,Author\r\nLalka,Prus\r\n\r\nPotop,Sienkiewicz\r\n')).toEqual([
+        ['Title', 'Author'],
+        ['Lalka', 'Prus'],
+        ['Potop', 'Sienkiewicz'],
+      ]);
+    });
+
+    it('should handle quoted fields with delimiters, quotes and line breaks', () => {
+      const text = 'Title,Notes\n"Pan Tadeusz, czyli...","Mówił: ""Litwo!""\nDruga linia"';
+
+      expect(parseCsv(text)).toEqual([
+        ['Title', 'Notes'],
+        ['Pan Tadeusz, czyli...', 'Mówił: "Litwo!"\nDruga linia'],
+      ]);
+    });
+
+    it('should strip the UTF-8 byte order mark', () => {
+      expect(parseCsv('\uFEFFTytuł;Autor\nŻeromski;Stefan')).toEqual([
+        ['Tytuł', 'Autor'],
+        ['Żeromski', 'Stefan'],
+      ]);
+    });
+
+    it('should keep empty fields', () => {
+      expect(parseCsv('a,,c\n,b,')).toEqual([['a', '', 'c'], ['', 'b', '']]);
+    });
+
+    it('should return no rows for empty input', () => {
+      expect(parseCsv('')).toEqual([]);
+      expect(parseCsv(null)).toEqual([]);
+    });
+  });
+
+  describe('escapeCsvField', () => {
+    it('should quote fields with delimiters, quotes and line breaks', () => {
+      expect(escapeCsvField('Pan Tadeusz, czyli')).toBe('"Pan Tadeusz, czyli"');
+      expect(escapeCsvField('Mówił "Litwo"')).toBe('"Mówił ""Litwo"""');
+      expect(escapeCsvField('a\nb')).toBe('"a\nb"');
+      expect(escapeCsvField('a;b', ';')).toBe('"a;b"');
+    });
+
+    it('should leave plain values and Polish characters unquoted', () => {
+      expect(escapeCsvField('Żółć')).toBe('Żółć');
+      expect(escapeCsvField(5)).toBe('5');
+      expect(escapeCsvField(null)).toBe('');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should round-trip through parseCsv', () => {
+      const rows = [['Tytul', 'Notatki'], ['Lalka', 'Cytat: "Ach!", dwie\nlinie']];
+
+      expect(parseCsv(toCsv(rows, { bom: true }))).toEqual(rows);
+      expect(parseCsv(toCsv(rows, { delimiter: ';' }), { delimiter: ';' })).toEqual(rows);
+    });
+
+    it('should prepend the byte order mark on request', () => {
+      expect(toCsv([['a']], { bom: true }).charCodeAt(0)).toBe(0xFEFF);
+      expect(toCsv([['a'], ['b']])).toBe('a\r\nb');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+import {
+  CSV_FORMATS,
+  detectCsvFormat,
+  suggestColumnMapping,
+  parseImportDate,
+  mapRowToBook,
+  buildImportPreview,
+  getImportableBooks,
+  readCsvForImport,
+} from '../../src/utils/csvImport';
+import { BOOK_STATUS } from '../../src/constants';
+
+const GOODREADS_CSV = [
+  'Book Id,Title,Author,Author l-f,Additional Authors,ISBN,ISBN13,My Rating,Average Rating,Publisher,Binding,Number of Pages,Year Published,Original Publication Year,Date Read,Date Added,Bookshelves,Bookshelves with positions,Exclusive Shelf,My Review,Spoiler,Private Notes,Read Count,Owned Copies',
+  '1,Lalka,Bolesław Prus,"Prus, Bolesław",,"=""8373271899""","=""9788373271890""",5,4.1,Greg,Paperback,680,2005,1890,2023/05/14,2023/01/02,"klasyka, read","klasyka (#1), read (#5)",read,Świetna,,,1,0',
+  '2,Solaris,Stanisław Lem,"Lem, Stanisław",,"=""""","=""""",0,4.0,,Paperback,,2002,1961,,2023/02/01,to-read,to-read (#1),to-read,,,,0,0',
+].join('\n');
+
+const STORYGRAPH_CSV = [
+  'Title,Authors,Contributors,ISBN/UID,Format,Read Status,Date Added,Last Date Read,Dates Read,Read Count,Moods,Pace,Character- or Plot-Driven?,Strong Character Development?,Loveable Characters?,Diverse Characters?,Flawed Characters?,Star Rating,Review,Content Warnings,Content Warning Description,Tags,Owned?',
+  'Wiedźmin,Andrzej Sapkowski,,9788375780635,paperback,currently-reading,2024/01/10,,,0,,,,,,,,4.5,,,,"fantasy, polska",Yes',
+].join('\n');
+
+describe('CSV Import', () => {
+  describe('detectCsvFormat', () => {
+    it('should recognise Goodreads and StoryGraph exports', () => {
+      expect(readCsvForImport(GOODREADS_CSV).format).toBe(CSV_FORMATS.GOODREADS);
+      expect(readCsvForImport(STORYGRAPH_CSV).format).toBe(CSV_FORMATS.STORYGRAPH);
+      expect(detectCsvFormat(['Tytul', 'Autor'])).toBe(CSV_FORMATS.GENERIC);
+    });
+  });
+
+  describe('suggestColumnMapping', () => {
+    it('should prefer ISBN13 over ISBN for Goodreads', () => {
+      const { headers, mapping } = readCsvForImport(GOODREADS_CSV);
+
+      expect(headers[mapping.isbn]).toBe('ISBN13');
+      expect(headers[mapping.author]).toBe('Author');
+      expect(headers[mapping.notes]).toBe('My Review');
+    });
+
+    it('should map Polish headers and leave unknown fields empty', () => {
+      const mapping = suggestColumnMapping(['Tytuł', 'Autor', 'Ocena']);
+
+      expect(mapping).toMatchObject({ title: 0, author: 1, rating: 2, isbn: null, tags: null });
+    });
+  });
+
+  describe('parseImportDate', () => {
+    it('should parse Goodreads, Polish and ISO dates', () => {
+      expect(parseImportDate('2023/05/14')).toBe('2023-05-14T00:00:00.000Z');
+      expect(parseImportDate('14.05.2023')).toBe('2023-05-14T00:00:00.000Z');
+      expect(parseImportDate('2023-05-14T00:00:00.000Z')).toBe('2023-05-14T00:00:00.000Z');
+    });
+
+    it('should return null for empty and raw text for unparseable dates', () => {
+      expect(parseImportDate('  ')).toBeNull();
+      expect(parseImportDate('wczoraj')).toBe('wczoraj');
+    });
+  });
+
+  describe('mapRowToBook', () => {
+    it('should convert a Goodreads row', () => {
+      const { rows, mapping } = readCsvForImport(GOODREADS_CSV);
+
+      expect(mapRowToBook(rows[0], mapping)).toEqual({
+        title: 'Lalka',
+        author: 'Bolesław Prus',
+        description: '',
+        notes: 'Świetna',
+        status: BOOK_STATUS.READ,
+        rating: 5,
+        isbn: '9788373271890',
+        totalPages: 680,
+        startedAt: null,
+        finishedAt: '2023-05-14T00:00:00.000Z',
+        tags: ['klasyka'],
+        dateAdded: '2023-01-02T00:00:00.000Z',
+      });
+    });
+
+    it('should convert a StoryGraph row with a half-star rating', () => {
+      const { rows, mapping } = readCsvForImport(STORYGRAPH_CSV);
+
+      expect(mapRowToBook(rows[0], mapping)).toMatchObject({
+        title: 'Wiedźmin',
+        author: 'Andrzej Sapkowski',
+        status: BOOK_STATUS.reading,
+        rating: 5,
+        isbn: '9788375780635',
+        tags: ['fantasy', 'polska'],
+      });
+    });
+
+    it('should drop ISBN columns that do not hold a valid ISBN', () => {
+      expect(mapRowToBook(['Tytul', 'Autor', 'sg-12345'], { title: 0, author: 1, isbn: 2 }).isbn).toBeNull();
+    });
+  });
+
+  describe('buildImportPreview', () => {
+    const { rows, mapping } = readCsvForImport(GOODREADS_CSV);
+
+    it('should flag books that are already in the library', () => {
+      const preview = buildImportPreview(rows, mapping, [{ title: 'lalka', author: 'bolesław prus' }]);
+
+      expect(preview.map(item => item.duplicate)).toEqual(['library', null]);
+      expect(getImportableBooks(preview).map(book => book.title)).toEqual(['Solaris']);
+      expect(getImportableBooks(preview, { skipDuplicates: false })).toHaveLength(2);
+    });
+
+    it('should flag repeated rows and matching ISBNs', () => {
+      const preview = buildImportPreview([rows[0], rows[0]], mapping, [{ title: 'Inna', author: 'Inny', isbn: '8373271899' }]);
+
+      expect(preview.map(item => item.duplicate)).toEqual(['library', 'library']);
+      expect(buildImportPreview([rows[1], rows[1]], mapping).map(item => item.duplicate)).toEqual([null, 'file']);
+    });
+
+    it('should report validation errors per field', () => {
+      const preview = buildImportPreview([['', 'Autor', 'wczoraj']], { title: 0, author: 1, finishedAt: 2 });
+
+      expect(preview[0].errors).toEqual({
+        title: 'Tytul jest wymagany',
+        finishedAt: 'Podaj date w formacie RRRR-MM-DD',
+      });
+      expect(getImportableBooks(preview)).toEqual([]);
+    });
+  });
+
+  describe('readCsvForImport', () => {
+    it('should reject empty files', () => {
+      expect(() => readCsvForImport('')).toThrow('CSV file is empty');
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import {
+  SYNC_CURSOR_OVERLAP_MS,
+  getLatestCursor,
+  getCursorQueryStart,
+  mergeBookChanges,
+} from '../../src/utils/deltaSync';
+
+const books = [
+  { id: 'b2', title: 'Solaris', author: 'Stanisław Lem', created_at: '2024-02-01T00:00:00.000Z', updated_at: '2024-02-01T00:00:00.000Z' },
+  { id: 'b1', title: 'Lalka', author: 'Bolesław Prus', created_at: '2024-01-01T00:00:00.000Z', updated_at: '2024-01-01T00:00:00.000Z' },
+];
+
+describe('deltaSync', () => {
+  describe('cursors', () => {
+    it('should take the newest update or deletion time', () => {
+      expect(getLatestCursor([
+        { updated_at: '2024-03-01T10:00:00+00:00' },
+        { deleted_at: '2024-03-02T10:00:00.000Z' },
+        { updated_at: null },
+      ], '2024-01-01T00:00:00.000Z')).toBe('2024-03-02T10:00:00.000Z');
+    });
+
+    it('should keep the previous cursor when nothing newer arrived', () => {
+      expect(getLatestCursor([], '2024-01-01T00:00:00.000Z')).toBe('2024-01-01T00:00:00.000Z');
+      expect(getLatestCursor([])).toBeNull();
+    });
+
+    it('should start the next fetch slightly before the cursor', () => {
+      const cursor = '2024-03-01T10:00:00.000Z';
+
+      expect(new Date(cursor) - new Date(getCursorQueryStart(cursor))).toBe(SYNC_CURSOR_OVERLAP_MS);
+    });
+  });
+
+  describe('mergeBookChanges', () => {
+    it('should update, add and remove books', () => {
+      const updated = { ...books[1], rating: 5, updated_at: '2024-03-01T00:00:00.000Z' };
+      const olderNew = { id: 'b3', title: 'Ferdydurke', created_at: '2024-03-01T00:00:00.000Z' };
+      const newerNew = { id: 'b4', title: 'Quo vadis', created_at: '2024-03-05T00:00:00.000Z' };
+
+      const merged = mergeBookChanges(books, { changed: [updated, olderNew, newerNew], deletedIds: ['b2'] });
+
+      expect(merged).toEqual([newerNew, olderNew, updated]);
+    });
+
+    it('should ignore rows already merged by the overlapping window', () => {
+      expect(mergeBookChanges(books, { changed: [books[0]], deletedIds: ['missing'] })).toBe(books);
+    });
+
+    it('should keep books with pending local changes', () => {
+      const queuedOperations = [
+        { type: 'UPDATE', entity: 'book', id: 'b1', data: { rating: 2 } },
+        { type: 'DELETE', entity: 'book', id: 'b2' },
+      ];
+      const remote = { ...books[1], rating: 5, updated_at: '2024-03-01T00:00:00.000Z' };
+
+      expect(mergeBookChanges(books, { changed: [remote], deletedIds: ['b2'] }, { queuedOperations })).toBe(books);
+    });
+
+    it('should not re-add a deleted book fetched in the same window', () => {
+      const row = { id: 'b5', title: 'Dziady', created_at: '2024-03-01T00:00:00.000Z' };
+
+      expect(mergeBookChanges(books, { changed: [row], deletedIds: ['b5'] })).toBe(books);
+    });
+  });
+});
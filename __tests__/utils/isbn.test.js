@@ -0,0 +1,113 @@
+import {
+  normalizeIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isValidEan13,
+  isValidIsbn,
+  isbn10To13,
+  toIsbn13,
+  parseIsbnFromBarcode,
+  formatIsbn,
+} from '../../src/utils/isbn';
+
+describe('ISBN Utilities', () => {
+  describe('normalizeIsbn', () => {
+    it('should strip dashes and spaces', () => {
+      expect(normalizeIsbn('978-83 240-0029-6')).toBe('9788324000296');
+    });
+
+    it('should uppercase the ISBN-10 check character', () => {
+      expect(normalizeIsbn('0-8044-2957-x')).toBe('080442957X');
+    });
+
+    it('should handle empty values', () => {
+      expect(normalizeIsbn(null)).toBe('');
+      expect(normalizeIsbn(undefined)).toBe('');
+    });
+  });
+
+  describe('isValidIsbn10', () => {
+    it('should accept valid ISBN-10', () => {
+      expect(isValidIsbn10('0306406152')).toBe(true);
+      expect(isValidIsbn10('0-8044-2957-X')).toBe(true);
+    });
+
+    it('should reject invalid checksum', () => {
+      expect(isValidIsbn10('0306406153')).toBe(false);
+    });
+
+    it('should reject malformed input', () => {
+      expect(isValidIsbn10('03064X6152')).toBe(false);
+      expect(isValidIsbn10('123')).toBe(false);
+    });
+  });
+
+  describe('isValidIsbn13', () => {
+    it('should accept valid ISBN-13', () => {
+      expect(isValidIsbn13('9780306406157')).toBe(true);
+      expect(isValidIsbn13('978-83-240-0029-6')).toBe(true);
+    });
+
+    it('should reject invalid checksum', () => {
+      expect(isValidIsbn13('9780306406158')).toBe(false);
+    });
+
+    it('should reject EAN-13 codes outside Bookland', () => {
+      expect(isValidEan13('5901234123457')).toBe(true);
+      expect(isValidIsbn13('5901234123457')).toBe(false);
+    });
+  });
+
+  describe('isValidIsbn', () => {
+    it('should accept both formats', () => {
+      expect(isValidIsbn('0306406152')).toBe(true);
+      expect(isValidIsbn('9780306406157')).toBe(true);
+    });
+
+    it('should reject anything else', () => {
+      expect(isValidIsbn('')).toBe(false);
+      expect(isValidIsbn('not an isbn')).toBe(false);
+    });
+  });
+
+  describe('isbn10To13 / toIsbn13', () => {
+    it('should convert ISBN-10 to ISBN-13', () => {
+      expect(isbn10To13('0306406152')).toBe('9780306406157');
+      expect(toIsbn13('0-306-40615-2')).toBe('9780306406157');
+    });
+
+    it('should keep valid ISBN-13 unchanged', () => {
+      expect(toIsbn13('978-0-306-40615-7')).toBe('9780306406157');
+    });
+
+    it('should return null for invalid input', () => {
+      expect(isbn10To13('0306406153')).toBeNull();
+      expect(toIsbn13('12345')).toBeNull();
+    });
+  });
+
+  describe('parseIsbnFromBarcode', () => {
+    it('should return ISBN-13 from Bookland EAN-13', () => {
+      expect(parseIsbnFromBarcode('9788324000296')).toBe('9788324000296');
+    });
+
+    it('should ignore price supplements', () => {
+      expect(parseIsbnFromBarcode('978030640615790000')).toBe('9780306406157');
+    });
+
+    it('should convert ISBN-10 payloads', () => {
+      expect(parseIsbnFromBarcode('0306406152')).toBe('9780306406157');
+    });
+
+    it('should reject non-book barcodes', () => {
+      expect(parseIsbnFromBarcode('5901234123457')).toBeNull();
+      expect(parseIsbnFromBarcode('https://example.com')).toBeNull();
+    });
+  });
+
+  describe('formatIsbn', () => {
+    it('should separate the Bookland prefix', () => {
+      expect(formatIsbn('9780306406157')).toBe('978-0306406157');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import {
+  DEFAULT_LOAN_DAYS,
+  createLoan,
+  getDueDate,
+  getActiveLoan,
+  isLentOut,
+  isLoanOverdue,
+  isBookOverdue,
+  getDaysOverdue,
+  addLoan,
+  returnLoan,
+  getLoanHistory,
+} from '../../src/utils/loans';
+
+describe('Loan Utilities', () => {
+  const now = new Date('2024-03-20T12:00:00.000Z');
+  const activeLoan = {
+    id: 'loan_2',
+    borrowerName: 'Anna',
+    borrowerContact: '',
+    lentAt: '2024-03-01T12:00:00.000Z',
+    dueAt: '2024-03-15T12:00:00.000Z',
+    returnedAt: null,
+  };
+  const returnedLoan = {
+    id: 'loan_1',
+    borrowerName: 'Piotr',
+    borrowerContact: '',
+    lentAt: '2024-01-01T12:00:00.000Z',
+    dueAt: null,
+    returnedAt: '2024-01-10T12:00:00.000Z',
+  };
+  const lentBook = { id: '1', title: 'Lalka', loans: [returnedLoan, activeLoan] };
+
+  describe('createLoan', () => {
+    it('should create an open loan with trimmed borrower data', () => {
+      const loan = createLoan({
+        borrowerName: '  Anna  ',
+        borrowerContact: ' 123 456 789 ',
+        lentAt: '2024-03-01T12:00:00.000Z',
+        dueAt: '2024-03-15T12:00:00.000Z',
+      });
+
+      expect(loan).toMatchObject({
+        borrowerName: 'Anna',
+        borrowerContact: '123 456 789',
+        lentAt: '2024-03-01T12:00:00.000Z',
+        dueAt: '2024-03-15T12:00:00.000Z',
+        returnedAt: null,
+      });
+      expect(loan.id).toMatch(/^loan_/);
+    });
+
+    it('should require a borrower name', () => {
+      expect(() => createLoan({ borrowerName: '   ' })).toThrow('Borrower name is required');
+    });
+
+    it('should reject a due date before the lent date', () => {
+      expect(() => createLoan({
+        borrowerName: 'Anna',
+        lentAt: '2024-03-15T12:00:00.000Z',
+        dueAt: '2024-03-01T12:00:00.000Z',
+      })).toThrow('Due date cannot be before the lent date');
+    });
+  });
+
+  describe('getDueDate', () => {
+    it('should add days to the lent date', () => {
+      expect(getDueDate('2024-03-01T12:00:00.000Z', DEFAULT_LOAN_DAYS)).toBe('2024-03-15T12:00:00.000Z');
+    });
+
+    it('should return null without a positive number of days', () => {
+      expect(getDueDate('2024-03-01T12:00:00.000Z', 0)).toBeNull();
+      expect(getDueDate('2024-03-01T12:00:00.000Z', NaN)).toBeNull();
+    });
+  });
+
+  describe('active loan', () => {
+    it('should find the loan that was not returned', () => {
+      expect(getActiveLoan(lentBook)).toBe(activeLoan);
+      expect(isLentOut(lentBook)).toBe(true);
+      expect(isLentOut({ id: '2' })).toBe(false);
+    });
+  });
+
+  describe('overdue', () => {
+    it('should detect loans past their due date', () => {
+      expect(isLoanOverdue(activeLoan, now)).toBe(true);
+      expect(isBookOverdue(lentBook, now)).toBe(true);
+      expect(getDaysOverdue(activeLoan, now)).toBe(5);
+    });
+
+    it('should not treat returned or open-ended loans as overdue', () => {
+      expect(isLoanOverdue(returnedLoan, now)).toBe(false);
+      expect(isLoanOverdue({ ...activeLoan, dueAt: null }, now)).toBe(false);
+      expect(getDaysOverdue(returnedLoan, now)).toBe(0);
+      expect(isBookOverdue({ id: '2' }, now)).toBe(false);
+    });
+  });
+
+  describe('addLoan and returnLoan', () => {
+    it('should add a loan to a book that is on the shelf', () => {
+      const book = { id: '2', loans: [returnedLoan] };
+      const updated = addLoan(book, activeLoan);
+
+      expect(updated.loans).toEqual([returnedLoan, activeLoan]);
+      expect(book.loans).toEqual([returnedLoan]);
+    });
+
+    it('should not lend a book twice', () => {
+      expect(() => addLoan(lentBook, activeLoan)).toThrow('Book is already lent out');
+    });
+
+    it('should mark the active loan as returned', () => {
+      const updated = returnLoan(lentBook, now);
+
+      expect(updated.loans[1].returnedAt).toBe(now.toISOString());
+      expect(updated.loans[0]).toBe(returnedLoan);
+      expect(isLentOut(updated)).toBe(false);
+    });
+
+    it('should fail to return a book that is not lent out', () => {
+      expect(() => returnLoan({ id: '2', loans: [returnedLoan] })).toThrow('Book is not lent out');
+    });
+  });
+
+  describe('getLoanHistory', () => {
+    it('should list loans newest first', () => {
+      expect(getLoanHistory(lentBook).map(loan => loan.id)).toEqual(['loan_2', 'loan_1']);
+      expect(getLoanHistory({ id: '2' })).toEqual([]);
+    });
+  });
+});
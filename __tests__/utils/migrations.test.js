@@ -0,0 +1,187 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  applyMigrations,
+  getSchemaVersion,
+  runStorageMigrations,
+} from '../../src/utils/migrations';
+import { STORAGE_KEYS } from '../../src/constants';
+import { setBookStore } from '../../src/utils/bookStore';
+import fixtureV0 from '../fixtures/storage-schema-v0.json';
+
+// In-memory AsyncStorage
+const mockStore = new Map();
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  setItem: jest.fn((key, value) => Promise.resolve(mockStore.set(key, value))),
+  getItem: jest.fn((key) => Promise.resolve(mockStore.has(key) ? mockStore.get(key) : null)),
+  multiSet: jest.fn((pairs) => Promise.resolve(pairs.forEach(([key, value]) => mockStore.set(key, value)))),
+}));
+
+jest.mock('../../src/utils/networkStatus', () => ({
+  NetworkStatus: {},
+}));
+
+jest.mock('../../src/utils/enhancedErrorHandler', () => ({
+  EnhancedErrorHandler: {},
+}));
+
+const loadFixture = (fixture) => {
+  Object.entries(fixture).forEach(([key, value]) => mockStore.set(key, JSON.stringify(value)));
+};
+
+const readStored = (key) => JSON.parse(mockStore.get(key));
+
+describe('Storage migrations', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    jest.clearAllMocks();
+  });
+
+  describe('MIGRATIONS', () => {
+    it('should be ordered by unique, increasing versions', () => {
+      const versions = MIGRATIONS.map(migration => migration.version);
+
+      expect(versions).toEqual([...versions].sort((a, b) => a - b));
+      expect(new Set(versions).size).toBe(versions.length);
+      expect(CURRENT_SCHEMA_VERSION).toBe(versions[versions.length - 1]);
+    });
+
+    it('should be idempotent', () => {
+      const once = applyMigrations({ books: fixtureV0.books, offlineBooks: null, operationQueue: null }, 0);
+      const twice = applyMigrations(once.data, 0);
+
+      expect(twice.data).toEqual(once.data);
+    });
+  });
+
+  describe('applyMigrations', () => {
+    it('should only run migrations newer than the stored version', () => {
+      const migrations = [
+        { version: 1, migrateBook: book => ({ ...book, first: true }) },
+        { version: 2, migrateBook: book => ({ ...book, second: true }) },
+      ];
+
+      const result = applyMigrations({ books: [{ id: '1' }], offlineBooks: null, operationQueue: null }, 1, migrations);
+
+      expect(result.data.books).toEqual([{ id: '1', second: true }]);
+      expect(result.version).toBe(2);
+      expect(result.applied).toEqual([2]);
+    });
+
+    it('should keep the version when nothing is pending', () => {
+      const data = { books: [], offlineBooks: null, operationQueue: null };
+
+      expect(applyMigrations(data, CURRENT_SCHEMA_VERSION)).toEqual({
+        data,
+        version: CURRENT_SCHEMA_VERSION,
+        applied: [],
+      });
+    });
+  });
+
+  describe('runStorageMigrations', () => {
+    it('should migrate a version 0 install', async () => {
+      loadFixture(fixtureV0);
+
+      const result = await runStorageMigrations();
+
+      expect(result).toEqual({
+        success: true,
+        fromVersion: 0,
+        toVersion: CURRENT_SCHEMA_VERSION,
+        applied: MIGRATIONS.map(migration => migration.version),
+      });
+      expect(await getSchemaVersion()).toBe(CURRENT_SCHEMA_VERSION);
+
+      const { books } = readStored(STORAGE_KEYS.BOOKS);
+      expect(books[0]).toEqual({
+        ...fixtureV0.books[0],
+        totalPages: null,
+        currentPage: 0,
+        readingSessions: [],
+        startedAt: null,
+        finishedAt: null,
+        readHistory: [],
+        isbn: null,
+        tags: [],
+        loans: [],
+      });
+      expect(books[1]).toMatchObject({ totalPages: 320, currentPage: 120, tags: ['sf', 'klasyka'] });
+    });
+
+    it('should keep the offline books container and its metadata', async () => {
+      loadFixture(fixtureV0);
+
+      await runStorageMigrations();
+
+      const offlineData = readStored('offline_books');
+      expect(offlineData.timestamp).toBe(fixtureV0.offline_books.timestamp);
+      expect(offlineData.books[0]).toMatchObject({ id: 'offline_1690000000000', offline: true, tags: [], loans: [] });
+    });
+
+    it('should migrate queued data without adding defaults to updates', async () => {
+      loadFixture(fixtureV0);
+
+      await runStorageMigrations();
+
+      const [create, update] = readStored('offline_operations_queue');
+      expect(create.data.tags).toEqual(['fantasy', 'polska']);
+      expect(update).toEqual(fixtureV0.offline_operations_queue[1]);
+    });
+
+    it('should only record the version on a fresh install', async () => {
+      const result = await runStorageMigrations();
+
+      expect(result.success).toBe(true);
+      expect(AsyncStorage.setItem).toHaveBeenCalledTimes(1);
+      expect(AsyncStorage.setItem).toHaveBeenCalledWith(STORAGE_KEYS.SCHEMA_VERSION, String(CURRENT_SCHEMA_VERSION));
+    });
+
+    it('should skip storage when already up to date', async () => {
+      mockStore.set(STORAGE_KEYS.SCHEMA_VERSION, String(CURRENT_SCHEMA_VERSION));
+
+      const result = await runStorageMigrations();
+
+      expect(result.applied).toEqual([]);
+      expect(AsyncStorage.getItem).not.toHaveBeenCalledWith(STORAGE_KEYS.BOOKS);
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('should migrate books and the queue held by the active book store', async () => {
+      const lists = new Map([[STORAGE_KEYS.BOOKS, { books: [{ id: '1', title: 'Lalka', tags: 'klasyka' }], metadata: { version: '1.0' } }]]);
+      const queues = new Map([['offline_operations_queue', fixtureV0.offline_operations_queue]]);
+      setBookStore({
+        name: 'memory',
+        loadBookList: jest.fn(async (key) => (lists.has(key) ? { ...lists.get(key), legacy: false } : null)),
+        saveBookList: jest.fn(async (key, books, metadata) => lists.set(key, { books, metadata })),
+        removeBookList: jest.fn(),
+        loadOperationQueue: jest.fn(async (key) => queues.get(key) || null),
+        saveOperationQueue: jest.fn(async (key, operations) => queues.set(key, operations)),
+        removeOperationQueue: jest.fn(),
+      });
+
+      try {
+        const result = await runStorageMigrations();
+
+        expect(result.success).toBe(true);
+        expect(lists.get(STORAGE_KEYS.BOOKS).books[0]).toMatchObject({ tags: ['klasyka'], loans: [] });
+        expect(lists.get(STORAGE_KEYS.BOOKS).metadata).toEqual({ version: '1.0' });
+        expect(queues.get('offline_operations_queue')[0].data.tags).toEqual(['fantasy', 'polska']);
+        expect(mockStore.has(STORAGE_KEYS.BOOKS)).toBe(false);
+      } finally {
+        setBookStore(null);
+      }
+    });
+
+    it('should leave storage untouched when data cannot be parsed', async () => {
+      mockStore.set(STORAGE_KEYS.BOOKS, 'invalid json');
+
+      const result = await runStorageMigrations();
+
+      expect(result.success).toBe(false);
+      expect(AsyncStorage.setItem).not.toHaveBeenCalled();
+      expect(await getSchemaVersion()).toBe(0);
+    });
+  });
+});
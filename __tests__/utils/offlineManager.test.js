@@ -0,0 +1,540 @@
+import { OfflineManager } from '../../src/utils/offlineManager';
+
+// In-memory AsyncStorage
+const mockStore = new Map();
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  setItem: jest.fn((key, value) => Promise.resolve(mockStore.set(key, value))),
+  getItem: jest.fn((key) => Promise.resolve(mockStore.has(key) ? mockStore.get(key) : null)),
+  removeItem: jest.fn((key) => Promise.resolve(mockStore.delete(key))),
+  multiRemove: jest.fn((keys) => Promise.resolve(keys.forEach(key => mockStore.delete(key)))),
+}));
+
+jest.mock('../../src/utils/networkStatus', () => ({
+  NetworkStatus: {
+    isOnline: jest.fn(() => Promise.resolve(false)),
+  },
+}));
+
+jest.mock('../../src/utils/enhancedErrorHandler', () => ({
+  EnhancedErrorHandler: {},
+}));
+
+jest.mock('../../src/services/coverStorage', () => ({
+  CoverStorage: {
+    isLocalCover: jest.fn((uri) => typeof uri === 'string' && uri.startsWith('file://')),
+    keepForUpload: jest.fn((uri) => Promise.resolve(uri.replace('/cache/', '/documents/'))),
+    uploadCover: jest.fn(() => Promise.resolve('https://example.supabase.co/covers/user-1/cover.jpg')),
+    removeUploadCopies: jest.fn(() => Promise.resolve()),
+    deleteCover: jest.fn(() => Promise.resolve(true)),
+  },
+}));
+
+describe('OfflineManager shelves', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    OfflineManager.operationQueue = [];
+    jest.spyOn(OfflineManager, 'startSyncCheckInterval').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store a new shelf locally and queue a CREATE', async () => {
+    const shelf = await OfflineManager.createShelfOffline({ name: 'Ulubione', bookIds: [] }, 'user-1');
+
+    expect(shelf.id).toMatch(/^offline_shelf_/);
+    expect(await OfflineManager.loadOfflineShelves()).toEqual([shelf]);
+    expect(OfflineManager.getQueuedOperations('shelf')).toEqual([
+      expect.objectContaining({ type: 'CREATE', entity: 'shelf', tempId: shelf.id }),
+    ]);
+  });
+
+  it('should fold updates of an unsynced shelf into its pending CREATE', async () => {
+    const shelf = await OfflineManager.createShelfOffline({ name: 'Ulubione', bookIds: [] });
+
+    await OfflineManager.updateShelfOffline(shelf.id, { bookIds: ['1'] });
+
+    const operations = OfflineManager.getQueuedOperations('shelf');
+    expect(operations).toHaveLength(1);
+    expect(operations[0].data.bookIds).toEqual(['1']);
+  });
+
+  it('should drop the pending CREATE when an unsynced shelf is deleted', async () => {
+    const shelf = await OfflineManager.createShelfOffline({ name: 'Ulubione', bookIds: [] });
+
+    await OfflineManager.deleteShelfOffline(shelf.id);
+
+    expect(OfflineManager.getQueuedOperations('shelf')).toEqual([]);
+    expect(await OfflineManager.loadOfflineShelves()).toEqual([]);
+  });
+
+  it('should keep only the latest UPDATE of a synced shelf', async () => {
+    await OfflineManager.saveOfflineShelves([{ id: 'shelf-1', name: 'Ulubione', bookIds: [] }]);
+
+    await OfflineManager.updateShelfOffline('shelf-1', { name: 'Najlepsze' });
+    await OfflineManager.updateShelfOffline('shelf-1', { bookIds: ['1'] });
+
+    const operations = OfflineManager.getQueuedOperations('shelf');
+    expect(operations).toHaveLength(1);
+    expect(operations[0]).toMatchObject({ type: 'UPDATE', id: 'shelf-1' });
+    expect(operations[0].data).toMatchObject({ name: 'Najlepsze', bookIds: ['1'] });
+  });
+
+  it('should replace temporary book ids in shelves and queued shelf operations', async () => {
+    await OfflineManager.saveOfflineShelves([{ id: 'shelf-1', name: 'Ulubione', bookIds: ['offline_1'] }]);
+    await OfflineManager.updateShelfOffline('shelf-1', { bookIds: ['offline_1'] });
+
+    await OfflineManager.replaceTempId('offline_1', 'uuid-1');
+
+    expect((await OfflineManager.loadOfflineShelves())[0].bookIds).toEqual(['uuid-1']);
+    expect(OfflineManager.getQueuedOperations('shelf')[0].data.bookIds).toEqual(['uuid-1']);
+  });
+
+  it('should merge shelf membership from both sides on conflict', async () => {
+    const { merged, unresolvedFields } = await OfflineManager.mergeData(
+      { name: 'Lokalna', bookIds: ['1', '2'] },
+      { name: 'Serwer', bookIds: ['2', '3'] },
+      'shelf'
+    );
+
+    expect(merged.name).toBe('Lokalna');
+    expect(merged.bookIds).toEqual(['2', '3', '1']);
+    expect(unresolvedFields).toEqual([]);
+  });
+
+  it('should keep the version before all unsynced edits as the base of the UPDATE', async () => {
+    const shelf = { id: 'shelf-1', name: 'Ulubione', bookIds: [] };
+    await OfflineManager.saveOfflineShelves([shelf]);
+
+    await OfflineManager.updateShelfOffline('shelf-1', { name: 'Najlepsze' });
+    await OfflineManager.updateShelfOffline('shelf-1', { bookIds: ['1'] });
+
+    expect(OfflineManager.getQueuedOperations('shelf')[0].base).toEqual(shelf);
+  });
+
+  it('should reject operations for unknown entities', async () => {
+    await expect(OfflineManager.executeOperation({ entity: 'unknown' }, {}))
+      .rejects.toThrow('Unknown entity: unknown');
+  });
+});
+
+describe('OfflineManager batch book creation', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    OfflineManager.operationQueue = [];
+    jest.spyOn(OfflineManager, 'startSyncCheckInterval').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store all books with unique temporary ids and queue a CREATE for each', async () => {
+    const books = await OfflineManager.createBooksOffline([
+      { title: 'Lalka', author: 'Prus' },
+      { title: 'Potop', author: 'Sienkiewicz' },
+    ], 'user-1');
+
+    expect(new Set(books.map(book => book.id)).size).toBe(2);
+    expect(await OfflineManager.loadOfflineBooks()).toEqual(books);
+    expect(OfflineManager.getQueuedOperations('book')).toEqual(books.map(book => (
+      expect.objectContaining({ type: 'CREATE', tempId: book.id, userId: 'user-1' })
+    )));
+  });
+});
+
+describe('OfflineManager book trash', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    OfflineManager.operationQueue = [];
+    jest.spyOn(OfflineManager, 'startSyncCheckInterval').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should fold the trash flag of an unsynced book into its pending CREATE', async () => {
+    const book = await OfflineManager.createBookOffline({ title: 'Lalka', author: 'Prus' }, 'user-1');
+
+    await OfflineManager.updateBookOffline(book.id, { deletedAt: '2024-06-01T10:00:00.000Z' }, 'user-1');
+
+    expect(OfflineManager.getQueuedOperations('book')).toEqual([
+      expect.objectContaining({ type: 'CREATE', tempId: book.id, data: expect.objectContaining({ deletedAt: '2024-06-01T10:00:00.000Z' }) }),
+    ]);
+  });
+
+  it('should drop the pending CREATE when an unsynced book is purged', async () => {
+    const book = await OfflineManager.createBookOffline({ title: 'Lalka', author: 'Prus' }, 'user-1');
+
+    await OfflineManager.deleteBookOffline(book.id, 'user-1');
+
+    expect(OfflineManager.getQueuedOperations('book')).toEqual([]);
+    expect(await OfflineManager.loadOfflineBooks()).toEqual([]);
+  });
+
+  it('should queue an UPDATE for a synced book moved to the trash', async () => {
+    await OfflineManager.saveOfflineBooks([{ id: 'b1', title: 'Lalka', author: 'Prus' }]);
+
+    const updated = await OfflineManager.updateBookOffline('b1', { deletedAt: '2024-06-01T10:00:00.000Z' }, 'user-1');
+
+    expect(updated.deletedAt).toBe('2024-06-01T10:00:00.000Z');
+    expect(OfflineManager.getQueuedOperations('book')).toEqual([
+      expect.objectContaining({ type: 'UPDATE', id: 'b1', data: { deletedAt: '2024-06-01T10:00:00.000Z' } }),
+    ]);
+  });
+});
+
+describe('OfflineManager three-way merge', () => {
+  const base = { id: 'b1', title: 'Lalka', notes: 'Tom 1', currentPage: 40, rating: 3 };
+  const server = { ...base, notes: 'Tom 1\nCytat z serwera', currentPage: 120 };
+
+  beforeEach(() => {
+    mockStore.clear();
+    OfflineManager.operationQueue = [];
+    OfflineManager.pendingConflicts.clear();
+    jest.spyOn(OfflineManager, 'startSyncCheckInterval').mockImplementation(() => {});
+    jest.spyOn(OfflineManager, 'forceServerUpdate').mockResolvedValue();
+    OfflineManager.conflictResolutionStrategies.set('book', 'merge');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    OfflineManager.conflictResolutionStrategies.delete('book');
+  });
+
+  it('should queue book updates with the version they started from', async () => {
+    await OfflineManager.saveOfflineBooks([base]);
+
+    await OfflineManager.updateBookOffline('b1', { currentPage: 80 }, 'user-1');
+
+    expect(OfflineManager.getQueuedOperations('book')[0]).toMatchObject({
+      type: 'UPDATE', id: 'b1', data: { currentPage: 80 }, base,
+    });
+  });
+
+  it('should sync two offline edits of a book as one update without a conflict', async () => {
+    await OfflineManager.saveOfflineBooks([base]);
+
+    await OfflineManager.updateBookOffline('b1', { ...base, currentPage: 80 }, 'user-1');
+    await OfflineManager.updateBookOffline('b1', { ...base, currentPage: 80, rating: 5 }, 'user-1');
+
+    const operations = OfflineManager.getQueuedOperations('book');
+    expect(operations).toHaveLength(1);
+    expect(operations[0]).toMatchObject({ data: { currentPage: 80, rating: 5 }, base });
+
+    // The server row was last changed before the first edit
+    const row = { id: 'b1', title: 'Lalka', updated_at: '2000-01-01T00:00:00.000Z' };
+    const query = {
+      select: jest.fn(() => query),
+      update: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      single: jest.fn(() => Promise.resolve({ data: row, error: null })),
+    };
+    const supabase = {
+      auth: { getSession: jest.fn(() => Promise.resolve({ data: { session: { user: { id: 'user-1' } } }, error: null })) },
+      from: jest.fn(() => query),
+    };
+
+    const result = await OfflineManager.executeOperation(operations[0], supabase);
+
+    expect(result.conflict).toBeUndefined();
+    expect(result.success).toBe(true);
+    expect(query.update).toHaveBeenCalledWith(expect.objectContaining({ current_page: 80, rating: 5 }));
+  });
+
+  it('should take each field from the side that changed it', async () => {
+    const local = { ...base, currentPage: 80 };
+    const { merged, unresolvedFields } = await OfflineManager.mergeData(local, server, 'book', base);
+
+    expect(merged).toMatchObject({ notes: 'Tom 1\nCytat z serwera', currentPage: 120, rating: 3 });
+    expect(unresolvedFields).toEqual([]);
+  });
+
+  it('should save a merge without conflicting fields', async () => {
+    await OfflineManager.saveOfflineBooks([base]);
+    const operation = {
+      type: 'UPDATE', entity: 'book', id: 'b1', timestamp: '2024-06-01T10:00:00.000Z',
+      data: { ...base, notes: 'Tom 1\nMoja notatka' }, base,
+    };
+
+    const resolved = await OfflineManager.resolveConflict(operation, { local: operation.data, server, base });
+
+    expect(resolved).toBe(true);
+    expect(OfflineManager.forceServerUpdate).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ notes: 'Tom 1\nCytat z serwera\nMoja notatka', currentPage: 120 }),
+    }));
+  });
+
+  it('should leave fields changed on both sides to the user', async () => {
+    const operation = {
+      type: 'UPDATE', entity: 'book', id: 'b1', timestamp: '2024-06-01T10:00:00.000Z',
+      data: { ...base, rating: 5, currentPage: 60 }, base,
+    };
+
+    const resolved = await OfflineManager.resolveConflict(
+      operation,
+      { local: operation.data, server: { ...server, rating: 4 }, base }
+    );
+
+    expect(resolved).toBe(false);
+    expect(OfflineManager.forceServerUpdate).not.toHaveBeenCalled();
+    expect(OfflineManager.getPendingConflicts()).toEqual([
+      expect.objectContaining({
+        key: 'book:b1',
+        fields: ['rating'],
+        local: expect.objectContaining({ rating: 5, currentPage: 120, notes: 'Tom 1\nCytat z serwera' }),
+      }),
+    ]);
+  });
+});
+
+describe('OfflineManager conflict resolution by the user', () => {
+  const operation = {
+    type: 'UPDATE', entity: 'book', id: 'b1', timestamp: '2024-06-01T10:00:00.000Z', data: { title: 'Lalka', rating: 5 },
+  };
+  const conflict = { local: operation.data, server: { id: 'b1', title: 'Lalka', rating: 3 } };
+
+  beforeEach(() => {
+    mockStore.clear();
+    OfflineManager.operationQueue = [{ ...operation }];
+    OfflineManager.pendingConflicts.clear();
+    jest.spyOn(OfflineManager, 'forceServerUpdate').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    OfflineManager.conflictResolutionStrategies.delete('book');
+  });
+
+  it('should keep the operation and wait for the user choice', async () => {
+    await OfflineManager.setConflictResolutionStrategy('book', 'user_choice');
+    const listener = jest.fn();
+    const unsubscribe = OfflineManager.addListener(listener);
+
+    expect(await OfflineManager.resolveConflict(operation, conflict)).toBe(false);
+    unsubscribe();
+
+    expect(OfflineManager.getPendingConflicts()).toEqual([
+      expect.objectContaining({ key: 'book:b1', local: conflict.local, server: conflict.server }),
+    ]);
+    expect(listener).toHaveBeenCalledWith('conflict_requires_resolution', expect.objectContaining({ key: 'book:b1' }));
+  });
+
+  it('should save the chosen version and drop the operation', async () => {
+    await OfflineManager.setConflictResolutionStrategy('book', 'user_choice');
+    await OfflineManager.saveOfflineBooks([{ id: 'b1', title: 'Lalka', rating: 5 }]);
+    await OfflineManager.resolveConflict(operation, conflict);
+
+    expect(await OfflineManager.resolvePendingConflict('book:b1', { title: 'Lalka', rating: 4 })).toBe(true);
+
+    expect(OfflineManager.forceServerUpdate).toHaveBeenCalledWith(expect.objectContaining({ id: 'b1', data: { title: 'Lalka', rating: 4 } }));
+    expect(await OfflineManager.loadOfflineBooks()).toEqual([{ id: 'b1', title: 'Lalka', rating: 4 }]);
+    expect(OfflineManager.getQueuedOperations('book')).toEqual([]);
+    expect(OfflineManager.getPendingConflicts()).toEqual([]);
+  });
+
+  it('should not send an operation waiting for the user again', async () => {
+    await OfflineManager.setConflictResolutionStrategy('book', 'user_choice');
+    const [queued] = OfflineManager.operationQueue;
+    await OfflineManager.resolveConflict(queued, conflict);
+    const executeOperation = jest.spyOn(OfflineManager, 'executeOperation');
+
+    await OfflineManager.syncPendingOperations();
+
+    expect(queued.awaitingResolution).toBe(true);
+    expect(OfflineManager.getSyncableOperations()).toEqual([]);
+    expect(executeOperation).not.toHaveBeenCalled();
+  });
+
+  it('should keep one conflict when two updates of a book conflict', async () => {
+    await OfflineManager.setConflictResolutionStrategy('book', 'user_choice');
+    const later = {
+      ...operation, timestamp: '2024-06-01T11:00:00.000Z', data: { title: 'Lalka', rating: 5, notes: 'Tom 2' },
+    };
+    OfflineManager.operationQueue = [{ ...operation }, later];
+    const [first] = OfflineManager.operationQueue;
+
+    await OfflineManager.resolveConflict(first, conflict);
+    await OfflineManager.resolveConflict(later, { local: later.data, server: conflict.server });
+
+    expect(OfflineManager.getQueuedOperations('book')).toEqual([first]);
+    expect(OfflineManager.getPendingConflicts()).toEqual([
+      expect.objectContaining({ key: 'book:b1', operation: first, local: { title: 'Lalka', rating: 5, notes: 'Tom 2' } }),
+    ]);
+
+    await OfflineManager.saveOfflineBooks([{ id: 'b1', title: 'Lalka', rating: 5 }]);
+    expect(await OfflineManager.resolvePendingConflict('book:b1', { title: 'Lalka', rating: 4, notes: 'Tom 2' })).toBe(true);
+    expect(OfflineManager.getQueuedOperations('book')).toEqual([]);
+    expect(OfflineManager.getPendingConflicts()).toEqual([]);
+  });
+
+  it('should rebuild conflicts waiting for the user from the saved queue', async () => {
+    await OfflineManager.setConflictResolutionStrategy('book', 'user_choice');
+    await OfflineManager.resolveConflict(OfflineManager.operationQueue[0], conflict);
+    await OfflineManager.saveOperationQueue();
+    OfflineManager.operationQueue = [];
+    OfflineManager.pendingConflicts.clear();
+
+    await OfflineManager.loadOperationQueue();
+    OfflineManager.restorePendingConflicts();
+
+    expect(OfflineManager.getPendingConflicts()).toEqual([
+      expect.objectContaining({ key: 'book:b1', local: conflict.local, server: conflict.server, fields: null }),
+    ]);
+    expect(await OfflineManager.resolvePendingConflict('book:b1', { title: 'Lalka', rating: 4 })).toBe(true);
+    expect(OfflineManager.getQueuedOperations('book')).toEqual([]);
+  });
+
+  it('should restore strategies chosen in the settings', async () => {
+    await OfflineManager.setConflictResolutionStrategy('book', 'server_wins');
+    OfflineManager.conflictResolutionStrategies.delete('book');
+
+    await OfflineManager.loadConflictResolutionStrategies();
+
+    expect(OfflineManager.getConflictResolutionStrategy('book')).toBe('server_wins');
+  });
+});
+
+describe('OfflineManager cover uploads', () => {
+  const { CoverStorage } = require('../../src/services/coverStorage');
+  const photo = 'file:///cache/book_cover_1.jpg';
+  const keptPhoto = 'file:///documents/book_cover_1.jpg';
+
+  beforeEach(() => {
+    mockStore.clear();
+    OfflineManager.operationQueue = [];
+    jest.spyOn(OfflineManager, 'startSyncCheckInterval').mockImplementation(() => {});
+    CoverStorage.removeUploadCopies.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createSupabase = () => {
+    const query = {
+      update: jest.fn(() => query),
+      eq: jest.fn(() => query),
+      then: (resolve) => resolve({ error: null }),
+    };
+    return {
+      query,
+      auth: { getSession: jest.fn(() => Promise.resolve({ data: { session: { user: { id: 'user-1' } } }, error: null })) },
+      from: jest.fn(() => query),
+    };
+  };
+
+  it('should keep a photo of a book added offline and queue its upload after the CREATE', async () => {
+    const book = await OfflineManager.createBookOffline({ title: 'Lalka', author: 'Prus', coverImage: photo }, 'user-1');
+
+    expect(book.coverImage).toBe(keptPhoto);
+    expect(OfflineManager.getQueuedOperations('book').map(operation => operation.type)).toEqual(['CREATE', 'UPLOAD']);
+    expect(OfflineManager.getQueuedOperations('book')[0].data.coverImage).toBeNull();
+    expect(OfflineManager.getQueuedOperations('book')[1].data).toEqual({ bookId: book.id, uri: keptPhoto });
+    expect(await OfflineManager.loadPendingUploads()).toEqual([keptPhoto]);
+  });
+
+  it('should not queue uploads for remote covers', async () => {
+    await OfflineManager.createBookOffline({ title: 'Lalka', author: 'Prus', coverImage: 'https://covers.example/1.jpg' });
+
+    expect(OfflineManager.getQueuedOperations('book').map(operation => operation.type)).toEqual(['CREATE']);
+  });
+
+  it('should point the upload to the real id once the book is created', async () => {
+    const book = await OfflineManager.createBookOffline({ title: 'Lalka', author: 'Prus', coverImage: photo });
+
+    await OfflineManager.replaceTempId(book.id, 'uuid-1');
+
+    expect(OfflineManager.getQueuedOperations('book')[1].data.bookId).toBe('uuid-1');
+  });
+
+  it('should upload only the latest photo and drop it when the cover is removed', async () => {
+    await OfflineManager.saveOfflineBooks([{ id: 'b1', title: 'Lalka', coverImage: null }]);
+
+    await OfflineManager.updateBookOffline('b1', { coverImage: photo });
+    await OfflineManager.updateBookOffline('b1', { coverImage: 'file:///cache/book_cover_2.jpg' });
+
+    const uploads = OfflineManager.getQueuedOperations('book').filter(operation => operation.type === 'UPLOAD');
+    expect(uploads.map(operation => operation.data.uri)).toEqual(['file:///documents/book_cover_2.jpg']);
+    expect(OfflineManager.getQueuedOperations('book')
+      .filter(operation => operation.type === 'UPDATE')
+      .every(operation => operation.data.coverImage === null)).toBe(true);
+    expect(CoverStorage.removeUploadCopies).toHaveBeenCalledWith([keptPhoto]);
+
+    await OfflineManager.updateBookOffline('b1', { coverImage: null });
+
+    expect(OfflineManager.getQueuedOperations('book').filter(operation => operation.type === 'UPLOAD')).toEqual([]);
+    expect(await OfflineManager.loadPendingUploads()).toEqual([]);
+  });
+
+  it('should upload the cover and save its URL in the book', async () => {
+    await OfflineManager.saveOfflineBooks([{ id: 'b1', title: 'Lalka', coverImage: keptPhoto }]);
+    const supabase = createSupabase();
+
+    const result = await OfflineManager.executeOperation(
+      { type: 'UPLOAD', entity: 'book', data: { bookId: 'b1', uri: keptPhoto } },
+      supabase
+    );
+
+    const coverUrl = 'https://example.supabase.co/covers/user-1/cover.jpg';
+    expect(CoverStorage.uploadCover).toHaveBeenCalledWith(keptPhoto, 'user-1');
+    expect(supabase.query.update).toHaveBeenCalledWith({ cover_image: coverUrl });
+    expect(supabase.query.eq).toHaveBeenCalledWith('id', 'b1');
+    expect(result).toEqual({ success: true, data: { bookId: 'b1', coverImage: coverUrl } });
+    expect((await OfflineManager.loadOfflineBooks())[0].coverImage).toBe(coverUrl);
+  });
+
+  it('should delete the uploaded cover of a book deleted for good', async () => {
+    const coverUrl = 'https://example.supabase.co/storage/v1/object/public/covers/user-1/a.jpg';
+    await OfflineManager.saveOfflineBooks([
+      { id: 'b1', title: 'Lalka', coverImage: coverUrl },
+      { id: 'b2', title: 'Potop', coverImage: null },
+    ]);
+    CoverStorage.deleteCover.mockClear();
+
+    await OfflineManager.deleteBookOffline('b1', 'user-1');
+    const [operation] = OfflineManager.getQueuedOperations('book');
+    const supabase = createSupabase();
+    supabase.query.delete = jest.fn(() => supabase.query);
+
+    await OfflineManager.executeOperation(operation, supabase);
+
+    expect(CoverStorage.deleteCover).toHaveBeenCalledWith(coverUrl);
+  });
+
+  it('should keep a cover another book still shows', async () => {
+    const coverUrl = 'https://example.supabase.co/storage/v1/object/public/covers/user-1/a.jpg';
+    await OfflineManager.saveOfflineBooks([{ id: 'b2', title: 'Lalka', coverImage: coverUrl }]);
+    CoverStorage.deleteCover.mockClear();
+
+    await OfflineManager.deleteUnusedCover(coverUrl, 'b1');
+
+    expect(CoverStorage.deleteCover).not.toHaveBeenCalled();
+  });
+
+  it('should wait with the upload until the book is created', async () => {
+    await expect(OfflineManager.executeOperation(
+      { type: 'UPLOAD', entity: 'book', data: { bookId: 'offline_1', uri: keptPhoto } },
+      createSupabase()
+    )).rejects.toThrow('not synced yet');
+  });
+});
+
+describe('OfflineManager books sync cursor', () => {
+  beforeEach(() => {
+    mockStore.clear();
+  });
+
+  it('should keep the cursor per user and clear it with offline data', async () => {
+    await OfflineManager.updateBooksSyncCursor('user-1', '2024-05-01T10:00:00.000Z');
+
+    expect(await OfflineManager.getBooksSyncCursor('user-1')).toBe('2024-05-01T10:00:00.000Z');
+    expect(await OfflineManager.getBooksSyncCursor('user-2')).toBeNull();
+
+    await OfflineManager.clearOfflineData();
+
+    expect(await OfflineManager.getBooksSyncCursor('user-1')).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+import {
+  getPerspectiveTransform,
+  transformPoint,
+  warpPerspective,
+} from '../../src/utils/perspectiveWarp';
+
+const rectangle = (width, height) => [
+  { x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height },
+];
+
+// RGBA image filled by a function of the pixel position
+const createImage = (width, height, colour) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set([...colour(x, y), 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+};
+
+const pixelAt = (image, x, y) => Array.from(image.data.slice((y * image.width + x) * 4, (y * image.width + x) * 4 + 4));
+
+describe('getPerspectiveTransform', () => {
+  it('should map each corner onto its target', () => {
+    const keystone = [{ x: 30, y: 10 }, { x: 70, y: 10 }, { x: 100, y: 90 }, { x: 0, y: 90 }];
+    const matrix = getPerspectiveTransform(rectangle(40, 60), keystone);
+
+    rectangle(40, 60).forEach((corner, index) => {
+      const point = transformPoint(matrix, corner);
+      expect(point.x).toBeCloseTo(keystone[index].x);
+      expect(point.y).toBeCloseTo(keystone[index].y);
+    });
+  });
+
+  it('should keep straight lines straight but not evenly spaced', () => {
+    const keystone = [{ x: 30, y: 10 }, { x: 70, y: 10 }, { x: 100, y: 90 }, { x: 0, y: 90 }];
+    const matrix = getPerspectiveTransform(rectangle(40, 60), keystone);
+    const middle = transformPoint(matrix, { x: 20, y: 30 });
+
+    // The centre line stays vertical; the far (narrow) half is foreshortened, so the
+    // centre of the cover lies above the middle of the photographed shape
+    expect(middle.x).toBeCloseTo(50);
+    expect(middle.y).toBeLessThan(50);
+  });
+
+  it('should reject collapsed points', () => {
+    const line = [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }];
+    expect(() => getPerspectiveTransform(rectangle(10, 10), line)).toThrow();
+  });
+});
+
+describe('warpPerspective', () => {
+  it('should copy an image when the corners are its own', () => {
+    const image = createImage(4, 3, (x, y) => [x * 60, y * 100, 0]);
+    const warped = warpPerspective(image, rectangle(4, 3), { width: 4, height: 3 });
+
+    expect(Array.from(warped.data)).toEqual(Array.from(image.data));
+  });
+
+  it('should cut out and scale the marked area', () => {
+    // Left half red, right half blue
+    const image = createImage(20, 10, x => (x < 10 ? [255, 0, 0] : [0, 0, 255]));
+    const warped = warpPerspective(
+      image,
+      [{ x: 10, y: 0 }, { x: 20, y: 0 }, { x: 20, y: 10 }, { x: 10, y: 10 }],
+      { width: 5, height: 5 }
+    );
+
+    expect(warped.width).toBe(5);
+    expect(pixelAt(warped, 2, 2)).toEqual([0, 0, 255, 255]);
+    expect(pixelAt(warped, 4, 4)).toEqual([0, 0, 255, 255]);
+  });
+
+  it('should straighten a cover shot from above', () => {
+    // A trapezoid cover (white) on a dark desk, narrower at the top
+    const quad = [{ x: 30, y: 10 }, { x: 70, y: 10 }, { x: 90, y: 90 }, { x: 10, y: 90 }];
+    const image = createImage(100, 100, (x, y) => {
+      const t = (y - 10) / 80;
+      const left = 30 - 20 * t;
+      const right = 70 + 20 * t;
+      return y >= 10 && y <= 90 && x >= left && x <= right ? [255, 255, 255] : [0, 0, 0];
+    });
+    const warped = warpPerspective(image, quad, { width: 20, height: 30 });
+
+    // No desk is left in the corners of the straight cover
+    expect(pixelAt(warped, 0, 0)[0]).toBeGreaterThan(200);
+    expect(pixelAt(warped, 19, 0)[0]).toBeGreaterThan(200);
+    expect(pixelAt(warped, 0, 29)[0]).toBeGreaterThan(200);
+    expect(pixelAt(warped, 19, 29)[0]).toBeGreaterThan(200);
+  });
+});
@@ -0,0 +1,119 @@
+import {
+  GOAL_TYPES,
+  createGoal,
+  getGoalId,
+  transformGoalForSupabase,
+  transformGoalFromSupabase,
+  getAmountRead,
+  getPeriodProgress,
+  getGoalProgress,
+  formatGoalProgress,
+} from '../../src/utils/readingGoals';
+
+describe('Reading Goals Utilities', () => {
+  // July 2nd is roughly half of the year
+  const now = new Date(2024, 6, 2, 12, 0, 0);
+
+  const books = [
+    { id: '1', status: 'Przeczytana', totalPages: 300, finishedAt: new Date(2024, 0, 15).toISOString() },
+    { id: '2', status: 'Przeczytana', totalPages: 200, finishedAt: new Date(2024, 6, 1).toISOString() },
+    { id: '3', status: 'Przeczytana', totalPages: 500, finishedAt: new Date(2023, 11, 20).toISOString() },
+    { id: '4', status: 'Czytam', totalPages: 400, currentPage: 50 },
+  ];
+
+  describe('createGoal', () => {
+    it('should normalize targets and derive id from year', () => {
+      const goal = createGoal({ year: 2024, type: GOAL_TYPES.PAGES, yearlyTarget: '5000', monthlyTarget: '' });
+
+      expect(goal.id).toBe(getGoalId(2024));
+      expect(goal.type).toBe(GOAL_TYPES.PAGES);
+      expect(goal.yearlyTarget).toBe(5000);
+      expect(goal.monthlyTarget).toBeNull();
+    });
+
+    it('should fall back to books for unknown type', () => {
+      expect(createGoal({ year: 2024, type: 'minutes', yearlyTarget: 10 }).type).toBe(GOAL_TYPES.BOOKS);
+    });
+  });
+
+  describe('transforms', () => {
+    it('should round-trip through the Supabase shape', () => {
+      const goal = createGoal({ year: 2024, yearlyTarget: 30, monthlyTarget: 3 });
+      const supabaseGoal = transformGoalForSupabase(goal);
+
+      expect(supabaseGoal).toMatchObject({ year: 2024, goal_type: 'books', yearly_target: 30, monthly_target: 3 });
+      expect(transformGoalFromSupabase(supabaseGoal)).toMatchObject({
+        id: goal.id,
+        year: 2024,
+        type: 'books',
+        yearlyTarget: 30,
+        monthlyTarget: 3,
+      });
+    });
+  });
+
+  describe('getAmountRead', () => {
+    it('should count books finished in the year', () => {
+      expect(getAmountRead(books, GOAL_TYPES.BOOKS, 2024, null, now)).toBe(2);
+    });
+
+    it('should count books finished in a month', () => {
+      expect(getAmountRead(books, GOAL_TYPES.BOOKS, 2024, 6, now)).toBe(1);
+    });
+
+    it('should count pages including current progress in the current period', () => {
+      expect(getAmountRead(books, GOAL_TYPES.PAGES, 2024, null, now)).toBe(300 + 200 + 50);
+      expect(getAmountRead(books, GOAL_TYPES.PAGES, 2023, null, now)).toBe(500);
+    });
+  });
+
+  describe('getPeriodProgress', () => {
+    it('should report how far behind schedule the reader is', () => {
+      const progress = getPeriodProgress(books, GOAL_TYPES.BOOKS, 10, 2024, null, now);
+
+      expect(progress.current).toBe(2);
+      expect(progress.expected).toBe(5);
+      expect(progress.behind).toBe(3);
+      expect(progress.ahead).toBe(0);
+      expect(progress.percentage).toBe(20);
+      expect(progress.completed).toBe(false);
+    });
+
+    it('should mark completed goals', () => {
+      const progress = getPeriodProgress(books, GOAL_TYPES.BOOKS, 2, 2024, null, now);
+
+      expect(progress.completed).toBe(true);
+      expect(progress.percentage).toBe(100);
+    });
+  });
+
+  describe('getGoalProgress', () => {
+    it('should return yearly and monthly progress for the current year', () => {
+      const goal = createGoal({ year: 2024, yearlyTarget: 10, monthlyTarget: 2 });
+      const progress = getGoalProgress(goal, books, now);
+
+      expect(progress.yearly.current).toBe(2);
+      expect(progress.monthly.current).toBe(1);
+      expect(progress.monthly.target).toBe(2);
+    });
+
+    it('should skip monthly progress for other years and missing goals', () => {
+      const goal = createGoal({ year: 2023, yearlyTarget: 10, monthlyTarget: 2 });
+
+      expect(getGoalProgress(goal, books, now).monthly).toBeNull();
+      expect(getGoalProgress(null, books, now)).toEqual({ yearly: null, monthly: null });
+    });
+  });
+
+  describe('formatGoalProgress', () => {
+    it('should describe the schedule', () => {
+      expect(formatGoalProgress({ current: 12, target: 30, behind: 3, ahead: 0, completed: false }))
+        .toBe('12 / 30, 3 do nadrobienia');
+      expect(formatGoalProgress({ current: 12, target: 30, behind: 0, ahead: 2, completed: false }))
+        .toBe('12 / 30, 2 przed planem');
+      expect(formatGoalProgress({ current: 30, target: 30, behind: 0, ahead: 10, completed: true }))
+        .toBe('30 / 30, cel osiagniety');
+      expect(formatGoalProgress(null)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import {
+  applyStatusTransition,
+  getCompletedReads,
+  getReadDurationDays,
+} from '../../src/utils/readingHistory';
+
+describe('Reading History Utilities', () => {
+  const now = new Date('2024-05-10T12:00:00.000Z');
+
+  describe('applyStatusTransition', () => {
+    it('should set startedAt when moving to reading', () => {
+      const previous = { id: '1', status: 'Chce przeczytac' };
+      const result = applyStatusTransition(previous, { ...previous, status: 'Czytam' }, now);
+
+      expect(result.startedAt).toBe(now.toISOString());
+      expect(result.finishedAt).toBeNull();
+      expect(result.readHistory).toEqual([]);
+    });
+
+    it('should set finishedAt when moving to read', () => {
+      const previous = { id: '1', status: 'Czytam', startedAt: '2024-05-01T12:00:00.000Z' };
+      const result = applyStatusTransition(previous, { ...previous, status: 'Przeczytana' }, now);
+
+      expect(result.startedAt).toBe('2024-05-01T12:00:00.000Z');
+      expect(result.finishedAt).toBe(now.toISOString());
+    });
+
+    it('should keep existing startedAt when resuming reading', () => {
+      const previous = { id: '1', status: 'Chce przeczytac', startedAt: '2024-05-01T12:00:00.000Z' };
+      const result = applyStatusTransition(previous, { ...previous, status: 'Czytam' }, now);
+
+      expect(result.startedAt).toBe('2024-05-01T12:00:00.000Z');
+    });
+
+    it('should archive the previous read when re-reading', () => {
+      const previous = {
+        id: '1',
+        status: 'Przeczytana',
+        startedAt: '2023-01-01T12:00:00.000Z',
+        finishedAt: '2023-02-01T12:00:00.000Z',
+        readHistory: [],
+      };
+      const result = applyStatusTransition(previous, { ...previous, status: 'Czytam' }, now);
+
+      expect(result.readHistory).toEqual([
+        { startedAt: '2023-01-01T12:00:00.000Z', finishedAt: '2023-02-01T12:00:00.000Z' },
+      ]);
+      expect(result.startedAt).toBe(now.toISOString());
+      expect(result.finishedAt).toBeNull();
+    });
+
+    it('should not overwrite dates edited in the same update', () => {
+      const previous = { id: '1', status: 'Czytam', startedAt: '2024-05-01T12:00:00.000Z' };
+      const result = applyStatusTransition(previous, {
+        ...previous,
+        status: 'Przeczytana',
+        finishedAt: '2024-05-05T00:00:00.000Z',
+      }, now);
+
+      expect(result.finishedAt).toBe('2024-05-05T00:00:00.000Z');
+    });
+
+    it('should leave dates untouched when status does not change', () => {
+      const previous = { id: '1', status: 'Przeczytana', finishedAt: '2024-05-05T00:00:00.000Z' };
+      const result = applyStatusTransition(previous, { ...previous, title: 'Nowy tytul' }, now);
+
+      expect(result.finishedAt).toBe('2024-05-05T00:00:00.000Z');
+    });
+
+    it('should apply dates to newly added books', () => {
+      const result = applyStatusTransition(undefined, { title: 'Nowa', status: 'Czytam' }, now);
+
+      expect(result.startedAt).toBe(now.toISOString());
+    });
+
+    it('should respect dates provided for newly added books', () => {
+      const result = applyStatusTransition(undefined, {
+        title: 'Nowa',
+        status: 'Przeczytana',
+        finishedAt: '2020-01-01T00:00:00.000Z',
+      }, now);
+
+      expect(result.finishedAt).toBe('2020-01-01T00:00:00.000Z');
+    });
+  });
+
+  describe('getCompletedReads', () => {
+    it('should list archived and current reads, newest first', () => {
+      const book = {
+        status: 'Przeczytana',
+        startedAt: '2024-03-01T00:00:00.000Z',
+        finishedAt: '2024-03-10T00:00:00.000Z',
+        readHistory: [{ startedAt: null, finishedAt: '2022-01-01T00:00:00.000Z' }],
+      };
+
+      expect(getCompletedReads(book).map(read => read.finishedAt)).toEqual([
+        '2024-03-10T00:00:00.000Z',
+        '2022-01-01T00:00:00.000Z',
+      ]);
+    });
+
+    it('should not include the current read of an unfinished book', () => {
+      const book = { status: 'Czytam', startedAt: '2024-03-01T00:00:00.000Z', finishedAt: null };
+
+      expect(getCompletedReads(book)).toEqual([]);
+    });
+  });
+
+  describe('getReadDurationDays', () => {
+    it('should return days between start and finish', () => {
+      expect(getReadDurationDays({
+        startedAt: '2024-03-01T00:00:00.000Z',
+        finishedAt: '2024-03-10T00:00:00.000Z',
+      })).toBe(9);
+    });
+
+    it('should return null when a date is missing', () => {
+      expect(getReadDurationDays({ startedAt: null, finishedAt: '2024-03-10T00:00:00.000Z' })).toBeNull();
+    });
+  });
+});
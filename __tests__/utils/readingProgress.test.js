@@ -0,0 +1,112 @@
+import {
+  getReadingProgress,
+  createReadingSession,
+  addReadingSession,
+  getPagesReadInSessions,
+  getReadingTimeMinutes,
+} from '../../src/utils/readingProgress';
+
+describe('Reading Progress Utilities', () => {
+  const book = global.testUtils.createMockBook({
+    status: 'Czytam',
+    totalPages: 200,
+    currentPage: 50,
+    readingSessions: [],
+  });
+
+  describe('getReadingProgress', () => {
+    it('should compute percentage', () => {
+      expect(getReadingProgress(book)).toEqual({
+        currentPage: 50,
+        totalPages: 200,
+        percentage: 25,
+      });
+    });
+
+    it('should return null when page count is unknown', () => {
+      expect(getReadingProgress({ ...book, totalPages: null })).toBeNull();
+      expect(getReadingProgress(null)).toBeNull();
+    });
+
+    it('should cap progress at 100%', () => {
+      expect(getReadingProgress({ ...book, currentPage: 250 }).percentage).toBe(100);
+    });
+
+    it('should treat missing current page as zero', () => {
+      expect(getReadingProgress({ totalPages: 100 }).percentage).toBe(0);
+    });
+  });
+
+  describe('createReadingSession', () => {
+    it('should compute pages read', () => {
+      const session = createReadingSession({
+        startedAt: '2024-01-01T10:00:00.000Z',
+        endedAt: '2024-01-01T10:30:00.000Z',
+        startPage: 50,
+        endPage: 80,
+      });
+
+      expect(session).toMatchObject({
+        startedAt: '2024-01-01T10:00:00.000Z',
+        endedAt: '2024-01-01T10:30:00.000Z',
+        startPage: 50,
+        endPage: 80,
+        pagesRead: 30,
+      });
+      expect(session.id).toEqual(expect.any(String));
+    });
+
+    it('should require end page', () => {
+      expect(() => createReadingSession({ startPage: 10 })).toThrow('End page is required');
+    });
+
+    it('should reject sessions ending before they start', () => {
+      expect(() => createReadingSession({
+        startedAt: '2024-01-01T11:00:00.000Z',
+        endedAt: '2024-01-01T10:00:00.000Z',
+        endPage: 10,
+      })).toThrow();
+    });
+  });
+
+  describe('addReadingSession', () => {
+    it('should append session and move current page forward', () => {
+      const session = createReadingSession({ startPage: 50, endPage: 90 });
+      const updated = addReadingSession(book, session);
+
+      expect(updated.currentPage).toBe(90);
+      expect(updated.readingSessions).toEqual([session]);
+      expect(book.readingSessions).toEqual([]);
+    });
+
+    it('should not move current page backwards', () => {
+      const session = createReadingSession({ startPage: 10, endPage: 20 });
+
+      expect(addReadingSession(book, session).currentPage).toBe(50);
+    });
+
+    it('should cap current page at total pages', () => {
+      const session = createReadingSession({ startPage: 50, endPage: 500 });
+
+      expect(addReadingSession(book, session).currentPage).toBe(200);
+    });
+  });
+
+  describe('session totals', () => {
+    const withSessions = {
+      ...book,
+      readingSessions: [
+        { startedAt: '2024-01-01T10:00:00.000Z', endedAt: '2024-01-01T10:30:00.000Z', pagesRead: 20 },
+        { startedAt: '2024-01-02T10:00:00.000Z', endedAt: '2024-01-02T10:45:00.000Z', pagesRead: 30 },
+      ],
+    };
+
+    it('should sum pages read', () => {
+      expect(getPagesReadInSessions(withSessions)).toBe(50);
+    });
+
+    it('should sum reading time in minutes', () => {
+      expect(getReadingTimeMinutes(withSessions)).toBe(75);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import {
+  REMINDER_HOUR,
+  REMINDER_CATEGORIES,
+  DEFAULT_REMINDER_SETTINGS,
+  getLastReadingDate,
+  getLoanReminders,
+  getInactivityReminder,
+  getGoalReminders,
+  buildReminders,
+} from '../../src/utils/reminders';
+import { BOOK_STATUS } from '../../src/constants';
+import { GOAL_TYPES } from '../../src/utils/readingGoals';
+
+// Local dates, so expectations do not depend on the machine time zone
+const localDate = (month, day, hour = 12) => new Date(2024, month, day, hour, 0, 0, 0);
+const atReminderHour = (month, day) => localDate(month, day, REMINDER_HOUR).toISOString();
+
+describe('Reminder Utilities', () => {
+  const now = localDate(2, 10);
+
+  const loanBook = (dueAt) => ({
+    id: '1',
+    title: 'Lalka',
+    status: BOOK_STATUS.READ,
+    loans: [{
+      id: 'loan_1',
+      borrowerName: 'Anna',
+      lentAt: localDate(1, 1).toISOString(),
+      dueAt: dueAt ? dueAt.toISOString() : null,
+      returnedAt: null,
+    }],
+  });
+
+  describe('getLastReadingDate', () => {
+    it('should return the latest session end', () => {
+      const books = [
+        { readingSessions: [{ endedAt: localDate(2, 1).toISOString() }] },
+        { readingSessions: [{ endedAt: localDate(2, 5).toISOString() }] },
+      ];
+
+      expect(getLastReadingDate(books)).toEqual(localDate(2, 5));
+      expect(getLastReadingDate([])).toBeNull();
+    });
+  });
+
+  describe('getLoanReminders', () => {
+    it('should remind on the due date', () => {
+      const [reminder] = getLoanReminders([loanBook(localDate(2, 15))], now);
+
+      expect(reminder).toMatchObject({
+        id: 'loan_loan_1',
+        category: REMINDER_CATEGORIES.LOANS,
+        title: 'Dzis mija termin zwrotu',
+        date: atReminderHour(2, 15),
+      });
+      expect(reminder.body).toContain('Anna');
+    });
+
+    it('should move overdue loans to the next reminder slot', () => {
+      const [reminder] = getLoanReminders([loanBook(localDate(2, 1))], now);
+
+      expect(reminder.title).toBe('Termin zwrotu minal');
+      expect(reminder.date).toBe(atReminderHour(2, 10));
+    });
+
+    it('should skip loans without a due date', () => {
+      expect(getLoanReminders([loanBook(null)], now)).toEqual([]);
+    });
+  });
+
+  describe('getInactivityReminder', () => {
+    it('should remind a few days after the last session', () => {
+      const books = [{
+        id: '1',
+        title: 'Lalka',
+        status: BOOK_STATUS.reading,
+        readingSessions: [{ endedAt: localDate(2, 9).toISOString() }],
+      }];
+
+      expect(getInactivityReminder(books, 3, now)).toMatchObject({
+        id: 'inactivity',
+        category: REMINDER_CATEGORIES.INACTIVITY,
+        date: atReminderHour(2, 12),
+      });
+    });
+
+    it('should not remind when nothing is being read', () => {
+      expect(getInactivityReminder([{ id: '1', status: BOOK_STATUS.READ }], 3, now)).toBeNull();
+    });
+  });
+
+  describe('getGoalReminders', () => {
+    const goal = {
+      id: 'goal_2024',
+      year: 2024,
+      type: GOAL_TYPES.BOOKS,
+      yearlyTarget: 24,
+      monthlyTarget: 2,
+    };
+
+    it('should remind before the end of the month and the year', () => {
+      const reminders = getGoalReminders([goal], [], now);
+
+      expect(reminders).toEqual([
+        expect.objectContaining({ id: 'goal_2024_2', date: atReminderHour(2, 29) }),
+        expect.objectContaining({ id: 'goal_2024', date: atReminderHour(11, 18) }),
+      ]);
+      expect(reminders[0].body).toContain('Brakuje 2 ksiazek');
+    });
+
+    it('should skip completed goals', () => {
+      const books = [1, 2].map(id => ({
+        id: String(id),
+        status: BOOK_STATUS.READ,
+        finishedAt: localDate(2, id).toISOString(),
+      }));
+
+      expect(getGoalReminders([{ ...goal, yearlyTarget: null }], books, now)).toEqual([]);
+    });
+
+    it('should return nothing without a goal for the current year', () => {
+      expect(getGoalReminders([{ ...goal, id: 'goal_2023', year: 2023 }], [], now)).toEqual([]);
+    });
+  });
+
+  describe('buildReminders', () => {
+    it('should include only enabled categories, soonest first', () => {
+      const books = [loanBook(localDate(2, 15)), loanBook(localDate(2, 12))]
+        .map((book, index) => ({ ...book, id: String(index), loans: [{ ...book.loans[0], id: `loan_${index}` }] }));
+
+      const reminders = buildReminders({
+        books,
+        goals: [{ id: 'goal_2024', year: 2024, type: GOAL_TYPES.BOOKS, yearlyTarget: 24 }],
+        settings: { ...DEFAULT_REMINDER_SETTINGS, [REMINDER_CATEGORIES.GOALS]: false },
+        now,
+      });
+
+      expect(reminders.map(reminder => reminder.id)).toEqual(['loan_loan_1', 'loan_loan_0']);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import {
+  REMOTE_CHANGE_TYPES,
+  applyRemoteBookChange,
+  isLocalChangePending,
+} from '../../src/utils/remoteChanges';
+
+const book = {
+  id: 'b1',
+  title: 'Lalka',
+  author: 'Bolesław Prus',
+  created_at: '2024-01-01T10:00:00.000Z',
+  updated_at: '2024-01-02T10:00:00.000Z',
+};
+
+describe('remoteChanges', () => {
+  describe('applyRemoteBookChange', () => {
+    it('should add inserted books', () => {
+      const inserted = { ...book, id: 'b2', title: 'Solaris' };
+
+      expect(applyRemoteBookChange([book], { type: REMOTE_CHANGE_TYPES.INSERT, id: 'b2', book: inserted }))
+        .toEqual([book, inserted]);
+    });
+
+    it('should replace a book with a newer version', () => {
+      const updated = { ...book, rating: 5, updated_at: '2024-01-03T10:00:00.000Z' };
+
+      expect(applyRemoteBookChange([book], { type: REMOTE_CHANGE_TYPES.UPDATE, id: 'b1', book: updated }))
+        .toEqual([updated]);
+    });
+
+    it('should keep the list when the change is not newer', () => {
+      const books = [book];
+      const stale = { ...book, rating: 1, updated_at: '2024-01-01T10:00:00.000Z' };
+
+      expect(applyRemoteBookChange(books, { type: REMOTE_CHANGE_TYPES.UPDATE, id: 'b1', book: stale })).toBe(books);
+      expect(applyRemoteBookChange(books, { type: REMOTE_CHANGE_TYPES.INSERT, id: 'b1', book })).toBe(books);
+    });
+
+    it('should remove deleted books and ignore unknown ids', () => {
+      const books = [book];
+
+      expect(applyRemoteBookChange(books, { type: REMOTE_CHANGE_TYPES.DELETE, id: 'b1' })).toEqual([]);
+      expect(applyRemoteBookChange(books, { type: REMOTE_CHANGE_TYPES.DELETE, id: 'other' })).toBe(books);
+    });
+  });
+
+  describe('isLocalChangePending', () => {
+    it('should skip books with a request in flight', () => {
+      const optimisticBooks = new Map([['b1', book]]);
+
+      expect(isLocalChangePending({ type: REMOTE_CHANGE_TYPES.UPDATE, id: 'b1', book }, { optimisticBooks })).toBe(true);
+      expect(isLocalChangePending({ type: REMOTE_CHANGE_TYPES.UPDATE, id: 'b2', book }, { optimisticBooks })).toBe(false);
+    });
+
+    it('should skip the echo of an optimistic insert', () => {
+      const optimisticBooks = new Map([['temp_1', { ...book, id: 'temp_1' }]]);
+
+      expect(isLocalChangePending({ type: REMOTE_CHANGE_TYPES.INSERT, id: 'b1', book }, { optimisticBooks })).toBe(true);
+    });
+
+    it('should skip books with queued operations', () => {
+      const queuedOperations = [
+        { type: 'UPDATE', entity: 'book', id: 'b1', data: { rating: 3 } },
+        { type: 'DELETE', entity: 'book', id: 'b2', processed: true },
+        { type: 'CREATE', entity: 'book', tempId: 'offline_1', data: { title: 'Solaris', author: 'Stanisław Lem' } },
+      ];
+
+      expect(isLocalChangePending({ type: REMOTE_CHANGE_TYPES.UPDATE, id: 'b1', book }, { queuedOperations })).toBe(true);
+      expect(isLocalChangePending({ type: REMOTE_CHANGE_TYPES.DELETE, id: 'b2' }, { queuedOperations })).toBe(false);
+      expect(isLocalChangePending({
+        type: REMOTE_CHANGE_TYPES.INSERT,
+        id: 'b3',
+        book: { id: 'b3', title: 'solaris ', author: 'Stanisław Lem' },
+      }, { queuedOperations })).toBe(true);
+    });
+  });
+});
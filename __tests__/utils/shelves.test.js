@@ -0,0 +1,106 @@
+import {
+  SHELF_ICONS,
+  SHELF_COLORS,
+  createShelf,
+  sortShelves,
+  isBookOnShelf,
+  toggleBookOnShelf,
+  getShelvesForBook,
+  getBooksOnShelf,
+  moveShelf,
+  replaceBookIdInShelves,
+  transformShelfForSupabase,
+  transformShelfFromSupabase,
+} from '../../src/utils/shelves';
+
+describe('Shelf Utilities', () => {
+  const shelves = [
+    { id: 'b', name: 'Ulubione', sortOrder: 1, bookIds: ['1', '2'] },
+    { id: 'a', name: 'Do kupienia', sortOrder: 0, bookIds: [] },
+    { id: 'c', name: 'Klasyka', sortOrder: 2, bookIds: ['2'] },
+  ];
+
+  describe('createShelf', () => {
+    it('should place new shelf after existing ones with defaults', () => {
+      const shelf = createShelf({ name: '  Nowa  ' }, shelves);
+
+      expect(shelf).toEqual({
+        name: 'Nowa',
+        icon: SHELF_ICONS[0],
+        color: SHELF_COLORS[0],
+        sortOrder: 3,
+        bookIds: [],
+      });
+    });
+
+    it('should start ordering at zero', () => {
+      expect(createShelf({ name: 'Pierwsza' }).sortOrder).toBe(0);
+    });
+  });
+
+  describe('sortShelves', () => {
+    it('should sort by sort order without mutating input', () => {
+      expect(sortShelves(shelves).map(shelf => shelf.id)).toEqual(['a', 'b', 'c']);
+      expect(shelves[0].id).toBe('b');
+    });
+  });
+
+  describe('membership', () => {
+    it('should toggle a book on and off a shelf', () => {
+      const added = toggleBookOnShelf(shelves[1], '5');
+      expect(isBookOnShelf(added, '5')).toBe(true);
+
+      const removed = toggleBookOnShelf(added, '5');
+      expect(isBookOnShelf(removed, '5')).toBe(false);
+    });
+
+    it('should list shelves containing a book', () => {
+      expect(getShelvesForBook(shelves, '2').map(shelf => shelf.id)).toEqual(['b', 'c']);
+    });
+
+    it('should return only existing books on a shelf', () => {
+      const books = [{ id: '1' }, { id: '3' }];
+
+      expect(getBooksOnShelf(books, shelves[0])).toEqual([{ id: '1' }]);
+      expect(getBooksOnShelf(books, null)).toEqual(books);
+    });
+
+    it('should replace temporary book ids', () => {
+      const result = replaceBookIdInShelves(shelves, '2', 'uuid-2');
+
+      expect(result[0].bookIds).toEqual(['1', 'uuid-2']);
+      expect(result[1]).toBe(shelves[1]);
+    });
+  });
+
+  describe('moveShelf', () => {
+    it('should swap a shelf with its neighbour', () => {
+      const changed = moveShelf(shelves, 'c', -1);
+
+      expect(changed).toEqual([
+        expect.objectContaining({ id: 'b', sortOrder: 2 }),
+        expect.objectContaining({ id: 'c', sortOrder: 1 }),
+      ]);
+    });
+
+    it('should not move past the ends', () => {
+      expect(moveShelf(shelves, 'a', -1)).toEqual([]);
+      expect(moveShelf(shelves, 'c', 1)).toEqual([]);
+      expect(moveShelf(shelves, 'missing', 1)).toEqual([]);
+    });
+  });
+
+  describe('transforms', () => {
+    it('should round-trip through the Supabase shape', () => {
+      const supabaseShelf = transformShelfForSupabase(shelves[0]);
+
+      expect(supabaseShelf).toMatchObject({ name: 'Ulubione', sort_order: 1, book_ids: ['1', '2'] });
+      expect(transformShelfFromSupabase({ id: 'b', ...supabaseShelf })).toMatchObject({
+        id: 'b',
+        name: 'Ulubione',
+        sortOrder: 1,
+        bookIds: ['1', '2'],
+      });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import {
+  getBooksReadByMonth,
+  getBooksReadByYear,
+  getPagesRead,
+  getRatingStats,
+  getTopAuthors,
+  getStatusBreakdown,
+  getAverageDaysToFinish,
+  computeReadingStats,
+} from '../../src/utils/statistics';
+
+describe('Statistics Utilities', () => {
+  const books = [
+    {
+      id: '1',
+      title: 'Lalka',
+      author: 'Boleslaw Prus',
+      status: 'Przeczytana',
+      rating: 5,
+      totalPages: 600,
+      startedAt: '2024-01-01T12:00:00.000Z',
+      finishedAt: '2024-01-21T12:00:00.000Z',
+      readHistory: [
+        { startedAt: '2023-03-01T12:00:00.000Z', finishedAt: '2023-03-11T12:00:00.000Z' },
+      ],
+    },
+    {
+      id: '2',
+      title: 'Faraon',
+      author: 'boleslaw prus',
+      status: 'Przeczytana',
+      rating: 4,
+      totalPages: 400,
+      startedAt: null,
+      finishedAt: '2024-03-15T12:00:00.000Z',
+    },
+    {
+      id: '3',
+      title: 'Solaris',
+      author: 'Stanislaw Lem',
+      status: 'Czytam',
+      rating: 0,
+      totalPages: 300,
+      currentPage: 120,
+    },
+    {
+      id: '4',
+      title: 'Quo Vadis',
+      author: 'Henryk Sienkiewicz',
+      status: 'Chce przeczytac',
+      rating: 0,
+    },
+  ];
+
+  describe('getBooksReadByMonth', () => {
+    it('should count finished reads per month of the year', () => {
+      const months = getBooksReadByMonth(books, 2024);
+
+      expect(months).toHaveLength(12);
+      expect(months[0]).toBe(1);
+      expect(months[2]).toBe(1);
+      expect(months.reduce((sum, count) => sum + count, 0)).toBe(2);
+    });
+
+    it('should include archived re-reads', () => {
+      const months = getBooksReadByMonth(books, 2023);
+
+      expect(months[2]).toBe(1);
+    });
+  });
+
+  describe('getBooksReadByYear', () => {
+    it('should group finished reads by year in ascending order', () => {
+      expect(getBooksReadByYear(books)).toEqual([
+        { year: 2023, count: 1 },
+        { year: 2024, count: 2 },
+      ]);
+    });
+
+    it('should return empty array for no finished books', () => {
+      expect(getBooksReadByYear([])).toEqual([]);
+    });
+  });
+
+  describe('getPagesRead', () => {
+    it('should sum finished reads and current progress', () => {
+      expect(getPagesRead(books)).toBe(600 + 600 + 400 + 120);
+    });
+
+    it('should limit finished reads to the given year', () => {
+      expect(getPagesRead(books, 2023)).toBe(600);
+    });
+  });
+
+  describe('getRatingStats', () => {
+    it('should compute distribution and average of rated books', () => {
+      const result = getRatingStats(books);
+
+      expect(result.distribution).toEqual({ 1: 0, 2: 0, 3: 0, 4: 1, 5: 1 });
+      expect(result.average).toBe(4.5);
+      expect(result.ratedCount).toBe(2);
+    });
+
+    it('should return null average when nothing is rated', () => {
+      expect(getRatingStats([{ rating: 0 }]).average).toBeNull();
+    });
+  });
+
+  describe('getTopAuthors', () => {
+    it('should group authors case-insensitively and sort by count', () => {
+      const result = getTopAuthors(books);
+
+      expect(result[0]).toEqual({ author: 'Boleslaw Prus', count: 2 });
+      expect(result).toHaveLength(3);
+    });
+
+    it('should respect the limit', () => {
+      expect(getTopAuthors(books, 1)).toHaveLength(1);
+    });
+  });
+
+  describe('getStatusBreakdown', () => {
+    it('should count books in each status', () => {
+      expect(getStatusBreakdown(books)).toEqual({
+        'Przeczytana': 2,
+        'Czytam': 1,
+        'Chce przeczytac': 1,
+      });
+    });
+  });
+
+  describe('getAverageDaysToFinish', () => {
+    it('should average reads that have both dates', () => {
+      expect(getAverageDaysToFinish(books)).toBe(15);
+    });
+
+    it('should return null without complete reads', () => {
+      expect(getAverageDaysToFinish([books[1]])).toBeNull();
+    });
+  });
+
+  describe('computeReadingStats', () => {
+    it('should build the full summary for a year', () => {
+      const stats = computeReadingStats(books, 2024);
+
+      expect(stats.year).toBe(2024);
+      expect(stats.totalBooks).toBe(4);
+      expect(stats.booksReadThisYear).toBe(2);
+      expect(stats.averageRating).toBe(4.5);
+      expect(stats.topAuthors[0].author).toBe('Boleslaw Prus');
+    });
+
+    it('should handle an empty library', () => {
+      const stats = computeReadingStats([], 2024);
+
+      expect(stats.totalBooks).toBe(0);
+      expect(stats.booksReadThisYear).toBe(0);
+      expect(stats.averageRating).toBeNull();
+      expect(stats.averageDaysToFinish).toBeNull();
+    });
+  });
+});
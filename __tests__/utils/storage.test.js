@@ -5,8 +5,18 @@ import {
   loadBooks,
   clearAllData,
   exportBooksToJson,
+  exportBooksToCsv,
   importBooksFromJson,
   getStorageInfo,
+  BACKUP_TYPES,
+  listBackups,
+  getBackup,
+  diffBackupBooks,
+  planBackupRestore,
+  restoreBackup,
+  deleteBackup,
+  createBooksBackup,
+  saveBackupSettings,
 } from '../../src/utils/storage';
 import { STORAGE_KEYS } from '../../src/constants';
 
@@ -19,6 +29,7 @@ jest.mock('@react-native-async-storage/async-storage', () => ({
   clear: jest.fn(),
   getAllKeys: jest.fn(),
   multiGet: jest.fn(),
+  multiSet: jest.fn(),
 }));
 
 // Mock Platform
@@ -218,6 +229,40 @@ describe('Storage Utilities', () => {
     });
   });
 
+  describe('exportBooksToCsv', () => {
+    const mockBooks = [
+      {
+        id: '1',
+        title: 'Pan Tadeusz, czyli ostatni zajazd',
+        author: 'Adam Mickiewicz',
+        status: 'Przeczytana',
+        rating: 5,
+        finishedAt: '2023-05-14T10:00:00.000Z',
+        tags: ['klasyka', 'poezja'],
+        notes: 'Mówił "Litwo!"',
+      },
+    ];
+
+    it('should export selected columns with escaping and a BOM', () => {
+      const result = exportBooksToCsv(mockBooks, { columns: ['title', 'author', 'finishedAt', 'tags', 'notes'] });
+
+      expect(result).toBe(
+        '\uFEFFTytul,Autor,Data ukonczenia,Tagi,Notatki\r\n' +
+        '"Pan Tadeusz, czyli ostatni zajazd",Adam Mickiewicz,2023-05-14,"klasyka, poezja","Mówił ""Litwo!"""'
+      );
+    });
+
+    it('should support semicolons and exporting without a BOM', () => {
+      const result = exportBooksToCsv(mockBooks, { columns: ['author', 'rating'], delimiter: ';', includeBom: false });
+
+      expect(result).toBe('Autor;Ocena\r\nAdam Mickiewicz;5');
+    });
+
+    it('should return null when no columns are selected', () => {
+      expect(exportBooksToCsv(mockBooks, { columns: [] })).toBeNull();
+    });
+  });
+
   describe('exportBooksToJson', () => {
     const mockBooks = [
       { id: '1', title: 'Export Book', author: 'Export Author' }
@@ -301,6 +346,59 @@ describe('Storage Utilities', () => {
       expect(result.books[0].title).toBe('Valid Book');
     });
 
+    it('should round-trip tags through export and import', () => {
+      const books = [
+        { id: '1', title: 'Tagged Book', author: 'Tag Author', tags: ['Fantasy', 'Klasyka'] },
+      ];
+
+      const result = importBooksFromJson(exportBooksToJson(books));
+
+      expect(result.success).toBe(true);
+      expect(result.books).toEqual(books);
+    });
+
+    it('should normalize imported tags', () => {
+      const books = [
+        { title: 'Book', author: 'Author', tags: 'fantasy, Fantasy, klasyka' },
+      ];
+
+      const result = importBooksFromJson(JSON.stringify(books));
+
+      expect(result.books[0].tags).toEqual(['fantasy', 'klasyka']);
+    });
+
+    it('should summarize new, duplicate and invalid books', () => {
+      const books = [
+        { id: '1', title: 'Lalka', author: 'Bolesław Prus' },
+        { id: '9', title: ' potop ', author: 'HENRYK SIENKIEWICZ' },
+        { id: '2', title: 'Solaris', author: 'Stanisław Lem' },
+        { title: '', author: 'Bez tytulu' },
+      ];
+      const existingBooks = [
+        { id: '1', title: 'Lalka (wyd. 2)', author: 'Bolesław Prus' },
+        { id: '5', title: 'Potop', author: 'Henryk Sienkiewicz' },
+      ];
+
+      const result = importBooksFromJson(JSON.stringify(books), { existingBooks });
+
+      expect(result.summary).toEqual({ total: 4, new: 1, duplicate: 2, invalid: 1 });
+      expect(result.books).toHaveLength(3);
+    });
+
+    it('should return only new books when merging with existing', () => {
+      const books = [
+        { id: '1', title: 'Lalka', author: 'Bolesław Prus' },
+        { id: '2', title: 'Solaris', author: 'Stanisław Lem' },
+      ];
+
+      const result = importBooksFromJson(JSON.stringify(books), {
+        mergeWithExisting: true,
+        existingBooks: [{ id: '1', title: 'Lalka', author: 'Bolesław Prus' }],
+      });
+
+      expect(result.books.map(book => book.title)).toEqual(['Solaris']);
+    });
+
     it('should handle invalid JSON', () => {
       const result = importBooksFromJson('invalid json');
       
@@ -365,4 +463,193 @@ describe('Storage Utilities', () => {
       expect(result.keyInfo).toHaveLength(1); // Only successful read
     });
   });
+  describe('backups', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let store;
+
+    const booksBackup = (books) => JSON.stringify({ books, lastModified: '2024-03-20T10:00:00.000Z', version: '1.0' });
+
+    beforeEach(() => {
+      store = new Map();
+      AsyncStorage.getAllKeys.mockImplementation(() => Promise.resolve([...store.keys()]));
+      AsyncStorage.getItem.mockImplementation((key) => Promise.resolve(store.has(key) ? store.get(key) : null));
+      AsyncStorage.setItem.mockImplementation((key, value) => Promise.resolve(store.set(key, value)));
+      AsyncStorage.removeItem.mockImplementation((key) => Promise.resolve(store.delete(key)));
+      AsyncStorage.multiRemove.mockImplementation((keys) => Promise.resolve(keys.forEach(key => store.delete(key))));
+      AsyncStorage.multiGet.mockImplementation((keys) => Promise.resolve(keys.map(key => [key, store.get(key)])));
+      AsyncStorage.multiSet.mockImplementation((pairs) => Promise.resolve(pairs.forEach(([key, value]) => store.set(key, value))));
+    });
+
+    const manyBooks = (count) => Array.from({ length: count }, (_, index) => ({ id: String(index), title: `Ksiazka ${index}` }));
+
+    it('should list book and full backups newest first', async () => {
+      const now = Date.now();
+      store.set(`books_backup_${now - 2 * DAY}`, booksBackup([{ id: '1' }]));
+      store.set(`full_backup_${now - DAY}`, JSON.stringify({ timestamp: now - DAY, data: { books: JSON.stringify([{ id: '1' }, { id: '2' }]) } }));
+      store.set(`books_backup_${now}`, 'invalid json');
+      store.set(STORAGE_KEYS.BOOKS, '[]');
+
+      const backups = await listBackups();
+
+      expect(backups.map(backup => [backup.type, backup.bookCount])).toEqual([
+        [BACKUP_TYPES.BOOKS, null],
+        [BACKUP_TYPES.FULL, 2],
+        [BACKUP_TYPES.BOOKS, 1],
+      ]);
+      expect(backups[2].size).toBe(store.get(`books_backup_${now - 2 * DAY}`).length);
+      expect(backups[2].createdAt).toBe(new Date(now - 2 * DAY).toISOString());
+    });
+
+    it('should read a backup with its books', async () => {
+      store.set('books_backup_1710928800000', booksBackup([{ id: '1', title: 'Lalka' }]));
+
+      const backup = await getBackup('books_backup_1710928800000');
+
+      expect(backup).toMatchObject({ type: BACKUP_TYPES.BOOKS, bookCount: 1, books: [{ id: '1', title: 'Lalka' }] });
+      expect(await getBackup(STORAGE_KEYS.BOOKS)).toBeNull();
+    });
+
+    it('should keep only the configured number of backups', async () => {
+      const now = Date.now();
+      [4, 3, 2, 1].forEach(daysAgo => store.set(`books_backup_${now - daysAgo * DAY}`, booksBackup([])));
+
+      await saveBackupSettings({ retentionCount: 2 });
+
+      expect((await listBackups()).map(backup => backup.key)).toEqual([
+        `books_backup_${now - DAY}`,
+        `books_backup_${now - 2 * DAY}`,
+      ]);
+      expect((await saveBackupSettings({ retentionCount: 0 })).success).toBe(false);
+    });
+
+    it('should drop backups older than the retention period', async () => {
+      const now = Date.now();
+      store.set(`books_backup_${now - 31 * DAY}`, booksBackup([]));
+
+      await createBooksBackup([{ id: '1' }]);
+
+      const backups = await listBackups();
+      expect(backups).toHaveLength(1);
+      expect(backups[0].bookCount).toBe(1);
+    });
+
+    it('should back up the current books before a restore', async () => {
+      store.set('books_backup_1710928800000', booksBackup([{ id: '1', title: 'Lalka' }]));
+
+      const result = await restoreBackup('books_backup_1710928800000', [{ id: '2', title: 'Solaris' }]);
+
+      expect(result.success).toBe(true);
+      expect(result.books).toEqual([{ id: '1', title: 'Lalka' }]);
+      expect((await getBackup(result.safetyBackupKey)).books).toEqual([{ id: '2', title: 'Solaris' }]);
+      expect((await restoreBackup('books_backup_1', [])).success).toBe(false);
+    });
+
+    it('should store large backups in chunks and read them back', async () => {
+      const books = manyBooks(250);
+
+      const { key } = await createBooksBackup(books);
+
+      const rows = [...store.keys()].filter(storageKey => storageKey.startsWith(key));
+      expect(rows.length).toBeGreaterThan(1);
+      rows.forEach(row => expect(store.get(row).length).toBeLessThan(JSON.stringify(books).length / 2));
+
+      const backups = await listBackups();
+      expect(backups).toHaveLength(1);
+      expect(backups[0].bookCount).toBe(250);
+      expect(backups[0].size).toBe(rows.reduce((total, row) => total + store.get(row).length, 0));
+      expect((await getBackup(key)).books).toEqual(books);
+
+      expect((await deleteBackup(key)).success).toBe(true);
+      expect([...store.keys()].filter(storageKey => storageKey.startsWith(key))).toEqual([]);
+    });
+
+    it('should read full backups kept in rows', async () => {
+      const key = 'full_backup_1710928800000';
+      store.set(key, JSON.stringify({ timestamp: 1710928800000, format: 'rows', keys: [STORAGE_KEYS.THEME] }));
+      store.set(`${key}_item_0`, 'true');
+      store.set(`${key}_books`, JSON.stringify({ books: [{ id: '1' }, { id: '2' }] }));
+
+      expect((await getBackup(key)).books).toEqual([{ id: '1' }, { id: '2' }]);
+      expect((await listBackups()).map(backup => backup.key)).toEqual([key]);
+
+      await deleteBackup(key);
+      expect(store.size).toBe(0);
+    });
+
+    it('should remove rows of backups that were not finished', async () => {
+      store.set('full_backup_1710928800000_item_0', 'true');
+      store.set('books_backup_1710928800000_chunk_0', '[]');
+
+      await createBooksBackup([{ id: '1' }]);
+
+      expect([...store.keys()].filter(storageKey => storageKey.includes('1710928800000'))).toEqual([]);
+    });
+
+    it('should delete backups but not other keys', async () => {
+      store.set('books_backup_1710928800000', booksBackup([]));
+
+      expect((await deleteBackup('books_backup_1710928800000')).success).toBe(true);
+      expect(store.has('books_backup_1710928800000')).toBe(false);
+      expect((await deleteBackup(STORAGE_KEYS.BOOKS)).success).toBe(false);
+    });
+  });
+
+  describe('diffBackupBooks', () => {
+    it('should report added, removed and changed books', () => {
+      const backupBooks = [
+        { id: '1', title: 'Lalka', author: 'Prus', rating: 5, tags: [] },
+        { id: 'old', title: 'Solaris', author: 'Lem', status: 'Czytam' },
+        { id: '3', title: 'Potop', author: 'Sienkiewicz' },
+      ];
+      const currentBooks = [
+        { id: '1', title: 'Lalka', author: 'Prus', rating: 5 },
+        { id: 'new', title: 'solaris', author: 'LEM', status: 'Przeczytana' },
+        { id: '4', title: 'Dziady', author: 'Mickiewicz' },
+      ];
+
+      const diff = diffBackupBooks(backupBooks, currentBooks);
+
+      expect(diff.unchanged).toBe(1);
+      expect(diff.changed).toEqual([
+        { book: backupBooks[1], current: currentBooks[1], fields: ['title', 'author', 'status'] },
+      ]);
+      expect(diff.added).toEqual([backupBooks[2]]);
+      expect(diff.removed).toEqual([currentBooks[2]]);
+    });
+  });
+
+  describe('planBackupRestore', () => {
+    it('should update, create and trash books by id', () => {
+      const backupBooks = [
+        { id: '1', title: 'Lalka', author: 'Prus', rating: 5 },
+        { id: '2', title: 'Solaris', author: 'Lem', rating: 4 },
+        { id: '3', title: 'Potop', author: 'Sienkiewicz' },
+        { id: '5', title: 'Dziady', author: 'Mickiewicz', status: 'Czytam' },
+      ];
+      const currentBooks = [
+        { id: '1', title: 'Lalka', author: 'Prus', rating: 5, notes: '' },
+        { id: '2', title: 'Solaris', author: 'Lem', rating: 2 },
+        { id: '4', title: 'Ferdydurke', author: 'Gombrowicz' },
+        { id: '5', title: 'Dziady', author: 'Mickiewicz', status: 'Czytam', deletedAt: '2024-06-01T10:00:00.000Z' },
+        { id: '6', title: 'Quo vadis', author: 'Sienkiewicz', deletedAt: '2024-06-01T10:00:00.000Z' },
+      ];
+
+      const plan = planBackupRestore(backupBooks, currentBooks);
+
+      expect(plan.toUpdate).toEqual([
+        { id: '2', title: 'Solaris', author: 'Lem', rating: 4, deletedAt: null },
+        { id: '5', title: 'Dziady', author: 'Mickiewicz', status: 'Czytam', deletedAt: null },
+      ]);
+      expect(plan.toCreate).toEqual([backupBooks[2]]);
+      expect(plan.toTrash).toEqual([currentBooks[2]]);
+    });
+
+    it('should create books without an id', () => {
+      const book = { title: 'Lalka', author: 'Prus' };
+      const plan = planBackupRestore([book], [{ id: '1', title: 'Lalka', author: 'Prus' }]);
+
+      expect(plan.toCreate).toEqual([book]);
+      expect(plan.toTrash).toHaveLength(1);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,91 @@
+import {
+  TAG_FILTER_MODES,
+  normalizeTag,
+  normalizeTags,
+  getAllTags,
+  suggestTags,
+  matchesTags,
+} from '../../src/utils/tags';
+
+describe('Tag Utilities', () => {
+  describe('normalizeTag', () => {
+    it('should trim and collapse whitespace', () => {
+      expect(normalizeTag('  science   fiction ')).toBe('science fiction');
+    });
+
+    it('should limit tag length', () => {
+      expect(normalizeTag('a'.repeat(100))).toHaveLength(30);
+    });
+
+    it('should return empty string for non-strings', () => {
+      expect(normalizeTag(null)).toBe('');
+      expect(normalizeTag(42)).toBe('');
+    });
+  });
+
+  describe('normalizeTags', () => {
+    it('should remove empty and duplicate tags case-insensitively', () => {
+      expect(normalizeTags(['Fantasy', 'fantasy', ' ', 'Klasyka'])).toEqual(['Fantasy', 'Klasyka']);
+    });
+
+    it('should accept comma-separated string', () => {
+      expect(normalizeTags('fantasy, klasyka,,kryminal')).toEqual(['fantasy', 'klasyka', 'kryminal']);
+    });
+
+    it('should return empty array for missing tags', () => {
+      expect(normalizeTags(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getAllTags', () => {
+    it('should count tags across books, most used first', () => {
+      const books = [
+        { tags: ['Fantasy', 'Klasyka'] },
+        { tags: ['fantasy'] },
+        { tags: [] },
+        {},
+      ];
+
+      expect(getAllTags(books)).toEqual([
+        { tag: 'Fantasy', count: 2 },
+        { tag: 'Klasyka', count: 1 },
+      ]);
+    });
+  });
+
+  describe('suggestTags', () => {
+    const available = ['Fantasy', 'Science fiction', 'Klasyka', 'Reportaz'];
+
+    it('should put prefix matches before partial matches', () => {
+      expect(suggestTags('fa', available)).toEqual(['Fantasy']);
+      expect(suggestTags('a', available)).toEqual(['Fantasy', 'Klasyka', 'Reportaz']);
+    });
+
+    it('should skip tags already selected', () => {
+      expect(suggestTags('', available, ['fantasy'])).toEqual(['Science fiction', 'Klasyka', 'Reportaz']);
+    });
+
+    it('should respect the limit', () => {
+      expect(suggestTags('', available, [], 2)).toHaveLength(2);
+    });
+  });
+
+  describe('matchesTags', () => {
+    const book = { tags: ['Fantasy', 'Klasyka'] };
+
+    it('should match everything without selected tags', () => {
+      expect(matchesTags(book, [])).toBe(true);
+      expect(matchesTags({}, [])).toBe(true);
+    });
+
+    it('should require any tag in OR mode', () => {
+      expect(matchesTags(book, ['klasyka', 'Horror'], TAG_FILTER_MODES.OR)).toBe(true);
+      expect(matchesTags(book, ['Horror'], TAG_FILTER_MODES.OR)).toBe(false);
+    });
+
+    it('should require every tag in AND mode', () => {
+      expect(matchesTags(book, ['Fantasy', 'Klasyka'], TAG_FILTER_MODES.AND)).toBe(true);
+      expect(matchesTags(book, ['Fantasy', 'Horror'], TAG_FILTER_MODES.AND)).toBe(false);
+    });
+  });
+});
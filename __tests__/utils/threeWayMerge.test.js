@@ -0,0 +1,162 @@
+import { mergeText, mergeSet, mergeList, threeWayMerge } from '../../src/utils/threeWayMerge';
+
+const base = {
+  id: 'b1',
+  title: 'Lalka',
+  author: 'Bolesław Prus',
+  status: 'reading',
+  rating: 4,
+  currentPage: 100,
+  notes: 'Wokulski\nIzabela\nRzecki',
+  tags: ['klasyka', 'powiesc'],
+  readingSessions: [{ id: 's1', pages: 20 }],
+  updated_at: '2024-06-01T10:00:00.000Z',
+};
+
+describe('mergeText', () => {
+  it('should take the only side that changed', () => {
+    expect(mergeText('a', 'a\nb', 'a')).toEqual({ value: 'a\nb', conflict: false });
+    expect(mergeText('a', 'a', 'a\nc')).toEqual({ value: 'a\nc', conflict: false });
+  });
+
+  it('should combine edits of different lines', () => {
+    expect(mergeText(base.notes, 'Wokulski!\nIzabela\nRzecki', 'Wokulski\nIzabela\nIgnacy Rzecki'))
+      .toEqual({ value: 'Wokulski!\nIzabela\nIgnacy Rzecki', conflict: false });
+  });
+
+  it('should keep lines added on both sides at the same place', () => {
+    expect(mergeText('Notatki', 'Notatki\nMoja', 'Notatki\nZ telefonu'))
+      .toEqual({ value: 'Notatki\nZ telefonu\nMoja', conflict: false });
+    expect(mergeText('', 'Moja', 'Z telefonu')).toEqual({ value: 'Z telefonu\nMoja', conflict: false });
+  });
+
+  it('should accept the same edit made on both sides', () => {
+    expect(mergeText('a\nb\nc', 'a\nB\nc\nd', 'a\nB\nc'))
+      .toEqual({ value: 'a\nB\nc\nd', conflict: false });
+  });
+
+  it('should report a line changed differently on both sides and keep the local one', () => {
+    expect(mergeText(base.notes, 'Wokulski\nIzabela Łęcka\nRzecki\nKoniec', 'Wokulski\nPanna Izabela\nRzecki'))
+      .toEqual({ value: 'Wokulski\nIzabela Łęcka\nRzecki\nKoniec', conflict: true });
+  });
+
+  it('should report a line edited on one side and removed on the other', () => {
+    expect(mergeText('a\nb\nc', 'a\nc', 'a\nbb\nc')).toEqual({ value: 'a\nc', conflict: true });
+  });
+});
+
+describe('mergeSet', () => {
+  it('should keep additions and removals from both sides', () => {
+    expect(mergeSet(['a', 'b', 'c'], ['a', 'b', 'd'], ['b', 'c', 'e'])).toEqual(['b', 'e', 'd']);
+  });
+
+  it('should handle missing values', () => {
+    expect(mergeSet(undefined, ['a'], null)).toEqual(['a']);
+  });
+});
+
+describe('mergeList', () => {
+  it('should keep entries added on both sides and drop removed ones', () => {
+    const sessions = [{ id: 's1' }, { id: 's2' }];
+
+    expect(mergeList(sessions, [{ id: 's1' }, { id: 's3' }], [...sessions, { id: 's4' }]))
+      .toEqual({ value: [{ id: 's1' }, { id: 's4' }, { id: 's3' }], conflict: false });
+  });
+
+  it('should take the entry edited on one side', () => {
+    expect(mergeList([{ id: 's1', pages: 10 }], [{ id: 's1', pages: 10 }], [{ id: 's1', pages: 15 }]))
+      .toEqual({ value: [{ id: 's1', pages: 15 }], conflict: false });
+  });
+
+  it('should report an entry edited differently on both sides', () => {
+    expect(mergeList([{ id: 's1', pages: 10 }], [{ id: 's1', pages: 12 }], [{ id: 's1', pages: 15 }]))
+      .toEqual({ value: [{ id: 's1', pages: 12 }], conflict: true });
+  });
+
+  it('should report an entry edited on one side and removed on the other', () => {
+    expect(mergeList([{ id: 's1', pages: 10 }], [], [{ id: 's1', pages: 15 }]))
+      .toEqual({ value: [{ id: 's1', pages: 15 }], conflict: true });
+  });
+
+  it('should match entries without ids by value', () => {
+    expect(mergeList(['a'], ['a', 'b'], ['a'])).toEqual({ value: ['a', 'b'], conflict: false });
+  });
+});
+
+describe('threeWayMerge', () => {
+  it('should take every field from the side that changed it', () => {
+    const local = { ...base, rating: 5, tags: ['klasyka', 'powiesc', 'pozytywizm'] };
+    const server = { ...base, status: 'read', updated_at: '2024-06-02T10:00:00.000Z' };
+
+    const { merged, unresolvedFields } = threeWayMerge('book', base, local, server);
+
+    expect(merged).toMatchObject({ rating: 5, status: 'read', tags: ['klasyka', 'powiesc', 'pozytywizm'] });
+    expect(unresolvedFields).toEqual([]);
+  });
+
+  it('should keep the furthest reading progress', () => {
+    const { merged, unresolvedFields } = threeWayMerge(
+      'book', base, { ...base, currentPage: 180 }, { ...base, currentPage: 150 }
+    );
+
+    expect(merged.currentPage).toBe(180);
+    expect(unresolvedFields).toEqual([]);
+  });
+
+  it('should merge notes, tags and reading sessions edited on both devices', () => {
+    const local = {
+      ...base,
+      notes: 'Wokulski\nIzabela\nRzecki\nNotatka z pociagu',
+      tags: ['klasyka', 'ulubione'],
+      readingSessions: [...base.readingSessions, { id: 's2', pages: 30 }],
+    };
+    const server = {
+      ...base,
+      notes: 'Stanislaw Wokulski\nIzabela\nRzecki',
+      tags: ['powiesc', 'klasyka', 'lektura'],
+      readingSessions: [...base.readingSessions, { id: 's3', pages: 10 }],
+    };
+
+    const { merged, unresolvedFields } = threeWayMerge('book', base, local, server);
+
+    expect(merged.notes).toBe('Stanislaw Wokulski\nIzabela\nRzecki\nNotatka z pociagu');
+    expect(merged.tags).toEqual(['klasyka', 'lektura', 'ulubione']);
+    expect(merged.readingSessions.map(session => session.id)).toEqual(['s1', 's3', 's2']);
+    expect(unresolvedFields).toEqual([]);
+  });
+
+  it('should report fields that cannot be combined and keep the local value', () => {
+    const local = { ...base, rating: 5, title: 'Lalka (wyd. 2)' };
+    const server = { ...base, rating: 3, title: 'Lalka' };
+
+    const { merged, unresolvedFields } = threeWayMerge('book', base, local, server);
+
+    expect(merged.rating).toBe(5);
+    expect(merged.title).toBe('Lalka (wyd. 2)');
+    expect(unresolvedFields).toEqual(['rating']);
+  });
+
+  it('should only consider fields of a partial local update', () => {
+    const server = { ...base, rating: 2 };
+
+    const { merged, unresolvedFields } = threeWayMerge('book', base, { deletedAt: '2024-06-03T10:00:00.000Z' }, server);
+
+    expect(merged).toEqual({ ...server, deletedAt: '2024-06-03T10:00:00.000Z' });
+    expect(unresolvedFields).toEqual([]);
+  });
+
+  it('should not treat sync bookkeeping as a conflict', () => {
+    const local = { ...base, offline: true, updated_at: '2024-06-03T10:00:00.000Z' };
+    const server = { ...base, updated_at: '2024-06-02T10:00:00.000Z' };
+
+    expect(threeWayMerge('book', base, local, server).unresolvedFields).toEqual([]);
+  });
+
+  it('should merge shelf membership three-way', () => {
+    const shelf = { id: 'shelf-1', name: 'Ulubione', bookIds: ['1', '2'] };
+
+    const { merged } = threeWayMerge('shelf', shelf, { ...shelf, bookIds: ['1', '3'] }, { ...shelf, name: 'Top', bookIds: ['1', '2', '4'] });
+
+    expect(merged).toMatchObject({ name: 'Top', bookIds: ['1', '4', '3'] });
+  });
+});
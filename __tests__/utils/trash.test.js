@@ -0,0 +1,49 @@
+import {
+  TRASH_RETENTION_DAYS,
+  isInTrash,
+  moveToTrash,
+  restoreFromTrash,
+  splitTrash,
+  getDaysLeftInTrash,
+  getExpiredTrash,
+} from '../../src/utils/trash';
+
+const NOW = new Date('2024-06-30T12:00:00.000Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('trash', () => {
+  it('should move books to the trash and back', () => {
+    const book = { id: '1', title: 'Lalka' };
+    const trashed = moveToTrash(book, NOW);
+
+    expect(trashed).toEqual({ id: '1', title: 'Lalka', deletedAt: NOW.toISOString() });
+    expect(isInTrash(trashed)).toBe(true);
+    expect(isInTrash(restoreFromTrash(trashed))).toBe(false);
+  });
+
+  it('should split the library from the trash', () => {
+    const books = [{ id: '1' }, { id: '2', deletedAt: daysAgo(1) }, { id: '3', deletedAt: null }];
+
+    const { active, trashed } = splitTrash(books);
+
+    expect(active.map(book => book.id)).toEqual(['1', '3']);
+    expect(trashed.map(book => book.id)).toEqual(['2']);
+  });
+
+  it('should count the days left before the purge', () => {
+    expect(getDaysLeftInTrash({ deletedAt: NOW.toISOString() }, NOW)).toBe(TRASH_RETENTION_DAYS);
+    expect(getDaysLeftInTrash({ deletedAt: daysAgo(29.5) }, NOW)).toBe(1);
+    expect(getDaysLeftInTrash({ deletedAt: daysAgo(45) }, NOW)).toBe(0);
+  });
+
+  it('should find books kept in the trash too long', () => {
+    const books = [
+      { id: '1' },
+      { id: '2', deletedAt: daysAgo(10) },
+      { id: '3', deletedAt: daysAgo(TRASH_RETENTION_DAYS) },
+      { id: '4', deletedAt: daysAgo(60) },
+    ];
+
+    expect(getExpiredTrash(books, NOW).map(book => book.id)).toEqual(['3', '4']);
+  });
+});
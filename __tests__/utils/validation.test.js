@@ -140,6 +140,28 @@ describe('Validation Utilities', () => {
       await expect(BookSchema.validate(invalidData)).rejects.toThrow('Status jest wymagany');
     });
 
+    it('should accept valid ISBN', async () => {
+      const validData = {
+        title: 'Test Book',
+        author: 'Test Author',
+        status: 'Przeczytana',
+        isbn: '978-83-240-0029-6',
+      };
+
+      await expect(BookSchema.validate(validData)).resolves.toEqual(validData);
+    });
+
+    it('should reject ISBN with invalid checksum', async () => {
+      const invalidData = {
+        title: 'Test Book',
+        author: 'Test Author',
+        status: 'Przeczytana',
+        isbn: '9788324000292',
+      };
+
+      await expect(BookSchema.validate(invalidData)).rejects.toThrow('Nieprawidlowy numer ISBN');
+    });
+
     it('should reject too long title', async () => {
       const invalidData = {
         title: 'A'.repeat(101), // Exceeds MAX_TITLE_LENGTH (100)
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { StyleSheet, Alert } from 'react-native';
+import { useNavigation } from '@react-navigation/native';
+import { List, Dialog, Portal, Button, Paragraph, SegmentedButtons, Text } from 'react-native-paper';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { useBookState, useBookActions } from '../context/OptimizedBookContext';
+import { useTheme } from '../context/ThemeContext';
+import { exportBooksToJson, importBooksFromJson, createBooksBackup } from '../utils/storage';
+import { getExportFileName, shareTextFile } from '../utils/shareFile';
+
+const RESTORE_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+/**
+ * "Kopia zapasowa" section of the settings screen:
+ * JSON backup shared as a file and restore with a preview
+ */
+const BackupRestoreSection = () => {
+  const navigation = useNavigation();
+  const { books } = useBookState();
+  const { importBooks, restoreBooks } = useBookActions();
+  const { theme } = useTheme();
+  const [backupContent, setBackupContent] = useState(null);
+  const [fileName, setFileName] = useState(null);
+  const [restoreMode, setRestoreMode] = useState(RESTORE_MODES.MERGE);
+  const [restoring, setRestoring] = useState(false);
+
+  const styles = createStyles(theme);
+
+  const preview = backupContent
+    ? importBooksFromJson(backupContent, {
+      mergeWithExisting: restoreMode === RESTORE_MODES.MERGE,
+      existingBooks: books || [],
+    })
+    : null;
+
+  const handleBackup = async () => {
+    const json = exportBooksToJson(books || []);
+    if (json === null) {
+      Alert.alert('Blad', 'Nie udalo sie przygotowac kopii zapasowej.');
+      return;
+    }
+
+    try {
+      await shareTextFile(json, getExportFileName('biblioteka_kopia', 'json', { withTime: true }), {
+        mimeType: 'application/json',
+        UTI: 'public.json',
+      });
+    } catch (error) {
+      console.error('Error sharing backup:', error);
+      Alert.alert('Blad', 'Nie udalo sie udostepnic kopii zapasowej.');
+    }
+  };
+
+  const pickBackupFile = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['application/json', 'text/plain'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const [file] = result.assets;
+      const content = await FileSystem.readAsStringAsync(file.uri);
+
+      if (!importBooksFromJson(content).success) {
+        Alert.alert('Blad', 'Wybrany plik nie jest kopia zapasowa biblioteki.');
+        return;
+      }
+
+      setFileName(file.name);
+      setRestoreMode(RESTORE_MODES.MERGE);
+      setBackupContent(content);
+    } catch (error) {
+      console.error('Error reading backup file:', error);
+      Alert.alert('Blad', 'Nie udalo sie odczytac pliku.');
+    }
+  };
+
+  const closeRestoreDialog = () => {
+    setBackupContent(null);
+    setFileName(null);
+  };
+
+  const restore = async () => {
+    setRestoring(true);
+
+    try {
+      let message;
+      if (restoreMode === RESTORE_MODES.REPLACE) {
+        // Keep the current library restorable from the backup browser
+        await createBooksBackup(books || []);
+        const result = await restoreBooks(preview.books);
+        message = `Zaktualizowano: ${result.updated}, dodano: ${result.created}, przeniesiono do kosza: ${result.trashed}`;
+      } else {
+        const imported = await importBooks(preview.books);
+        message = `Zaimportowano ksiazek: ${imported.length}`;
+      }
+
+      closeRestoreDialog();
+      Alert.alert('Przywrocono', message);
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      Alert.alert('Blad', 'Nie udalo sie przywrocic kopii zapasowej.');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const confirmRestore = () => {
+    if (restoreMode === RESTORE_MODES.MERGE) {
+      restore();
+      return;
+    }
+
+    Alert.alert(
+      'Zastap biblioteke',
+      'Biblioteka zostanie przywrocona do stanu z kopii. Ksiazki spoza kopii trafia do kosza. Kontynuowac?',
+      [
+        { text: 'Anuluj', style: 'cancel' },
+        { text: 'Zastap', style: 'destructive', onPress: restore },
+      ]
+    );
+  };
+
+  return (
+    <>
+      <List.Section>
+        <List.Subheader>Kopia zapasowa</List.Subheader>
+        <List.Item
+          title="Utworz kopie zapasowa"
+          description="Zapisz biblioteke do pliku JSON i udostepnij"
+          left={props => <List.Icon {...props} icon="content-save" />}
+          onPress={handleBackup}
+        />
+        <List.Item
+          title="Przywroc z pliku"
+          description="Dolacz lub zastap ksiazki kopia zapasowa"
+          left={props => <List.Icon {...props} icon="backup-restore" />}
+          onPress={pickBackupFile}
+        />
+        <List.Item
+          title="Kopie na urzadzeniu"
+          description="Przegladaj, porownuj i przywracaj automatyczne kopie"
+          left={props => <List.Icon {...props} icon="history" />}
+          right={props => <List.Icon {...props} icon="chevron-right" />}
+          onPress={() => navigation.navigate('Backups')}
+        />
+      </List.Section>
+
+      <Portal>
+        <Dialog visible={preview !== null} onDismiss={restoring ? undefined : closeRestoreDialog}>
+          <Dialog.Title>Przywracanie kopii</Dialog.Title>
+          {preview && (
+            <Dialog.Content>
+              <Text style={styles.fileName} numberOfLines={1}>{fileName}</Text>
+              {preview.metadata?.exportedAt && (
+                <Paragraph>
+                  Utworzona: {new Date(preview.metadata.exportedAt).toLocaleString('pl-PL')}
+                </Paragraph>
+              )}
+              <Paragraph>Nowe ksiazki: {preview.summary.new}</Paragraph>
+              <Paragraph>Juz w bibliotece: {preview.summary.duplicate}</Paragraph>
+              <Paragraph>Nieprawidlowe: {preview.summary.invalid}</Paragraph>
+
+              <SegmentedButtons
+                value={restoreMode}
+                onValueChange={setRestoreMode}
+                buttons={[
+                  { value: RESTORE_MODES.MERGE, label: 'Dolacz' },
+                  { value: RESTORE_MODES.REPLACE, label: 'Zastap' },
+                ]}
+                style={styles.modeButtons}
+              />
+              <Text style={styles.modeDescription}>
+                {restoreMode === RESTORE_MODES.MERGE
+                  ? `Zostanie dodanych ${preview.books.length} nowych ksiazek.`
+                  : `Biblioteka zostanie zastapiona ${preview.books.length} ksiazkami z kopii.`}
+              </Text>
+            </Dialog.Content>
+          )}
+          <Dialog.Actions>
+            <Button onPress={closeRestoreDialog} disabled={restoring}>Anuluj</Button>
+            <Button
+              onPress={confirmRestore}
+              loading={restoring}
+              disabled={restoring || !preview || preview.books.length === 0}
+            >
+              Przywroc
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  fileName: {
+    color: theme.colors.textSecondary,
+    marginBottom: 8,
+  },
+  modeButtons: {
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  modeDescription: {
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+  },
+});
+
+export default BackupRestoreSection;
@@ -0,0 +1,123 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, Text } from 'react-native';
+import { useTheme } from '../context/ThemeContext';
+import { spacing, responsiveFontSize } from '../utils/responsive';
+
+const VERTICAL_CHART_HEIGHT = 120;
+
+// Simple bar chart drawn with Views, so it follows both theme variants
+const BarChart = ({ data, horizontal = false, color }) => {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+  const barColor = color || theme.colors.primary;
+  const maxValue = Math.max(...data.map(item => item.value), 1);
+
+  if (horizontal) {
+    return (
+      <View>
+        {data.map(item => (
+          <View key={item.label} style={styles.horizontalRow}>
+            <Text style={styles.horizontalLabel} numberOfLines={1}>{item.label}</Text>
+            <View style={styles.horizontalTrack}>
+              <View
+                style={[
+                  styles.horizontalBar,
+                  { width: `${(item.value / maxValue) * 100}%`, backgroundColor: barColor },
+                ]}
+              />
+            </View>
+            <Text style={styles.valueText}>{item.value}</Text>
+          </View>
+        ))}
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.verticalContainer}>
+      {data.map(item => (
+        <View key={item.label} style={styles.verticalColumn}>
+          <Text style={styles.valueText}>{item.value > 0 ? item.value : ''}</Text>
+          <View style={styles.verticalTrack}>
+            <View
+              style={[
+                styles.verticalBar,
+                { height: `${(item.value / maxValue) * 100}%`, backgroundColor: barColor },
+              ]}
+            />
+          </View>
+          <Text style={styles.verticalLabel} numberOfLines={1}>{item.label}</Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  verticalContainer: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+  },
+  verticalColumn: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  verticalTrack: {
+    height: VERTICAL_CHART_HEIGHT,
+    width: '60%',
+    justifyContent: 'flex-end',
+    backgroundColor: theme.colors.placeholder,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  verticalBar: {
+    width: '100%',
+    borderRadius: 4,
+  },
+  verticalLabel: {
+    fontSize: responsiveFontSize(10),
+    color: theme.colors.textSecondary,
+    marginTop: spacing.xs / 2,
+  },
+  horizontalRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.xs,
+  },
+  horizontalLabel: {
+    width: '35%',
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.text,
+    marginRight: spacing.xs,
+  },
+  horizontalTrack: {
+    flex: 1,
+    height: 12,
+    backgroundColor: theme.colors.placeholder,
+    borderRadius: 6,
+    overflow: 'hidden',
+  },
+  horizontalBar: {
+    height: '100%',
+    borderRadius: 6,
+  },
+  valueText: {
+    fontSize: responsiveFontSize(11),
+    color: theme.colors.textSecondary,
+    marginHorizontal: spacing.xs / 2,
+    minWidth: 16,
+    textAlign: 'center',
+  },
+});
+
+BarChart.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.shape({
+    label: PropTypes.string.isRequired,
+    value: PropTypes.number.isRequired,
+  })).isRequired,
+  horizontal: PropTypes.bool,
+  color: PropTypes.string,
+};
+
+export default BarChart;
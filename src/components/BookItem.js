@@ -1,15 +1,25 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { View, StyleSheet, Image, TouchableOpacity, Text } from 'react-native';
-import { Card, Title, Paragraph, Chip } from 'react-native-paper';
+import { View, StyleSheet, TouchableOpacity, Text } from 'react-native';
+import { Card, Title, Paragraph, Chip, ProgressBar } from 'react-native-paper';
 import StarRating from './StarRating';
+import CoverImage from './CoverImage';
 import { useTheme } from '../context/ThemeContext';
 import { getBookCoverSize, spacing, responsiveFontSize, getResponsivePadding } from '../utils/responsive';
 import { BookPropType } from '../utils/propTypes';
+import { getReadingProgress } from '../utils/readingProgress';
+import { getActiveLoan, isLoanOverdue } from '../utils/loans';
+import { COVER_VARIANTS } from '../utils/coverCacheManifest';
+
+const MAX_VISIBLE_TAGS = 3;
 
 const BookItem = ({ book, onPress }) => {
   const { theme } = useTheme();
   const styles = createStyles(theme);
+  const progress = getReadingProgress(book);
+  const tags = book.tags || [];
+  const activeLoan = getActiveLoan(book);
+  const overdue = isLoanOverdue(activeLoan);
 
   return (
     <TouchableOpacity onPress={onPress}>
@@ -17,12 +27,24 @@ const BookItem = ({ book, onPress }) => {
         <View style={styles.cardContent}>
           <View style={styles.coverContainer}>
             {book.coverImage ? (
-              <Image source={{ uri: book.coverImage }} style={styles.coverImage} resizeMode="cover" />
+              <CoverImage
+                uri={book.coverImage}
+                variant={COVER_VARIANTS.THUMBNAIL}
+                style={styles.coverImage}
+                resizeMode="cover"
+              />
             ) : (
               <View style={styles.placeholderCover}>
                 <Paragraph style={styles.placeholderText}>Brak okladki</Paragraph>
               </View>
             )}
+            {activeLoan && (
+              <View style={[styles.loanOverlay, overdue && styles.loanOverlayOverdue]}>
+                <Text style={styles.loanOverlayText} numberOfLines={1}>
+                  {overdue ? 'Przetrzymana' : 'Wypozyczona'}
+                </Text>
+              </View>
+            )}
           </View>
           
           <View style={styles.infoContainer}>
@@ -36,9 +58,35 @@ const BookItem = ({ book, onPress }) => {
                 <StarRating rating={book.rating} size={16} readonly />
               </View>
               
+              {progress && (
+                <View style={styles.progressContainer}>
+                  <View style={styles.progressBarWrapper}>
+                    <ProgressBar
+                      progress={progress.percentage / 100}
+                      color={theme.colors.primary}
+                      style={styles.progressBar}
+                    />
+                  </View>
+                  <Text style={styles.progressText}>{progress.percentage}%</Text>
+                </View>
+              )}
+              
               <View style={styles.statusContainer}>
                 <Text style={styles.statusText}>{book.status}</Text>
               </View>
+              
+              {tags.length > 0 && (
+                <View style={styles.tagsContainer}>
+                  {tags.slice(0, MAX_VISIBLE_TAGS).map(tag => (
+                    <View key={tag} style={styles.tag}>
+                      <Text style={styles.tagText} numberOfLines={1}>{tag}</Text>
+                    </View>
+                  ))}
+                  {tags.length > MAX_VISIBLE_TAGS && (
+                    <Text style={styles.moreTagsText}>+{tags.length - MAX_VISIBLE_TAGS}</Text>
+                  )}
+                </View>
+              )}
             </View>
           </View>
         </View>
@@ -83,6 +131,25 @@ const createStyles = (theme) => {
       alignItems: 'center',
       padding: spacing.xs,
     },
+    loanOverlay: {
+      position: 'absolute',
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: theme.colors.primary + 'CC',
+      borderBottomLeftRadius: 4,
+      borderBottomRightRadius: 4,
+      paddingVertical: 2,
+    },
+    loanOverlayOverdue: {
+      backgroundColor: theme.colors.error + 'CC',
+    },
+    loanOverlayText: {
+      fontSize: responsiveFontSize(10),
+      color: '#fff',
+      fontWeight: 'bold',
+      textAlign: 'center',
+    },
     placeholderText: {
       fontSize: responsiveFontSize(10),
       textAlign: 'center',
@@ -119,6 +186,25 @@ const createStyles = (theme) => {
       flexDirection: 'row',
       marginBottom: spacing.xs,
     },
+    progressContainer: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      alignSelf: 'stretch',
+      marginBottom: spacing.xs,
+    },
+    progressBarWrapper: {
+      flex: 1,
+    },
+    progressBar: {
+      height: 4,
+      borderRadius: 2,
+      backgroundColor: theme.colors.border,
+    },
+    progressText: {
+      fontSize: responsiveFontSize(11),
+      color: theme.colors.textSecondary,
+      marginLeft: spacing.xs,
+    },
     statusContainer: {
       backgroundColor: theme.colors.primary + '20',
       borderColor: theme.colors.primary,
@@ -133,6 +219,29 @@ const createStyles = (theme) => {
       color: theme.colors.primary,
       fontWeight: '500',
     },
+    tagsContainer: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      marginTop: spacing.xs,
+    },
+    tag: {
+      backgroundColor: theme.colors.placeholder,
+      borderRadius: spacing.sm,
+      paddingHorizontal: spacing.sm,
+      paddingVertical: spacing.xs / 2,
+      marginRight: spacing.xs,
+      marginBottom: spacing.xs / 2,
+      maxWidth: 120,
+    },
+    tagText: {
+      fontSize: responsiveFontSize(10),
+      color: theme.colors.textSecondary,
+    },
+    moreTagsText: {
+      fontSize: responsiveFontSize(10),
+      color: theme.colors.textTertiary,
+    },
   });
 };
 
@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, Modal, Image, PanResponder } from 'react-native';
+import { Text, Button, IconButton, ActivityIndicator } from 'react-native-paper';
+import { useTheme } from '../context/ThemeContext';
+import { ImageHandler } from '../utils/imageHandler';
+import { getDefaultCorners } from '../utils/coverGeometry';
+import { spacing, responsiveFontSize } from '../utils/responsive';
+
+const HANDLE_SIZE = 28;
+const CORNER_KEYS = ['topLeft', 'topRight', 'bottomRight', 'bottomLeft'];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Draggable corner; the responder is created once, so it reads the latest props from a ref
+const CornerHandle = ({ position, onMove, color }) => {
+  const latest = useRef({ position, onMove });
+  const start = useRef(position);
+  latest.current = { position, onMove };
+
+  const responder = useRef(PanResponder.create({
+    onStartShouldSetPanResponder: () => true,
+    onMoveShouldSetPanResponder: () => true,
+    onPanResponderGrant: () => {
+      start.current = latest.current.position;
+    },
+    onPanResponderMove: (event, gesture) => {
+      latest.current.onMove({ x: start.current.x + gesture.dx, y: start.current.y + gesture.dy });
+    },
+  })).current;
+
+  return (
+    <View
+      {...responder.panHandlers}
+      style={[
+        styles.handle,
+        { left: position.x - HANDLE_SIZE / 2, top: position.y - HANDLE_SIZE / 2, borderColor: color },
+      ]}
+    />
+  );
+};
+
+// Line between two corners (a thin view rotated around its centre)
+const Edge = ({ from, to, color }) => {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const angle = Math.atan2(to.y - from.y, to.x - from.x);
+
+  return (
+    <View
+      pointerEvents="none"
+      style={[
+        styles.edge,
+        {
+          width: length,
+          left: (from.x + to.x) / 2 - length / 2,
+          top: (from.y + to.y) / 2 - 1,
+          backgroundColor: color,
+          transform: [{ rotate: `${angle}rad` }],
+        },
+      ]}
+    />
+  );
+};
+
+// Editor of a photographed cover: quarter turns and the four cover corners, saved as a straight 2:3 cover
+const CoverEditor = ({ image, onSave, onDismiss }) => {
+  const { theme } = useTheme();
+  const [currentImage, setCurrentImage] = useState(image);
+  const [corners, setCorners] = useState(() => (image ? getDefaultCorners(image.width, image.height) : null));
+  const [area, setArea] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    setCurrentImage(image);
+    setCorners(image ? getDefaultCorners(image.width, image.height) : null);
+  }, [image]);
+
+  // Photo fitted in the editing area; corners are kept in photo pixels
+  const fit = area && currentImage
+    ? (() => {
+        const scale = Math.min(area.width / currentImage.width, area.height / currentImage.height);
+        return {
+          scale,
+          offsetX: (area.width - currentImage.width * scale) / 2,
+          offsetY: (area.height - currentImage.height * scale) / 2,
+        };
+      })()
+    : null;
+
+  const toScreen = (point) => ({
+    x: fit.offsetX + point.x * fit.scale,
+    y: fit.offsetY + point.y * fit.scale,
+  });
+
+  const moveCorner = (key, screenPoint) => {
+    setCorners(current => ({
+      ...current,
+      [key]: {
+        x: clamp((screenPoint.x - fit.offsetX) / fit.scale, 0, currentImage.width),
+        y: clamp((screenPoint.y - fit.offsetY) / fit.scale, 0, currentImage.height),
+      },
+    }));
+  };
+
+  const handleRotate = async (degrees) => {
+    setBusy(true);
+    const rotated = await ImageHandler.rotateImage(currentImage, degrees);
+    if (rotated) {
+      setCurrentImage(rotated);
+      setCorners(getDefaultCorners(rotated.width, rotated.height));
+    }
+    setBusy(false);
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    const edited = await ImageHandler.editCover(currentImage, corners);
+    setBusy(false);
+    if (edited) {
+      onSave(edited);
+    }
+  };
+
+  const renderFrame = () => {
+    const points = Object.fromEntries(CORNER_KEYS.map(key => [key, toScreen(corners[key])]));
+
+    return (
+      <>
+        {CORNER_KEYS.map((key, index) => (
+          <Edge
+            key={`edge-${key}`}
+            from={points[key]}
+            to={points[CORNER_KEYS[(index + 1) % CORNER_KEYS.length]]}
+            color={theme.colors.primary}
+          />
+        ))}
+        {CORNER_KEYS.map(key => (
+          <CornerHandle
+            key={key}
+            position={points[key]}
+            onMove={point => moveCorner(key, point)}
+            color={theme.colors.primary}
+          />
+        ))}
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      visible={Boolean(image)}
+      animationType="slide"
+      onRequestClose={onDismiss}
+    >
+      <View style={styles.container}>
+        <Text style={styles.hintText}>
+          Przeciagnij narozniki na rogi okladki - zdjecie zostanie wyprostowane i przyciete
+        </Text>
+
+        <View
+          style={styles.editArea}
+          onLayout={event => setArea(event.nativeEvent.layout)}
+        >
+          {currentImage && fit && (
+            <>
+              <Image
+                source={{ uri: currentImage.uri }}
+                style={{
+                  position: 'absolute',
+                  left: fit.offsetX,
+                  top: fit.offsetY,
+                  width: currentImage.width * fit.scale,
+                  height: currentImage.height * fit.scale,
+                }}
+              />
+              {corners && renderFrame()}
+            </>
+          )}
+          {busy && (
+            <View style={styles.busyOverlay}>
+              <ActivityIndicator color={theme.colors.primary} />
+            </View>
+          )}
+        </View>
+
+        <View style={styles.toolbar}>
+          <IconButton
+            icon="rotate-left"
+            iconColor="#fff"
+            onPress={() => handleRotate(-90)}
+            disabled={busy}
+            accessibilityLabel="Obroc w lewo"
+          />
+          <IconButton
+            icon="crop-free"
+            iconColor="#fff"
+            onPress={() => setCorners(getDefaultCorners(currentImage.width, currentImage.height))}
+            disabled={busy}
+            accessibilityLabel="Przywroc ramke"
+          />
+          <IconButton
+            icon="rotate-right"
+            iconColor="#fff"
+            onPress={() => handleRotate(90)}
+            disabled={busy}
+            accessibilityLabel="Obroc w prawo"
+          />
+        </View>
+
+        <View style={styles.actions}>
+          <Button mode="outlined" onPress={onDismiss} disabled={busy} style={styles.actionButton} textColor="#fff">
+            Anuluj
+          </Button>
+          <Button mode="contained" onPress={handleSave} disabled={busy} style={styles.actionButton}>
+            Zapisz okladke
+          </Button>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+CoverEditor.propTypes = {
+  image: PropTypes.shape({
+    uri: PropTypes.string.isRequired,
+    width: PropTypes.number.isRequired,
+    height: PropTypes.number.isRequired,
+  }),
+  onSave: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
+
+CoverEditor.defaultProps = {
+  image: null,
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+    paddingVertical: spacing.lg,
+  },
+  hintText: {
+    color: '#fff',
+    fontSize: responsiveFontSize(14),
+    textAlign: 'center',
+    paddingHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+  },
+  editArea: {
+    flex: 1,
+    marginHorizontal: spacing.md,
+  },
+  handle: {
+    position: 'absolute',
+    width: HANDLE_SIZE,
+    height: HANDLE_SIZE,
+    borderRadius: HANDLE_SIZE / 2,
+    borderWidth: 3,
+    backgroundColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  edge: {
+    position: 'absolute',
+    height: 2,
+  },
+  busyOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  toolbar: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: spacing.sm,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingHorizontal: spacing.md,
+  },
+  actionButton: {
+    flex: 1,
+    marginHorizontal: spacing.xs,
+  },
+});
+
+export default CoverEditor;
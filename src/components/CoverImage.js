@@ -0,0 +1,36 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Image } from 'react-native';
+import { CoverCache } from '../services/coverCache';
+import { COVER_VARIANTS } from '../utils/coverCacheManifest';
+
+// Book cover served from the cover cache; the source is shown until the cached file is ready
+const CoverImage = ({ uri, variant, ...imageProps }) => {
+  const [cachedUri, setCachedUri] = useState(() => CoverCache.peekCover(uri, variant) || uri);
+
+  useEffect(() => {
+    let active = true;
+    setCachedUri(CoverCache.peekCover(uri, variant) || uri);
+
+    CoverCache.getCover(uri, variant).then(result => {
+      if (active && result) setCachedUri(result);
+    });
+
+    return () => {
+      active = false;
+    };
+  }, [uri, variant]);
+
+  return <Image {...imageProps} source={{ uri: cachedUri }} />;
+};
+
+CoverImage.propTypes = {
+  uri: PropTypes.string.isRequired,
+  variant: PropTypes.oneOf(Object.values(COVER_VARIANTS)),
+};
+
+CoverImage.defaultProps = {
+  variant: COVER_VARIANTS.FULL,
+};
+
+export default CoverImage;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, Modal } from 'react-native';
+import { Text, Button, ActivityIndicator } from 'react-native-paper';
+import { Camera } from 'expo-camera';
+import { useTheme } from '../context/ThemeContext';
+import { parseIsbnFromBarcode } from '../utils/isbn';
+import { spacing, responsiveFontSize } from '../utils/responsive';
+
+const INVALID_CODE_MESSAGE_DURATION = 2000;
+
+const IsbnScanner = ({ visible, onScanned, onDismiss }) => {
+  const { theme } = useTheme();
+  const [permission, requestPermission] = Camera.useCameraPermissions();
+  const [invalidCode, setInvalidCode] = useState(null);
+  const scannedRef = useRef(false);
+  const invalidTimeoutRef = useRef(null);
+
+  // Reset scanner state every time the modal is opened
+  useEffect(() => {
+    if (visible) {
+      scannedRef.current = false;
+      setInvalidCode(null);
+
+      if (permission && !permission.granted && permission.canAskAgain) {
+        requestPermission();
+      }
+    }
+  }, [visible, permission, requestPermission]);
+
+  useEffect(() => {
+    return () => {
+      if (invalidTimeoutRef.current) {
+        clearTimeout(invalidTimeoutRef.current);
+      }
+    };
+  }, []);
+
+  const handleBarCodeScanned = ({ data }) => {
+    // Camera keeps firing events while the code is in frame
+    if (scannedRef.current) return;
+
+    const isbn = parseIsbnFromBarcode(data);
+
+    if (!isbn) {
+      setInvalidCode(data);
+      if (invalidTimeoutRef.current) {
+        clearTimeout(invalidTimeoutRef.current);
+      }
+      invalidTimeoutRef.current = setTimeout(() => setInvalidCode(null), INVALID_CODE_MESSAGE_DURATION);
+      return;
+    }
+
+    scannedRef.current = true;
+    onScanned(isbn);
+  };
+
+  const styles = createStyles(theme);
+
+  const renderContent = () => {
+    if (!permission) {
+      return (
+        <View style={styles.messageContainer}>
+          <ActivityIndicator color={theme.colors.primary} />
+        </View>
+      );
+    }
+
+    if (!permission.granted) {
+      return (
+        <View style={styles.messageContainer}>
+          <Text style={styles.messageText}>
+            Potrzebujemy uprawnien do kamery, aby zeskanowac kod ISBN.
+          </Text>
+          {permission.canAskAgain && (
+            <Button mode="contained" onPress={requestPermission} style={styles.permissionButton}>
+              Zezwol
+            </Button>
+          )}
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.cameraContainer}>
+        <Camera
+          style={StyleSheet.absoluteFill}
+          onBarCodeScanned={handleBarCodeScanned}
+        />
+        <View style={styles.overlay} pointerEvents="none">
+          <View style={styles.frame} />
+          <Text style={styles.hintText}>
+            {invalidCode
+              ? 'To nie jest kod ISBN - sprobuj ponownie'
+              : 'Skieruj aparat na kod kreskowy z tylu ksiazki'}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      onRequestClose={onDismiss}
+    >
+      <View style={styles.container}>
+        {visible && renderContent()}
+        <Button mode="contained" onPress={onDismiss} style={styles.closeButton}>
+          Anuluj
+        </Button>
+      </View>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#000',
+  },
+  cameraContainer: {
+    flex: 1,
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  frame: {
+    width: '80%',
+    height: 140,
+    borderWidth: 2,
+    borderColor: theme.colors.primary,
+    borderRadius: 8,
+  },
+  hintText: {
+    marginTop: spacing.md,
+    color: '#fff',
+    fontSize: responsiveFontSize(14),
+    textAlign: 'center',
+    paddingHorizontal: spacing.lg,
+  },
+  messageContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+  messageText: {
+    color: '#fff',
+    fontSize: responsiveFontSize(16),
+    textAlign: 'center',
+  },
+  permissionButton: {
+    marginTop: spacing.md,
+    backgroundColor: theme.colors.primary,
+  },
+  closeButton: {
+    margin: spacing.md,
+    backgroundColor: theme.colors.primary,
+  },
+});
+
+IsbnScanner.propTypes = {
+  visible: PropTypes.bool.isRequired,
+  onScanned: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
+
+export default IsbnScanner;
@@ -0,0 +1,92 @@
+import React, { useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet } from 'react-native';
+import { Text, ProgressBar } from 'react-native-paper';
+import { useTheme } from '../context/ThemeContext';
+import { useGoals } from '../context/GoalContext';
+import { getGoalProgress, formatGoalProgress, GOAL_TYPES } from '../utils/readingGoals';
+import { spacing, responsiveFontSize } from '../utils/responsive';
+
+// Progress of the current year's reading goal, hidden when no goal is set
+const ReadingGoalProgress = ({ books, style }) => {
+  const { theme } = useTheme();
+  const { getGoalForYear } = useGoals();
+  const styles = createStyles(theme);
+
+  const year = new Date().getFullYear();
+  const goal = getGoalForYear(year);
+  const progress = useMemo(() => getGoalProgress(goal, books), [goal, books]);
+
+  if (!progress.yearly && !progress.monthly) {
+    return null;
+  }
+
+  const unit = goal.type === GOAL_TYPES.PAGES ? 'stron' : 'ksiazek';
+
+  const renderRow = (label, periodProgress) => (
+    <View style={styles.row}>
+      <View style={styles.labelRow}>
+        <Text style={styles.label}>{label}</Text>
+        <Text
+          style={[
+            styles.summary,
+            periodProgress.behind > 0 && !periodProgress.completed && { color: theme.colors.error },
+            periodProgress.completed && { color: theme.colors.success },
+          ]}
+        >
+          {formatGoalProgress(periodProgress)}
+        </Text>
+      </View>
+      <ProgressBar
+        progress={periodProgress.percentage / 100}
+        color={periodProgress.completed ? theme.colors.success : theme.colors.primary}
+        style={styles.progressBar}
+      />
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, style]}>
+      {progress.yearly && renderRow(`Cel ${year} (${unit})`, progress.yearly)}
+      {progress.monthly && renderRow(`Ten miesiac (${unit})`, progress.monthly)}
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    backgroundColor: theme.colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: theme.colors.border,
+  },
+  row: {
+    marginVertical: spacing.xs / 2,
+  },
+  labelRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: spacing.xs / 2,
+  },
+  label: {
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.textSecondary,
+  },
+  summary: {
+    fontSize: responsiveFontSize(12),
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  progressBar: {
+    height: 6,
+    borderRadius: 3,
+  },
+});
+
+ReadingGoalProgress.propTypes = {
+  books: PropTypes.arrayOf(PropTypes.object).isRequired,
+  style: PropTypes.oneOfType([PropTypes.object, PropTypes.array]),
+};
+
+export default ReadingGoalProgress;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet } from 'react-native';
+import { TextInput, Chip, HelperText } from 'react-native-paper';
+import { useTheme } from '../context/ThemeContext';
+import { normalizeTag, normalizeTags, suggestTags } from '../utils/tags';
+import { VALIDATION } from '../constants';
+import { spacing } from '../utils/responsive';
+
+// Tag editor: selected tags as removable chips, text input with autocomplete
+const TagInput = ({ value = [], onChange, availableTags = [], error }) => {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+  const [text, setText] = useState('');
+
+  const suggestions = suggestTags(text, availableTags, value);
+  const limitReached = value.length >= VALIDATION.MAX_TAGS;
+
+  const addTag = (tag) => {
+    if (!normalizeTag(tag) || limitReached) return;
+    onChange(normalizeTags([...value, tag]));
+    setText('');
+  };
+
+  const removeTag = (tag) => {
+    onChange(value.filter(existing => existing !== tag));
+  };
+
+  const handleChangeText = (newText) => {
+    // A comma finishes the current tag
+    if (newText.includes(',')) {
+      const parts = newText.split(',');
+      const rest = parts.pop();
+      if (!limitReached) {
+        onChange(normalizeTags([...value, ...parts]).slice(0, VALIDATION.MAX_TAGS));
+      }
+      setText(rest);
+      return;
+    }
+    setText(newText);
+  };
+
+  return (
+    <View>
+      {value.length > 0 && (
+        <View style={styles.chipRow}>
+          {value.map(tag => (
+            <Chip key={tag} onClose={() => removeTag(tag)} style={styles.chip}>
+              {tag}
+            </Chip>
+          ))}
+        </View>
+      )}
+
+      <TextInput
+        label="Tagi (oddzielone przecinkami)"
+        value={text}
+        onChangeText={handleChangeText}
+        onSubmitEditing={() => addTag(text)}
+        onBlur={() => addTag(text)}
+        disabled={limitReached}
+        style={styles.input}
+        blurOnSubmit={false}
+        error={!!error}
+        right={text ? <TextInput.Icon icon="plus" onPress={() => addTag(text)} /> : null}
+      />
+      {error && <HelperText type="error">{error}</HelperText>}
+
+      {suggestions.length > 0 && !limitReached && (
+        <View style={styles.chipRow}>
+          {suggestions.map(tag => (
+            <Chip
+              key={tag}
+              icon="tag-outline"
+              mode="outlined"
+              compact
+              onPress={() => addTag(tag)}
+              style={styles.chip}
+            >
+              {tag}
+            </Chip>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: spacing.xs,
+  },
+  chip: {
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+  },
+  input: {
+    marginBottom: spacing.xs,
+    backgroundColor: theme.colors.surface,
+  },
+});
+
+TagInput.propTypes = {
+  value: PropTypes.arrayOf(PropTypes.string),
+  onChange: PropTypes.func.isRequired,
+  availableTags: PropTypes.arrayOf(PropTypes.string),
+  error: PropTypes.string,
+};
+
+export default TagInput;
@@ -55,6 +55,8 @@ export const VALIDATION = {
   MAX_AUTHOR_LENGTH: 100,
   MAX_DESCRIPTION_LENGTH: 1000,
   MAX_NOTES_LENGTH: 500,
+  MAX_TAG_LENGTH: 30,
+  MAX_TAGS: 20,
 };
 
 // Animation durations
@@ -69,4 +71,8 @@ export const STORAGE_KEYS = {
   BOOKS: 'books',
   THEME: 'darkMode',
   USER_PREFERENCES: 'userPreferences',
+  METADATA_CACHE: 'metadataCache',
+  REMINDER_SETTINGS: 'reminderSettings',
+  SCHEMA_VERSION: 'storageSchemaVersion',
+  BACKUP_SETTINGS: 'backupSettings',
 };
\ No newline at end of file
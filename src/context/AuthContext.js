@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useEffect, useState, useCallback, useMemo } from 'react';
 import { supabase } from '../config/supabase';
+import { NotificationService } from '../services/notifications';
 
 // Create context with better default values and type safety
 const AuthContext = createContext({
@@ -122,6 +123,13 @@ export const AuthProvider = ({ children }) => {
     try {
       setLoading(true);
       
+      // Reminders belong to the signed-in user
+      try {
+        await NotificationService.cancelAll();
+      } catch (notificationError) {
+        console.error('Error cancelling reminders:', notificationError);
+      }
+      
       const { error } = await supabase.auth.signOut();
       if (error) throw error;
       return { error: null };
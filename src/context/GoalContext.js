@@ -0,0 +1,132 @@
+import React, { createContext, useContext, useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import { supabase } from '../config/supabase';
+import { useAuth } from './AuthContext';
+import { OfflineManager } from '../utils/offlineManager';
+import { NetworkStatus } from '../utils/networkStatus';
+import { createGoal, getGoalId, transformGoalFromSupabase } from '../utils/readingGoals';
+
+const GoalContext = createContext({
+  goals: [],
+  loading: false,
+  getGoalForYear: () => null,
+  saveGoal: async () => {},
+  removeGoal: async () => {},
+});
+
+// Set display name for debugging
+GoalContext.displayName = 'GoalContext';
+
+export const useGoals = () => {
+  const context = useContext(GoalContext);
+  if (context === undefined) {
+    throw new Error('useGoals must be used within a GoalProvider');
+  }
+  return context;
+};
+
+export const GoalProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [goals, setGoals] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadGoals = useCallback(async () => {
+    if (!user) {
+      setGoals([]);
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      // Offline copy first, so goals show up immediately
+      const offlineGoals = (await OfflineManager.loadOfflineGoals(user.id)) || [];
+      if (mountedRef.current) {
+        setGoals(offlineGoals);
+      }
+
+      const isOnline = await NetworkStatus.isOnline();
+      if (!isOnline || OfflineManager.isOfflineModeEnabled) return;
+
+      const { data, error } = await supabase
+        .from('reading_goals')
+        .select('*')
+        .eq('user_id', user.id);
+
+      if (error) throw error;
+
+      // Goals with queued changes are newer than the server copy
+      const pendingIds = OfflineManager.getQueuedOperations('goal').map(operation => operation.id);
+      const serverGoals = (data || [])
+        .map(transformGoalFromSupabase)
+        .filter(goal => !pendingIds.includes(goal.id));
+      const pendingGoals = offlineGoals.filter(goal => pendingIds.includes(goal.id));
+      const mergedGoals = [...serverGoals, ...pendingGoals];
+
+      await OfflineManager.saveOfflineGoals(mergedGoals, user.id);
+      if (mountedRef.current) {
+        setGoals(mergedGoals);
+      }
+    } catch (error) {
+      console.error('Error loading reading goals:', error);
+    } finally {
+      if (mountedRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [user]);
+
+  useEffect(() => {
+    loadGoals();
+  }, [loadGoals]);
+
+  const getGoalForYear = useCallback((year) => {
+    return goals.find(goal => goal.id === getGoalId(year)) || null;
+  }, [goals]);
+
+  const saveGoal = useCallback(async (goalData) => {
+    const goal = createGoal(goalData);
+
+    setGoals(current => [...current.filter(existing => existing.id !== goal.id), goal]);
+
+    // Goals always go through the operation queue, which syncs right away when online
+    await OfflineManager.saveGoalOffline(goal, user?.id);
+    await OfflineManager.checkAndSync();
+
+    return goal;
+  }, [user]);
+
+  const removeGoal = useCallback(async (year) => {
+    const goal = goals.find(existing => existing.id === getGoalId(year));
+    if (!goal) return;
+
+    setGoals(current => current.filter(existing => existing.id !== goal.id));
+
+    await OfflineManager.deleteGoalOffline(goal, user?.id);
+    await OfflineManager.checkAndSync();
+  }, [goals, user]);
+
+  const value = useMemo(() => ({
+    goals,
+    loading,
+    getGoalForYear,
+    saveGoal,
+    removeGoal,
+    refetchGoals: loadGoals,
+  }), [goals, loading, getGoalForYear, saveGoal, removeGoal, loadGoals]);
+
+  return (
+    <GoalContext.Provider value={value}>
+      {children}
+    </GoalContext.Provider>
+  );
+};
+
+export { GoalContext };
@@ -6,7 +6,8 @@
  * - Synchronizację offline/online z automatycznym wykrywaniem sieci
  * - Operacje CRUD z optymistycznymi aktualizacjami
  * - Obsługę błędów i fallback do lokalnego storage
- * - Integrację z Supabase i lokalnym AsyncStorage
+ * - Integrację z Supabase i lokalnym magazynem (SQLite lub AsyncStorage)
+ * - Migracje schematu danych lokalnych przy starcie
  * 
  * @author MojeKZ Team
  * @version 2.0
@@ -22,12 +23,22 @@ import React, {
   useRef 
 } from 'react';
 import { AppState } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { supabase } from '../config/supabase';
 import { AuthContext } from './AuthContext';
-import { STORAGE_KEYS, ERROR_MESSAGES } from '../constants';
+import { ERROR_MESSAGES } from '../constants';
 import { OfflineManager } from '../utils/offlineManager';
 import { NetworkStatus } from '../utils/networkStatus';
+import { createReadingSession, addReadingSession } from '../utils/readingProgress';
+import { applyStatusTransition } from '../utils/readingHistory';
+import { createLoan, addLoan, returnLoan } from '../utils/loans';
+import { runStorageMigrations } from '../utils/migrations';
+import { saveBooks, loadBooks, planBackupRestore } from '../utils/storage';
+import { BookDatabase } from '../services/database';
+import { CoverStorage } from '../services/coverStorage';
+import { CoverCache } from '../services/coverCache';
+import { applyRemoteBookChange, isLocalChangePending, REMOTE_CHANGE_TYPES } from '../utils/remoteChanges';
+import { getLatestCursor, getCursorQueryStart, mergeBookChanges } from '../utils/deltaSync';
+import { isInTrash, moveToTrash, restoreFromTrash, splitTrash, getExpiredTrash } from '../utils/trash';
 
 // Stałe statusów książek - definiują możliwe stany czytelnicze
 export const BOOK_STATUS = {
@@ -115,6 +126,15 @@ const bookReducer = (state, action) => {
         lastUpdated: new Date().toISOString(),
       };
 
+    case 'IMPORT_BOOKS_SUCCESS':
+      return {
+        ...state,
+        loading: { ...state.loading, add: false },
+        books: [...state.books, ...action.payload],
+        error: null,
+        lastUpdated: new Date().toISOString(),
+      };
+
     case 'ADD_BOOK_ERROR':
       return {
         ...state,
@@ -129,16 +149,25 @@ const bookReducer = (state, action) => {
         error: null,
       };
 
-    case 'UPDATE_BOOK_SUCCESS':
+    case 'UPDATE_BOOK_SUCCESS': {
+      // A saved book replaces its optimistic copy (tempId), dropping a realtime copy that arrived first
+      const { tempId, ...updatedBook } = action.payload;
+      const books = tempId
+        ? state.books
+          .filter(book => book.id !== updatedBook.id)
+          .map(book => (book.id === tempId ? updatedBook : book))
+        : state.books.map(book => 
+          book.id === updatedBook.id ? updatedBook : book
+        );
+
       return {
         ...state,
         loading: { ...state.loading, update: false },
-        books: state.books.map(book => 
-          book.id === action.payload.id ? action.payload : book
-        ),
+        books,
         error: null,
         lastUpdated: new Date().toISOString(),
       };
+    }
 
     case 'UPDATE_BOOK_ERROR':
       return {
@@ -178,10 +207,11 @@ const bookReducer = (state, action) => {
       };
 
     case 'CLEAR_ALL_BOOKS_SUCCESS':
+      // Books go to the trash; payload is the deletion time
       return {
         ...state,
         loading: { ...state.loading, clear: false },
-        books: [],
+        books: state.books.map(book => (isInTrash(book) ? book : { ...book, deletedAt: action.payload })),
         error: null,
         lastUpdated: new Date().toISOString(),
       };
@@ -218,6 +248,17 @@ const bookReducer = (state, action) => {
         queuedOperations: action.payload,
       };
 
+    case 'APPLY_REMOTE_CHANGE': {
+      const books = applyRemoteBookChange(state.books, action.payload);
+      if (books === state.books) return state;
+
+      return {
+        ...state,
+        books,
+        lastUpdated: new Date().toISOString(),
+      };
+    }
+
     default:
       return state;
   }
@@ -232,6 +273,16 @@ const transformBookForSupabase = (book) => ({
   status: book.status,
   rating: book.rating,
   notes: book.notes,
+  isbn: book.isbn || null,
+  total_pages: book.totalPages || null,
+  current_page: book.currentPage || 0,
+  reading_sessions: book.readingSessions || [],
+  started_at: book.startedAt || null,
+  finished_at: book.finishedAt || null,
+  read_history: book.readHistory || [],
+  tags: book.tags || [],
+  loans: book.loans || [],
+  deleted_at: book.deletedAt || null,
   date_added: book.dateAdded,
   created_at: book.created_at || new Date().toISOString(),
   updated_at: new Date().toISOString(),
@@ -241,8 +292,83 @@ const transformBookFromSupabase = (book) => ({
   ...book,
   coverImage: book.cover_image,
   dateAdded: book.date_added,
+  totalPages: book.total_pages,
+  currentPage: book.current_page || 0,
+  readingSessions: book.reading_sessions || [],
+  startedAt: book.started_at,
+  finishedAt: book.finished_at,
+  readHistory: book.read_history || [],
+  tags: book.tags || [],
+  loans: book.loans || [],
+  deletedAt: book.deleted_at || null,
 });
 
+const isNetworkError = (error) => error.message?.includes('Network request failed') || 
+  error.message?.includes('fetch') ||
+  error.code === 'NETWORK_ERROR';
+
+// A photographed cover is uploaded before the book is saved, so the book keeps its URL.
+// If the upload fails the local file stays and coverToQueue is set for a later upload.
+const uploadLocalCover = async (book, userId) => {
+  if (!CoverStorage.isLocalCover(book.coverImage)) {
+    return { book, coverToQueue: null };
+  }
+
+  try {
+    const coverUrl = await CoverStorage.uploadCover(book.coverImage, userId);
+    // The photo becomes the cached image of its URL
+    CoverCache.adoptUploadedPhoto(book.coverImage, coverUrl);
+    return { book: { ...book, coverImage: coverUrl }, coverToQueue: null };
+  } catch (error) {
+    console.warn('Cover upload failed, queued for later:', error.message);
+    return { book, coverToQueue: book.coverImage };
+  }
+};
+
+// Uploaded cover a book no longer uses; kept while another book still shows it
+const deleteUnusedCover = (url, books, bookId) => {
+  if (!url || books.some(book => book.id !== bookId && book.coverImage === url)) return;
+
+  CoverStorage.deleteCover(url);
+};
+
+// Whole library; its newest row becomes the first sync cursor
+const fetchAllBooks = async (userId) => {
+  const { data, error } = await supabase
+    .from('books')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+
+  const rows = data || [];
+  return { books: rows.map(transformBookFromSupabase), cursor: getLatestCursor(rows) };
+};
+
+// Rows changed since the cursor and tombstones of deleted books, merged into the last synced list
+const fetchBookChanges = async (userId, cursor, syncedBooks, pendingChanges) => {
+  const since = getCursorQueryStart(cursor);
+  const [changes, deletions] = await Promise.all([
+    supabase.from('books').select('*').eq('user_id', userId).gte('updated_at', since),
+    supabase.from('book_deletions').select('book_id, deleted_at').eq('user_id', userId).gte('deleted_at', since),
+  ]);
+
+  if (changes.error) throw changes.error;
+  if (deletions.error) throw deletions.error;
+
+  const changedRows = changes.data || [];
+  const deletionRows = deletions.data || [];
+
+  return {
+    books: mergeBookChanges(syncedBooks, {
+      changed: changedRows.map(transformBookFromSupabase),
+      deletedIds: deletionRows.map(row => row.book_id),
+    }, pendingChanges),
+    cursor: getLatestCursor([...changedRows, ...deletionRows], cursor),
+  };
+};
+
 // Provider component
 export const OptimizedBookProvider = ({ children }) => {
   const [state, dispatch] = useReducer(bookReducer, initialState);
@@ -324,6 +450,12 @@ export const OptimizedBookProvider = ({ children }) => {
 
     const initializeApp = async () => {
       try {
+        // Switch to the SQLite store (imports AsyncStorage data on first start)
+        await BookDatabase.initialize();
+
+        // Bring stored data up to the current schema before anything reads it
+        await runStorageMigrations();
+
         // Initialize offline manager
         await OfflineManager.initialize();
         
@@ -376,7 +508,11 @@ export const OptimizedBookProvider = ({ children }) => {
             });
           }
           
-          if (event === 'sync_completed') {
+          if (event === 'cover_uploaded') {
+            CoverCache.adoptUploadedPhoto(data.uri, data.coverImage);
+          }
+          
+          if (event === 'sync_completed' || event === 'conflict_resolved') {
             console.log('✅ Sync completed event received');
             // Debounce reload books after sync to prevent multiple rapid reloads
             if (syncDebounceRef.current) {
@@ -422,25 +558,63 @@ export const OptimizedBookProvider = ({ children }) => {
     };
   }, [user, isAuthReady, loadBooksFromSupabase, loadBooksFromStorage, refetchBooks]);
 
-  // Optimized save to AsyncStorage with debouncing
+  // Optimized save to local storage with debouncing
   const saveToStorageDebounced = useCallback(
     debounce(async (books) => {
-      try {
-        await AsyncStorage.setItem(STORAGE_KEYS.BOOKS, JSON.stringify(books));
-      } catch (error) {
-        console.error('Error saving books to AsyncStorage:', error);
+      const result = await saveBooks(books);
+      if (!result.success) {
+        console.error('Error saving books to local storage:', result.error);
       }
     }, 1000),
     []
   );
 
-  // Save books to AsyncStorage whenever they change (debounced)
+  // Save books to local storage whenever they change (debounced)
   useEffect(() => {
     if (state.books.length > 0 && mountedRef.current) {
       saveToStorageDebounced(state.books);
     }
   }, [state.books, saveToStorageDebounced]);
 
+  // Live updates of books changed on other devices
+  useEffect(() => {
+    if (!user) return undefined;
+
+    const handleChange = (payload) => {
+      const isDelete = payload.eventType === REMOTE_CHANGE_TYPES.DELETE;
+      const change = {
+        type: payload.eventType,
+        id: payload.new?.id || payload.old?.id,
+        book: isDelete ? null : transformBookFromSupabase(payload.new),
+      };
+
+      // Local changes still in flight or queued win over the server echo
+      if (!change.id || isLocalChangePending(change, {
+        optimisticBooks: optimisticUpdatesRef.current,
+        queuedOperations: OfflineManager.getQueuedOperations('book'),
+      })) {
+        return;
+      }
+
+      if (mountedRef.current) {
+        dispatch({ type: 'APPLY_REMOTE_CHANGE', payload: change });
+      }
+    };
+
+    const userFilter = `user_id=eq.${user.id}`;
+    const channel = supabase
+      .channel(`books_${user.id}`)
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'books', filter: userFilter }, handleChange)
+      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'books', filter: userFilter }, handleChange)
+      // Deletes carry only the primary key, so they cannot be filtered by user (RLS still applies)
+      .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'books' }, handleChange)
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [user]);
+
   const loadBooksFromStorage = useCallback(async () => {
     if (!mountedRef.current) return;
     
@@ -457,8 +631,7 @@ export const OptimizedBookProvider = ({ children }) => {
       }
 
       // Fallback to regular storage
-      const storedBooks = await AsyncStorage.getItem(STORAGE_KEYS.BOOKS);
-      const books = storedBooks ? JSON.parse(storedBooks) : [];
+      const { books } = await loadBooks();
       
       if (mountedRef.current) {
         dispatch({ type: 'FETCH_BOOKS_SUCCESS', payload: books });
@@ -477,30 +650,37 @@ export const OptimizedBookProvider = ({ children }) => {
       dispatch({ type: 'FETCH_BOOKS_START' });
       dispatch({ type: 'SET_SYNC_STATUS', payload: 'syncing' });
       
-      const { data, error } = await supabase
-        .from('books')
-        .select('*')
-        .eq('user_id', user.id)
-        .order('created_at', { ascending: false });
+      // After the first full fetch only changes since the last sync are downloaded
+      const cursor = await OfflineManager.getBooksSyncCursor(user.id);
+      const syncedBooks = cursor ? await OfflineManager.loadOfflineBooks() : null;
+      let result = null;
 
-      if (error) throw error;
-      
-      const clientBooks = (data || []).map(transformBookFromSupabase);
+      if (syncedBooks) {
+        try {
+          result = await fetchBookChanges(user.id, cursor, syncedBooks, {
+            optimisticBooks: optimisticUpdatesRef.current,
+            queuedOperations: OfflineManager.getQueuedOperations('book'),
+          });
+        } catch (deltaError) {
+          if (isNetworkError(deltaError)) throw deltaError;
+          console.warn('Incremental sync failed, fetching all books:', deltaError.message);
+        }
+      }
+
+      if (!result) {
+        result = await fetchAllBooks(user.id);
+      }
       
       if (mountedRef.current) {
-        dispatch({ type: 'FETCH_BOOKS_SUCCESS', payload: clientBooks });
-        // Save to offline storage for backup
-        await OfflineManager.saveOfflineBooks(clientBooks);
+        dispatch({ type: 'FETCH_BOOKS_SUCCESS', payload: result.books });
+        // Save to offline storage for backup and as the base of the next sync
+        await OfflineManager.saveOfflineBooks(result.books);
+        await OfflineManager.updateBooksSyncCursor(user.id, result.cursor);
       }
     } catch (error) {
       console.error('Error loading books from Supabase:', error);
       if (mountedRef.current) {
-        // Check if it's a network error
-        const isNetworkError = error.message?.includes('Network request failed') || 
-                              error.message?.includes('fetch') ||
-                              error.code === 'NETWORK_ERROR';
-        
-        if (isNetworkError) {
+        if (isNetworkError(error)) {
           console.log('📡 Network error detected, switching to offline mode');
           // Trigger offline mode if it's a network error
           await OfflineManager.goOffline();
@@ -519,6 +699,7 @@ export const OptimizedBookProvider = ({ children }) => {
     
     // Check if book already exists locally to prevent duplicates
     const existingBook = state.books.find(existingBook => 
+      !isInTrash(existingBook) &&
       existingBook.title.toLowerCase() === book.title.toLowerCase() && 
       existingBook.author.toLowerCase() === book.author.toLowerCase()
     );
@@ -532,7 +713,7 @@ export const OptimizedBookProvider = ({ children }) => {
       dispatch({ type: 'ADD_BOOK_START' });
       
       const newBook = {
-        ...book,
+        ...applyStatusTransition(undefined, book),
         dateAdded: new Date().toISOString(),
         created_at: new Date().toISOString(),
       };
@@ -574,8 +755,9 @@ export const OptimizedBookProvider = ({ children }) => {
             throw new Error('No active session found. Please log in again.');
           }
           
+          const { book: bookToSave, coverToQueue } = await uploadLocalCover(newBook, user.id);
           const supabaseBook = {
-            ...transformBookForSupabase(newBook),
+            ...transformBookForSupabase(bookToSave),
             user_id: user.id,
           };
           
@@ -589,6 +771,9 @@ export const OptimizedBookProvider = ({ children }) => {
           
           // Replace optimistic update with real data
           const realBook = transformBookFromSupabase(data);
+          if (coverToQueue) {
+            await OfflineManager.queueCoverUpload(realBook.id, coverToQueue, user.id);
+          }
           
           if (mountedRef.current) {
             dispatch({ 
@@ -624,12 +809,74 @@ export const OptimizedBookProvider = ({ children }) => {
     }
   }, [user]);
 
-  const updateBook = useCallback(async (book) => {
+  // Add many books at once (CSV import); duplicates are filtered by the caller
+  const importBooks = useCallback(async (booksToImport) => {
+    if (!mountedRef.current || booksToImport.length === 0) return [];
+
+    try {
+      dispatch({ type: 'ADD_BOOK_START' });
+
+      const timestamp = new Date().toISOString();
+      const newBooks = booksToImport.map(book => ({
+        ...book,
+        dateAdded: book.dateAdded || timestamp,
+        created_at: timestamp,
+      }));
+
+      const isOnline = await NetworkStatus.isOnline();
+
+      if (!isOnline || OfflineManager.isOfflineModeEnabled) {
+        const offlineBooks = await OfflineManager.createBooksOffline(newBooks, user?.id);
+
+        if (mountedRef.current) {
+          dispatch({ type: 'IMPORT_BOOKS_SUCCESS', payload: offlineBooks });
+          dispatch({ type: 'UPDATE_OFFLINE_QUEUE', payload: OfflineManager.getOfflineStatus().queuedOperations });
+        }
+        return offlineBooks;
+      }
+
+      if (user) {
+        const { data, error } = await supabase
+          .from('books')
+          .insert(newBooks.map(book => ({ ...transformBookForSupabase(book), user_id: user.id })))
+          .select();
+
+        if (error) throw error;
+
+        const importedBooks = (data || []).map(transformBookFromSupabase);
+        if (mountedRef.current) {
+          dispatch({ type: 'IMPORT_BOOKS_SUCCESS', payload: importedBooks });
+        }
+        return importedBooks;
+      }
+
+      // Local storage only
+      const localBooks = newBooks.map((book, index) => ({ ...book, id: `${Date.now()}_${index}` }));
+      if (mountedRef.current) {
+        dispatch({ type: 'IMPORT_BOOKS_SUCCESS', payload: localBooks });
+      }
+      return localBooks;
+    } catch (error) {
+      console.error('Error importing books:', error);
+      if (mountedRef.current) {
+        dispatch({ type: 'ADD_BOOK_ERROR', payload: error.message });
+      }
+      throw error;
+    }
+  }, [user]);
+
+  const updateBook = useCallback(async (changedBook) => {
     if (!mountedRef.current) return;
     
     try {
       dispatch({ type: 'UPDATE_BOOK_START' });
       
+      // Record start/finish dates when the reading status changes
+      const book = applyStatusTransition(
+        state.books.find(b => b.id === changedBook.id),
+        changedBook
+      );
+      
       const isOnline = await NetworkStatus.isOnline();
       
       if (!isOnline || OfflineManager.isOfflineModeEnabled) {
@@ -640,7 +887,7 @@ export const OptimizedBookProvider = ({ children }) => {
           dispatch({ type: 'UPDATE_BOOK_SUCCESS', payload: updatedBook });
           dispatch({ type: 'UPDATE_OFFLINE_QUEUE', payload: OfflineManager.getOfflineStatus().queuedOperations });
         }
-        return;
+        return updatedBook;
       }
       
       // Optimistic update
@@ -648,10 +895,13 @@ export const OptimizedBookProvider = ({ children }) => {
       if (mountedRef.current) {
         dispatch({ type: 'UPDATE_BOOK_SUCCESS', payload: book });
       }
+      let savedBook = book;
       
       if (user && isOnline) {
+        optimisticUpdatesRef.current.set(book.id, book);
         try {
-          const supabaseBook = transformBookForSupabase(book);
+          const { book: bookToSave, coverToQueue } = await uploadLocalCover(book, user.id);
+          const supabaseBook = transformBookForSupabase(bookToSave);
           
           const { error } = await supabase
             .from('books')
@@ -660,14 +910,28 @@ export const OptimizedBookProvider = ({ children }) => {
             .eq('user_id', user.id);
 
           if (error) throw error;
+
+          if (coverToQueue) {
+            await OfflineManager.queueCoverUpload(book.id, coverToQueue, user.id);
+          } else if (bookToSave.coverImage !== book.coverImage && mountedRef.current) {
+            dispatch({ type: 'UPDATE_BOOK_SUCCESS', payload: bookToSave });
+          }
+          if (originalBook && originalBook.coverImage !== bookToSave.coverImage) {
+            deleteUnusedCover(originalBook.coverImage, state.books, book.id);
+          }
+          savedBook = bookToSave;
         } catch (supabaseError) {
           // Revert optimistic update
           if (mountedRef.current && originalBook) {
             dispatch({ type: 'UPDATE_BOOK_SUCCESS', payload: originalBook });
           }
           throw supabaseError;
+        } finally {
+          optimisticUpdatesRef.current.delete(book.id);
         }
       }
+      
+      return savedBook;
     } catch (error) {
       console.error('Error updating book:', error);
       if (mountedRef.current) {
@@ -677,7 +941,8 @@ export const OptimizedBookProvider = ({ children }) => {
     }
   }, [user, state.books]);
 
-  const deleteBook = useCallback(async (id) => {
+  // Removes a book for good (from the trash or by the automatic purge)
+  const purgeBook = useCallback(async (id) => {
     if (!mountedRef.current) return;
     
     try {
@@ -705,6 +970,7 @@ export const OptimizedBookProvider = ({ children }) => {
       }
       
       if (user && isOnline) {
+        optimisticUpdatesRef.current.set(id, originalBook);
         try {
           const { error } = await supabase
             .from('books')
@@ -713,12 +979,16 @@ export const OptimizedBookProvider = ({ children }) => {
             .eq('user_id', user.id);
 
           if (error) throw error;
+
+          deleteUnusedCover(originalBook?.coverImage, state.books, id);
         } catch (supabaseError) {
           // Revert optimistic update
           if (mountedRef.current && originalBook) {
             dispatch({ type: 'ADD_BOOK_SUCCESS', payload: originalBook });
           }
           throw supabaseError;
+        } finally {
+          optimisticUpdatesRef.current.delete(id);
         }
       }
     } catch (error) {
@@ -730,6 +1000,85 @@ export const OptimizedBookProvider = ({ children }) => {
     }
   }, [user, state.books]);
 
+  // Deleting moves a book to the trash, synced like any other update
+  const deleteBook = useCallback(async (id) => {
+    const book = state.books.find(b => b.id === id);
+    if (!book) {
+      throw new Error('Book not found');
+    }
+
+    return updateBook(moveToTrash(book));
+  }, [state.books, updateBook]);
+
+  const restoreBook = useCallback(async (id) => {
+    const book = state.books.find(b => b.id === id);
+    if (!book) {
+      throw new Error('Book not found');
+    }
+
+    return updateBook(restoreFromTrash(book));
+  }, [state.books, updateBook]);
+
+  const emptyTrash = useCallback(async () => {
+    const { trashed } = splitTrash(state.books);
+    for (const book of trashed) {
+      await purgeBook(book.id);
+    }
+  }, [state.books, purgeBook]);
+
+  // Books kept in the trash too long are purged once per session, after the first load
+  const trashPurgeCheckedRef = useRef(false);
+  useEffect(() => {
+    if (trashPurgeCheckedRef.current || state.loading.fetch || state.books.length === 0) return;
+    trashPurgeCheckedRef.current = true;
+
+    getExpiredTrash(state.books).forEach(book => {
+      purgeBook(book.id).catch(error => {
+        console.error('Error purging book from trash:', error);
+      });
+    });
+  }, [state.books, state.loading.fetch, purgeBook]);
+
+  const logReadingSession = useCallback(async (bookId, sessionData) => {
+    const book = state.books.find(b => b.id === bookId);
+    if (!book) {
+      throw new Error('Book not found');
+    }
+
+    const session = createReadingSession({
+      startPage: book.currentPage || 0,
+      ...sessionData,
+    });
+
+    const updatedBook = addReadingSession(book, session);
+
+    // Logging pages means the book is being read
+    if (updatedBook.status === BOOK_STATUS.WANT_TO_READ) {
+      updatedBook.status = BOOK_STATUS.READING;
+    }
+
+    return updateBook(updatedBook);
+  }, [state.books, updateBook]);
+
+  const lendBook = useCallback(async (bookId, loanData) => {
+    const book = state.books.find(b => b.id === bookId);
+    if (!book) {
+      throw new Error('Book not found');
+    }
+
+    return updateBook(addLoan(book, createLoan(loanData)));
+  }, [state.books, updateBook]);
+
+  const returnBook = useCallback(async (bookId, returnedAt = new Date()) => {
+    const book = state.books.find(b => b.id === bookId);
+    if (!book) {
+      throw new Error('Book not found');
+    }
+
+    return updateBook(returnLoan(book, returnedAt));
+  }, [state.books, updateBook]);
+
+  // Moves every book to the trash, so clearing the library can be undone
   const clearAllBooks = useCallback(async () => {
     if (!mountedRef.current) return;
     
@@ -738,20 +1087,32 @@ export const OptimizedBookProvider = ({ children }) => {
       
       // Store original books for potential revert
       const originalBooks = [...state.books];
+      const { active } = splitTrash(originalBooks);
+      const deletedAt = new Date().toISOString();
       
       // Optimistic update
       if (mountedRef.current) {
-        dispatch({ type: 'CLEAR_ALL_BOOKS_SUCCESS' });
+        dispatch({ type: 'CLEAR_ALL_BOOKS_SUCCESS', payload: deletedAt });
       }
       
       if (user) {
-        try {
-          const { error } = await supabase
-            .from('books')
-            .delete()
-            .eq('user_id', user.id);
+        const isOnline = await NetworkStatus.isOnline();
 
-          if (error) throw error;
+        try {
+          if (!isOnline || OfflineManager.isOfflineModeEnabled) {
+            for (const book of active) {
+              await OfflineManager.updateBookOffline(book.id, { ...book, deletedAt }, user.id);
+            }
+            dispatch({ type: 'UPDATE_OFFLINE_QUEUE', payload: OfflineManager.getOfflineStatus().queuedOperations });
+          } else {
+            const { error } = await supabase
+              .from('books')
+              .update({ deleted_at: deletedAt })
+              .eq('user_id', user.id)
+              .is('deleted_at', null);
+
+            if (error) throw error;
+          }
         } catch (supabaseError) {
           // Revert optimistic update
           if (mountedRef.current) {
@@ -760,9 +1121,6 @@ export const OptimizedBookProvider = ({ children }) => {
           throw supabaseError;
         }
       }
-      
-      // Clear AsyncStorage
-      await AsyncStorage.removeItem(STORAGE_KEYS.BOOKS);
     } catch (error) {
       console.error('Error clearing books:', error);
       if (mountedRef.current) {
@@ -772,6 +1130,22 @@ export const OptimizedBookProvider = ({ children }) => {
     }
   }, [user, state.books]);
 
+  // Applies a backup in place: existing books are updated (and taken out of the trash),
+  // missing ones created and the books absent from the backup moved to the trash
+  const restoreBooks = useCallback(async (backupBooks) => {
+    const { toUpdate, toCreate, toTrash } = planBackupRestore(backupBooks, state.books);
+
+    for (const book of toUpdate) {
+      await updateBook(book);
+    }
+    for (const book of toTrash) {
+      await updateBook(moveToTrash(book));
+    }
+    const created = await importBooks(toCreate);
+
+    return { updated: toUpdate.length, created: created.length, trashed: toTrash.length };
+  }, [state.books, updateBook, importBooks]);
+
   const clearError = useCallback(() => {
     dispatch({ type: 'CLEAR_ERROR' });
   }, []);
@@ -814,28 +1188,40 @@ export const OptimizedBookProvider = ({ children }) => {
   }, [state.isOffline, state.queuedOperations]);
 
   // Memoize state context value
+  // Screens see the library without the trash; the Trash screen uses trashedBooks
+  const { active: activeBooks, trashed: trashedBooks } = useMemo(() => splitTrash(state.books), [state.books]);
+
   const stateValue = useMemo(() => ({
-    books: state.books,
+    books: activeBooks,
+    trashedBooks,
     loading: state.loading,
     error: state.error,
     lastUpdated: state.lastUpdated,
     syncStatus: state.syncStatus,
     isOffline: state.isOffline,
     queuedOperations: state.queuedOperations,
-  }), [state.books, state.loading, state.error, state.lastUpdated, state.syncStatus, state.isOffline, state.queuedOperations]);
+  }), [activeBooks, trashedBooks, state.loading, state.error, state.lastUpdated, state.syncStatus, state.isOffline, state.queuedOperations]);
 
   // Memoize actions context value
   const actionsValue = useMemo(() => ({
     addBook,
+    importBooks,
     updateBook,
     deleteBook,
+    restoreBook,
+    purgeBook,
+    emptyTrash,
+    logReadingSession,
+    lendBook,
+    returnBook,
     clearAllBooks,
+    restoreBooks,
     clearError,
     refetchBooks,
     forceSync,
     checkAndSync,
     getOfflineStatus,
-  }), [addBook, updateBook, deleteBook, clearAllBooks, clearError, refetchBooks, forceSync, checkAndSync, getOfflineStatus]);
+  }), [addBook, importBooks, updateBook, deleteBook, restoreBook, purgeBook, emptyTrash, logReadingSession, lendBook, returnBook, clearAllBooks, restoreBooks, clearError, refetchBooks, forceSync, checkAndSync, getOfflineStatus]);
 
   // Show loading state while auth context is initializing
   if (!isAuthReady) {
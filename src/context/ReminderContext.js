@@ -0,0 +1,76 @@
+import React, { createContext, useContext, useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { useBookState } from './OptimizedBookContext';
+import { useGoals } from './GoalContext';
+import { NotificationService } from '../services/notifications';
+import { buildReminders, DEFAULT_REMINDER_SETTINGS } from '../utils/reminders';
+
+const ReminderContext = createContext({
+  settings: DEFAULT_REMINDER_SETTINGS,
+  updateSettings: async () => {},
+});
+
+// Set display name for debugging
+ReminderContext.displayName = 'ReminderContext';
+
+export const useReminders = () => {
+  const context = useContext(ReminderContext);
+  if (context === undefined) {
+    throw new Error('useReminders must be used within a ReminderProvider');
+  }
+  return context;
+};
+
+export const ReminderProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { books } = useBookState();
+  const { goals } = useGoals();
+  const [settings, setSettings] = useState(DEFAULT_REMINDER_SETTINGS);
+  const [settingsLoaded, setSettingsLoaded] = useState(false);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+
+    NotificationService.loadSettings().then((storedSettings) => {
+      if (mountedRef.current) {
+        setSettings(storedSettings);
+        setSettingsLoaded(true);
+      }
+    });
+
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Reschedule whenever books, goals or settings change.
+  // Reminders are cancelled on sign out by AuthContext.
+  useEffect(() => {
+    if (!settingsLoaded || !user) return;
+
+    const reminders = buildReminders({ books: books || [], goals, settings });
+    NotificationService.scheduleReminders(reminders).catch((error) => {
+      console.error('Error scheduling reminders:', error);
+    });
+  }, [books, goals, settings, settingsLoaded, user]);
+
+  const updateSettings = useCallback(async (changes) => {
+    const nextSettings = { ...settings, ...changes };
+    setSettings(nextSettings);
+    await NotificationService.saveSettings(nextSettings);
+  }, [settings]);
+
+  const value = useMemo(() => ({
+    settings,
+    updateSettings,
+  }), [settings, updateSettings]);
+
+  return (
+    <ReminderContext.Provider value={value}>
+      {children}
+    </ReminderContext.Provider>
+  );
+};
+
+export { ReminderContext };
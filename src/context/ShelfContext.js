@@ -0,0 +1,195 @@
+import React, { createContext, useContext, useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import { supabase } from '../config/supabase';
+import { useAuth } from './AuthContext';
+import { OfflineManager } from '../utils/offlineManager';
+import { NetworkStatus } from '../utils/networkStatus';
+import {
+  createShelf,
+  sortShelves,
+  toggleBookOnShelf,
+  moveShelf as getMovedShelves,
+  transformShelfFromSupabase,
+} from '../utils/shelves';
+
+const ShelfContext = createContext({
+  shelves: [],
+  loading: false,
+  addShelf: async () => {},
+  updateShelf: async () => {},
+  deleteShelf: async () => {},
+  toggleBook: async () => {},
+  moveShelf: async () => {},
+});
+
+// Set display name for debugging
+ShelfContext.displayName = 'ShelfContext';
+
+export const useShelves = () => {
+  const context = useContext(ShelfContext);
+  if (context === undefined) {
+    throw new Error('useShelves must be used within a ShelfProvider');
+  }
+  return context;
+};
+
+/**
+ * Combine server shelves with local changes that are still queued
+ */
+const mergeWithPending = (serverShelves, localShelves) => {
+  const pending = OfflineManager.getQueuedOperations('shelf');
+  const pendingIds = new Set(pending.map(operation => operation.id || operation.tempId));
+  const deletedIds = new Set(pending
+    .filter(operation => operation.type === OfflineManager.OPERATION_TYPES.DELETE)
+    .map(operation => operation.id));
+
+  const fromServer = serverShelves.filter(shelf => !pendingIds.has(shelf.id));
+  const fromLocal = localShelves.filter(shelf => pendingIds.has(shelf.id) && !deletedIds.has(shelf.id));
+
+  return [...fromServer, ...fromLocal];
+};
+
+export const ShelfProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [shelves, setShelves] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const loadShelvesFromStorage = useCallback(async () => {
+    const offlineShelves = (await OfflineManager.loadOfflineShelves()) || [];
+    if (mountedRef.current) {
+      setShelves(offlineShelves);
+    }
+    return offlineShelves;
+  }, []);
+
+  const loadShelves = useCallback(async () => {
+    if (!user) {
+      setShelves([]);
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const offlineShelves = await loadShelvesFromStorage();
+
+      const isOnline = await NetworkStatus.isOnline();
+      if (!isOnline || OfflineManager.isOfflineModeEnabled) return;
+
+      const { data, error } = await supabase
+        .from('shelves')
+        .select('*')
+        .eq('user_id', user.id);
+
+      if (error) throw error;
+
+      const mergedShelves = mergeWithPending((data || []).map(transformShelfFromSupabase), offlineShelves);
+
+      await OfflineManager.saveOfflineShelves(mergedShelves);
+      if (mountedRef.current) {
+        setShelves(mergedShelves);
+      }
+    } catch (error) {
+      console.error('Error loading shelves:', error);
+    } finally {
+      if (mountedRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [user, loadShelvesFromStorage]);
+
+  useEffect(() => {
+    loadShelves();
+  }, [loadShelves]);
+
+  // Temporary ids are replaced in offline storage during sync
+  useEffect(() => {
+    const unsubscribe = OfflineManager.addListener((event) => {
+      if (event === 'sync_completed') {
+        loadShelvesFromStorage();
+      }
+    });
+
+    return unsubscribe;
+  }, [loadShelvesFromStorage]);
+
+  const syncIfOnline = useCallback(async () => {
+    await OfflineManager.checkAndSync();
+  }, []);
+
+  const addShelf = useCallback(async (shelfData) => {
+    const shelf = await OfflineManager.createShelfOffline(createShelf(shelfData, shelves), user?.id);
+
+    if (mountedRef.current) {
+      setShelves(current => [...current, shelf]);
+    }
+
+    await syncIfOnline();
+    return shelf;
+  }, [shelves, user, syncIfOnline]);
+
+  const updateShelf = useCallback(async (shelf) => {
+    const { id, offline, created_at, updated_at, ...updates } = shelf;
+    const updatedShelf = await OfflineManager.updateShelfOffline(id, updates, user?.id);
+
+    if (mountedRef.current) {
+      setShelves(current => current.map(existing => (existing.id === id ? updatedShelf : existing)));
+    }
+
+    await syncIfOnline();
+    return updatedShelf;
+  }, [user, syncIfOnline]);
+
+  const deleteShelf = useCallback(async (shelfId) => {
+    await OfflineManager.deleteShelfOffline(shelfId, user?.id);
+
+    if (mountedRef.current) {
+      setShelves(current => current.filter(shelf => shelf.id !== shelfId));
+    }
+
+    await syncIfOnline();
+  }, [user, syncIfOnline]);
+
+  const toggleBook = useCallback(async (shelfId, bookId) => {
+    const shelf = shelves.find(existing => existing.id === shelfId);
+    if (!shelf) return;
+
+    return updateShelf(toggleBookOnShelf(shelf, bookId));
+  }, [shelves, updateShelf]);
+
+  const moveShelf = useCallback(async (shelfId, direction) => {
+    const changed = getMovedShelves(shelves, shelfId, direction);
+
+    for (const shelf of changed) {
+      await updateShelf(shelf);
+    }
+  }, [shelves, updateShelf]);
+
+  const sortedShelves = useMemo(() => sortShelves(shelves), [shelves]);
+
+  const value = useMemo(() => ({
+    shelves: sortedShelves,
+    loading,
+    addShelf,
+    updateShelf,
+    deleteShelf,
+    toggleBook,
+    moveShelf,
+    refetchShelves: loadShelves,
+  }), [sortedShelves, loading, addShelf, updateShelf, deleteShelf, toggleBook, moveShelf, loadShelves]);
+
+  return (
+    <ShelfContext.Provider value={value}>
+      {children}
+    </ShelfContext.Provider>
+  );
+};
+
+export { ShelfContext };
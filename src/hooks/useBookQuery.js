@@ -0,0 +1,31 @@
+import { useEffect, useMemo, useState } from 'react';
+import { queryBooks } from '../utils/bookQuery';
+
+export const BOOK_PAGE_SIZE = 50;
+
+// Filtered, sorted and paginated books for a list screen.
+// The library is already in memory (book context), so pages are cut from the given
+// books; the list only renders what was scrolled to.
+export const useBookQuery = (books, query, options = {}) => {
+  const { pageSize = BOOK_PAGE_SIZE } = options;
+  const [limit, setLimit] = useState(pageSize);
+
+  const queryKey = JSON.stringify(query);
+
+  // Back to the first page when the criteria change
+  useEffect(() => {
+    setLimit(pageSize);
+  }, [queryKey, pageSize]);
+
+  const result = useMemo(
+    () => queryBooks(books || [], { ...JSON.parse(queryKey), limit, offset: 0 }),
+    [books, queryKey, limit]
+  );
+
+  return {
+    books: result.books,
+    total: result.total,
+    hasMore: result.books.length < result.total,
+    loadMore: () => setLimit(current => current + pageSize),
+  };
+};
@@ -0,0 +1,12 @@
+import { useMemo } from 'react';
+import { useBookSelector } from '../context/OptimizedBookContext';
+import { computeReadingStats } from '../utils/statistics';
+
+const selectBooks = (state) => state.books || [];
+
+export const useReadingStats = (year = new Date().getFullYear()) => {
+  const books = useBookSelector(selectBooks);
+
+  // Recompute only when the book list or the selected year change
+  return useMemo(() => computeReadingStats(books, year), [books, year]);
+};
@@ -0,0 +1,22 @@
+import { useState, useEffect, useCallback } from 'react';
+import { OfflineManager } from '../utils/offlineManager';
+
+const CONFLICT_EVENTS = ['conflict_requires_resolution', 'conflict_resolved', 'offline_data_cleared'];
+
+// Sync conflicts waiting for the user's choice and a way to resolve them
+export const useSyncConflicts = () => {
+  const [conflicts, setConflicts] = useState(() => OfflineManager.getPendingConflicts());
+
+  useEffect(() => OfflineManager.addListener((event) => {
+    if (CONFLICT_EVENTS.includes(event)) {
+      setConflicts(OfflineManager.getPendingConflicts());
+    }
+  }), []);
+
+  const resolveConflict = useCallback(
+    (key, resolvedData) => OfflineManager.resolvePendingConflict(key, resolvedData),
+    []
+  );
+
+  return { conflicts, resolveConflict };
+};
@@ -1,7 +1,7 @@
 import React from 'react';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
-import { View, ActivityIndicator } from 'react-native';
+import { View, ActivityIndicator, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
 
@@ -10,6 +10,12 @@ import BookListScreen from '../screens/BookListScreen';
 import BookDetailScreen from '../screens/BookDetailScreen';
 import BookFormScreen from '../screens/BookFormScreen';
 import SettingsScreen from '../screens/SettingsScreen';
+import StatisticsScreen from '../screens/StatisticsScreen';
+import ShelvesScreen from '../screens/ShelvesScreen';
+import ImportScreen from '../screens/ImportScreen';
+import BackupsScreen from '../screens/BackupsScreen';
+import TrashScreen from '../screens/TrashScreen';
+import ConflictResolutionScreen from '../screens/ConflictResolutionScreen';
 import LoginScreen from '../screens/LoginScreen';
 import RegisterScreen from '../screens/RegisterScreen';
 
@@ -61,7 +67,30 @@ const BookStack = () => {
       <Stack.Screen 
         name="BookList" 
         component={BookListScreen} 
-        options={{ title: 'Moje ksiazki' }} 
+        options={({ route, navigation }) => ({
+          title: route.params?.title || 'Moje ksiazki',
+          // Shelf views are opened from the Shelves screen, so only the main list links to it
+          headerRight: route.params?.shelfId ? undefined : () => (
+            <TouchableOpacity onPress={() => navigation.navigate('Shelves')} style={{ marginRight: 16 }}>
+              <Ionicons name="library-outline" size={24} color="#fff" />
+            </TouchableOpacity>
+          ),
+        })} 
+      />
+      <Stack.Screen 
+        name="Shelves" 
+        component={ShelvesScreen} 
+        options={{ title: 'Polki' }} 
+      />
+      <Stack.Screen 
+        name="Import" 
+        component={ImportScreen} 
+        options={{ title: 'Import CSV' }} 
+      />
+      <Stack.Screen 
+        name="Conflicts" 
+        component={ConflictResolutionScreen} 
+        options={{ title: 'Konflikty synchronizacji' }} 
       />
       <Stack.Screen 
         name="BookDetail" 
@@ -79,6 +108,39 @@ const BookStack = () => {
   );
 };
 
+// Stack navigator for settings and its sub-screens
+const SettingsStack = () => {
+  return (
+    <Stack.Navigator
+      screenOptions={{
+        headerStyle: {
+          backgroundColor: '#6200ee',
+        },
+        headerTintColor: '#fff',
+        headerTitleStyle: {
+          fontWeight: 'bold',
+        },
+      }}
+    >
+      <Stack.Screen 
+        name="SettingsHome" 
+        component={SettingsScreen} 
+        options={{ headerShown: false }} 
+      />
+      <Stack.Screen 
+        name="Backups" 
+        component={BackupsScreen} 
+        options={{ title: 'Kopie zapasowe' }} 
+      />
+      <Stack.Screen 
+        name="Trash" 
+        component={TrashScreen} 
+        options={{ title: 'Kosz' }} 
+      />
+    </Stack.Navigator>
+  );
+};
+
 // Main tab navigator
 const MainTabs = () => {
   return (
@@ -89,6 +151,8 @@ const MainTabs = () => {
 
           if (route.name === 'Books') {
             iconName = focused ? 'book' : 'book-outline';
+          } else if (route.name === 'Statistics') {
+            iconName = focused ? 'stats-chart' : 'stats-chart-outline';
           } else if (route.name === 'Settings') {
             iconName = focused ? 'settings' : 'settings-outline';
           }
@@ -101,7 +165,8 @@ const MainTabs = () => {
       })}
     >
       <Tab.Screen name="Books" component={BookStack} options={{ title: 'Ksiazki' }} />
-      <Tab.Screen name="Settings" component={SettingsScreen} options={{ title: 'Ustawienia' }} />
+      <Tab.Screen name="Statistics" component={StatisticsScreen} options={{ title: 'Statystyki' }} />
+      <Tab.Screen name="Settings" component={SettingsStack} options={{ title: 'Ustawienia' }} />
     </Tab.Navigator>
   );
 };
@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, StyleSheet, FlatList, TouchableOpacity, Alert } from 'react-native';
+import { Text, FAB, IconButton, Dialog, Portal, Button, Paragraph, SegmentedButtons, ActivityIndicator } from 'react-native-paper';
+import { useBookState, useBookActions } from '../context/OptimizedBookContext';
+import { useTheme } from '../context/ThemeContext';
+import {
+  BACKUP_TYPES,
+  listBackups,
+  getBackup,
+  diffBackupBooks,
+  restoreBackup,
+  deleteBackup,
+  createBooksBackup,
+  getBackupSettings,
+  saveBackupSettings,
+} from '../utils/storage';
+import { spacing, responsiveFontSize } from '../utils/responsive';
+
+const RETENTION_OPTIONS = [5, 10, 20, 50];
+const MAX_LISTED_TITLES = 5;
+
+const formatSize = (bytes) => (
+  bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`
+);
+
+const BackupsScreen = () => {
+  const { books } = useBookState();
+  const { restoreBooks } = useBookActions();
+  const { theme } = useTheme();
+  const [backups, setBackups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [retentionCount, setRetentionCount] = useState(null);
+  const [selectedBackup, setSelectedBackup] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const styles = createStyles(theme);
+
+  const loadBackups = useCallback(async () => {
+    setBackups(await listBackups());
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadBackups();
+    getBackupSettings().then(settings => setRetentionCount(settings.retentionCount));
+  }, [loadBackups]);
+
+  const handleCreateBackup = async () => {
+    const result = await createBooksBackup(books || []);
+    if (!result.success) {
+      Alert.alert('Blad', 'Nie udalo sie utworzyc kopii zapasowej.');
+    }
+    await loadBackups();
+  };
+
+  const handleRetentionChange = async (value) => {
+    const result = await saveBackupSettings({ retentionCount: parseInt(value, 10) });
+    if (!result.success) {
+      Alert.alert('Blad', 'Nie udalo sie zapisac ustawien kopii.');
+      return;
+    }
+    setRetentionCount(result.settings.retentionCount);
+    await loadBackups();
+  };
+
+  const openBackup = async (item) => {
+    const backup = await getBackup(item.key);
+    if (!backup) {
+      Alert.alert('Blad', 'Nie udalo sie odczytac tej kopii zapasowej.');
+      return;
+    }
+    setSelectedBackup({ ...backup, diff: diffBackupBooks(backup.books, books || []) });
+  };
+
+  const restore = async () => {
+    setRestoring(true);
+
+    try {
+      const result = await restoreBackup(selectedBackup.key, books || []);
+      if (!result.success) throw new Error(result.error);
+
+      await restoreBooks(result.books);
+
+      setSelectedBackup(null);
+      Alert.alert('Przywrocono', 'Biblioteka zostala przywrocona. Poprzedni stan zapisano jako nowa kopie.');
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      Alert.alert('Blad', 'Nie udalo sie przywrocic kopii zapasowej.');
+    } finally {
+      setRestoring(false);
+      await loadBackups();
+    }
+  };
+
+  const confirmRestore = () => {
+    Alert.alert(
+      'Przywroc kopie',
+      'Biblioteka zostanie zastapiona ksiazkami z tej kopii. Kontynuowac?',
+      [
+        { text: 'Anuluj', style: 'cancel' },
+        { text: 'Przywroc', style: 'destructive', onPress: restore },
+      ]
+    );
+  };
+
+  const handleDelete = (item) => {
+    Alert.alert(
+      'Usun kopie',
+      'Czy na pewno chcesz usunac te kopie zapasowa?',
+      [
+        { text: 'Anuluj', style: 'cancel' },
+        {
+          text: 'Usun',
+          style: 'destructive',
+          onPress: async () => {
+            await deleteBackup(item.key);
+            if (selectedBackup?.key === item.key) setSelectedBackup(null);
+            await loadBackups();
+          },
+        },
+      ]
+    );
+  };
+
+  const renderTitles = (items) => {
+    const titles = items.slice(0, MAX_LISTED_TITLES).map(book => book.title).join(', ');
+    return items.length > MAX_LISTED_TITLES ? `${titles} i ${items.length - MAX_LISTED_TITLES} wiecej` : titles;
+  };
+
+  const renderBackup = ({ item }) => (
+    <TouchableOpacity onPress={() => openBackup(item)} style={styles.backupRow}>
+      <View style={styles.backupInfo}>
+        <Text style={styles.backupDate}>{new Date(item.createdAt).toLocaleString('pl-PL')}</Text>
+        <Text style={styles.backupMeta}>
+          {item.type === BACKUP_TYPES.FULL ? 'Pelna kopia' : 'Kopia ksiazek'}
+          {' · '}
+          {item.bookCount === null ? 'uszkodzona' : `Ksiazek: ${item.bookCount}`}
+          {' · '}
+          {formatSize(item.size)}
+        </Text>
+      </View>
+      <IconButton icon="delete" size={20} iconColor={theme.colors.error} onPress={() => handleDelete(item)} />
+    </TouchableOpacity>
+  );
+
+  const diff = selectedBackup?.diff;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.retention}>
+        <Text style={styles.retentionLabel}>Liczba przechowywanych kopii</Text>
+        {retentionCount !== null && (
+          <SegmentedButtons
+            value={String(retentionCount)}
+            onValueChange={handleRetentionChange}
+            buttons={RETENTION_OPTIONS.map(option => ({ value: String(option), label: String(option) }))}
+          />
+        )}
+        <Text style={styles.retentionHint}>Kopie starsze niz 30 dni sa usuwane automatycznie.</Text>
+      </View>
+
+      {loading ? (
+        <ActivityIndicator style={styles.loader} />
+      ) : backups.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>
+            Brak kopii zapasowych na tym urzadzeniu. Utworz kopie, aby moc wrocic do obecnego stanu biblioteki.
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={backups}
+          renderItem={renderBackup}
+          keyExtractor={item => item.key}
+          contentContainerStyle={styles.listContent}
+        />
+      )}
+
+      <FAB style={styles.fab} icon="content-save" label="Utworz kopie" onPress={handleCreateBackup} />
+
+      <Portal>
+        <Dialog visible={selectedBackup !== null} onDismiss={restoring ? undefined : () => setSelectedBackup(null)}>
+          <Dialog.Title>Kopia z {selectedBackup && new Date(selectedBackup.createdAt).toLocaleString('pl-PL')}</Dialog.Title>
+          {diff && (
+            <Dialog.ScrollArea>
+              <View style={styles.diff}>
+                <Paragraph>Ksiazek w kopii: {selectedBackup.bookCount}</Paragraph>
+                <Paragraph>Bez zmian: {diff.unchanged}</Paragraph>
+                <Paragraph>Zmienione: {diff.changed.length}</Paragraph>
+                {diff.changed.length > 0 && (
+                  <Text style={styles.diffTitles}>{renderTitles(diff.changed.map(change => change.current))}</Text>
+                )}
+                <Paragraph>Tylko w kopii (zostana przywrocone): {diff.added.length}</Paragraph>
+                {diff.added.length > 0 && <Text style={styles.diffTitles}>{renderTitles(diff.added)}</Text>}
+                <Paragraph>Tylko w bibliotece (trafia do kosza): {diff.removed.length}</Paragraph>
+                {diff.removed.length > 0 && <Text style={styles.diffTitles}>{renderTitles(diff.removed)}</Text>}
+              </View>
+            </Dialog.ScrollArea>
+          )}
+          <Dialog.Actions>
+            <Button onPress={() => setSelectedBackup(null)} disabled={restoring}>Zamknij</Button>
+            <Button
+              onPress={confirmRestore}
+              loading={restoring}
+              disabled={restoring || !selectedBackup || selectedBackup.books.length === 0}
+            >
+              Przywroc
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  retention: {
+    padding: spacing.md,
+  },
+  retentionLabel: {
+    marginBottom: spacing.sm,
+    color: theme.colors.text,
+  },
+  retentionHint: {
+    marginTop: spacing.xs,
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.textSecondary,
+  },
+  loader: {
+    marginTop: spacing.xl,
+  },
+  listContent: {
+    padding: spacing.sm,
+    paddingBottom: 80,
+  },
+  backupRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    borderRadius: 8,
+    backgroundColor: theme.colors.card,
+    elevation: 1,
+  },
+  backupInfo: {
+    flex: 1,
+    minWidth: 0,
+  },
+  backupDate: {
+    fontSize: responsiveFontSize(16),
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  backupMeta: {
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.textSecondary,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+  emptyText: {
+    fontSize: responsiveFontSize(16),
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+  },
+  diff: {
+    paddingVertical: spacing.sm,
+  },
+  diffTitles: {
+    marginBottom: spacing.sm,
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.textSecondary,
+  },
+  fab: {
+    position: 'absolute',
+    margin: spacing.md,
+    right: 0,
+    bottom: 0,
+    backgroundColor: theme.colors.primary,
+  },
+});
+
+export default BackupsScreen;
@@ -1,10 +1,21 @@
 import React, { useState } from 'react';
-import { View, StyleSheet, ScrollView, Image, Dimensions, Alert } from 'react-native';
-import { Text, Card, Title, Paragraph, Button, Divider, IconButton, Dialog, Portal } from 'react-native-paper';
+import { View, StyleSheet, ScrollView, Dimensions, Alert } from 'react-native';
+import { Text, Card, Title, Paragraph, Button, Divider, IconButton, Dialog, Portal, ProgressBar, TextInput, HelperText, Chip } from 'react-native-paper';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { useBookState, useBookActions } from '../context/OptimizedBookContext';
 import StarRating from '../components/StarRating';
+import CoverImage from '../components/CoverImage';
 import { useTheme } from '../context/ThemeContext';
+import { formatIsbn } from '../utils/isbn';
+import { getReadingProgress, getReadingTimeMinutes } from '../utils/readingProgress';
+import { getCompletedReads, getReadDurationDays } from '../utils/readingHistory';
+import { useShelves } from '../context/ShelfContext';
+import { isBookOnShelf } from '../utils/shelves';
+import { DEFAULT_LOAN_DAYS, getActiveLoan, getDueDate, getDaysOverdue, getLoanHistory } from '../utils/loans';
+import { TRASH_RETENTION_DAYS } from '../utils/trash';
+
+const RECENT_SESSIONS_LIMIT = 5;
+const MAX_BORROWER_NAME_LENGTH = 60;
 
 const { width } = Dimensions.get('window');
 
@@ -13,9 +24,19 @@ const BookDetailScreen = () => {
   const route = useRoute();
   const { id } = route.params;
   const { books } = useBookState();
-  const { deleteBook } = useBookActions();
+  const { deleteBook, logReadingSession, lendBook, returnBook } = useBookActions();
+  const { shelves, toggleBook } = useShelves();
   const { theme } = useTheme();
   const [confirmDialogVisible, setConfirmDialogVisible] = useState(false);
+  const [sessionDialogVisible, setSessionDialogVisible] = useState(false);
+  const [sessionEndPage, setSessionEndPage] = useState('');
+  const [sessionMinutes, setSessionMinutes] = useState('');
+  const [sessionError, setSessionError] = useState(null);
+  const [loanDialogVisible, setLoanDialogVisible] = useState(false);
+  const [borrowerName, setBorrowerName] = useState('');
+  const [borrowerContact, setBorrowerContact] = useState('');
+  const [loanDays, setLoanDays] = useState(String(DEFAULT_LOAN_DAYS));
+  const [loanError, setLoanError] = useState(null);
 
   const styles = createStyles(theme);
 
@@ -39,9 +60,12 @@ const BookDetailScreen = () => {
   };
 
   const confirmDelete = () => {
-    deleteBook(id);
+    deleteBook(id).catch(() => {
+      Alert.alert('Blad', 'Nie udalo sie usunac ksiazki.');
+    });
     setConfirmDialogVisible(false);
-    navigation.goBack();
+    // The list shows a snackbar to undo the deletion
+    navigation.navigate({ name: 'BookList', params: { trashedBookId: id }, merge: true });
   };
 
   const formatDate = (dateString) => {
@@ -49,12 +73,102 @@ const BookDetailScreen = () => {
     return date.toLocaleDateString('pl-PL');
   };
 
+  const openSessionDialog = () => {
+    setSessionEndPage('');
+    setSessionMinutes('');
+    setSessionError(null);
+    setSessionDialogVisible(true);
+  };
+
+  const saveSession = async () => {
+    const endPage = parseInt(sessionEndPage, 10);
+    const minutes = parseInt(sessionMinutes, 10) || 0;
+    const currentPage = book.currentPage || 0;
+
+    if (Number.isNaN(endPage) || endPage <= currentPage) {
+      setSessionError(`Podaj strone wieksza niz ${currentPage}`);
+      return;
+    }
+    if (book.totalPages && endPage > book.totalPages) {
+      setSessionError(`Ksiazka ma tylko ${book.totalPages} stron`);
+      return;
+    }
+
+    const endedAt = new Date();
+    const startedAt = new Date(endedAt.getTime() - minutes * 60000);
+
+    try {
+      await logReadingSession(book.id, {
+        startedAt: startedAt.toISOString(),
+        endedAt: endedAt.toISOString(),
+        endPage,
+      });
+      setSessionDialogVisible(false);
+    } catch (error) {
+      console.error('Error logging reading session:', error);
+      Alert.alert('Blad', 'Nie udalo sie zapisac sesji czytania.');
+    }
+  };
+
+  const openLoanDialog = () => {
+    setBorrowerName('');
+    setBorrowerContact('');
+    setLoanDays(String(DEFAULT_LOAN_DAYS));
+    setLoanError(null);
+    setLoanDialogVisible(true);
+  };
+
+  const saveLoan = async () => {
+    const days = parseInt(loanDays, 10);
+
+    if (!borrowerName.trim()) {
+      setLoanError('Podaj komu pozyczasz ksiazke');
+      return;
+    }
+    if (loanDays && (Number.isNaN(days) || days < 1)) {
+      setLoanError('Liczba dni musi byc wieksza od zera');
+      return;
+    }
+
+    const lentAt = new Date().toISOString();
+
+    try {
+      await lendBook(book.id, {
+        borrowerName,
+        borrowerContact,
+        lentAt,
+        dueAt: getDueDate(lentAt, days),
+      });
+      setLoanDialogVisible(false);
+    } catch (error) {
+      console.error('Error lending book:', error);
+      Alert.alert('Blad', 'Nie udalo sie zapisac wypozyczenia.');
+    }
+  };
+
+  const handleReturn = async () => {
+    try {
+      await returnBook(book.id);
+    } catch (error) {
+      console.error('Error returning book:', error);
+      Alert.alert('Blad', 'Nie udalo sie oznaczyc zwrotu.');
+    }
+  };
+
+  const progress = getReadingProgress(book);
+  const completedReads = getCompletedReads(book);
+  const sessions = book.readingSessions || [];
+  const recentSessions = [...sessions].reverse().slice(0, RECENT_SESSIONS_LIMIT);
+  const activeLoan = getActiveLoan(book);
+  const daysOverdue = getDaysOverdue(activeLoan);
+  const pastLoans = getLoanHistory(book).filter(loan => loan.returnedAt);
+
   return (
     <ScrollView style={styles.container}>
       <View style={styles.header}>
         <View style={styles.coverContainer}>
           {book.coverImage ? (
-            <Image source={{ uri: book.coverImage }} style={styles.coverImage} resizeMode="contain" />
+            <CoverImage uri={book.coverImage} style={styles.coverImage} resizeMode="contain" />
           ) : (
             <View style={styles.placeholderCover}>
               <Text style={styles.placeholderText}>Brak okladki</Text>
@@ -76,11 +190,156 @@ const BookDetailScreen = () => {
           </View>
           
           <Text style={styles.dateAdded}>Dodano: {formatDate(book.dateAdded)}</Text>
+          {book.startedAt ? (
+            <Text style={styles.dateAdded}>Rozpoczeto: {formatDate(book.startedAt)}</Text>
+          ) : null}
+          {book.finishedAt ? (
+            <Text style={styles.dateAdded}>Ukonczono: {formatDate(book.finishedAt)}</Text>
+          ) : null}
+          {book.isbn ? (
+            <Text style={styles.dateAdded}>ISBN: {formatIsbn(book.isbn)}</Text>
+          ) : null}
+          {book.tags?.length > 0 ? (
+            <View style={styles.tagsContainer}>
+              {book.tags.map(tag => (
+                <Chip key={tag} icon="tag-outline" compact style={styles.tagChip}>{tag}</Chip>
+              ))}
+            </View>
+          ) : null}
         </View>
       </View>
       
       <Divider style={styles.divider} />
       
+      <Card style={styles.progressCard}>
+        <Card.Content>
+          <Title>Postep czytania</Title>
+          {progress ? (
+            <>
+              <ProgressBar
+                progress={progress.percentage / 100}
+                color={theme.colors.primary}
+                style={styles.progressBar}
+              />
+              <Paragraph>
+                Strona {progress.currentPage} z {progress.totalPages} ({progress.percentage}%)
+              </Paragraph>
+            </>
+          ) : (
+            <Paragraph>
+              Strona {book.currentPage || 0}. Podaj liczbe stron w edycji ksiazki, aby widziec postep.
+            </Paragraph>
+          )}
+          {sessions.length > 0 && (
+            <Text style={styles.sessionSummary}>
+              Sesje: {sessions.length}, czas czytania: {getReadingTimeMinutes(book)} min
+            </Text>
+          )}
+          {recentSessions.map(session => (
+            <View key={session.id} style={styles.sessionRow}>
+              <Text style={styles.sessionDate}>{formatDate(session.endedAt)}</Text>
+              <Text style={styles.sessionPages}>
+                str. {session.startPage}-{session.endPage} (+{session.pagesRead})
+              </Text>
+            </View>
+          ))}
+        </Card.Content>
+        <Card.Actions>
+          <Button icon="book-clock" onPress={openSessionDialog}>
+            Zapisz sesje
+          </Button>
+        </Card.Actions>
+      </Card>
+      
+      <Card style={styles.historyCard}>
+        <Card.Content>
+          <Title>Polki</Title>
+          {shelves.length === 0 ? (
+            <Paragraph>Nie masz jeszcze polek.</Paragraph>
+          ) : (
+            <View style={styles.tagsContainer}>
+              {shelves.map(shelf => (
+                <Chip
+                  key={shelf.id}
+                  icon={shelf.icon}
+                  selected={isBookOnShelf(shelf, book.id)}
+                  onPress={() => toggleBook(shelf.id, book.id)}
+                  style={styles.tagChip}
+                >
+                  {shelf.name}
+                </Chip>
+              ))}
+            </View>
+          )}
+        </Card.Content>
+        <Card.Actions>
+          <Button icon="bookshelf" onPress={() => navigation.navigate('Shelves')}>
+            Zarzadzaj polkami
+          </Button>
+        </Card.Actions>
+      </Card>
+      
+      <Card style={styles.historyCard}>
+        <Card.Content>
+          <Title>Wypozyczenia</Title>
+          {activeLoan ? (
+            <>
+              <Paragraph>
+                Wypozyczona: {activeLoan.borrowerName}
+                {activeLoan.borrowerContact ? ` (${activeLoan.borrowerContact})` : ''}
+              </Paragraph>
+              <Text style={styles.sessionDate}>
+                Od {formatDate(activeLoan.lentAt)}
+                {activeLoan.dueAt ? `, zwrot do ${formatDate(activeLoan.dueAt)}` : ''}
+              </Text>
+              {daysOverdue > 0 && (
+                <Text style={styles.overdueText}>Przetrzymana o {daysOverdue} dni</Text>
+              )}
+            </>
+          ) : (
+            <Paragraph>Ksiazka jest na miejscu.</Paragraph>
+          )}
+          {pastLoans.map(loan => (
+            <View key={loan.id} style={styles.sessionRow}>
+              <Text style={styles.sessionPages} numberOfLines={1}>{loan.borrowerName}</Text>
+              <Text style={styles.sessionDate}>
+                {formatDate(loan.lentAt)} - {formatDate(loan.returnedAt)}
+              </Text>
+            </View>
+          ))}
+        </Card.Content>
+        <Card.Actions>
+          {activeLoan ? (
+            <Button icon="book-arrow-left" onPress={handleReturn}>
+              Oznacz zwrot
+            </Button>
+          ) : (
+            <Button icon="book-arrow-right" onPress={openLoanDialog}>
+              Wypozycz
+            </Button>
+          )}
+        </Card.Actions>
+      </Card>
+      
+      {completedReads.length > 0 && (
+        <Card style={styles.historyCard}>
+          <Card.Content>
+            <Title>Historia czytania</Title>
+            {completedReads.map((read, index) => {
+              const days = getReadDurationDays(read);
+              return (
+                <View key={`${read.finishedAt}_${index}`} style={styles.sessionRow}>
+                  <Text style={styles.sessionPages}>
+                    {read.startedAt ? `${formatDate(read.startedAt)} - ` : ''}{formatDate(read.finishedAt)}
+                  </Text>
+                  {days !== null && <Text style={styles.sessionDate}>{days} dni</Text>}
+                </View>
+              );
+            })}
+          </Card.Content>
+        </Card>
+      )}
+      
       {book.description ? (
         <Card style={styles.descriptionCard}>
           <Card.Content>
@@ -119,11 +378,73 @@ const BookDetailScreen = () => {
         </Button>
       </View>
       
+      <Portal>
+        <Dialog visible={sessionDialogVisible} onDismiss={() => setSessionDialogVisible(false)}>
+          <Dialog.Title>Sesja czytania</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              label="Skonczylem na stronie"
+              value={sessionEndPage}
+              onChangeText={setSessionEndPage}
+              keyboardType="numeric"
+              style={styles.dialogInput}
+            />
+            <TextInput
+              label="Czas czytania (min)"
+              value={sessionMinutes}
+              onChangeText={setSessionMinutes}
+              keyboardType="numeric"
+              style={styles.dialogInput}
+            />
+            {sessionError && <HelperText type="error">{sessionError}</HelperText>}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setSessionDialogVisible(false)}>Anuluj</Button>
+            <Button onPress={saveSession}>Zapisz</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+      
+      <Portal>
+        <Dialog visible={loanDialogVisible} onDismiss={() => setLoanDialogVisible(false)}>
+          <Dialog.Title>Wypozycz ksiazke</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              label="Komu"
+              value={borrowerName}
+              onChangeText={setBorrowerName}
+              maxLength={MAX_BORROWER_NAME_LENGTH}
+              style={styles.dialogInput}
+            />
+            <TextInput
+              label="Kontakt (opcjonalnie)"
+              value={borrowerContact}
+              onChangeText={setBorrowerContact}
+              style={styles.dialogInput}
+            />
+            <TextInput
+              label="Termin zwrotu (dni)"
+              value={loanDays}
+              onChangeText={setLoanDays}
+              keyboardType="numeric"
+              style={styles.dialogInput}
+            />
+            {loanError && <HelperText type="error">{loanError}</HelperText>}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setLoanDialogVisible(false)}>Anuluj</Button>
+            <Button onPress={saveLoan}>Zapisz</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+      
       <Portal>
         <Dialog visible={confirmDialogVisible} onDismiss={() => setConfirmDialogVisible(false)}>
           <Dialog.Title>Potwierdz usuniecie</Dialog.Title>
           <Dialog.Content>
-            <Paragraph>Czy na pewno chcesz usunac ksiazke "{book.title}"?</Paragraph>
+            <Paragraph>
+              Czy na pewno chcesz usunac ksiazke "{book.title}"? Trafi ona do kosza, skad mozna ja przywrocic przez {TRASH_RETENTION_DAYS} dni.
+            </Paragraph>
           </Dialog.Content>
           <Dialog.Actions>
             <Button onPress={() => setConfirmDialogVisible(false)}>Anuluj</Button>
@@ -202,9 +523,62 @@ const createStyles = (theme) => StyleSheet.create({
     fontSize: 12,
     color: theme.colors.textTertiary,
   },
+  tagsContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  tagChip: {
+    marginRight: 4,
+    marginBottom: 4,
+  },
   divider: {
     marginVertical: 16,
   },
+  progressCard: {
+    margin: 16,
+    marginTop: 0,
+    backgroundColor: theme.colors.card,
+  },
+  historyCard: {
+    margin: 16,
+    marginTop: 0,
+    backgroundColor: theme.colors.card,
+  },
+  progressBar: {
+    height: 6,
+    borderRadius: 3,
+    marginVertical: 8,
+    backgroundColor: theme.colors.border,
+  },
+  sessionSummary: {
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  sessionRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 2,
+  },
+  sessionDate: {
+    fontSize: 12,
+    color: theme.colors.textTertiary,
+  },
+  sessionPages: {
+    fontSize: 12,
+    color: theme.colors.text,
+  },
+  overdueText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: theme.colors.error,
+    marginTop: 4,
+  },
+  dialogInput: {
+    marginBottom: 8,
+  },
   descriptionCard: {
     margin: 16,
     marginTop: 0,
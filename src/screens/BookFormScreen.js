@@ -1,14 +1,21 @@
-import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, ScrollView, Image, TouchableOpacity, Alert, Platform } from 'react-native';
-import { TextInput, Button, Text, RadioButton, Title, HelperText } from 'react-native-paper';
+import React, { useState, useMemo } from 'react';
+import { View, StyleSheet, ScrollView, TouchableOpacity, Alert } from 'react-native';
+import { TextInput, Button, Text, RadioButton, Title, HelperText, Portal, Dialog, List, ActivityIndicator } from 'react-native-paper';
 import { useNavigation, useRoute } from '@react-navigation/native';
-import * as ImagePicker from 'expo-image-picker';
 import { Formik } from 'formik';
-import { useBookActions, BOOK_STATUS } from '../context/OptimizedBookContext';
+import { useBookState, useBookActions, BOOK_STATUS } from '../context/OptimizedBookContext';
 import { BookSchema } from '../utils/validation';
+import { toIsbn13 } from '../utils/isbn';
+import { getAllTags, normalizeTags } from '../utils/tags';
+import { MetadataService, applyMetadataToBook } from '../services/metadata';
 import { ErrorHandler } from '../utils/errorHandler';
-import { APP_CONFIG, SUCCESS_MESSAGES } from '../constants';
+import { ImageHandler } from '../utils/imageHandler';
+import { SUCCESS_MESSAGES } from '../constants';
 import StarRating from '../components/StarRating';
+import IsbnScanner from '../components/IsbnScanner';
+import TagInput from '../components/TagInput';
+import CoverImage from '../components/CoverImage';
+import CoverEditor from '../components/CoverEditor';
 import { useTheme } from '../context/ThemeContext';
 import { 
   spacing, 
@@ -21,11 +28,42 @@ import {
 } from '../utils/responsive';
 
 
+// Photos go to the cover editor at full detail; it crops and scales them to the cover size
+const EDITOR_PICKER_OPTIONS = {
+  allowsEditing: false,
+  saveToCache: false,
+  maxWidth: 2000,
+  maxHeight: 2000,
+};
+
+const toPageNumber = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+// Dates are edited as YYYY-MM-DD and stored as ISO timestamps
+const toDateInput = (isoString) => (isoString ? isoString.slice(0, 10) : '');
+
+const fromDateInput = (value, originalIsoString) => {
+  if (!value) return null;
+  if (originalIsoString && toDateInput(originalIsoString) === value) return originalIsoString;
+  return new Date(value).toISOString();
+};
+
 const BookFormScreen = () => {
   const navigation = useNavigation();
   const route = useRoute();
+  const { books } = useBookState();
   const { addBook, updateBook } = useBookActions();
   const { theme } = useTheme();
+  const [scannerVisible, setScannerVisible] = useState(false);
+  const [lookupLoading, setLookupLoading] = useState(false);
+  const [coverMenuVisible, setCoverMenuVisible] = useState(false);
+  const [editedCover, setEditedCover] = useState(null);
+  const [coverLoading, setCoverLoading] = useState(false);
+  
+  // Existing tags offered as autocomplete suggestions
+  const availableTags = useMemo(() => getAllTags(books).map(({ tag }) => tag), [books]);
   
   // Check if we're editing an existing book
   const isEditing = route.params?.isEditing || false;
@@ -33,7 +71,12 @@ const BookFormScreen = () => {
   
   // Initial form values
   const initialValues = isEditing
-    ? { ...existingBook }
+    ? {
+        ...existingBook,
+        startedAt: toDateInput(existingBook.startedAt),
+        finishedAt: toDateInput(existingBook.finishedAt),
+        tags: existingBook.tags || [],
+      }
     : {
         title: '',
         author: '',
@@ -42,53 +85,97 @@ const BookFormScreen = () => {
         status: BOOK_STATUS.WANT_TO_READ,
         rating: 0,
         coverImage: null,
+        isbn: '',
+        totalPages: '',
+        currentPage: '',
+        tags: [],
       };
 
-  // Request camera permissions
-  useEffect(() => {
-    (async () => {
-      if (Platform.OS !== 'web') {
-        const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
-        if (status !== 'granted') {
-          Alert.alert('Brak uprawnien', 'Potrzebujemy uprawnien do galerii, aby dodac zdjecie okladki.');
-        }
-      }
-    })();
-  }, []);
+  // Picked and photographed covers are straightened and cropped in the cover editor
+  const pickImage = () => {
+    setCoverMenuVisible(false);
+    ImageHandler.pickImageFromGallery(setEditedCover, EDITOR_PICKER_OPTIONS);
+  };
+
+  const takePhoto = () => {
+    setCoverMenuVisible(false);
+    ImageHandler.takePhotoWithCamera(setEditedCover, EDITOR_PICKER_OPTIONS);
+  };
 
-  const pickImage = async (setFieldValue) => {
-    const result = await ImagePicker.launchImageLibraryAsync({
-      mediaTypes: ImagePicker.MediaTypeOptions.Images,
-      allowsEditing: true,
-      aspect: APP_CONFIG.ASPECT_RATIO,
-      quality: APP_CONFIG.IMAGE_QUALITY,
-    });
+  const editCover = async (coverImage) => {
+    setCoverMenuVisible(false);
+    setCoverLoading(true);
+    try {
+      const image = await ImageHandler.loadCoverForEditing(coverImage);
+      if (image) setEditedCover(image);
+    } finally {
+      setCoverLoading(false);
+    }
+  };
 
-    if (!result.cancelled && result.assets && result.assets.length > 0) {
-      setFieldValue('coverImage', result.assets[0].uri);
+  const fetchCoverByIsbn = async (isbn, setFieldValue) => {
+    setCoverMenuVisible(false);
+    setCoverLoading(true);
+    try {
+      const result = await MetadataService.lookupByIsbn(isbn);
+      if (result?.metadata.coverUrl) {
+        setFieldValue('coverImage', result.metadata.coverUrl);
+      } else {
+        Alert.alert('Brak okladki', 'Nie znaleziono okladki dla tego ISBN w katalogu.');
+      }
+    } finally {
+      setCoverLoading(false);
     }
   };
 
-  const takePhoto = async (setFieldValue) => {
-    const { status } = await ImagePicker.requestCameraPermissionsAsync();
-    
-    if (status !== 'granted') {
-      Alert.alert('Brak uprawnien', 'Potrzebujemy uprawnien do kamery, aby zrobic zdjecie okladki.');
+  const removeCover = (setFieldValue) => {
+    setCoverMenuVisible(false);
+    setFieldValue('coverImage', null);
+  };
+
+  const fillFromCatalogue = async ({ isbn, title, author }, setValues) => {
+    if (!isbn && !title && !author) {
+      Alert.alert('Brak danych', 'Podaj ISBN, tytul lub autora, aby wyszukac ksiazke w katalogu.');
       return;
     }
-    
-    const result = await ImagePicker.launchCameraAsync({
-      allowsEditing: true,
-      aspect: APP_CONFIG.ASPECT_RATIO,
-      quality: APP_CONFIG.IMAGE_QUALITY,
-    });
 
-    if (!result.cancelled && result.assets && result.assets.length > 0) {
-      setFieldValue('coverImage', result.assets[0].uri);
+    setLookupLoading(true);
+    try {
+      // A mistyped ISBN finds nothing, so the title and author are tried as well
+      let result = isbn ? await MetadataService.lookupByIsbn(isbn) : null;
+      if (!result && (title || author)) {
+        result = await MetadataService.search({ title, author });
+      }
+
+      if (result) {
+        // Merged into the current form, so anything typed during the lookup is kept
+        setValues(current => applyMetadataToBook(result.metadata, current));
+      } else {
+        Alert.alert('Nie znaleziono', 'Nie znaleziono ksiazki w katalogu. Uzupelnij dane recznie.');
+      }
+    } finally {
+      setLookupLoading(false);
     }
   };
 
-  const handleSubmit = async (values) => {
+  const handleIsbnScanned = (isbn, values, setFieldValue, setValues) => {
+    setScannerVisible(false);
+    setFieldValue('isbn', isbn);
+    fillFromCatalogue({ ...values, isbn }, setValues);
+  };
+
+  const handleSubmit = async (formValues) => {
+    // Store ISBNs in canonical ISBN-13 form so lookups and duplicate checks match
+    const values = {
+      ...formValues,
+      isbn: formValues.isbn ? toIsbn13(formValues.isbn) : null,
+      totalPages: toPageNumber(formValues.totalPages),
+      currentPage: toPageNumber(formValues.currentPage) || 0,
+      startedAt: fromDateInput(formValues.startedAt, existingBook?.startedAt),
+      finishedAt: fromDateInput(formValues.finishedAt, existingBook?.finishedAt),
+      tags: normalizeTags(formValues.tags),
+    };
+
     await ErrorHandler.handleAsync(
       async () => {
         if (isEditing) {
@@ -112,29 +199,34 @@ const BookFormScreen = () => {
         validationSchema={BookSchema}
         onSubmit={handleSubmit}
       >
-        {({ handleChange, handleBlur, handleSubmit, values, errors, touched, setFieldValue }) => (
+        {({ handleChange, handleBlur, handleSubmit, values, errors, touched, setFieldValue, setValues }) => (
           <View style={styles.formContainer}>
+            <Button
+              mode="outlined"
+              icon="barcode-scan"
+              onPress={() => setScannerVisible(true)}
+              style={styles.scanButton}
+            >
+              Skanuj ISBN
+            </Button>
+
             <TouchableOpacity 
               style={styles.coverContainer} 
-              onPress={() => {
-                Alert.alert(
-                  'Wybierz zrodlo zdjecia',
-                  'Skad chcesz dodac zdjecie okladki?',
-                  [
-                    { text: 'Anuluj', style: 'cancel' },
-                    { text: 'Galeria', onPress: () => pickImage(setFieldValue) },
-                    { text: 'Aparat', onPress: () => takePhoto(setFieldValue) },
-                  ]
-                );
-              }}
+              onPress={() => setCoverMenuVisible(true)}
+              disabled={coverLoading}
             >
               {values.coverImage ? (
-                <Image source={{ uri: values.coverImage }} style={styles.coverImage} resizeMode="contain" />
+                <CoverImage uri={values.coverImage} style={styles.coverImage} resizeMode="contain" />
               ) : (
                 <View style={styles.placeholderCover}>
                   <Text style={styles.placeholderText}>Dotknij, aby dodac okladke</Text>
                 </View>
               )}
+              {coverLoading && (
+                <View style={styles.coverLoading}>
+                  <ActivityIndicator color={theme.colors.primary} />
+                </View>
+              )}
             </TouchableOpacity>
             
             <TextInput
@@ -161,6 +253,36 @@ const BookFormScreen = () => {
               <HelperText type="error">{errors.author}</HelperText>
             )}
             
+            <TextInput
+              label="ISBN"
+              value={values.isbn || ''}
+              onChangeText={handleChange('isbn')}
+              onBlur={handleBlur('isbn')}
+              style={styles.input}
+              keyboardType="numeric"
+              error={touched.isbn && errors.isbn}
+              right={
+                <TextInput.Icon
+                  icon="barcode-scan"
+                  onPress={() => setScannerVisible(true)}
+                />
+              }
+            />
+            {touched.isbn && errors.isbn && (
+              <HelperText type="error">{errors.isbn}</HelperText>
+            )}
+
+            <Button
+              mode="text"
+              icon="book-search"
+              onPress={() => fillFromCatalogue(values, setValues)}
+              loading={lookupLoading}
+              disabled={lookupLoading}
+              style={styles.lookupButton}
+            >
+              Uzupelnij z katalogu
+            </Button>
+            
             <TextInput
               label="Opis"
               value={values.description}
@@ -171,6 +293,45 @@ const BookFormScreen = () => {
               numberOfLines={4}
             />
             
+            <View style={styles.pagesRow}>
+              <View style={styles.pagesInput}>
+                <TextInput
+                  label="Liczba stron"
+                  value={values.totalPages ? String(values.totalPages) : ''}
+                  onChangeText={handleChange('totalPages')}
+                  onBlur={handleBlur('totalPages')}
+                  style={styles.input}
+                  keyboardType="numeric"
+                  error={touched.totalPages && errors.totalPages}
+                />
+                {touched.totalPages && errors.totalPages && (
+                  <HelperText type="error">{errors.totalPages}</HelperText>
+                )}
+              </View>
+              <View style={styles.pagesInput}>
+                <TextInput
+                  label="Aktualna strona"
+                  value={values.currentPage ? String(values.currentPage) : ''}
+                  onChangeText={handleChange('currentPage')}
+                  onBlur={handleBlur('currentPage')}
+                  style={styles.input}
+                  keyboardType="numeric"
+                  error={touched.currentPage && errors.currentPage}
+                />
+                {touched.currentPage && errors.currentPage && (
+                  <HelperText type="error">{errors.currentPage}</HelperText>
+                )}
+              </View>
+            </View>
+            
+            <Title style={styles.sectionTitle}>Tagi</Title>
+            <TagInput
+              value={values.tags || []}
+              onChange={tags => setFieldValue('tags', tags)}
+              availableTags={availableTags}
+              error={typeof errors.tags === 'string' ? errors.tags : undefined}
+            />
+            
             <Title style={styles.sectionTitle}>Status *</Title>
             <RadioButton.Group
               onValueChange={value => setFieldValue('status', value)}
@@ -190,6 +351,39 @@ const BookFormScreen = () => {
               </View>
             </RadioButton.Group>
             
+            {isEditing && (
+              <View style={styles.pagesRow}>
+                <View style={styles.pagesInput}>
+                  <TextInput
+                    label="Data rozpoczecia"
+                    placeholder="RRRR-MM-DD"
+                    value={values.startedAt || ''}
+                    onChangeText={handleChange('startedAt')}
+                    onBlur={handleBlur('startedAt')}
+                    style={styles.input}
+                    error={touched.startedAt && errors.startedAt}
+                  />
+                  {touched.startedAt && errors.startedAt && (
+                    <HelperText type="error">{errors.startedAt}</HelperText>
+                  )}
+                </View>
+                <View style={styles.pagesInput}>
+                  <TextInput
+                    label="Data ukonczenia"
+                    placeholder="RRRR-MM-DD"
+                    value={values.finishedAt || ''}
+                    onChangeText={handleChange('finishedAt')}
+                    onBlur={handleBlur('finishedAt')}
+                    style={styles.input}
+                    error={touched.finishedAt && errors.finishedAt}
+                  />
+                  {touched.finishedAt && errors.finishedAt && (
+                    <HelperText type="error">{errors.finishedAt}</HelperText>
+                  )}
+                </View>
+              </View>
+            )}
+            
             <Title style={styles.sectionTitle}>Ocena</Title>
             <View style={styles.ratingContainer}>
               <StarRating 
@@ -225,6 +419,65 @@ const BookFormScreen = () => {
                 Anuluj
               </Button>
             </View>
+
+            <IsbnScanner
+              visible={scannerVisible}
+              onScanned={(isbn) => handleIsbnScanned(isbn, values, setFieldValue, setValues)}
+              onDismiss={() => setScannerVisible(false)}
+            />
+
+            <CoverEditor
+              image={editedCover}
+              onSave={(cover) => {
+                setEditedCover(null);
+                setFieldValue('coverImage', cover.uri);
+              }}
+              onDismiss={() => setEditedCover(null)}
+            />
+
+            <Portal>
+              <Dialog visible={coverMenuVisible} onDismiss={() => setCoverMenuVisible(false)}>
+                <Dialog.Title>Okladka</Dialog.Title>
+                <Dialog.Content>
+                  <List.Item
+                    title="Zrob zdjecie"
+                    description="Okladke mozna wyprostowac i przyciac"
+                    left={props => <List.Icon {...props} icon="camera" />}
+                    onPress={takePhoto}
+                  />
+                  <List.Item
+                    title="Wybierz z galerii"
+                    left={props => <List.Icon {...props} icon="image" />}
+                    onPress={pickImage}
+                  />
+                  <List.Item
+                    title="Pobierz z katalogu"
+                    description={values.isbn ? `ISBN ${values.isbn}` : 'Najpierw podaj ISBN'}
+                    left={props => <List.Icon {...props} icon="book-search" />}
+                    onPress={() => fetchCoverByIsbn(values.isbn, setFieldValue)}
+                    disabled={!values.isbn}
+                  />
+                  {values.coverImage && (
+                    <List.Item
+                      title="Edytuj okladke"
+                      description="Obrot, kadrowanie i prostowanie"
+                      left={props => <List.Icon {...props} icon="crop-rotate" />}
+                      onPress={() => editCover(values.coverImage)}
+                    />
+                  )}
+                  {values.coverImage && (
+                    <List.Item
+                      title="Usun okladke"
+                      left={props => <List.Icon {...props} icon="delete" color={theme.colors.error} />}
+                      onPress={() => removeCover(setFieldValue)}
+                    />
+                  )}
+                </Dialog.Content>
+                <Dialog.Actions>
+                  <Button onPress={() => setCoverMenuVisible(false)}>Anuluj</Button>
+                </Dialog.Actions>
+              </Dialog>
+            </Portal>
           </View>
         )}
       </Formik>
@@ -249,6 +502,14 @@ const createStyles = (theme) => {
       alignSelf: 'center',
       width: '100%',
     },
+    scanButton: {
+      marginBottom: spacing.md,
+      borderColor: theme.colors.primary,
+    },
+    lookupButton: {
+      alignSelf: 'flex-start',
+      marginBottom: spacing.sm,
+    },
     coverContainer: {
       alignSelf: 'center',
       width: coverWidth,
@@ -261,6 +522,12 @@ const createStyles = (theme) => {
       width: '100%',
       height: '100%',
     },
+    coverLoading: {
+      ...StyleSheet.absoluteFillObject,
+      justifyContent: 'center',
+      alignItems: 'center',
+      backgroundColor: 'rgba(0, 0, 0, 0.3)',
+    },
     placeholderCover: {
       width: '100%',
       height: '100%',
@@ -279,6 +546,14 @@ const createStyles = (theme) => {
       backgroundColor: theme.colors.surface,
       height: getFormInputHeight(),
     },
+    pagesRow: {
+      flexDirection: 'row',
+      marginHorizontal: -spacing.xs,
+    },
+    pagesInput: {
+      flex: 1,
+      marginHorizontal: spacing.xs,
+    },
     sectionTitle: {
       fontSize: responsiveFontSize(16),
       marginTop: spacing.sm,
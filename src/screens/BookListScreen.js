@@ -1,11 +1,18 @@
-import React, { useState, useEffect } from 'react';
-import { View, StyleSheet, FlatList, Dimensions, TouchableOpacity } from 'react-native';
-import { Searchbar, FAB, Chip, Menu, Divider, Text } from 'react-native-paper';
-import { useNavigation } from '@react-navigation/native';
+import React, { useState, useEffect, useMemo } from 'react';
+import { View, StyleSheet, FlatList, Dimensions, TouchableOpacity, ScrollView } from 'react-native';
+import { Searchbar, FAB, Chip, Menu, Divider, Text, Snackbar, Banner } from 'react-native-paper';
+import { useNavigation, useRoute } from '@react-navigation/native';
 import { useBookState, useBookActions, BOOK_STATUS } from '../context/OptimizedBookContext';
 import BookItem from '../components/BookItem';
 import OfflineIndicator from '../components/OfflineIndicator';
+import ReadingGoalProgress from '../components/ReadingGoalProgress';
 import { useTheme } from '../context/ThemeContext';
+import { getAllTags, TAG_FILTER_MODES } from '../utils/tags';
+import { useShelves } from '../context/ShelfContext';
+import { getBooksOnShelf } from '../utils/shelves';
+import { isBookOverdue } from '../utils/loans';
+import { useBookQuery } from '../hooks/useBookQuery';
+import { useSyncConflicts } from '../hooks/useSyncConflicts';
 import { 
   spacing, 
   responsiveFontSize, 
@@ -16,46 +23,59 @@ import {
 
 const BookListScreen = () => {
   const navigation = useNavigation();
-  const { books, loading, isOffline, queuedOperations } = useBookState();
-  const { forceSync } = useBookActions();
+  const route = useRoute();
+  const { books: allBooks, loading, isOffline, queuedOperations } = useBookState();
+  const { shelves } = useShelves();
+  const { forceSync, restoreBook } = useBookActions();
   const { theme } = useTheme();
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedStatus, setSelectedStatus] = useState(null);
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [tagFilterMode, setTagFilterMode] = useState(TAG_FILTER_MODES.OR);
+  const [overdueOnly, setOverdueOnly] = useState(false);
   const [sortMenuVisible, setSortMenuVisible] = useState(false);
   const [sortBy, setSortBy] = useState('dateAdded');
   const [sortOrder, setSortOrder] = useState('desc');
+  const [trashedBookId, setTrashedBookId] = useState(null);
+  const { conflicts } = useSyncConflicts();
 
-  // Filter books based on search query and selected status
-  const filteredBooks = (books || []).filter(book => {
-    const matchesSearch = 
-      book.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      book.author.toLowerCase().includes(searchQuery.toLowerCase());
-    
-    const matchesStatus = selectedStatus ? book.status === selectedStatus : true;
-    
-    return matchesSearch && matchesStatus;
-  });
+  // Shelf-scoped view when opened from the Shelves screen
+  const shelfId = route.params?.shelfId;
+  const shelf = shelfId ? shelves.find(existing => existing.id === shelfId) : null;
+  const books = useMemo(
+    () => (shelfId ? getBooksOnShelf(allBooks || [], shelf || { bookIds: [] }) : allBooks),
+    [allBooks, shelf, shelfId]
+  );
+
+  const availableTags = useMemo(() => getAllTags(books || []).map(({ tag }) => tag), [books]);
+  const overdueCount = useMemo(() => (books || []).filter(book => isBookOverdue(book)).length, [books]);
+
+  // Filter and sort by search query, status, tags and overdue loans, one page at a time
+  const bookQuery = useMemo(() => ({
+    search: searchQuery,
+    status: selectedStatus,
+    tags: selectedTags,
+    tagMode: tagFilterMode,
+    overdueOnly,
+    sortBy,
+    sortOrder,
+  }), [searchQuery, selectedStatus, selectedTags, tagFilterMode, overdueOnly, sortBy, sortOrder]);
 
-  // Sort books based on selected criteria
-  const sortedBooks = [...filteredBooks].sort((a, b) => {
-    if (sortBy === 'title') {
-      return sortOrder === 'asc' 
-        ? a.title.localeCompare(b.title)
-        : b.title.localeCompare(a.title);
-    } else if (sortBy === 'author') {
-      return sortOrder === 'asc' 
-        ? a.author.localeCompare(b.author)
-        : b.author.localeCompare(a.author);
-    } else if (sortBy === 'rating') {
-      return sortOrder === 'asc' 
-        ? a.rating - b.rating
-        : b.rating - a.rating;
-    } else { // dateAdded
-      return sortOrder === 'asc' 
-        ? new Date(a.dateAdded) - new Date(b.dateAdded)
-        : new Date(b.dateAdded) - new Date(a.dateAdded);
+  const { books: visibleBooks, total, hasMore, loadMore } = useBookQuery(books, bookQuery);
+
+  // Book just deleted on the detail screen - offer to undo
+  useEffect(() => {
+    if (route.params?.trashedBookId) {
+      setTrashedBookId(route.params.trashedBookId);
+      navigation.setParams({ trashedBookId: undefined });
     }
-  });
+  }, [route.params?.trashedBookId, navigation]);
+
+  const undoDelete = () => {
+    restoreBook(trashedBookId).catch(error => {
+      console.error('Error restoring book:', error);
+    });
+  };
 
   const onChangeSearch = query => setSearchQuery(query);
 
@@ -63,6 +83,16 @@ const BookListScreen = () => {
     setSelectedStatus(selectedStatus === status ? null : status);
   };
 
+  const handleTagFilter = tag => {
+    setSelectedTags(selectedTags.includes(tag)
+      ? selectedTags.filter(selected => selected !== tag)
+      : [...selectedTags, tag]);
+  };
+
+  const toggleTagFilterMode = () => {
+    setTagFilterMode(tagFilterMode === TAG_FILTER_MODES.OR ? TAG_FILTER_MODES.AND : TAG_FILTER_MODES.OR);
+  };
+
   const handleSortOption = (option) => {
     if (sortBy === option) {
       // Toggle sort order if same option is selected
@@ -88,6 +118,15 @@ const BookListScreen = () => {
     <View style={styles.container}>
       <OfflineIndicator />
       
+      <Banner
+        visible={conflicts.length > 0}
+        icon="source-merge"
+        actions={[{ label: 'Rozwiaz', onPress: () => navigation.navigate('Conflicts') }]}
+      >
+        {`Konflikty synchronizacji: ${conflicts.length}. Wybierz, ktore zmiany zachowac.`}
+      </Banner>
+      
+      {!shelfId && <ReadingGoalProgress books={books || []} />}
       
       <Searchbar
         placeholder="Szukaj ksiazke lub autora"
@@ -119,6 +158,41 @@ const BookListScreen = () => {
           >
             {BOOK_STATUS.WANT_TO_READ}
           </Chip>
+          {(overdueCount > 0 || overdueOnly) && (
+            <Chip
+              icon="clock-alert-outline"
+              selected={overdueOnly}
+              onPress={() => setOverdueOnly(!overdueOnly)}
+              style={styles.filterChip}
+            >
+              {`Przetrzymane (${overdueCount})`}
+            </Chip>
+          )}
+          {availableTags.length > 0 && (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.tagFilters}>
+              {selectedTags.length > 1 && (
+                <Chip
+                  icon={tagFilterMode === TAG_FILTER_MODES.AND ? 'set-center' : 'set-all'}
+                  onPress={toggleTagFilterMode}
+                  style={styles.filterChip}
+                >
+                  {tagFilterMode === TAG_FILTER_MODES.AND ? 'Wszystkie tagi' : 'Dowolny tag'}
+                </Chip>
+              )}
+              {availableTags.map(tag => (
+                <Chip
+                  key={tag}
+                  icon="tag-outline"
+                  mode="outlined"
+                  selected={selectedTags.includes(tag)}
+                  onPress={() => handleTagFilter(tag)}
+                  style={styles.filterChip}
+                >
+                  {tag}
+                </Chip>
+              ))}
+            </ScrollView>
+          )}
         </View>
         
         <Menu
@@ -153,20 +227,24 @@ const BookListScreen = () => {
         </Menu>
       </View>
       
-      {sortedBooks.length === 0 ? (
+      {total === 0 ? (
         <View style={styles.emptyContainer}>
           <Text style={styles.emptyText}>
             {books.length === 0 
-              ? 'Nie masz jeszcze zadnych ksiazek. Dodaj pierwsza!'
+              ? (shelfId
+                ? 'Ta polka jest pusta. Dodaj ksiazki z ekranu szczegolow ksiazki.'
+                : 'Nie masz jeszcze zadnych ksiazek. Dodaj pierwsza!')
               : 'Brak ksiazek spelniajacych kryteria wyszukiwania.'}
           </Text>
         </View>
       ) : (
         <FlatList
-          data={sortedBooks}
+          data={visibleBooks}
           renderItem={renderItem}
           keyExtractor={item => item.id}
           contentContainerStyle={styles.listContent}
+          onEndReached={hasMore ? loadMore : undefined}
+          onEndReachedThreshold={0.5}
         />
       )}
       
@@ -176,6 +254,13 @@ const BookListScreen = () => {
         onPress={() => navigation.navigate('BookForm')}
       />
       
+      <Snackbar
+        visible={Boolean(trashedBookId)}
+        onDismiss={() => setTrashedBookId(null)}
+        action={{ label: 'Cofnij', onPress: undoDelete }}
+      >
+        Ksiazka przeniesiona do kosza
+      </Snackbar>
     </View>
   );
 };
@@ -210,6 +295,10 @@ const createStyles = (theme) => {
       marginRight: spacing.xs,
       marginBottom: spacing.xs,
     },
+    tagFilters: {
+      flexBasis: '100%',
+      flexGrow: 0,
+    },
     sortChip: {
       marginLeft: isTabletDevice ? spacing.xs : 0,
       alignSelf: isTabletDevice ? 'flex-end' : 'flex-start',
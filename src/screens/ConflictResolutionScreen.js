@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Text, Card, Button, SegmentedButtons, Divider } from 'react-native-paper';
+import { useTheme } from '../context/ThemeContext';
+import { useSyncConflicts } from '../hooks/useSyncConflicts';
+import {
+  FIELD_CHOICES,
+  canMergeField,
+  formatFieldValue,
+  getConflictingFields,
+  resolveConflictFields,
+} from '../utils/conflicts';
+import { spacing, responsiveFontSize } from '../utils/responsive';
+
+const getChoiceButtons = (field) => [
+  { value: FIELD_CHOICES.MINE, label: 'Moje' },
+  { value: FIELD_CHOICES.THEIRS, label: 'Z serwera' },
+  ...(canMergeField(field) ? [{ value: FIELD_CHOICES.MERGE, label: 'Polacz' }] : []),
+];
+
+const ConflictResolutionScreen = () => {
+  const { theme } = useTheme();
+  const { conflicts, resolveConflict } = useSyncConflicts();
+  // { [conflictKey]: { [fieldKey]: choice } }
+  const [choices, setChoices] = useState({});
+  const [savingKey, setSavingKey] = useState(null);
+
+  const styles = createStyles(theme);
+
+  const setChoice = (conflictKey, fieldKey, choice) => {
+    setChoices(current => ({
+      ...current,
+      [conflictKey]: { ...current[conflictKey], [fieldKey]: choice },
+    }));
+  };
+
+  const saveConflict = async (conflict) => {
+    setSavingKey(conflict.key);
+
+    try {
+      const resolved = resolveConflictFields(conflict.entity, conflict.local, conflict.server, choices[conflict.key]);
+      await resolveConflict(conflict.key, resolved);
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      Alert.alert('Blad', 'Nie udalo sie zapisac wybranej wersji. Sprobuj ponownie po polaczeniu z internetem.');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (conflicts.length === 0) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Text style={styles.emptyText}>Brak konfliktow do rozwiazania.</Text>
+      </View>
+    );
+  }
+
+  const renderConflict = (conflict) => {
+    // After an automatic merge only the fields it could not combine are left to choose
+    const fields = getConflictingFields(conflict.entity, conflict.local, conflict.server)
+      .filter(field => !conflict.fields || conflict.fields.includes(field.key));
+    const conflictChoices = choices[conflict.key] || {};
+    const title = conflict.server.title || conflict.server.name || conflict.local.title || conflict.local.name;
+
+    return (
+      <Card key={conflict.key} style={styles.card}>
+        <Card.Title
+          title={title}
+          subtitle={conflict.entity === 'shelf' ? 'Polka' : conflict.server.author}
+        />
+        <Card.Content>
+          {fields.length === 0 ? (
+            <Text style={styles.fieldValue}>Wersje roznia sie tylko danymi technicznymi - zostanie zapisana Twoja.</Text>
+          ) : fields.map((field, index) => (
+            <View key={field.key}>
+              {index > 0 && <Divider style={styles.divider} />}
+              <Text style={styles.fieldLabel}>{field.label}</Text>
+              <View style={styles.values}>
+                <View style={styles.value}>
+                  <Text style={styles.valueHeader}>Moje</Text>
+                  <Text style={styles.fieldValue}>{formatFieldValue(field, conflict.local[field.key])}</Text>
+                </View>
+                <View style={styles.value}>
+                  <Text style={styles.valueHeader}>Z serwera</Text>
+                  <Text style={styles.fieldValue}>{formatFieldValue(field, conflict.server[field.key])}</Text>
+                </View>
+              </View>
+              <SegmentedButtons
+                value={conflictChoices[field.key] || FIELD_CHOICES.MINE}
+                onValueChange={choice => setChoice(conflict.key, field.key, choice)}
+                buttons={getChoiceButtons(field)}
+                density="small"
+              />
+            </View>
+          ))}
+        </Card.Content>
+        <Card.Actions>
+          <Button
+            mode="contained"
+            onPress={() => saveConflict(conflict)}
+            loading={savingKey === conflict.key}
+            disabled={savingKey !== null}
+          >
+            Zapisz
+          </Button>
+        </Card.Actions>
+      </Card>
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.hint}>
+        Te zmiany zapisano bez polaczenia, a w miedzyczasie zmieniono je na innym urzadzeniu. Wybierz wersje kazdego pola.
+      </Text>
+      {conflicts.map(renderConflict)}
+    </ScrollView>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  content: {
+    padding: spacing.sm,
+  },
+  hint: {
+    padding: spacing.sm,
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.textSecondary,
+  },
+  card: {
+    marginBottom: spacing.md,
+  },
+  divider: {
+    marginVertical: spacing.sm,
+  },
+  fieldLabel: {
+    fontSize: responsiveFontSize(14),
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  values: {
+    flexDirection: 'row',
+    marginVertical: spacing.xs,
+  },
+  value: {
+    flex: 1,
+    paddingRight: spacing.sm,
+  },
+  valueHeader: {
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.textSecondary,
+  },
+  fieldValue: {
+    fontSize: responsiveFontSize(14),
+    color: theme.colors.text,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+    backgroundColor: theme.colors.background,
+  },
+  emptyText: {
+    fontSize: responsiveFontSize(16),
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+  },
+});
+
+export default ConflictResolutionScreen;
@@ -0,0 +1,306 @@
+import React, { useState, useMemo } from 'react';
+import { View, StyleSheet, FlatList, ScrollView, Alert } from 'react-native';
+import { Text, Button, List, Switch, Dialog, Portal, Divider, Chip, HelperText } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import { useBookState, useBookActions } from '../context/OptimizedBookContext';
+import { useTheme } from '../context/ThemeContext';
+import {
+  CSV_FORMATS,
+  IMPORT_FIELDS,
+  readCsvForImport,
+  buildImportPreview,
+  getImportableBooks,
+} from '../utils/csvImport';
+import { spacing, responsiveFontSize } from '../utils/responsive';
+
+const FORMAT_LABELS = {
+  [CSV_FORMATS.GOODREADS]: 'Goodreads',
+  [CSV_FORMATS.STORYGRAPH]: 'StoryGraph',
+  [CSV_FORMATS.GENERIC]: 'CSV',
+};
+
+const STEPS = {
+  PICK: 'pick',
+  MAP: 'map',
+  PREVIEW: 'preview',
+};
+
+const ImportScreen = () => {
+  const navigation = useNavigation();
+  const { books } = useBookState();
+  const { importBooks } = useBookActions();
+  const { theme } = useTheme();
+  const [step, setStep] = useState(STEPS.PICK);
+  const [fileName, setFileName] = useState(null);
+  const [csv, setCsv] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [mappingField, setMappingField] = useState(null);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const styles = createStyles(theme);
+
+  const preview = useMemo(
+    () => (csv && step === STEPS.PREVIEW ? buildImportPreview(csv.rows, mapping, books || []) : []),
+    [csv, mapping, books, step]
+  );
+  const importableBooks = useMemo(
+    () => getImportableBooks(preview, { skipDuplicates }),
+    [preview, skipDuplicates]
+  );
+  const invalidCount = preview.filter(item => Object.keys(item.errors).length > 0).length;
+  const duplicateCount = preview.filter(item => item.duplicate).length;
+  const missingRequired = IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === null);
+
+  const pickFile = async () => {
+    setError(null);
+
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/csv', 'text/comma-separated-values', 'text/plain'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const [file] = result.assets;
+      const content = await FileSystem.readAsStringAsync(file.uri);
+      const parsed = readCsvForImport(content);
+
+      setFileName(file.name);
+      setCsv(parsed);
+      setMapping(parsed.mapping);
+      setStep(STEPS.MAP);
+    } catch (pickError) {
+      console.error('Error reading CSV file:', pickError);
+      setError('Nie udalo sie odczytac pliku CSV');
+    }
+  };
+
+  const selectColumn = (columnIndex) => {
+    setMapping({ ...mapping, [mappingField]: columnIndex });
+    setMappingField(null);
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+
+    try {
+      const imported = await importBooks(importableBooks);
+      Alert.alert('Import zakonczony', `Zaimportowano ksiazek: ${imported.length}`);
+      navigation.goBack();
+    } catch (importError) {
+      console.error('Error importing CSV:', importError);
+      Alert.alert('Blad', 'Nie udalo sie zaimportowac ksiazek.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const renderPreviewRow = ({ item }) => {
+    const errors = Object.values(item.errors);
+
+    return (
+      <View style={styles.previewRow}>
+        <View style={styles.previewInfo}>
+          <Text style={styles.previewTitle} numberOfLines={1}>
+            {item.book.title || '(brak tytulu)'}
+          </Text>
+          <Text style={styles.previewAuthor} numberOfLines={1}>
+            {item.book.author || '(brak autora)'} · {item.book.status}
+          </Text>
+          {errors.length > 0 && (
+            <Text style={styles.previewError}>{errors.join(', ')}</Text>
+          )}
+        </View>
+        {item.duplicate && (
+          <Chip compact style={styles.duplicateChip}>
+            {item.duplicate === 'library' ? 'W bibliotece' : 'Powtorzona'}
+          </Chip>
+        )}
+      </View>
+    );
+  };
+
+  if (step === STEPS.PICK) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <Text style={styles.intro}>
+          Wybierz plik CSV z lista ksiazek. Eksporty z Goodreads i StoryGraph sa rozpoznawane automatycznie.
+        </Text>
+        <Button mode="contained" icon="file-upload" onPress={pickFile}>
+          Wybierz plik
+        </Button>
+        {error && <HelperText type="error">{error}</HelperText>}
+      </View>
+    );
+  }
+
+  if (step === STEPS.MAP) {
+    return (
+      <View style={styles.container}>
+        <ScrollView>
+          <List.Section>
+            <List.Subheader>
+              {fileName} · {FORMAT_LABELS[csv.format]} · wierszy: {csv.rows.length}
+            </List.Subheader>
+            {IMPORT_FIELDS.map(field => (
+              <List.Item
+                key={field.key}
+                title={field.required ? `${field.label} *` : field.label}
+                description={mapping[field.key] !== null ? csv.headers[mapping[field.key]] : 'Pomin'}
+                left={props => <List.Icon {...props} icon="table-column" />}
+                onPress={() => setMappingField(field.key)}
+              />
+            ))}
+          </List.Section>
+        </ScrollView>
+
+        {missingRequired.length > 0 && (
+          <HelperText type="error" style={styles.footerText}>
+            Wybierz kolumny: {missingRequired.map(field => field.label).join(', ')}
+          </HelperText>
+        )}
+        <View style={styles.footer}>
+          <Button onPress={() => setStep(STEPS.PICK)}>Wstecz</Button>
+          <Button mode="contained" disabled={missingRequired.length > 0} onPress={() => setStep(STEPS.PREVIEW)}>
+            Podglad
+          </Button>
+        </View>
+
+        <Portal>
+          <Dialog visible={mappingField !== null} onDismiss={() => setMappingField(null)}>
+            <Dialog.Title>Kolumna</Dialog.Title>
+            <Dialog.ScrollArea>
+              <ScrollView>
+                <List.Item title="Pomin" onPress={() => selectColumn(null)} />
+                {csv.headers.map((header, index) => (
+                  <List.Item
+                    key={`${header}_${index}`}
+                    title={header}
+                    description={csv.rows[0]?.[index]}
+                    descriptionNumberOfLines={1}
+                    right={props => (mappingField && mapping[mappingField] === index
+                      ? <List.Icon {...props} icon="check" />
+                      : null)}
+                    onPress={() => selectColumn(index)}
+                  />
+                ))}
+              </ScrollView>
+            </Dialog.ScrollArea>
+          </Dialog>
+        </Portal>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.summary}>
+        <Text style={styles.summaryText}>
+          Wierszy: {preview.length}, bledy: {invalidCount}, duplikaty: {duplicateCount}
+        </Text>
+        <View style={styles.switchRow}>
+          <Text style={styles.summaryText}>Pomin duplikaty</Text>
+          <Switch value={skipDuplicates} onValueChange={setSkipDuplicates} />
+        </View>
+      </View>
+      <Divider />
+
+      <FlatList
+        data={preview}
+        renderItem={renderPreviewRow}
+        keyExtractor={item => String(item.index)}
+        contentContainerStyle={styles.listContent}
+      />
+
+      <View style={styles.footer}>
+        <Button onPress={() => setStep(STEPS.MAP)} disabled={importing}>Wstecz</Button>
+        <Button
+          mode="contained"
+          onPress={handleImport}
+          loading={importing}
+          disabled={importing || importableBooks.length === 0}
+        >
+          Importuj ({importableBooks.length})
+        </Button>
+      </View>
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+  intro: {
+    fontSize: responsiveFontSize(16),
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+    marginBottom: spacing.lg,
+  },
+  summary: {
+    padding: spacing.md,
+  },
+  summaryText: {
+    color: theme.colors.text,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: spacing.sm,
+  },
+  listContent: {
+    padding: spacing.sm,
+  },
+  previewRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.sm,
+    marginBottom: spacing.xs,
+    borderRadius: 8,
+    backgroundColor: theme.colors.card,
+  },
+  previewInfo: {
+    flex: 1,
+    minWidth: 0,
+  },
+  previewTitle: {
+    fontSize: responsiveFontSize(14),
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  previewAuthor: {
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.textSecondary,
+  },
+  previewError: {
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.error,
+    marginTop: spacing.xs / 2,
+  },
+  duplicateChip: {
+    marginLeft: spacing.xs,
+  },
+  footerText: {
+    paddingHorizontal: spacing.md,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    padding: spacing.md,
+    borderTopWidth: 1,
+    borderTopColor: theme.colors.border,
+  },
+});
+
+export default ImportScreen;
@@ -1,17 +1,58 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ScrollView, Alert } from 'react-native';
-import { List, Switch, Button, Divider, Text, Dialog, Portal, Paragraph } from 'react-native-paper';
+import { List, Switch, Button, Divider, Text, Dialog, Portal, Paragraph, TextInput, HelperText, SegmentedButtons, Checkbox, RadioButton } from 'react-native-paper';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { useBookActions } from '../context/OptimizedBookContext';
+import { useNavigation } from '@react-navigation/native';
+import { useBookState, useBookActions } from '../context/OptimizedBookContext';
+import { OfflineManager } from '../utils/offlineManager';
+import { CoverCache } from '../services/coverCache';
+import { CONFLICT_ENTITIES, CONFLICT_STRATEGIES, CONFLICT_STRATEGY_LABELS } from '../utils/conflicts';
+import { useSyncConflicts } from '../hooks/useSyncConflicts';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import { useGoals } from '../context/GoalContext';
+import { GOAL_TYPES } from '../utils/readingGoals';
+import { useReminders } from '../context/ReminderContext';
+import { REMINDER_CATEGORIES } from '../utils/reminders';
+import { CSV_EXPORT_COLUMNS, exportBooksToCsv } from '../utils/storage';
+import { TRASH_RETENTION_DAYS } from '../utils/trash';
+import { STORAGE_KEYS } from '../constants';
+import { getExportFileName, shareTextFile } from '../utils/shareFile';
+import BackupRestoreSection from '../components/BackupRestoreSection';
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 
 const SettingsScreen = () => {
+  const navigation = useNavigation();
+  const { books, trashedBooks } = useBookState();
   const { clearAllBooks } = useBookActions();
   const { user, signOut } = useAuth();
   const { isDarkMode, toggleTheme, theme } = useTheme();
   const [confirmDialogVisible, setConfirmDialogVisible] = useState(false);
   const [logoutDialogVisible, setLogoutDialogVisible] = useState(false);
+  const { getGoalForYear, saveGoal, removeGoal } = useGoals();
+  const [goalDialogVisible, setGoalDialogVisible] = useState(false);
+  const [goalType, setGoalType] = useState(GOAL_TYPES.BOOKS);
+  const [yearlyTarget, setYearlyTarget] = useState('');
+  const [monthlyTarget, setMonthlyTarget] = useState('');
+  const [goalError, setGoalError] = useState(null);
+  const [exportDialogVisible, setExportDialogVisible] = useState(false);
+  const [exportColumns, setExportColumns] = useState(CSV_EXPORT_COLUMNS.map(column => column.key));
+  const [exportDelimiter, setExportDelimiter] = useState(',');
+  const { settings: reminderSettings, updateSettings: updateReminderSettings } = useReminders();
+  const { conflicts } = useSyncConflicts();
+  const [conflictStrategies, setConflictStrategies] = useState(() => Object.fromEntries(
+    CONFLICT_ENTITIES.map(entity => [entity.key, OfflineManager.getConflictResolutionStrategy(entity.key)])
+  ));
+  const [strategyEntity, setStrategyEntity] = useState(null);
+  const [coverCacheInfo, setCoverCacheInfo] = useState(null);
+
+  useEffect(() => {
+    CoverCache.getCacheInfo().then(setCoverCacheInfo).catch(() => {});
+  }, []);
+
+  const currentYear = new Date().getFullYear();
+  const currentGoal = getGoalForYear(currentYear);
 
   const handleSignOut = async () => {
     try {
@@ -27,19 +68,137 @@ const SettingsScreen = () => {
 
   const clearAllData = async () => {
     try {
-      // Clear all books using BookContext
+      // Books go to the trash; stored lists and the sync queue stay so they can be restored and synced
       await clearAllBooks();
+
+      // Reset settings
+      await AsyncStorage.multiRemove([
+        STORAGE_KEYS.THEME,
+        STORAGE_KEYS.USER_PREFERENCES,
+        STORAGE_KEYS.METADATA_CACHE,
+        STORAGE_KEYS.REMINDER_SETTINGS,
+        STORAGE_KEYS.BACKUP_SETTINGS,
+      ]);
       
-      // Clear remaining AsyncStorage data (theme, etc.)
-      await AsyncStorage.clear();
-      
-      Alert.alert('Dane wyczyszczone', 'Wszystkie dane zostaly usuniete.');
+      Alert.alert('Dane wyczyszczone', `Ksiazki przeniesiono do kosza - mozna je przywrocic przez ${TRASH_RETENTION_DAYS} dni.`);
     } catch (error) {
       console.error('Error clearing data:', error);
       Alert.alert('Blad', 'Nie udalo sie wyczyscic wszystkich danych.');
     }
   };
 
+  const handleClearCoverCache = () => {
+    Alert.alert(
+      'Wyczysc pamiec okladek',
+      'Okladki zostana ponownie pobrane przy nastepnym wyswietleniu. Zdjecia, ktore nie zostaly jeszcze wyslane, zostana zachowane.',
+      [
+        { text: 'Anuluj', style: 'cancel' },
+        {
+          text: 'Wyczysc',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const usedCovers = [...(books || []), ...(trashedBooks || [])]
+                .map(book => book.coverImage)
+                .filter(Boolean);
+              await CoverCache.clear(usedCovers);
+              setCoverCacheInfo(await CoverCache.getCacheInfo());
+            } catch (error) {
+              console.error('Error clearing cover cache:', error);
+              Alert.alert('Blad', 'Nie udalo sie wyczyscic pamieci okladek.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const toggleExportColumn = (key) => {
+    setExportColumns(exportColumns.includes(key)
+      ? exportColumns.filter(column => column !== key)
+      : [...exportColumns, key]);
+  };
+
+  const handleExportCsv = async () => {
+    const csv = exportBooksToCsv(books || [], { columns: exportColumns, delimiter: exportDelimiter });
+    if (csv === null) {
+      Alert.alert('Blad', 'Nie udalo sie przygotowac pliku CSV.');
+      return;
+    }
+
+    try {
+      setExportDialogVisible(false);
+      await shareTextFile(csv, getExportFileName('biblioteka', 'csv'), {
+        mimeType: 'text/csv',
+        UTI: 'public.comma-separated-values-text',
+      });
+    } catch (error) {
+      console.error('Error sharing CSV export:', error);
+      Alert.alert('Blad', 'Nie udalo sie udostepnic pliku.');
+    }
+  };
+
+  const handleStrategyChange = async (strategy) => {
+    const entity = strategyEntity;
+    setStrategyEntity(null);
+    setConflictStrategies(current => ({ ...current, [entity]: strategy }));
+    await OfflineManager.setConflictResolutionStrategy(entity, strategy);
+  };
+
+  const openGoalDialog = () => {
+    setGoalType(currentGoal?.type || GOAL_TYPES.BOOKS);
+    setYearlyTarget(currentGoal?.yearlyTarget ? String(currentGoal.yearlyTarget) : '');
+    setMonthlyTarget(currentGoal?.monthlyTarget ? String(currentGoal.monthlyTarget) : '');
+    setGoalError(null);
+    setGoalDialogVisible(true);
+  };
+
+  const handleSaveGoal = async () => {
+    const yearly = parseInt(yearlyTarget, 10);
+    const monthly = monthlyTarget.trim() ? parseInt(monthlyTarget, 10) : null;
+
+    if (!Number.isInteger(yearly) || yearly <= 0) {
+      setGoalError('Podaj roczny cel wiekszy od zera');
+      return;
+    }
+    if (monthly !== null && (!Number.isInteger(monthly) || monthly <= 0)) {
+      setGoalError('Miesieczny cel musi byc wiekszy od zera');
+      return;
+    }
+
+    try {
+      await saveGoal({ year: currentYear, type: goalType, yearlyTarget: yearly, monthlyTarget: monthly });
+      setGoalDialogVisible(false);
+    } catch (error) {
+      console.error('Error saving reading goal:', error);
+      setGoalError('Nie udalo sie zapisac celu');
+    }
+  };
+
+  const handleRemoveGoal = async () => {
+    try {
+      await removeGoal(currentYear);
+      setGoalDialogVisible(false);
+    } catch (error) {
+      console.error('Error removing reading goal:', error);
+      setGoalError('Nie udalo sie usunac celu');
+    }
+  };
+
+  const toggleReminder = (category) => {
+    updateReminderSettings({ [category]: !reminderSettings[category] }).catch((error) => {
+      console.error('Error saving reminder settings:', error);
+    });
+  };
+
+  const describeGoal = (goal) => {
+    if (!goal) return 'Nie ustawiono celu';
+
+    const unit = goal.type === GOAL_TYPES.PAGES ? 'stron' : 'ksiazek';
+    const monthly = goal.monthlyTarget ? `, ${goal.monthlyTarget} ${unit} miesiecznie` : '';
+    return `${goal.yearlyTarget} ${unit} w ${goal.year}${monthly}`;
+  };
+
   const styles = createStyles(theme);
 
   return (
@@ -76,12 +235,119 @@ const SettingsScreen = () => {
       
       <Divider />
       
+      <List.Section>
+        <List.Subheader>Cel czytania</List.Subheader>
+        <List.Item
+          title={`Cel na ${currentYear}`}
+          description={describeGoal(currentGoal)}
+          left={props => <List.Icon {...props} icon="flag-checkered" />}
+          onPress={openGoalDialog}
+        />
+      </List.Section>
+      
+      <Divider />
+      
+      <List.Section>
+        <List.Subheader>Dane</List.Subheader>
+        <List.Item
+          title="Importuj z CSV"
+          description="Goodreads, StoryGraph lub wlasny arkusz"
+          left={props => <List.Icon {...props} icon="file-import" />}
+          onPress={() => navigation.navigate('Books', { screen: 'Import' })}
+        />
+        <List.Item
+          title="Eksportuj do CSV"
+          description="Arkusz z lista ksiazek (Excel, Google Sheets)"
+          left={props => <List.Icon {...props} icon="file-export" />}
+          onPress={() => setExportDialogVisible(true)}
+        />
+        <List.Item
+          title="Kosz"
+          description={`Usuniete ksiazki: ${(trashedBooks || []).length}`}
+          left={props => <List.Icon {...props} icon="delete-restore" />}
+          onPress={() => navigation.navigate('Trash')}
+        />
+        <List.Item
+          title="Pamiec okladek"
+          description={coverCacheInfo
+            ? `${formatMegabytes(coverCacheInfo.totalSize)} z ${formatMegabytes(coverCacheInfo.budget)} - dotknij, aby wyczyscic`
+            : 'Obliczanie...'}
+          left={props => <List.Icon {...props} icon="image-multiple" />}
+          onPress={handleClearCoverCache}
+        />
+      </List.Section>
+      
+      <Divider />
+      
+      <BackupRestoreSection />
+      
+      <Divider />
+      
+      <List.Section>
+        <List.Subheader>Synchronizacja</List.Subheader>
+        <List.Item
+          title="Konflikty do rozwiazania"
+          description={conflicts.length > 0 ? `Oczekuje: ${conflicts.length}` : 'Brak'}
+          left={props => <List.Icon {...props} icon="source-merge" />}
+          onPress={() => navigation.navigate('Books', { screen: 'Conflicts' })}
+        />
+        {CONFLICT_ENTITIES.map(entity => (
+          <List.Item
+            key={entity.key}
+            title={`Konflikty: ${entity.label}`}
+            description={CONFLICT_STRATEGY_LABELS[conflictStrategies[entity.key]]}
+            left={props => <List.Icon {...props} icon="sync-alert" />}
+            onPress={() => setStrategyEntity(entity.key)}
+          />
+        ))}
+      </List.Section>
+      
+      <Divider />
+      
+      <List.Section>
+        <List.Subheader>Przypomnienia</List.Subheader>
+        <List.Item
+          title="Wypozyczone ksiazki"
+          description="Termin zwrotu i przetrzymane ksiazki"
+          left={props => <List.Icon {...props} icon="book-arrow-right" />}
+          right={props => (
+            <Switch
+              value={reminderSettings[REMINDER_CATEGORIES.LOANS]}
+              onValueChange={() => toggleReminder(REMINDER_CATEGORIES.LOANS)}
+            />
+          )}
+        />
+        <List.Item
+          title="Przerwa w czytaniu"
+          description={`Po ${reminderSettings.inactivityDays} dniach bez zapisanego postepu`}
+          left={props => <List.Icon {...props} icon="book-clock" />}
+          right={props => (
+            <Switch
+              value={reminderSettings[REMINDER_CATEGORIES.INACTIVITY]}
+              onValueChange={() => toggleReminder(REMINDER_CATEGORIES.INACTIVITY)}
+            />
+          )}
+        />
+        <List.Item
+          title="Cel czytania"
+          description="Przed koncem miesiaca i roku"
+          left={props => <List.Icon {...props} icon="flag-checkered" />}
+          right={props => (
+            <Switch
+              value={reminderSettings[REMINDER_CATEGORIES.GOALS]}
+              onValueChange={() => toggleReminder(REMINDER_CATEGORIES.GOALS)}
+            />
+          )}
+        />
+      </List.Section>
+      
+      <Divider />
       
       <List.Section>
         <List.Subheader>Niebezpieczna strefa</List.Subheader>
         <List.Item
           title="Wyczysc wszystkie dane"
-          description="Usun wszystkie ksiazki i ustawienia"
+          description="Przenies ksiazki do kosza i przywroc domyslne ustawienia"
           left={props => <List.Icon {...props} icon="delete-forever" color="#f44336" />}
           onPress={() => setConfirmDialogVisible(true)}
         />
@@ -102,7 +368,7 @@ const SettingsScreen = () => {
           <Dialog.Title>Potwierdz usuniecie</Dialog.Title>
           <Dialog.Content>
             <Paragraph>
-              Czy na pewno chcesz usunac wszystkie dane? Ta operacja jest nieodwracalna.
+              Czy na pewno chcesz usunac wszystkie dane? Ksiazki trafia do kosza, skad mozna je przywrocic przez {TRASH_RETENTION_DAYS} dni. Ustawienia zostana przywrocone do domyslnych.
             </Paragraph>
           </Dialog.Content>
           <Dialog.Actions>
@@ -120,6 +386,97 @@ const SettingsScreen = () => {
         </Dialog>
       </Portal>
 
+      <Portal>
+        <Dialog visible={goalDialogVisible} onDismiss={() => setGoalDialogVisible(false)}>
+          <Dialog.Title>Cel czytania na {currentYear}</Dialog.Title>
+          <Dialog.Content>
+            <SegmentedButtons
+              value={goalType}
+              onValueChange={setGoalType}
+              buttons={[
+                { value: GOAL_TYPES.BOOKS, label: 'Ksiazki' },
+                { value: GOAL_TYPES.PAGES, label: 'Strony' },
+              ]}
+              style={styles.goalInput}
+            />
+            <TextInput
+              label="Cel roczny"
+              value={yearlyTarget}
+              onChangeText={setYearlyTarget}
+              keyboardType="number-pad"
+              mode="outlined"
+              style={styles.goalInput}
+            />
+            <TextInput
+              label="Cel miesieczny (opcjonalnie)"
+              value={monthlyTarget}
+              onChangeText={setMonthlyTarget}
+              keyboardType="number-pad"
+              mode="outlined"
+              style={styles.goalInput}
+            />
+            {goalError && <HelperText type="error">{goalError}</HelperText>}
+          </Dialog.Content>
+          <Dialog.Actions>
+            {currentGoal && (
+              <Button onPress={handleRemoveGoal} textColor="#f44336">Usun cel</Button>
+            )}
+            <Button onPress={() => setGoalDialogVisible(false)}>Anuluj</Button>
+            <Button onPress={handleSaveGoal}>Zapisz</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Portal>
+        <Dialog visible={exportDialogVisible} onDismiss={() => setExportDialogVisible(false)}>
+          <Dialog.Title>Eksport do CSV</Dialog.Title>
+          <Dialog.ScrollArea>
+            <ScrollView>
+              <SegmentedButtons
+                value={exportDelimiter}
+                onValueChange={setExportDelimiter}
+                buttons={[
+                  { value: ',', label: 'Przecinek' },
+                  { value: ';', label: 'Srednik (Excel PL)' },
+                ]}
+                style={styles.exportDelimiter}
+              />
+              {CSV_EXPORT_COLUMNS.map(column => (
+                <Checkbox.Item
+                  key={column.key}
+                  label={column.header}
+                  status={exportColumns.includes(column.key) ? 'checked' : 'unchecked'}
+                  onPress={() => toggleExportColumn(column.key)}
+                />
+              ))}
+            </ScrollView>
+          </Dialog.ScrollArea>
+          <Dialog.Actions>
+            <Button onPress={() => setExportDialogVisible(false)}>Anuluj</Button>
+            <Button onPress={handleExportCsv} disabled={exportColumns.length === 0}>Eksportuj</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
+      <Portal>
+        <Dialog visible={strategyEntity !== null} onDismiss={() => setStrategyEntity(null)}>
+          <Dialog.Title>Gdy zmiany sie wykluczaja</Dialog.Title>
+          <Dialog.Content>
+            <RadioButton.Group
+              value={strategyEntity ? conflictStrategies[strategyEntity] : ''}
+              onValueChange={handleStrategyChange}
+            >
+              {Object.values(CONFLICT_STRATEGIES).map(strategy => (
+                <RadioButton.Item key={strategy} label={CONFLICT_STRATEGY_LABELS[strategy]} value={strategy} />
+              ))}
+            </RadioButton.Group>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setStrategyEntity(null)}>Anuluj</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+
       <Portal>
         <Dialog visible={logoutDialogVisible} onDismiss={() => setLogoutDialogVisible(false)}>
           <Dialog.Title>Wyloguj sie</Dialog.Title>
@@ -163,6 +520,12 @@ const createStyles = (theme) => StyleSheet.create({
     color: theme.colors.textTertiary,
     fontSize: 12,
   },
+  goalInput: {
+    marginBottom: 8,
+  },
+  exportDelimiter: {
+    marginVertical: 8,
+  },
   statusText: {
     color: theme.colors.success,
     fontSize: 12,
@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, FlatList, TouchableOpacity, Alert } from 'react-native';
+import { Text, FAB, IconButton, Dialog, Portal, Button, TextInput, HelperText, Avatar } from 'react-native-paper';
+import { useNavigation } from '@react-navigation/native';
+import { useBookState } from '../context/OptimizedBookContext';
+import { useShelves } from '../context/ShelfContext';
+import { useTheme } from '../context/ThemeContext';
+import { SHELF_ICONS, SHELF_COLORS, getBooksOnShelf } from '../utils/shelves';
+import { spacing, responsiveFontSize } from '../utils/responsive';
+
+const MAX_SHELF_NAME_LENGTH = 40;
+
+const ShelvesScreen = () => {
+  const navigation = useNavigation();
+  const { books } = useBookState();
+  const { shelves, addShelf, updateShelf, deleteShelf, moveShelf } = useShelves();
+  const { theme } = useTheme();
+  const [dialogVisible, setDialogVisible] = useState(false);
+  const [editingShelf, setEditingShelf] = useState(null);
+  const [name, setName] = useState('');
+  const [icon, setIcon] = useState(SHELF_ICONS[0]);
+  const [color, setColor] = useState(SHELF_COLORS[0]);
+  const [nameError, setNameError] = useState(null);
+
+  const styles = createStyles(theme);
+
+  const openDialog = (shelf = null) => {
+    setEditingShelf(shelf);
+    setName(shelf?.name || '');
+    setIcon(shelf?.icon || SHELF_ICONS[0]);
+    setColor(shelf?.color || SHELF_COLORS[0]);
+    setNameError(null);
+    setDialogVisible(true);
+  };
+
+  const handleSave = async () => {
+    const trimmedName = name.trim();
+
+    if (!trimmedName) {
+      setNameError('Nazwa polki jest wymagana');
+      return;
+    }
+    if (shelves.some(shelf => shelf.id !== editingShelf?.id && shelf.name.toLowerCase() === trimmedName.toLowerCase())) {
+      setNameError('Polka o tej nazwie juz istnieje');
+      return;
+    }
+
+    try {
+      if (editingShelf) {
+        await updateShelf({ ...editingShelf, name: trimmedName, icon, color });
+      } else {
+        await addShelf({ name: trimmedName, icon, color });
+      }
+      setDialogVisible(false);
+    } catch (error) {
+      console.error('Error saving shelf:', error);
+      setNameError('Nie udalo sie zapisac polki');
+    }
+  };
+
+  const handleDelete = (shelf) => {
+    Alert.alert(
+      'Usun polke',
+      `Czy na pewno chcesz usunac polke "${shelf.name}"? Ksiazki pozostana w bibliotece.`,
+      [
+        { text: 'Anuluj', style: 'cancel' },
+        { text: 'Usun', style: 'destructive', onPress: () => deleteShelf(shelf.id) },
+      ]
+    );
+  };
+
+  const renderShelf = ({ item, index }) => {
+    const bookCount = getBooksOnShelf(books || [], item).length;
+
+    return (
+      <TouchableOpacity
+        onPress={() => navigation.push('BookList', { shelfId: item.id, title: item.name })}
+        onLongPress={() => openDialog(item)}
+        style={styles.shelfRow}
+      >
+        <Avatar.Icon size={40} icon={item.icon} color="#fff" style={{ backgroundColor: item.color }} />
+        <View style={styles.shelfInfo}>
+          <Text style={styles.shelfName} numberOfLines={1}>{item.name}</Text>
+          <Text style={styles.shelfCount}>Ksiazek: {bookCount}</Text>
+        </View>
+        <IconButton icon="chevron-up" size={20} disabled={index === 0} onPress={() => moveShelf(item.id, -1)} />
+        <IconButton icon="chevron-down" size={20} disabled={index === shelves.length - 1} onPress={() => moveShelf(item.id, 1)} />
+        <IconButton icon="pencil" size={20} onPress={() => openDialog(item)} />
+        <IconButton icon="delete" size={20} iconColor={theme.colors.error} onPress={() => handleDelete(item)} />
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {shelves.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>
+            Nie masz jeszcze zadnych polek. Utworz polke, aby grupowac ksiazki.
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={shelves}
+          renderItem={renderShelf}
+          keyExtractor={item => String(item.id)}
+          contentContainerStyle={styles.listContent}
+        />
+      )}
+
+      <FAB style={styles.fab} icon="plus" onPress={() => openDialog()} />
+
+      <Portal>
+        <Dialog visible={dialogVisible} onDismiss={() => setDialogVisible(false)}>
+          <Dialog.Title>{editingShelf ? 'Edytuj polke' : 'Nowa polka'}</Dialog.Title>
+          <Dialog.Content>
+            <TextInput
+              label="Nazwa"
+              value={name}
+              onChangeText={setName}
+              maxLength={MAX_SHELF_NAME_LENGTH}
+              mode="outlined"
+              error={!!nameError}
+            />
+            {nameError && <HelperText type="error">{nameError}</HelperText>}
+
+            <Text style={styles.pickerLabel}>Ikona</Text>
+            <View style={styles.pickerRow}>
+              {SHELF_ICONS.map(option => (
+                <IconButton
+                  key={option}
+                  icon={option}
+                  size={22}
+                  mode={icon === option ? 'contained' : undefined}
+                  iconColor={icon === option ? color : theme.colors.textSecondary}
+                  onPress={() => setIcon(option)}
+                />
+              ))}
+            </View>
+
+            <Text style={styles.pickerLabel}>Kolor</Text>
+            <View style={styles.pickerRow}>
+              {SHELF_COLORS.map(option => (
+                <TouchableOpacity
+                  key={option}
+                  onPress={() => setColor(option)}
+                  style={[
+                    styles.colorSwatch,
+                    { backgroundColor: option },
+                    color === option && { borderColor: theme.colors.text },
+                  ]}
+                />
+              ))}
+            </View>
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={() => setDialogVisible(false)}>Anuluj</Button>
+            <Button onPress={handleSave}>Zapisz</Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  listContent: {
+    padding: spacing.sm,
+    paddingBottom: 80,
+  },
+  shelfRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    borderRadius: 8,
+    backgroundColor: theme.colors.card,
+    elevation: 1,
+  },
+  shelfInfo: {
+    flex: 1,
+    marginLeft: spacing.sm,
+    minWidth: 0,
+  },
+  shelfName: {
+    fontSize: responsiveFontSize(16),
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  shelfCount: {
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.textSecondary,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+  emptyText: {
+    fontSize: responsiveFontSize(16),
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+  },
+  pickerLabel: {
+    marginTop: spacing.md,
+    marginBottom: spacing.xs,
+    color: theme.colors.textSecondary,
+  },
+  pickerRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  colorSwatch: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    margin: spacing.xs,
+    borderWidth: 3,
+    borderColor: 'transparent',
+  },
+  fab: {
+    position: 'absolute',
+    margin: spacing.md,
+    right: 0,
+    bottom: 0,
+    backgroundColor: theme.colors.primary,
+  },
+});
+
+export default ShelvesScreen;
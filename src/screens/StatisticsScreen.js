@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, ScrollView } from 'react-native';
+import { Text, Card, Title, IconButton } from 'react-native-paper';
+import { useTheme } from '../context/ThemeContext';
+import { useReadingStats } from '../hooks/useReadingStats';
+import BarChart from '../components/BarChart';
+import { BOOK_STATUS } from '../constants';
+
+const MONTH_LABELS = ['Sty', 'Lut', 'Mar', 'Kwi', 'Maj', 'Cze', 'Lip', 'Sie', 'Wrz', 'Paz', 'Lis', 'Gru'];
+
+const StatisticsScreen = () => {
+  const { theme } = useTheme();
+  const currentYear = new Date().getFullYear();
+  const [year, setYear] = useState(currentYear);
+  const stats = useReadingStats(year);
+
+  const styles = createStyles(theme);
+
+  const monthlyData = stats.booksReadByMonth.map((count, index) => ({
+    label: MONTH_LABELS[index],
+    value: count,
+  }));
+
+  const yearlyData = stats.booksReadByYear.map(({ year: readYear, count }) => ({
+    label: String(readYear),
+    value: count,
+  }));
+
+  // Highest rating first
+  const ratingData = Object.keys(stats.ratingDistribution)
+    .sort((a, b) => b - a)
+    .map(rating => ({ label: `${rating} ★`, value: stats.ratingDistribution[rating] }));
+
+  const authorData = stats.topAuthors.map(({ author, count }) => ({ label: author, value: count }));
+
+  const statusData = [BOOK_STATUS.READ, BOOK_STATUS.reading, BOOK_STATUS.wantToRead]
+    .map(status => ({ label: status, value: stats.statusBreakdown[status] || 0 }));
+
+  const renderSummaryTile = (label, value) => (
+    <View style={styles.summaryTile}>
+      <Text style={styles.summaryValue}>{value}</Text>
+      <Text style={styles.summaryLabel}>{label}</Text>
+    </View>
+  );
+
+  if (stats.totalBooks === 0) {
+    return (
+      <View style={styles.emptyContainer}>
+        <Text style={styles.emptyText}>Dodaj ksiazki, aby zobaczyc statystyki</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.yearSelector}>
+        <IconButton icon="chevron-left" onPress={() => setYear(year - 1)} />
+        <Text style={styles.yearText}>{year}</Text>
+        <IconButton
+          icon="chevron-right"
+          onPress={() => setYear(year + 1)}
+          disabled={year >= currentYear}
+        />
+      </View>
+
+      <View style={styles.summaryRow}>
+        {renderSummaryTile('Przeczytane', stats.booksReadThisYear)}
+        {renderSummaryTile('Stron', stats.pagesReadThisYear)}
+        {renderSummaryTile('Srednia ocena', stats.averageRating ?? '-')}
+      </View>
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Przeczytane w {year}</Title>
+          <BarChart data={monthlyData} />
+        </Card.Content>
+      </Card>
+
+      {yearlyData.length > 0 && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Przeczytane w latach</Title>
+            <BarChart data={yearlyData} horizontal color={theme.colors.success} />
+          </Card.Content>
+        </Card>
+      )}
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Status ksiazek</Title>
+          <BarChart data={statusData} horizontal />
+          <Text style={styles.footnote}>Wszystkich ksiazek: {stats.totalBooks}</Text>
+        </Card.Content>
+      </Card>
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Oceny</Title>
+          <BarChart data={ratingData} horizontal color="#FFD700" />
+        </Card.Content>
+      </Card>
+
+      {authorData.length > 0 && (
+        <Card style={styles.card}>
+          <Card.Content>
+            <Title>Najczestsi autorzy</Title>
+            <BarChart data={authorData} horizontal />
+          </Card.Content>
+        </Card>
+      )}
+
+      <Card style={styles.card}>
+        <Card.Content>
+          <Title>Czytanie</Title>
+          <Text style={styles.detailText}>Stron przeczytanych lacznie: {stats.pagesRead}</Text>
+          <Text style={styles.detailText}>
+            Sredni czas czytania ksiazki: {stats.averageDaysToFinish !== null ? `${stats.averageDaysToFinish} dni` : '-'}
+          </Text>
+        </Card.Content>
+      </Card>
+    </ScrollView>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+    backgroundColor: theme.colors.background,
+  },
+  emptyText: {
+    color: theme.colors.textSecondary,
+    textAlign: 'center',
+  },
+  yearSelector: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: theme.colors.surface,
+  },
+  yearText: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: theme.colors.text,
+    marginHorizontal: 16,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    padding: 8,
+  },
+  summaryTile: {
+    flex: 1,
+    alignItems: 'center',
+    padding: 12,
+    margin: 8,
+    borderRadius: 8,
+    backgroundColor: theme.colors.card,
+  },
+  summaryValue: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    color: theme.colors.primary,
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: theme.colors.textSecondary,
+    marginTop: 4,
+  },
+  card: {
+    margin: 16,
+    marginTop: 0,
+    backgroundColor: theme.colors.card,
+  },
+  footnote: {
+    fontSize: 12,
+    color: theme.colors.textTertiary,
+    marginTop: 8,
+  },
+  detailText: {
+    color: theme.colors.text,
+    marginBottom: 4,
+  },
+});
+
+export default StatisticsScreen;
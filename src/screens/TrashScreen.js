@@ -0,0 +1,166 @@
+import React, { useMemo } from 'react';
+import { View, StyleSheet, FlatList, Alert } from 'react-native';
+import { Text, IconButton, Button } from 'react-native-paper';
+import { useBookState, useBookActions } from '../context/OptimizedBookContext';
+import { useTheme } from '../context/ThemeContext';
+import { TRASH_RETENTION_DAYS, getDaysLeftInTrash } from '../utils/trash';
+import { spacing, responsiveFontSize } from '../utils/responsive';
+
+const TrashScreen = () => {
+  const { trashedBooks } = useBookState();
+  const { restoreBook, purgeBook, emptyTrash } = useBookActions();
+  const { theme } = useTheme();
+
+  const styles = createStyles(theme);
+
+  // Most recently deleted first
+  const books = useMemo(
+    () => [...(trashedBooks || [])].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)),
+    [trashedBooks]
+  );
+
+  const handleRestore = async (book) => {
+    try {
+      await restoreBook(book.id);
+    } catch (error) {
+      console.error('Error restoring book:', error);
+      Alert.alert('Blad', 'Nie udalo sie przywrocic ksiazki.');
+    }
+  };
+
+  const handlePurge = (book) => {
+    Alert.alert(
+      'Usun na zawsze',
+      `Ksiazka "${book.title}" zostanie usunieta bez mozliwosci przywrocenia.`,
+      [
+        { text: 'Anuluj', style: 'cancel' },
+        {
+          text: 'Usun',
+          style: 'destructive',
+          onPress: () => purgeBook(book.id).catch(() => {
+            Alert.alert('Blad', 'Nie udalo sie usunac ksiazki.');
+          }),
+        },
+      ]
+    );
+  };
+
+  const handleEmptyTrash = () => {
+    Alert.alert(
+      'Oproznij kosz',
+      `Wszystkie ksiazki z kosza (${books.length}) zostana usuniete bez mozliwosci przywrocenia.`,
+      [
+        { text: 'Anuluj', style: 'cancel' },
+        {
+          text: 'Oproznij',
+          style: 'destructive',
+          onPress: () => emptyTrash().catch(() => {
+            Alert.alert('Blad', 'Nie udalo sie oproznic kosza.');
+          }),
+        },
+      ]
+    );
+  };
+
+  const renderBook = ({ item }) => (
+    <View style={styles.bookRow}>
+      <View style={styles.bookInfo}>
+        <Text style={styles.bookTitle} numberOfLines={1}>{item.title}</Text>
+        <Text style={styles.bookMeta} numberOfLines={1}>
+          {item.author}
+          {' · '}
+          Usunieto {new Date(item.deletedAt).toLocaleDateString('pl-PL')}
+          {' · '}
+          Dni do usuniecia: {getDaysLeftInTrash(item)}
+        </Text>
+      </View>
+      <IconButton icon="restore" size={20} onPress={() => handleRestore(item)} />
+      <IconButton icon="delete-forever" size={20} iconColor={theme.colors.error} onPress={() => handlePurge(item)} />
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.hint}>
+        Usuniete ksiazki mozna przywrocic przez {TRASH_RETENTION_DAYS} dni, potem sa usuwane automatycznie.
+      </Text>
+
+      {books.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>Kosz jest pusty.</Text>
+        </View>
+      ) : (
+        <>
+          <FlatList
+            data={books}
+            renderItem={renderBook}
+            keyExtractor={item => item.id.toString()}
+            contentContainerStyle={styles.listContent}
+          />
+          <Button
+            mode="outlined"
+            icon="delete-empty"
+            textColor={theme.colors.error}
+            style={styles.emptyTrashButton}
+            onPress={handleEmptyTrash}
+          >
+            Oproznij kosz
+          </Button>
+        </>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (theme) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: theme.colors.background,
+  },
+  hint: {
+    padding: spacing.md,
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.textSecondary,
+  },
+  listContent: {
+    paddingHorizontal: spacing.sm,
+  },
+  bookRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.sm,
+    marginBottom: spacing.sm,
+    borderRadius: 8,
+    backgroundColor: theme.colors.card,
+    elevation: 1,
+  },
+  bookInfo: {
+    flex: 1,
+    minWidth: 0,
+  },
+  bookTitle: {
+    fontSize: responsiveFontSize(16),
+    fontWeight: 'bold',
+    color: theme.colors.text,
+  },
+  bookMeta: {
+    fontSize: responsiveFontSize(12),
+    color: theme.colors.textSecondary,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: spacing.xl,
+  },
+  emptyText: {
+    fontSize: responsiveFontSize(16),
+    textAlign: 'center',
+    color: theme.colors.textSecondary,
+  },
+  emptyTrashButton: {
+    margin: spacing.md,
+  },
+});
+
+export default TrashScreen;
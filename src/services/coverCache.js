@@ -0,0 +1,268 @@
+/**
+ * CoverCache - Trwała pamięć podręczna okładek
+ *
+ * Funkcjonalności:
+ * - Okładki pobrane z sieci i miniatury list w documentDirectory (system ich nie czyści)
+ * - Manifest z plikami i czasem ostatniego użycia każdej okładki (utils/coverCacheManifest)
+ * - Limit rozmiaru - po przekroczeniu usuwane są najdawniej oglądane okładki (LRU)
+ * - Zdjęcia okładek zrobione w aplikacji są przypięte, dopóki nie zostaną wysłane
+ * - Rozmiar pamięci i czyszczenie dostępne w ustawieniach
+ *
+ * Na webie okładki nie są zapisywane - zwracany jest adres źródłowy.
+ *
+ * @author MojeKZ Team
+ * @version 1.0
+ */
+
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as ImageManipulator from 'expo-image-manipulator';
+import {
+  COVER_VARIANTS,
+  COVER_CACHE_BUDGET_BYTES,
+  THUMBNAIL_WIDTH,
+  createEmptyManifest,
+  getCoverCacheKey,
+  getCachedFile,
+  getManifestSize,
+  getManifestFileCount,
+  touchEntry,
+  setCachedFile,
+  renameEntry,
+  selectEvictions,
+  removeEntries,
+  selectClearableEntries,
+} from '../utils/coverCacheManifest';
+
+const isRemote = (uri) => /^https?:\/\//i.test(uri);
+
+export class CoverCache {
+  static DIRECTORY = `${FileSystem.documentDirectory}cover_cache/`;
+  static PHOTOS_DIRECTORY = `${FileSystem.documentDirectory}cover_cache/photos/`;
+  static MANIFEST_FILE = `${FileSystem.documentDirectory}cover_cache/manifest.json`;
+
+  static manifest = null;
+  // Covers being downloaded or resized, so each is prepared once
+  static pendingCovers = new Map();
+  // Manifest changes are chained so concurrent covers never overwrite each other
+  static pendingWrite = Promise.resolve();
+
+  static get isSupported() {
+    return Platform.OS !== 'web' && Boolean(FileSystem.documentDirectory);
+  }
+
+  static async loadManifest() {
+    if (this.manifest) return this.manifest;
+
+    try {
+      await FileSystem.makeDirectoryAsync(this.PHOTOS_DIRECTORY, { intermediates: true });
+      const info = await FileSystem.getInfoAsync(this.MANIFEST_FILE);
+      this.manifest = info.exists
+        ? JSON.parse(await FileSystem.readAsStringAsync(this.MANIFEST_FILE))
+        : createEmptyManifest();
+    } catch (error) {
+      console.warn('Error loading cover cache manifest:', error);
+      this.manifest = createEmptyManifest();
+    }
+
+    return this.manifest;
+  }
+
+  /**
+   * Change the manifest and save it
+   * @param {function} change - (manifest) => new manifest
+   */
+  static updateManifest(change) {
+    this.pendingWrite = this.pendingWrite.then(async () => {
+      const manifest = await this.loadManifest();
+      this.manifest = change(manifest);
+      await FileSystem.writeAsStringAsync(this.MANIFEST_FILE, JSON.stringify(this.manifest));
+    }).catch(error => {
+      console.warn('Error saving cover cache manifest:', error);
+    });
+
+    return this.pendingWrite;
+  }
+
+  /**
+   * Cached file known without reading the manifest (for the first render)
+   * @returns {string|null}
+   */
+  static peekCover(source, variant = COVER_VARIANTS.FULL) {
+    if (!source || !this.manifest) return null;
+    return getCachedFile(this.manifest, source, variant)?.uri || null;
+  }
+
+  /**
+   * Local file of a cover, downloaded or resized on first use
+   * @param {string} source - Cover URL or local URI
+   * @param {string} variant - COVER_VARIANTS value
+   * @returns {Promise<string>} Cached file URI, the source itself when it cannot be cached
+   */
+  static async getCover(source, variant = COVER_VARIANTS.FULL) {
+    if (!source || !this.isSupported) return source;
+
+    // Local photos are shown directly; only their thumbnails are cached
+    if (variant === COVER_VARIANTS.FULL && !isRemote(source)) return source;
+
+    const manifest = await this.loadManifest();
+    const cached = getCachedFile(manifest, source, variant);
+    if (cached && (await FileSystem.getInfoAsync(cached.uri)).exists) {
+      this.updateManifest(current => touchEntry(current, source));
+      return cached.uri;
+    }
+
+    const pendingKey = `${variant}:${source}`;
+    if (!this.pendingCovers.has(pendingKey)) {
+      this.pendingCovers.set(pendingKey, this.prepareCover(source, variant)
+        .catch(error => {
+          console.warn('Error caching cover:', error);
+          return source;
+        })
+        .finally(() => this.pendingCovers.delete(pendingKey)));
+    }
+
+    return this.pendingCovers.get(pendingKey);
+  }
+
+  static async prepareCover(source, variant) {
+    const key = getCoverCacheKey(source);
+    let uri;
+
+    if (variant === COVER_VARIANTS.FULL) {
+      uri = `${this.DIRECTORY}${key}_full.jpg`;
+      const download = await FileSystem.downloadAsync(source, uri);
+      if (download.status !== 200) {
+        await FileSystem.deleteAsync(uri, { idempotent: true });
+        return source;
+      }
+    } else {
+      // Thumbnails are made from the cached full image (downloaded if needed)
+      const fullUri = await this.getCover(source, COVER_VARIANTS.FULL);
+      if (isRemote(fullUri)) return source;
+
+      const thumbnail = await ImageManipulator.manipulateAsync(
+        fullUri,
+        [{ resize: { width: THUMBNAIL_WIDTH } }],
+        { compress: 0.7, format: ImageManipulator.SaveFormat.JPEG }
+      );
+      uri = `${this.DIRECTORY}${key}_thumbnail.jpg`;
+      await FileSystem.moveAsync({ from: thumbnail.uri, to: uri });
+    }
+
+    const info = await FileSystem.getInfoAsync(uri, { size: true });
+    await this.updateManifest(current => setCachedFile(current, source, variant, { uri, size: info.size || 0 }));
+    await this.enforceBudget([source]);
+
+    return uri;
+  }
+
+  /**
+   * Keep a photo taken for a cover; pinned until it is uploaded
+   * @param {string} uri - Photo (e.g. in the image picker cache)
+   * @returns {Promise<string>} URI of the kept photo
+   */
+  static async savePhoto(uri) {
+    if (!this.isSupported) return uri;
+
+    await this.loadManifest();
+    const photoUri = `${this.PHOTOS_DIRECTORY}book_cover_${Date.now()}.jpg`;
+    await FileSystem.copyAsync({ from: uri, to: photoUri });
+
+    const info = await FileSystem.getInfoAsync(photoUri, { size: true });
+    await this.updateManifest(current => setCachedFile(
+      current, photoUri, COVER_VARIANTS.FULL, { uri: photoUri, size: info.size || 0 }, { pinned: true }
+    ));
+
+    return photoUri;
+  }
+
+  /**
+   * An uploaded photo becomes the cached full image of its URL, so it is not downloaded again
+   * @param {string} localUri - Uploaded photo
+   * @param {string} url - Its public URL
+   */
+  static async adoptUploadedPhoto(localUri, url) {
+    if (!this.isSupported || !localUri || !url) return;
+
+    try {
+      const manifest = await this.loadManifest();
+      const entry = manifest.entries[getCoverCacheKey(localUri)];
+      const fullUri = `${this.DIRECTORY}${getCoverCacheKey(url)}_full.jpg`;
+
+      // Photos kept by the cache are moved, other files (e.g. picker cache) copied
+      if (localUri.startsWith(this.PHOTOS_DIRECTORY)) {
+        await FileSystem.moveAsync({ from: localUri, to: fullUri });
+      } else {
+        const localInfo = await FileSystem.getInfoAsync(localUri);
+        if (!localInfo.exists) return;
+        await FileSystem.copyAsync({ from: localUri, to: fullUri });
+      }
+
+      const info = await FileSystem.getInfoAsync(fullUri, { size: true });
+      await this.updateManifest(current => setCachedFile(
+        entry ? renameEntry(current, localUri, url) : current,
+        url,
+        COVER_VARIANTS.FULL,
+        { uri: fullUri, size: info.size || 0 },
+        { pinned: false }
+      ));
+      await this.enforceBudget([url]);
+    } catch (error) {
+      console.warn('Error adopting uploaded cover:', error);
+    }
+  }
+
+  /**
+   * Evict least recently used covers over the budget
+   * @param {string[]} keepSources - Covers being shown right now
+   */
+  static async enforceBudget(keepSources = [], budget = COVER_CACHE_BUDGET_BYTES) {
+    const manifest = await this.loadManifest();
+    const keys = selectEvictions(manifest, budget, keepSources);
+    if (keys.length > 0) {
+      await this.removeCachedEntries(keys);
+    }
+  }
+
+  static async removeCachedEntries(keys) {
+    let files = [];
+    await this.updateManifest(current => {
+      const result = removeEntries(current, keys);
+      files = result.files;
+      return result.manifest;
+    });
+
+    for (const uri of files) {
+      await FileSystem.deleteAsync(uri, { idempotent: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Size of the cache
+   * @returns {Promise<{totalFiles: number, totalSize: number, budget: number}>}
+   */
+  static async getCacheInfo() {
+    if (!this.isSupported) {
+      return { totalFiles: 0, totalSize: 0, budget: COVER_CACHE_BUDGET_BYTES };
+    }
+
+    const manifest = await this.loadManifest();
+    return {
+      totalFiles: getManifestFileCount(manifest),
+      totalSize: getManifestSize(manifest),
+      budget: COVER_CACHE_BUDGET_BYTES,
+    };
+  }
+
+  /**
+   * Clear the cache; photos still used by books (not uploaded yet) are kept
+   * @param {string[]} usedCovers - Covers of all books
+   */
+  static async clear(usedCovers = []) {
+    if (!this.isSupported) return;
+
+    const manifest = await this.loadManifest();
+    await this.removeCachedEntries(selectClearableEntries(manifest, usedCovers));
+  }
+}
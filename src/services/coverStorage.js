@@ -0,0 +1,156 @@
+/**
+ * CoverStorage - Okładki książek w Supabase Storage
+ *
+ * Funkcjonalności:
+ * - Wysyłanie lokalnych zdjęć okładek do publicznego bucketu 'covers'
+ * - Pliki w folderze użytkownika (RLS pozwala zapisywać tylko we własnym)
+ * - Kopie okładek czekających na wysłanie w documentDirectory, żeby
+ *   czyszczenie cache przez system nie usunęło ich przed synchronizacją
+ * - Usuwanie plików okładek zastąpionych, usuniętych lub należących do
+ *   książek usuniętych na zawsze
+ *
+ * W książce (cover_image) zapisywany jest publiczny URL, więc okładka
+ * jest widoczna na wszystkich urządzeniach.
+ *
+ * @author MojeKZ Team
+ * @version 1.0
+ */
+
+import { Platform } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+
+const PENDING_DIRECTORY = 'pending_covers/';
+
+export class CoverStorage {
+  static BUCKET = 'covers';
+
+  /**
+   * Whether the cover points to a file on this device (not uploaded yet)
+   * @param {string|null} uri - Cover image URI
+   * @returns {boolean}
+   */
+  static isLocalCover(uri) {
+    return typeof uri === 'string' && uri.length > 0 && !/^https?:\/\//i.test(uri);
+  }
+
+  /**
+   * Storage path of a new cover; unique, so cached old versions are never shown
+   * @param {string} userId - Owner of the book
+   * @returns {string}
+   */
+  static createCoverPath(userId) {
+    const suffix = Math.random().toString(36).slice(2, 8);
+    return `${userId}/cover_${Date.now()}_${suffix}.jpg`;
+  }
+
+  /**
+   * Upload a local cover
+   * @param {string} uri - Local image URI
+   * @param {string} userId - Owner of the book
+   * @returns {Promise<string|null>} Public URL, null when the local file no longer exists
+   */
+  static async uploadCover(uri, userId) {
+    if (Platform.OS !== 'web') {
+      const fileInfo = await FileSystem.getInfoAsync(uri);
+      if (!fileInfo.exists) return null;
+    }
+
+    const { supabase } = await import('../config/supabase');
+    const path = this.createCoverPath(userId);
+    let body;
+
+    if (Platform.OS === 'web') {
+      body = await (await fetch(uri)).blob();
+    } else {
+      // React Native sends the file itself from a { uri } form field
+      body = new FormData();
+      body.append('file', { uri, name: path.split('/').pop(), type: 'image/jpeg' });
+    }
+
+    const { error } = await supabase.storage
+      .from(this.BUCKET)
+      .upload(path, body, { contentType: 'image/jpeg', upsert: false });
+
+    if (error) throw error;
+
+    return supabase.storage.from(this.BUCKET).getPublicUrl(path).data.publicUrl;
+  }
+
+  /**
+   * Storage path of a cover uploaded to the covers bucket
+   * @param {string|null} url - Cover image URL
+   * @returns {string|null} null for covers from other sources
+   */
+  static getCoverPath(url) {
+    if (typeof url !== 'string') return null;
+
+    const marker = `/storage/v1/object/public/${this.BUCKET}/`;
+    const index = url.indexOf(marker);
+    if (index === -1) return null;
+
+    const path = decodeURIComponent(url.slice(index + marker.length).split('?')[0]);
+    return path || null;
+  }
+
+  /**
+   * Delete an uploaded cover that no book uses anymore
+   * @param {string|null} url - Public URL of the cover; other covers are left alone
+   * @returns {Promise<boolean>} Whether a file was deleted
+   */
+  static async deleteCover(url) {
+    const path = this.getCoverPath(url);
+    if (!path) return false;
+
+    try {
+      const { supabase } = await import('../config/supabase');
+      const { error } = await supabase.storage.from(this.BUCKET).remove([path]);
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.warn('Error deleting cover:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Copy a cover waiting for upload out of the cache directory
+   * @param {string} uri - Local image URI
+   * @returns {Promise<string>} URI of the copy (the original one on web or when copying fails)
+   */
+  static async keepForUpload(uri) {
+    if (Platform.OS === 'web' || !FileSystem.documentDirectory) return uri;
+
+    // Already in persistent storage (e.g. a photo kept by the cover cache)
+    if (uri.startsWith(FileSystem.documentDirectory)) return uri;
+
+    const directory = `${FileSystem.documentDirectory}${PENDING_DIRECTORY}`;
+
+    try {
+      await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+      const copyUri = `${directory}${uri.split('/').pop() || `cover_${Date.now()}.jpg`}`;
+      await FileSystem.copyAsync({ from: uri, to: copyUri });
+      return copyUri;
+    } catch (error) {
+      console.warn('Error keeping cover for upload:', error);
+      return uri;
+    }
+  }
+
+  /**
+   * Delete copies made by keepForUpload
+   * @param {string[]} uris - Copies to delete; others are left alone
+   */
+  static async removeUploadCopies(uris) {
+    if (Platform.OS === 'web' || !FileSystem.documentDirectory) return;
+
+    const directory = `${FileSystem.documentDirectory}${PENDING_DIRECTORY}`;
+    for (const uri of uris) {
+      if (!uri?.startsWith(directory)) continue;
+      try {
+        await FileSystem.deleteAsync(uri, { idempotent: true });
+      } catch (error) {
+        console.warn('Error removing uploaded cover copy:', error);
+      }
+    }
+  }
+}
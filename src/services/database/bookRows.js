@@ -0,0 +1,171 @@
+// Conversion between books and database rows, and the SQL used by BookDatabase.
+// Pure functions, so they can be tested without a database.
+
+import { normalizeTags } from '../../utils/tags';
+
+// SQLite limit of bound parameters in one statement
+export const MAX_SQL_VARIABLES = 999;
+
+export const BOOK_COLUMNS = ['list_key', 'id', 'position', 'data'];
+export const TAG_COLUMNS = ['list_key', 'book_id', 'position', 'tag', 'tag_key'];
+export const SESSION_COLUMNS = ['list_key', 'book_id', 'position', 'data'];
+export const OPERATION_COLUMNS = ['queue_key', 'position', 'data'];
+
+// Smallest gap between positions before the whole list is renumbered
+const MIN_POSITION_GAP = 1e-6;
+
+const placeholders = (count) => new Array(count).fill('?').join(', ');
+
+/**
+ * Split values into groups that fit into one statement
+ * @param {Array} values - Values to bind
+ * @param {number} size - Values per group
+ * @returns {Array<Array>}
+ */
+export const chunkValues = (values, size = MAX_SQL_VARIABLES) => {
+  const chunks = [];
+  for (let start = 0; start < values.length; start += size) {
+    chunks.push(values.slice(start, start + size));
+  }
+  return chunks;
+};
+
+/**
+ * Multi-row INSERT statements, split to stay under MAX_SQL_VARIABLES
+ * @param {string} table - Table name
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Array>} rows - Row values in column order
+ * @param {object} options - { replace }
+ * @returns {Array<object>} [{ sql, args }]
+ */
+export const buildInsertStatements = (table, columns, rows, options = {}) => {
+  const verb = options.replace ? 'INSERT OR REPLACE' : 'INSERT';
+  const rowPlaceholders = `(${placeholders(columns.length)})`;
+  const rowsPerStatement = Math.max(1, Math.floor(MAX_SQL_VARIABLES / columns.length));
+
+  return chunkValues(rows, rowsPerStatement).map(batch => ({
+    sql: `${verb} INTO ${table} (${columns.join(', ')}) VALUES ${batch.map(() => rowPlaceholders).join(', ')}`,
+    args: [].concat(...batch),
+  }));
+};
+
+/**
+ * DELETE statements for rows of one list, selected by id
+ * @param {string} table - Table name
+ * @param {string} idColumn - Column holding the book row id
+ * @param {string} listKey - List the rows belong to
+ * @param {Array<string>} ids - Row ids
+ * @returns {Array<object>} [{ sql, args }]
+ */
+export const buildDeleteStatements = (table, idColumn, listKey, ids) => (
+  chunkValues(ids, MAX_SQL_VARIABLES - 1).map(batch => ({
+    sql: `DELETE FROM ${table} WHERE list_key = ? AND ${idColumn} IN (${placeholders(batch.length)})`,
+    args: [listKey, ...batch],
+  }))
+);
+
+/**
+ * Rows stored for one book. Tags and reading sessions go to their own tables;
+ * tags are stored normalized.
+ * @param {string} listKey - List the book belongs to
+ * @param {string} rowId - Row id (see chunkedStorage.getBookKeys)
+ * @param {object} book - Book
+ * @param {number} position - Position in the list
+ * @returns {object} { book: Array, tags: Array<Array>, sessions: Array<Array> }
+ */
+export const bookToRows = (listKey, rowId, book, position) => {
+  const { tags, readingSessions, ...data } = book;
+
+  return {
+    book: [listKey, rowId, position, JSON.stringify(data)],
+    tags: normalizeTags(tags).map((tag, index) => [listKey, rowId, index, tag, tag.toLowerCase()]),
+    sessions: (Array.isArray(readingSessions) ? readingSessions : [])
+      .map((session, index) => [listKey, rowId, index, JSON.stringify(session)]),
+  };
+};
+
+/**
+ * Rebuild books from their rows
+ * @param {Array<object>} bookRows - { id, data } in list order
+ * @param {Array<object>} tagRows - { book_id, tag } ordered by position
+ * @param {Array<object>} sessionRows - { book_id, data } ordered by position
+ * @returns {Array<object>}
+ */
+export const rowsToBooks = (bookRows, tagRows, sessionRows) => {
+  const tagsByBook = new Map();
+  tagRows.forEach(row => {
+    if (!tagsByBook.has(row.book_id)) tagsByBook.set(row.book_id, []);
+    tagsByBook.get(row.book_id).push(row.tag);
+  });
+
+  const sessionsByBook = new Map();
+  sessionRows.forEach(row => {
+    if (!sessionsByBook.has(row.book_id)) sessionsByBook.set(row.book_id, []);
+    sessionsByBook.get(row.book_id).push(JSON.parse(row.data));
+  });
+
+  return bookRows.map(row => ({
+    ...JSON.parse(row.data),
+    tags: tagsByBook.get(row.id) || [],
+    readingSessions: sessionsByBook.get(row.id) || [],
+  }));
+};
+
+/**
+ * Positions for a list in its new order. Books that kept their relative order keep
+ * their positions and new books get positions between their neighbours, so adding
+ * or removing books does not rewrite the others. Returns null when the whole list
+ * has to be renumbered (reordered books or no gap left).
+ * @param {Array<string>} rowIds - Row ids in list order
+ * @param {Map} previousPositions - Row id -> stored position
+ * @returns {Map|null} Row id -> position
+ */
+export const assignPositions = (rowIds, previousPositions) => {
+  const positions = new Map();
+  let lastPosition = -Infinity;
+
+  for (let index = 0; index < rowIds.length; index += 1) {
+    const rowId = rowIds[index];
+    if (!previousPositions.has(rowId)) continue;
+
+    const position = previousPositions.get(rowId);
+    if (position <= lastPosition) return null;
+    positions.set(rowId, position);
+    lastPosition = position;
+  }
+
+  let index = 0;
+  while (index < rowIds.length) {
+    if (positions.has(rowIds[index])) {
+      index += 1;
+      continue;
+    }
+
+    // Run of new books between two kept ones
+    const start = index;
+    while (index < rowIds.length && !positions.has(rowIds[index])) index += 1;
+    const count = index - start;
+    const lower = start > 0 ? positions.get(rowIds[start - 1]) : null;
+    const upper = index < rowIds.length ? positions.get(rowIds[index]) : null;
+
+    let first;
+    let step = 1;
+    if (lower === null && upper === null) {
+      first = 0;
+    } else if (lower === null) {
+      first = upper - count;
+    } else if (upper === null) {
+      first = lower + 1;
+    } else {
+      step = (upper - lower) / (count + 1);
+      if (step < MIN_POSITION_GAP) return null;
+      first = lower + step;
+    }
+
+    for (let offset = 0; offset < count; offset += 1) {
+      positions.set(rowIds[start + offset], first + offset * step);
+    }
+  }
+
+  return positions;
+};
@@ -0,0 +1,326 @@
+/**
+ * BookDatabase - Lokalne repozytorium książek w SQLite (expo-sqlite)
+ *
+ * Funkcjonalności:
+ * - Tabele książek, tagów, sesji czytania i kolejki operacji offline
+ * - Zapis przyrostowy - ponownie zapisywane są tylko zmienione książki
+ * - Jednorazowe przeniesienie danych z AsyncStorage przy pierwszym otwarciu bazy
+ *
+ * Po otwarciu bazy repozytorium rejestruje się jako aktywny magazyn (utils/bookStore),
+ * więc storage.js, OfflineManager i migracje schematu korzystają z niego przez ten sam
+ * interfejs. Gdy SQLite jest niedostępny (web, błąd otwarcia), dane zostają w AsyncStorage.
+ *
+ * @author MojeKZ Team
+ * @version 1.0
+ */
+
+import { Platform } from 'react-native';
+import * as SQLite from 'expo-sqlite';
+import { STORAGE_KEYS } from '../../constants';
+import { OfflineManager } from '../../utils/offlineManager';
+import { asyncStorageBookStore, setBookStore } from '../../utils/bookStore';
+import { getBookKeys } from '../../utils/chunkedStorage';
+import { DATABASE_NAME, META_TABLE, SCHEMA_MIGRATIONS, SCHEMA_VERSION_KEY } from './schema';
+import {
+  BOOK_COLUMNS,
+  TAG_COLUMNS,
+  SESSION_COLUMNS,
+  OPERATION_COLUMNS,
+  buildInsertStatements,
+  buildDeleteStatements,
+  bookToRows,
+  rowsToBooks,
+  assignPositions,
+} from './bookRows';
+
+// meta key set once the AsyncStorage data has been copied into the database
+const IMPORT_FLAG = 'asyncStorageImportedAt';
+
+const BOOK_TABLES = [
+  { table: 'books', idColumn: 'id' },
+  { table: 'book_tags', idColumn: 'book_id' },
+  { table: 'reading_sessions', idColumn: 'book_id' },
+];
+
+const runStatements = async (tx, statements) => {
+  for (const { sql, args } of statements) {
+    await tx.executeSqlAsync(sql, args);
+  }
+};
+
+export class BookDatabase {
+  static db = null;
+  static initializePromise = null;
+  // Transactions on one connection must not overlap, so they run one after another
+  static pendingTransaction = Promise.resolve();
+  // Last saved or loaded state per list: Map(rowId -> { position, json })
+  static listCache = new Map();
+
+  // Store registered in utils/bookStore once the database is open
+  static store = {
+    name: 'sqlite',
+    loadBookList: (key) => BookDatabase.loadBookList(key),
+    saveBookList: (key, books, metadata) => BookDatabase.saveBookList(key, books, metadata),
+    removeBookList: (key) => BookDatabase.removeBookList(key),
+    loadOperationQueue: (key) => BookDatabase.loadOperationQueue(key),
+    saveOperationQueue: (key, operations) => BookDatabase.saveOperationQueue(key, operations),
+    removeOperationQueue: (key) => BookDatabase.removeOperationQueue(key),
+  };
+
+  /**
+   * Open the database, import AsyncStorage data once and switch the book store to SQLite.
+   * Safe to call repeatedly; later calls return the first result.
+   * @returns {Promise<boolean>} Whether the SQLite store is active
+   */
+  static initialize() {
+    if (!this.initializePromise) {
+      this.initializePromise = this.open().catch(error => {
+        console.error('SQLite store unavailable, keeping AsyncStorage:', error);
+        this.db = null;
+        setBookStore(null);
+        return false;
+      });
+    }
+    return this.initializePromise;
+  }
+
+  static isReady() {
+    return this.db !== null;
+  }
+
+  static async open() {
+    if (Platform.OS === 'web') return false;
+
+    this.db = SQLite.openDatabase(DATABASE_NAME);
+    await this.migrateSchema();
+    await this.importFromAsyncStorage();
+
+    setBookStore(this.store);
+    console.log('📚 SQLite book store ready');
+    return true;
+  }
+
+  static transaction(task, readOnly = false) {
+    const run = this.pendingTransaction.then(() => this.db.transactionAsync(task, readOnly));
+    this.pendingTransaction = run.catch(() => {});
+    return run;
+  }
+
+  static async migrateSchema() {
+    await this.transaction(async tx => {
+      await tx.executeSqlAsync(META_TABLE, []);
+      const { rows } = await tx.executeSqlAsync('SELECT value FROM meta WHERE key = ?', [SCHEMA_VERSION_KEY]);
+      const currentVersion = rows.length > 0 ? parseInt(rows[0].value, 10) : 0;
+      const pending = SCHEMA_MIGRATIONS.filter(migration => migration.version > currentVersion);
+      if (pending.length === 0) return;
+
+      for (const migration of pending) {
+        await runStatements(tx, migration.statements.map(sql => ({ sql, args: [] })));
+      }
+      await tx.executeSqlAsync(
+        'INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)',
+        [SCHEMA_VERSION_KEY, String(pending[pending.length - 1].version)]
+      );
+    });
+  }
+
+  /**
+   * Copy books, offline books and the operation queue from AsyncStorage (first start only).
+   * The copy and the import flag are written in one transaction; the AsyncStorage
+   * values are removed afterwards.
+   */
+  static async importFromAsyncStorage() {
+    const listKeys = [STORAGE_KEYS.BOOKS, OfflineManager.OFFLINE_KEYS.OFFLINE_BOOKS];
+    const queueKey = OfflineManager.OFFLINE_KEYS.OPERATIONS_QUEUE;
+
+    const imported = await this.transaction(async tx => {
+      const { rows } = await tx.executeSqlAsync('SELECT value FROM meta WHERE key = ?', [IMPORT_FLAG]);
+      return rows.length > 0;
+    }, true);
+    if (imported) return;
+
+    const lists = [];
+    for (const key of listKeys) {
+      const list = await asyncStorageBookStore.loadBookList(key);
+      if (list) lists.push({ key, ...list });
+    }
+    const queue = await asyncStorageBookStore.loadOperationQueue(queueKey);
+
+    await this.transaction(async tx => {
+      for (const list of lists) {
+        await this.writeList(tx, list.key, list.books, list.metadata || {}, null);
+      }
+      if (queue) {
+        await this.writeQueue(tx, queueKey, queue);
+      }
+      await tx.executeSqlAsync('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [IMPORT_FLAG, new Date().toISOString()]);
+    });
+
+    for (const key of listKeys) {
+      await asyncStorageBookStore.removeBookList(key);
+    }
+    await asyncStorageBookStore.removeOperationQueue(queueKey);
+
+    console.log(`📚 Imported ${lists.length} book lists from AsyncStorage`);
+  }
+
+  // Books of a list rebuilt from their rows, with tags and sessions
+  static async readBooks(tx, listKey, bookRows) {
+    const tags = await tx.executeSqlAsync(
+      'SELECT book_id, tag FROM book_tags WHERE list_key = ? ORDER BY book_id, position',
+      [listKey]
+    );
+    const sessions = await tx.executeSqlAsync(
+      'SELECT book_id, data FROM reading_sessions WHERE list_key = ? ORDER BY book_id, position',
+      [listKey]
+    );
+
+    return rowsToBooks(bookRows, tags.rows, sessions.rows);
+  }
+
+  /**
+   * Write a list. Without a previous state (cache) the list is replaced,
+   * otherwise only changed, added and removed books are written.
+   * @returns {Promise<object>} { cache, writtenRows }
+   */
+  static async writeList(tx, listKey, books, metadata, previous) {
+    const rowIds = getBookKeys(books);
+    const json = books.map(book => JSON.stringify(book));
+
+    const previousPositions = new Map(previous
+      ? [...previous].map(([rowId, entry]) => [rowId, entry.position])
+      : []);
+    const positions = (previous && assignPositions(rowIds, previousPositions))
+      || new Map(rowIds.map((rowId, index) => [rowId, index]));
+
+    const cache = new Map(rowIds.map((rowId, index) => [rowId, { position: positions.get(rowId), json: json[index] }]));
+
+    if (!previous) {
+      for (const { table } of BOOK_TABLES) {
+        await tx.executeSqlAsync(`DELETE FROM ${table} WHERE list_key = ?`, [listKey]);
+      }
+    } else {
+      const removed = [...previous.keys()].filter(rowId => !cache.has(rowId));
+      for (const { table, idColumn } of BOOK_TABLES) {
+        await runStatements(tx, buildDeleteStatements(table, idColumn, listKey, removed));
+      }
+    }
+
+    const changed = [];
+    const moved = [];
+    rowIds.forEach((rowId, index) => {
+      const entry = previous && previous.get(rowId);
+      if (!entry || entry.json !== json[index]) {
+        changed.push(index);
+      } else if (entry.position !== positions.get(rowId)) {
+        moved.push(rowId);
+      }
+    });
+
+    if (previous) {
+      const changedIds = changed.map(index => rowIds[index]);
+      await runStatements(tx, buildDeleteStatements('book_tags', 'book_id', listKey, changedIds));
+      await runStatements(tx, buildDeleteStatements('reading_sessions', 'book_id', listKey, changedIds));
+    }
+
+    const rows = changed.map(index => bookToRows(listKey, rowIds[index], books[index], positions.get(rowIds[index])));
+    await runStatements(tx, buildInsertStatements('books', BOOK_COLUMNS, rows.map(row => row.book), { replace: true }));
+    await runStatements(tx, buildInsertStatements('book_tags', TAG_COLUMNS, [].concat(...rows.map(row => row.tags))));
+    await runStatements(tx, buildInsertStatements('reading_sessions', SESSION_COLUMNS, [].concat(...rows.map(row => row.sessions))));
+
+    for (const rowId of moved) {
+      await tx.executeSqlAsync('UPDATE books SET position = ? WHERE list_key = ? AND id = ?', [positions.get(rowId), listKey, rowId]);
+    }
+
+    await tx.executeSqlAsync(
+      'INSERT OR REPLACE INTO book_lists (list_key, metadata) VALUES (?, ?)',
+      [listKey, JSON.stringify(metadata)]
+    );
+
+    return { cache, writtenRows: changed.length };
+  }
+
+  static async writeQueue(tx, queueKey, operations) {
+    await tx.executeSqlAsync('DELETE FROM operation_queue WHERE queue_key = ?', [queueKey]);
+    await runStatements(tx, buildInsertStatements(
+      'operation_queue',
+      OPERATION_COLUMNS,
+      operations.map((operation, index) => [queueKey, index, JSON.stringify(operation)])
+    ));
+  }
+
+  /**
+   * Load a book list (same result as chunkedStorage.loadBookList)
+   * @param {string} key - List key
+   * @returns {Promise<object|null>} { books, metadata, legacy }
+   */
+  static async loadBookList(key) {
+    return this.transaction(async tx => {
+      const lists = await tx.executeSqlAsync('SELECT metadata FROM book_lists WHERE list_key = ?', [key]);
+      if (lists.rows.length === 0) {
+        this.listCache.delete(key);
+        return null;
+      }
+
+      const { rows } = await tx.executeSqlAsync(
+        'SELECT id, position, data FROM books WHERE list_key = ? ORDER BY position',
+        [key]
+      );
+      const books = await this.readBooks(tx, key, rows);
+
+      this.listCache.set(key, new Map(rows.map((row, index) => [
+        row.id,
+        { position: row.position, json: JSON.stringify(books[index]) },
+      ])));
+
+      return { books, metadata: JSON.parse(lists.rows[0].metadata || '{}'), legacy: false };
+    }, true);
+  }
+
+  /**
+   * Save a book list, rewriting only books changed since the last save or load
+   * @param {string} key - List key
+   * @param {Array} books - Books
+   * @param {object} metadata - Extra fields stored with the list
+   * @returns {Promise<object>} { size, chunked, writtenRows }
+   */
+  static async saveBookList(key, books, metadata = {}) {
+    const result = await this.transaction(async tx => {
+      const previous = this.listCache.get(key) || null;
+      // Dropped first so a failed transaction leads to a full rewrite next time
+      this.listCache.delete(key);
+      return this.writeList(tx, key, books, metadata, previous);
+    });
+
+    this.listCache.set(key, result.cache);
+
+    const size = [...result.cache.values()].reduce((total, entry) => total + entry.json.length + 1, 0);
+    return { size, chunked: false, writtenRows: result.writtenRows };
+  }
+
+  static async removeBookList(key) {
+    await this.transaction(async tx => {
+      this.listCache.delete(key);
+      for (const { table } of BOOK_TABLES) {
+        await tx.executeSqlAsync(`DELETE FROM ${table} WHERE list_key = ?`, [key]);
+      }
+      await tx.executeSqlAsync('DELETE FROM book_lists WHERE list_key = ?', [key]);
+    });
+  }
+
+  static async loadOperationQueue(key) {
+    const { rows } = await this.transaction(
+      tx => tx.executeSqlAsync('SELECT data FROM operation_queue WHERE queue_key = ? ORDER BY position', [key]),
+      true
+    );
+    return rows.length > 0 ? rows.map(row => JSON.parse(row.data)) : null;
+  }
+
+  static async saveOperationQueue(key, operations) {
+    await this.transaction(tx => this.writeQueue(tx, key, operations));
+  }
+
+  static async removeOperationQueue(key) {
+    await this.transaction(tx => tx.executeSqlAsync('DELETE FROM operation_queue WHERE queue_key = ?', [key]));
+  }
+}
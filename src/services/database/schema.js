@@ -0,0 +1,93 @@
+// SQLite schema of the local book repository
+//
+// The applied version is kept in the meta table. To change the schema, append
+// a migration with the next version; statements run in one transaction.
+
+export const DATABASE_NAME = 'mojekz.db';
+
+export const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Created before migrations run, since it holds the schema version
+export const META_TABLE = `CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY NOT NULL,
+  value TEXT
+)`;
+
+export const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Books, tags, reading sessions and operation queue',
+    statements: [
+      // One row per stored list (STORAGE_KEYS.BOOKS, offline books) with its metadata
+      `CREATE TABLE IF NOT EXISTS book_lists (
+        list_key TEXT PRIMARY KEY NOT NULL,
+        metadata TEXT
+      )`,
+      // data holds the book without tags and reading sessions; the other columns are for queries
+      `CREATE TABLE IF NOT EXISTS books (
+        list_key TEXT NOT NULL,
+        id TEXT NOT NULL,
+        position REAL NOT NULL,
+        title_search TEXT,
+        author_search TEXT,
+        status TEXT,
+        rating REAL,
+        date_added TEXT,
+        loan_due_date TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (list_key, id)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_books_position ON books (list_key, position)',
+      'CREATE INDEX IF NOT EXISTS idx_books_title ON books (list_key, title_search)',
+      'CREATE INDEX IF NOT EXISTS idx_books_author ON books (list_key, author_search)',
+      'CREATE INDEX IF NOT EXISTS idx_books_status ON books (list_key, status, date_added)',
+      'CREATE INDEX IF NOT EXISTS idx_books_date_added ON books (list_key, date_added)',
+      'CREATE INDEX IF NOT EXISTS idx_books_rating ON books (list_key, rating)',
+      'CREATE INDEX IF NOT EXISTS idx_books_loan_due_date ON books (list_key, loan_due_date)',
+      `CREATE TABLE IF NOT EXISTS book_tags (
+        list_key TEXT NOT NULL,
+        book_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        tag TEXT NOT NULL,
+        tag_key TEXT NOT NULL,
+        PRIMARY KEY (list_key, book_id, position)
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_book_tags_tag ON book_tags (list_key, tag_key)',
+      `CREATE TABLE IF NOT EXISTS reading_sessions (
+        list_key TEXT NOT NULL,
+        book_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (list_key, book_id, position)
+      )`,
+      `CREATE TABLE IF NOT EXISTS operation_queue (
+        queue_key TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (queue_key, position)
+      )`,
+    ],
+  },
+  {
+    version: 2,
+    description: 'Soft-deleted books (trash)',
+    statements: [
+      'ALTER TABLE books ADD COLUMN deleted_at TEXT',
+      'CREATE INDEX IF NOT EXISTS idx_books_deleted_at ON books (list_key, deleted_at)',
+    ],
+  },
+  {
+    version: 3,
+    description: 'Lists are filtered in memory; query columns are no longer filled or indexed',
+    statements: [
+      'DROP INDEX IF EXISTS idx_books_title',
+      'DROP INDEX IF EXISTS idx_books_author',
+      'DROP INDEX IF EXISTS idx_books_status',
+      'DROP INDEX IF EXISTS idx_books_date_added',
+      'DROP INDEX IF EXISTS idx_books_rating',
+      'DROP INDEX IF EXISTS idx_books_loan_due_date',
+      'DROP INDEX IF EXISTS idx_books_deleted_at',
+      'DROP INDEX IF EXISTS idx_book_tags_tag',
+    ],
+  },
+];
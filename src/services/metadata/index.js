@@ -0,0 +1,213 @@
+/**
+ * MetadataService - Wyszukiwanie metadanych książek w katalogach
+ *
+ * Funkcjonalności:
+ * - Wymienne źródła danych (providers) o wspólnym interfejsie
+ * - Pobieranie metadanych po ISBN lub po tytule/autorze
+ * - Cache wyników w AsyncStorage
+ * - Łagodna degradacja w trybie offline (przejście do kolejnego providera)
+ *
+ * Provider to obiekt o kształcie:
+ * {
+ *   name: string,
+ *   requiresNetwork: boolean,
+ *   lookupByIsbn: (isbn) => Promise<BookMetadata|null>,
+ *   search: ({ title, author }) => Promise<BookMetadata|null>,
+ * }
+ *
+ * BookMetadata:
+ * { isbn, title, authors, description, pageCount, publisher, year, coverUrl }
+ *
+ * @author MojeKZ Team
+ * @version 1.0
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { NetworkStatus } from '../../utils/networkStatus';
+import { toIsbn13 } from '../../utils/isbn';
+import { STORAGE_KEYS, VALIDATION } from '../../constants';
+import { openLibraryProvider } from './openLibraryProvider';
+import { localProvider } from './localProvider';
+
+export { createOpenLibraryProvider, openLibraryProvider } from './openLibraryProvider';
+export { createLocalProvider, localProvider } from './localProvider';
+
+export class MetadataService {
+  // Providers are queried in order until one returns a result
+  static providers = [openLibraryProvider, localProvider];
+  static CACHE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+  /**
+   * Replace the provider chain
+   * @param {Array<object>} providers - Providers in priority order
+   */
+  static setProviders(providers) {
+    this.providers = [...providers];
+  }
+
+  /**
+   * Add a provider to the chain
+   * @param {object} provider - Metadata provider
+   * @param {object} options - { first: boolean }
+   */
+  static registerProvider(provider, options = {}) {
+    this.providers = this.providers.filter(existing => existing.name !== provider.name);
+
+    if (options.first) {
+      this.providers.unshift(provider);
+    } else {
+      this.providers.push(provider);
+    }
+  }
+
+  /**
+   * Look up book metadata by ISBN
+   * @param {string} isbn - ISBN-10 or ISBN-13
+   * @returns {Promise<object|null>} { metadata, source, fromCache } or null
+   */
+  static async lookupByIsbn(isbn) {
+    const isbn13 = toIsbn13(isbn);
+    if (!isbn13) return null;
+
+    return this.lookup(`isbn_${isbn13}`, provider => provider.lookupByIsbn(isbn13));
+  }
+
+  /**
+   * Search book metadata by title and/or author
+   * @param {object} query - { title, author }
+   * @returns {Promise<object|null>} { metadata, source, fromCache } or null
+   */
+  static async search({ title = '', author = '' } = {}) {
+    const normalizedTitle = title.trim();
+    const normalizedAuthor = author.trim();
+    if (!normalizedTitle && !normalizedAuthor) return null;
+
+    const cacheKey = `search_${normalizedTitle.toLowerCase()}|${normalizedAuthor.toLowerCase()}`;
+    return this.lookup(cacheKey, provider => provider.search({
+      title: normalizedTitle,
+      author: normalizedAuthor,
+    }));
+  }
+
+  /**
+   * Query cache, then providers in order
+   */
+  static async lookup(cacheKey, query) {
+    const cached = await this.getCached(cacheKey);
+    if (cached) {
+      return { ...cached, fromCache: true };
+    }
+
+    for (const provider of this.providers) {
+      const metadata = await this.queryProvider(provider, query);
+
+      if (metadata) {
+        const result = { metadata, source: provider.name };
+        await this.setCached(cacheKey, result);
+        return { ...result, fromCache: false };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a single provider query, skipping network providers while offline
+   */
+  static async queryProvider(provider, query) {
+    try {
+      if (provider.requiresNetwork) {
+        return await NetworkStatus.executeWhenOnline(
+          () => query(provider),
+          { waitForConnection: false }
+        );
+      }
+
+      return await query(provider);
+    } catch (error) {
+      console.warn(`Metadata provider "${provider.name}" failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read cached result if it has not expired
+   */
+  static async getCached(cacheKey) {
+    try {
+      const data = await AsyncStorage.getItem(`${STORAGE_KEYS.METADATA_CACHE}_${cacheKey}`);
+      if (!data) return null;
+
+      const entry = JSON.parse(data);
+      if (Date.now() - entry.cachedAt > this.CACHE_TTL) {
+        await AsyncStorage.removeItem(`${STORAGE_KEYS.METADATA_CACHE}_${cacheKey}`);
+        return null;
+      }
+
+      return { metadata: entry.metadata, source: entry.source };
+    } catch (error) {
+      console.warn('Error reading metadata cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store result in cache
+   */
+  static async setCached(cacheKey, { metadata, source }) {
+    try {
+      await AsyncStorage.setItem(
+        `${STORAGE_KEYS.METADATA_CACHE}_${cacheKey}`,
+        JSON.stringify({ metadata, source, cachedAt: Date.now() })
+      );
+    } catch (error) {
+      console.warn('Error writing metadata cache:', error);
+    }
+  }
+
+  /**
+   * Remove all cached metadata
+   */
+  static async clearCache() {
+    try {
+      const keys = await AsyncStorage.getAllKeys();
+      const cacheKeys = keys.filter(key => key.startsWith(`${STORAGE_KEYS.METADATA_CACHE}_`));
+
+      if (cacheKeys.length > 0) {
+        await AsyncStorage.multiRemove(cacheKeys);
+      }
+    } catch (error) {
+      console.warn('Error clearing metadata cache:', error);
+    }
+  }
+}
+
+/**
+ * Map metadata to book form fields, keeping values the user already entered
+ * @param {object} metadata - BookMetadata
+ * @param {object} currentValues - Current form values
+ * @returns {object} Updated form values
+ */
+export const applyMetadataToBook = (metadata, currentValues = {}) => {
+  const fromCatalogue = {
+    title: metadata.title,
+    author: (metadata.authors || []).join(', '),
+    description: metadata.description
+      ? metadata.description.slice(0, VALIDATION.MAX_DESCRIPTION_LENGTH)
+      : '',
+    coverImage: metadata.coverUrl,
+    isbn: metadata.isbn,
+    totalPages: metadata.pageCount,
+  };
+
+  const merged = { ...currentValues };
+  Object.entries(fromCatalogue).forEach(([field, value]) => {
+    if (value && !currentValues[field]) {
+      merged[field] = value;
+    }
+  });
+
+  return merged;
+};
+
+export default MetadataService;
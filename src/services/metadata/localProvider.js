@@ -0,0 +1,41 @@
+import { toIsbn13 } from '../../utils/isbn';
+import bundledCatalogue from './fixtures/catalogue.json';
+
+const normalizeText = (value) => (value || '').toString().trim().toLowerCase();
+
+/**
+ * Create an offline metadata provider backed by a list of records
+ * @param {Array<object>} records - Records in BookMetadata shape
+ * @param {string} name - Provider name
+ * @returns {object} Metadata provider
+ */
+export const createLocalProvider = (records = [], name = 'local') => ({
+  name,
+  requiresNetwork: false,
+
+  async lookupByIsbn(isbn) {
+    const isbn13 = toIsbn13(isbn);
+    if (!isbn13) return null;
+
+    const record = records.find(item => toIsbn13(item.isbn) === isbn13);
+    return record ? { ...record, isbn: isbn13 } : null;
+  },
+
+  async search({ title, author } = {}) {
+    const titleQuery = normalizeText(title);
+    const authorQuery = normalizeText(author);
+    if (!titleQuery && !authorQuery) return null;
+
+    const record = records.find(item => {
+      const matchesTitle = !titleQuery || normalizeText(item.title).includes(titleQuery);
+      const matchesAuthor = !authorQuery ||
+        (item.authors || []).some(itemAuthor => normalizeText(itemAuthor).includes(authorQuery));
+      return matchesTitle && matchesAuthor;
+    });
+
+    return record ? { ...record } : null;
+  },
+});
+
+// Provider backed by the catalogue bundled with the app
+export const localProvider = createLocalProvider(bundledCatalogue, 'local');
@@ -0,0 +1,96 @@
+import { toIsbn13 } from '../../utils/isbn';
+
+const OPEN_LIBRARY_URL = 'https://openlibrary.org';
+const REQUEST_TIMEOUT = 10000;
+
+const fetchJson = async (url) => {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timeoutId = controller ? setTimeout(() => controller.abort(), REQUEST_TIMEOUT) : null;
+
+  try {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: controller?.signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Open Library request failed with status ${response.status}`);
+    }
+
+    return await response.json();
+  } finally {
+    if (timeoutId) clearTimeout(timeoutId);
+  }
+};
+
+const parseYear = (value) => {
+  const match = (value || '').toString().match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+};
+
+const parseDescription = (value) => {
+  if (!value) return null;
+  return typeof value === 'string' ? value : value.value || null;
+};
+
+// Map response of the /api/books?jscmd=data endpoint
+const mapBookData = (data, isbn) => ({
+  isbn,
+  title: data.subtitle ? `${data.title}: ${data.subtitle}` : data.title,
+  authors: (data.authors || []).map(author => author.name),
+  description: parseDescription(data.notes || data.excerpts?.[0]?.text),
+  pageCount: data.number_of_pages || null,
+  publisher: data.publishers?.[0]?.name || null,
+  year: parseYear(data.publish_date),
+  coverUrl: data.cover?.large || data.cover?.medium || null,
+});
+
+// Map a single document of the /search.json endpoint
+const mapSearchDoc = (doc) => ({
+  isbn: toIsbn13(doc.isbn?.find(isbn => toIsbn13(isbn))) || null,
+  title: doc.title,
+  authors: doc.author_name || [],
+  description: doc.first_sentence?.[0] || null,
+  pageCount: doc.number_of_pages_median || null,
+  publisher: doc.publisher?.[0] || null,
+  year: doc.first_publish_year || null,
+  coverUrl: doc.cover_i ? `https://covers.openlibrary.org/b/id/${doc.cover_i}-L.jpg` : null,
+});
+
+/**
+ * Create an Open Library HTTP metadata provider
+ * @param {object} options - { baseUrl }
+ * @returns {object} Metadata provider
+ */
+export const createOpenLibraryProvider = ({ baseUrl = OPEN_LIBRARY_URL } = {}) => ({
+  name: 'openlibrary',
+  requiresNetwork: true,
+
+  async lookupByIsbn(isbn) {
+    const isbn13 = toIsbn13(isbn);
+    if (!isbn13) return null;
+
+    const bibkey = `ISBN:${isbn13}`;
+    const data = await fetchJson(
+      `${baseUrl}/api/books?bibkeys=${encodeURIComponent(bibkey)}&format=json&jscmd=data`
+    );
+
+    return data?.[bibkey] ? mapBookData(data[bibkey], isbn13) : null;
+  },
+
+  async search({ title, author } = {}) {
+    if (!title && !author) return null;
+
+    const params = [];
+    if (title) params.push(`title=${encodeURIComponent(title)}`);
+    if (author) params.push(`author=${encodeURIComponent(author)}`);
+    params.push('limit=1');
+
+    const data = await fetchJson(`${baseUrl}/search.json?${params.join('&')}`);
+    const doc = data?.docs?.[0];
+
+    return doc ? mapSearchDoc(doc) : null;
+  },
+});
+
+export const openLibraryProvider = createOpenLibraryProvider();
@@ -0,0 +1,125 @@
+/**
+ * NotificationService - Lokalne przypomnienia (expo-notifications)
+ *
+ * Funkcjonalności:
+ * - Prośba o uprawnienia do powiadomień
+ * - Planowanie przypomnień wyliczonych przez utils/reminders
+ * - Przechowywanie ustawień przypomnień w AsyncStorage
+ * - Anulowanie wszystkich przypomnień (np. przy wylogowaniu)
+ *
+ * Każde planowanie zastępuje wcześniej zaplanowane przypomnienia,
+ * więc lista powiadomień zawsze odpowiada aktualnemu stanowi danych.
+ *
+ * @author MojeKZ Team
+ * @version 1.0
+ */
+
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from '../constants';
+import { DEFAULT_REMINDER_SETTINGS } from '../utils/reminders';
+
+// Show reminders also while the app is in the foreground
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: false,
+    shouldSetBadge: false,
+  }),
+});
+
+export class NotificationService {
+  static CHANNEL_ID = 'reminders';
+  static channelCreated = false;
+  // Scheduling runs are chained so cancel/schedule pairs never interleave
+  static pendingSchedule = Promise.resolve();
+
+  /**
+   * Ask for notification permissions if not granted yet
+   * @returns {Promise<boolean>} Whether notifications may be shown
+   */
+  static async requestPermissions() {
+    const { status, canAskAgain } = await Notifications.getPermissionsAsync();
+    if (status === 'granted') return true;
+    if (!canAskAgain) return false;
+
+    const { status: requestedStatus } = await Notifications.requestPermissionsAsync();
+    return requestedStatus === 'granted';
+  }
+
+  static async ensureChannel() {
+    if (Platform.OS !== 'android' || this.channelCreated) return;
+
+    await Notifications.setNotificationChannelAsync(this.CHANNEL_ID, {
+      name: 'Przypomnienia',
+      importance: Notifications.AndroidImportance.DEFAULT,
+    });
+    this.channelCreated = true;
+  }
+
+  /**
+   * Replace all scheduled reminders
+   * @param {Array<object>} reminders - Result of buildReminders
+   * @returns {Promise<number>} Number of scheduled notifications
+   */
+  static scheduleReminders(reminders) {
+    const run = async () => {
+      await Notifications.cancelAllScheduledNotificationsAsync();
+      if (reminders.length === 0) return 0;
+
+      const granted = await this.requestPermissions();
+      if (!granted) return 0;
+
+      await this.ensureChannel();
+
+      for (const reminder of reminders) {
+        await Notifications.scheduleNotificationAsync({
+          identifier: reminder.id,
+          content: {
+            title: reminder.title,
+            body: reminder.body,
+            data: { category: reminder.category },
+          },
+          trigger: {
+            date: new Date(reminder.date),
+            channelId: this.CHANNEL_ID,
+          },
+        });
+      }
+
+      return reminders.length;
+    };
+
+    this.pendingSchedule = this.pendingSchedule.catch(() => {}).then(run);
+    return this.pendingSchedule;
+  }
+
+  /**
+   * Cancel every scheduled reminder
+   */
+  static cancelAll() {
+    this.pendingSchedule = this.pendingSchedule
+      .catch(() => {})
+      .then(() => Notifications.cancelAllScheduledNotificationsAsync());
+    return this.pendingSchedule;
+  }
+
+  /**
+   * Load reminder settings merged with defaults
+   * @returns {Promise<object>}
+   */
+  static async loadSettings() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.REMINDER_SETTINGS);
+      return { ...DEFAULT_REMINDER_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+    } catch (error) {
+      console.error('Error loading reminder settings:', error);
+      return { ...DEFAULT_REMINDER_SETTINGS };
+    }
+  }
+
+  static async saveSettings(settings) {
+    await AsyncStorage.setItem(STORAGE_KEYS.REMINDER_SETTINGS, JSON.stringify(settings));
+  }
+}
@@ -0,0 +1,87 @@
+import { matchesTags, TAG_FILTER_MODES } from './tags';
+import { isBookOverdue } from './loans';
+import { isInTrash } from './trash';
+
+export const BOOK_SORT_FIELDS = {
+  DATE_ADDED: 'dateAdded',
+  TITLE: 'title',
+  AUTHOR: 'author',
+  RATING: 'rating',
+};
+
+/**
+ * Book list query (see hooks/useBookQuery)
+ */
+export const DEFAULT_BOOK_QUERY = {
+  search: '',
+  status: null,
+  tags: [],
+  tagMode: TAG_FILTER_MODES.OR,
+  overdueOnly: false,
+  sortBy: BOOK_SORT_FIELDS.DATE_ADDED,
+  sortOrder: 'desc',
+  limit: null,
+  offset: 0,
+};
+
+const toSearchText = (value) => String(value || '').toLowerCase();
+
+/**
+ * Check whether a book matches the filters of a query
+ * @param {object} book - Book
+ * @param {object} query - Book query
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {boolean}
+ */
+export const matchesBookQuery = (book, query, now = new Date()) => {
+  const { search, status, tags, tagMode, overdueOnly } = { ...DEFAULT_BOOK_QUERY, ...query };
+  const searchText = toSearchText(search);
+
+  const matchesSearch =
+    toSearchText(book.title).includes(searchText) ||
+    toSearchText(book.author).includes(searchText);
+
+  const matchesStatus = status ? book.status === status : true;
+  const matchesLoan = overdueOnly ? isBookOverdue(book, now) : true;
+
+  return !isInTrash(book) && matchesSearch && matchesStatus && matchesLoan && matchesTags(book, tags, tagMode);
+};
+
+/**
+ * Comparator for a sort field and order
+ * @param {string} sortBy - One of BOOK_SORT_FIELDS
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Function}
+ */
+export const compareBooks = (sortBy, sortOrder) => (a, b) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+
+  if (sortBy === BOOK_SORT_FIELDS.TITLE) {
+    return direction * toSearchText(a.title).localeCompare(toSearchText(b.title));
+  } else if (sortBy === BOOK_SORT_FIELDS.AUTHOR) {
+    return direction * toSearchText(a.author).localeCompare(toSearchText(b.author));
+  } else if (sortBy === BOOK_SORT_FIELDS.RATING) {
+    return direction * ((a.rating || 0) - (b.rating || 0));
+  }
+  return direction * (new Date(a.dateAdded) - new Date(b.dateAdded));
+};
+
+/**
+ * Filter, sort and paginate books in memory
+ * @param {Array} books - All books
+ * @param {object} query - Book query (see DEFAULT_BOOK_QUERY)
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {object} { books, total }
+ */
+export const queryBooks = (books, query = {}, now = new Date()) => {
+  const { sortBy, sortOrder, limit, offset } = { ...DEFAULT_BOOK_QUERY, ...query };
+
+  const matching = books
+    .filter(book => matchesBookQuery(book, query, now))
+    .sort(compareBooks(sortBy, sortOrder));
+
+  return {
+    books: limit === null ? matching.slice(offset) : matching.slice(offset, offset + limit),
+    total: matching.length,
+  };
+};
@@ -0,0 +1,58 @@
+// Persistence backend for book lists and the offline operation queue
+//
+// storage.js, OfflineManager and the schema migrations go through the active
+// store instead of AsyncStorage directly. The default store keeps everything in
+// AsyncStorage (book lists via chunkedStorage); BookDatabase replaces it with
+// the SQLite repository once its database is open. Every store implements:
+//
+// {
+//   name: string,
+//   loadBookList: (key) => Promise<{ books, metadata, legacy }|null>,
+//   saveBookList: (key, books, metadata, options) => Promise<{ size, chunked }>,
+//   removeBookList: (key) => Promise<void>,
+//   loadOperationQueue: (key) => Promise<Array|null>,
+//   saveOperationQueue: (key, operations) => Promise<void>,
+//   removeOperationQueue: (key) => Promise<void>,
+// }
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as chunkedStorage from './chunkedStorage';
+
+export const asyncStorageBookStore = {
+  name: 'asyncStorage',
+  loadBookList: chunkedStorage.loadBookList,
+  saveBookList: chunkedStorage.saveBookList,
+  removeBookList: chunkedStorage.removeBookList,
+  loadOperationQueue: async (key) => {
+    const data = await AsyncStorage.getItem(key);
+    return data ? JSON.parse(data) : null;
+  },
+  saveOperationQueue: (key, operations) => AsyncStorage.setItem(key, JSON.stringify(operations)),
+  removeOperationQueue: (key) => AsyncStorage.removeItem(key),
+};
+
+let activeStore = asyncStorageBookStore;
+
+export const getBookStore = () => activeStore;
+
+/**
+ * Replace the active store (null restores the AsyncStorage store)
+ * @param {object|null} store - Store implementing the interface above
+ */
+export const setBookStore = (store) => {
+  activeStore = store || asyncStorageBookStore;
+};
+
+export const loadBookList = (key) => activeStore.loadBookList(key);
+
+export const saveBookList = (key, books, metadata = {}, options = {}) => (
+  activeStore.saveBookList(key, books, metadata, options)
+);
+
+export const removeBookList = (key) => activeStore.removeBookList(key);
+
+export const loadOperationQueue = (key) => activeStore.loadOperationQueue(key);
+
+export const saveOperationQueue = (key, operations) => activeStore.saveOperationQueue(key, operations);
+
+export const removeOperationQueue = (key) => activeStore.removeOperationQueue(key);
@@ -0,0 +1,303 @@
+// Chunked storage for book lists
+//
+// Small lists are stored inline under the main key ({ ...metadata, books }).
+// Larger lists are split into chunks of CHUNK_SIZE books under `<key>_chunk_<id>`
+// and the main key holds a manifest. Each save rewrites only the chunks whose
+// books changed since the last save or load in this session; the first save
+// after start-up without a load rewrites everything. Values above the
+// compression threshold are compressed.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { compressIfLarge, readStoredText } from './compression';
+
+export const CHUNKED_STORAGE_CONFIG = {
+  CHUNK_SIZE: 100,
+  COMPRESSION_THRESHOLD: 256 * 1024, // 256KB
+};
+
+const CHUNKED_FORMAT = 'chunked';
+
+// Last written state per main key: { revision, nextChunkId, chunks: [{ id, keys }], json: Map(bookKey -> json) }
+const writeCache = new Map();
+
+// Writes to the same key run one after another
+const pendingWrites = new Map();
+
+const enqueueWrite = (key, task) => {
+  const previousWrite = pendingWrites.get(key) || Promise.resolve();
+  const write = previousWrite.catch(() => {}).then(task);
+
+  pendingWrites.set(key, write);
+  write.finally(() => {
+    if (pendingWrites.get(key) === write) pendingWrites.delete(key);
+  }).catch(() => {});
+
+  return write;
+};
+
+const getChunkKey = (key, chunkId) => `${key}_chunk_${chunkId}`;
+
+const createRevision = () => `${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Stable, unique key per book (books without an id or with a repeated id get a suffix)
+ * @param {Array} books - Books
+ * @returns {Array<string>}
+ */
+export const getBookKeys = (books) => {
+  const seen = new Map();
+
+  return books.map(book => {
+    const base = book && book.id !== undefined && book.id !== null ? `id:${book.id}` : 'noid';
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 && base !== 'noid' ? base : `${base}#${count}`;
+  });
+};
+
+const isChunkedManifest = (data) => Boolean(data) && data.format === CHUNKED_FORMAT && Array.isArray(data.chunks);
+
+/**
+ * Storage keys of the chunks listed in a manifest
+ * @param {string} key - Main storage key
+ * @param {object} manifest - Parsed main value
+ * @returns {Array<string>}
+ */
+export const getChunkKeys = (key, manifest) => (
+  isChunkedManifest(manifest) ? manifest.chunks.map(chunk => getChunkKey(key, chunk.id)) : []
+);
+
+const readMainValue = async (key) => {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    return raw ? JSON.parse(readStoredText(raw)) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const rememberChunks = (key, manifest, chunkBooks) => {
+  const json = new Map();
+  const chunks = manifest.chunks.map((chunk, index) => {
+    const keys = getBookKeys(chunkBooks[index]);
+    keys.forEach((bookKey, bookIndex) => json.set(bookKey, JSON.stringify(chunkBooks[index][bookIndex])));
+    return { id: chunk.id, keys };
+  });
+
+  writeCache.set(key, { revision: manifest.revision, nextChunkId: manifest.nextChunkId, chunks, json });
+};
+
+/**
+ * Rebuild a book list from its stored values
+ * @param {string} key - Main storage key
+ * @param {*} parsedData - Parsed main value
+ * @param {Function} getValue - Returns the raw value of a chunk key
+ * @returns {object} { books, metadata, legacy, manifest, chunkBooks }
+ */
+export const assembleBookList = (key, parsedData, getValue) => {
+  // Legacy format - plain array of books
+  if (Array.isArray(parsedData)) {
+    return { books: parsedData, metadata: null, legacy: true };
+  }
+
+  if (isChunkedManifest(parsedData)) {
+    const { format, revision, nextChunkId, chunks, order, ...metadata } = parsedData;
+
+    const chunkBooks = getChunkKeys(key, parsedData).map(chunkKey => {
+      const value = getValue(chunkKey);
+      if (!value) {
+        throw new Error(`Missing storage chunk ${chunkKey}`);
+      }
+      return JSON.parse(readStoredText(value));
+    });
+
+    let books = [].concat(...chunkBooks);
+    if (order) {
+      const byKey = new Map(getBookKeys(books).map((bookKey, index) => [bookKey, books[index]]));
+      books = order.map(bookKey => byKey.get(bookKey)).filter(book => book !== undefined);
+    }
+
+    return { books, metadata, legacy: false, manifest: parsedData, chunkBooks };
+  }
+
+  if (parsedData && Array.isArray(parsedData.books)) {
+    const { books, ...metadata } = parsedData;
+    return { books, metadata, legacy: false };
+  }
+
+  throw new Error('Invalid data format');
+};
+
+/**
+ * Load a book list saved with saveBookList (inline, chunked or legacy array)
+ * @param {string} key - Main storage key
+ * @returns {Promise<object|null>} { books, metadata, legacy } or null when nothing is stored
+ */
+export const loadBookList = async (key) => {
+  const mainValue = await AsyncStorage.getItem(key);
+  if (!mainValue) {
+    writeCache.delete(key);
+    return null;
+  }
+
+  let chunkValues = new Map();
+  const mainData = JSON.parse(readStoredText(mainValue));
+  const chunkKeys = getChunkKeys(key, mainData);
+  if (chunkKeys.length > 0) {
+    chunkValues = new Map(await AsyncStorage.multiGet(chunkKeys));
+  }
+
+  const { books, metadata, legacy, manifest, chunkBooks } = assembleBookList(key, mainData, chunkKey => chunkValues.get(chunkKey));
+
+  if (manifest) {
+    rememberChunks(key, manifest, chunkBooks);
+  } else {
+    writeCache.delete(key);
+  }
+
+  return { books, metadata, legacy };
+};
+
+const saveInline = async (key, books, metadata, options) => {
+  const { maxSize, compressionThreshold } = options;
+  const serializedData = JSON.stringify({ ...metadata, books });
+
+  if (maxSize && serializedData.length > maxSize) {
+    throw new Error('Data size exceeds storage limit');
+  }
+
+  const previous = await readMainValue(key);
+  await AsyncStorage.setItem(key, compressIfLarge(serializedData, compressionThreshold));
+
+  const staleChunks = getChunkKeys(key, previous);
+  if (staleChunks.length > 0) {
+    await AsyncStorage.multiRemove(staleChunks);
+  }
+  writeCache.delete(key);
+
+  return { size: serializedData.length, chunked: false, writtenChunks: 0 };
+};
+
+const saveChunks = async (key, books, metadata, options) => {
+  const { maxSize, compressionThreshold, chunkSize } = options;
+  const keys = getBookKeys(books);
+  const json = new Map(keys.map((bookKey, index) => [bookKey, JSON.stringify(books[index])]));
+
+  const size = keys.reduce((total, bookKey) => total + json.get(bookKey).length + 1, 0);
+  if (maxSize && size > maxSize) {
+    throw new Error('Data size exceeds storage limit');
+  }
+
+  // Incremental save only when storage still holds what this session last wrote
+  const previous = await readMainValue(key);
+  let cached = writeCache.get(key);
+  if (!cached || !isChunkedManifest(previous) || previous.revision !== cached.revision) {
+    cached = null;
+  }
+
+  const present = new Set(keys);
+  let nextChunkId = cached ? cached.nextChunkId : 0;
+  let chunks = cached
+    ? cached.chunks.map(chunk => ({
+      id: chunk.id,
+      keys: chunk.keys.filter(bookKey => present.has(bookKey)),
+      dirty: chunk.keys.some(bookKey => cached.json.get(bookKey) !== json.get(bookKey)),
+    }))
+    : [];
+
+  // Many half-empty chunks after deletions - start over
+  if (chunks.length > Math.ceil(keys.length / chunkSize) * 2) {
+    chunks = [];
+    nextChunkId = 0;
+  }
+
+  const assigned = new Set([].concat(...chunks.map(chunk => chunk.keys)));
+  keys.filter(bookKey => !assigned.has(bookKey)).forEach(bookKey => {
+    let lastChunk = chunks[chunks.length - 1];
+    if (!lastChunk || lastChunk.keys.length >= chunkSize) {
+      lastChunk = { id: nextChunkId, keys: [], dirty: true };
+      nextChunkId += 1;
+      chunks.push(lastChunk);
+    }
+    lastChunk.keys.push(bookKey);
+    lastChunk.dirty = true;
+  });
+
+  const liveChunks = chunks.filter(chunk => chunk.keys.length > 0);
+  const storedOrder = [].concat(...liveChunks.map(chunk => chunk.keys));
+  const sameOrder = storedOrder.every((bookKey, index) => bookKey === keys[index]);
+
+  const revision = createRevision();
+  const manifest = {
+    ...metadata,
+    format: CHUNKED_FORMAT,
+    revision,
+    nextChunkId,
+    chunks: liveChunks.map(chunk => ({ id: chunk.id, count: chunk.keys.length })),
+    ...(sameOrder ? {} : { order: keys }),
+  };
+
+  const dirtyChunks = liveChunks.filter(chunk => chunk.dirty);
+  await AsyncStorage.multiSet([
+    ...dirtyChunks.map(chunk => [
+      getChunkKey(key, chunk.id),
+      compressIfLarge(`[${chunk.keys.map(bookKey => json.get(bookKey)).join(',')}]`, compressionThreshold),
+    ]),
+    [key, JSON.stringify(manifest)],
+  ]);
+
+  const liveChunkKeys = new Set(liveChunks.map(chunk => getChunkKey(key, chunk.id)));
+  const staleChunks = getChunkKeys(key, previous).filter(chunkKey => !liveChunkKeys.has(chunkKey));
+  if (staleChunks.length > 0) {
+    await AsyncStorage.multiRemove(staleChunks);
+  }
+
+  if (options.cache) {
+    writeCache.set(key, {
+      revision,
+      nextChunkId,
+      chunks: liveChunks.map(chunk => ({ id: chunk.id, keys: chunk.keys })),
+      json,
+    });
+  } else {
+    writeCache.delete(key);
+  }
+
+  return { size, chunked: true, writtenChunks: dirtyChunks.length };
+};
+
+/**
+ * Save a book list, inline or in chunks depending on its length
+ * @param {string} key - Main storage key
+ * @param {Array} books - Books to save
+ * @param {object} metadata - Extra fields stored next to the books
+ * @param {object} options - { maxSize, compressionThreshold, chunkSize, cache }
+ *   cache: false for lists written once (backups) - the next save rewrites every chunk
+ * @returns {Promise<object>} { size, chunked, writtenChunks }
+ */
+export const saveBookList = (key, books, metadata = {}, options = {}) => {
+  const saveOptions = {
+    maxSize: null,
+    compressionThreshold: CHUNKED_STORAGE_CONFIG.COMPRESSION_THRESHOLD,
+    chunkSize: CHUNKED_STORAGE_CONFIG.CHUNK_SIZE,
+    cache: true,
+    ...options,
+  };
+
+  return enqueueWrite(key, () => (
+    books.length > saveOptions.chunkSize
+      ? saveChunks(key, books, metadata, saveOptions)
+      : saveInline(key, books, metadata, saveOptions)
+  ));
+};
+
+/**
+ * Remove a book list together with its chunks
+ * @param {string} key - Main storage key
+ * @returns {Promise<void>}
+ */
+export const removeBookList = (key) => enqueueWrite(key, async () => {
+  const previous = await readMainValue(key);
+  await AsyncStorage.multiRemove([key, ...getChunkKeys(key, previous)]);
+  writeCache.delete(key);
+});
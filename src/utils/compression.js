@@ -0,0 +1,200 @@
+// Text compression for large AsyncStorage values (LZW over UTF-8 bytes)
+//
+// Codes are stored one per character, shifted past control characters and kept
+// below the surrogate range, so the output is a plain string that AsyncStorage
+// can store on every platform.
+
+export const COMPRESSED_PREFIX = '~lzw1~';
+
+const CODE_OFFSET = 0x20;
+const DICTIONARY_LIMIT = 0xD800 - CODE_OFFSET; // Dictionary is frozen once full
+const STRING_SLICE = 8192; // Max arguments passed to String.fromCharCode at once
+
+const toUtf8Bytes = (text) => {
+  const bytes = [];
+
+  for (let i = 0; i < text.length; i += 1) {
+    let code = text.charCodeAt(i);
+
+    // Surrogate pairs become one code point; lone surrogates are kept as they are
+    if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+      const next = text.charCodeAt(i + 1);
+      if (next >= 0xDC00 && next <= 0xDFFF) {
+        code = 0x10000 + ((code - 0xD800) << 10) + (next - 0xDC00);
+        i += 1;
+      }
+    }
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+    } else if (code < 0x10000) {
+      bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+    } else {
+      bytes.push(
+        0xF0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3F),
+        0x80 | ((code >> 6) & 0x3F),
+        0x80 | (code & 0x3F)
+      );
+    }
+  }
+
+  return bytes;
+};
+
+const unitsToString = (units) => {
+  let text = '';
+  for (let i = 0; i < units.length; i += STRING_SLICE) {
+    text += String.fromCharCode.apply(null, units.slice(i, i + STRING_SLICE));
+  }
+  return text;
+};
+
+const fromUtf8Bytes = (bytes) => {
+  const units = [];
+  let i = 0;
+
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    let code;
+
+    if (byte < 0x80) {
+      code = byte;
+      i += 1;
+    } else if (byte < 0xE0) {
+      code = ((byte & 0x1F) << 6) | (bytes[i + 1] & 0x3F);
+      i += 2;
+    } else if (byte < 0xF0) {
+      code = ((byte & 0x0F) << 12) | ((bytes[i + 1] & 0x3F) << 6) | (bytes[i + 2] & 0x3F);
+      i += 3;
+    } else {
+      code = ((byte & 0x07) << 18) | ((bytes[i + 1] & 0x3F) << 12)
+        | ((bytes[i + 2] & 0x3F) << 6) | (bytes[i + 3] & 0x3F);
+      i += 4;
+    }
+
+    if (code >= 0x10000) {
+      code -= 0x10000;
+      units.push(0xD800 + (code >> 10), 0xDC00 + (code & 0x3FF));
+    } else {
+      units.push(code);
+    }
+  }
+
+  return unitsToString(units);
+};
+
+/**
+ * Check whether a stored value was written by compressText
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+export const isCompressed = (value) => typeof value === 'string' && value.startsWith(COMPRESSED_PREFIX);
+
+/**
+ * Compress text
+ * @param {string} text - Text to compress
+ * @returns {string} Compressed text starting with COMPRESSED_PREFIX
+ */
+export const compressText = (text) => {
+  const bytes = toUtf8Bytes(text);
+  if (bytes.length === 0) return COMPRESSED_PREFIX;
+
+  const dictionary = new Map(); // prefix code * 256 + byte -> code
+  const codes = [];
+  let nextCode = 256;
+  let prefix = bytes[0];
+
+  for (let i = 1; i < bytes.length; i += 1) {
+    const key = prefix * 256 + bytes[i];
+    const code = dictionary.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+    } else {
+      codes.push(prefix + CODE_OFFSET);
+      if (nextCode < DICTIONARY_LIMIT) {
+        dictionary.set(key, nextCode);
+        nextCode += 1;
+      }
+      prefix = bytes[i];
+    }
+  }
+  codes.push(prefix + CODE_OFFSET);
+
+  return COMPRESSED_PREFIX + unitsToString(codes);
+};
+
+/**
+ * Decompress text written by compressText
+ * @param {string} value - Compressed text
+ * @returns {string}
+ */
+export const decompressText = (value) => {
+  if (!isCompressed(value)) {
+    throw new Error('Value is not compressed');
+  }
+
+  const data = value.slice(COMPRESSED_PREFIX.length);
+  if (data.length === 0) return '';
+
+  const dictionary = [];
+  for (let i = 0; i < 256; i += 1) {
+    dictionary.push([i]);
+  }
+
+  const readCode = (index) => {
+    const code = data.charCodeAt(index) - CODE_OFFSET;
+    if (code < 0) throw new Error('Invalid compressed data');
+    return code;
+  };
+
+  let previous = dictionary[readCode(0)];
+  if (!previous) throw new Error('Invalid compressed data');
+  const bytes = [...previous];
+
+  for (let i = 1; i < data.length; i += 1) {
+    const code = readCode(i);
+    let entry;
+
+    if (code < dictionary.length) {
+      entry = dictionary[code];
+    } else if (code === dictionary.length) {
+      entry = previous.concat(previous[0]);
+    } else {
+      throw new Error('Invalid compressed data');
+    }
+
+    for (let j = 0; j < entry.length; j += 1) {
+      bytes.push(entry[j]);
+    }
+    if (dictionary.length < DICTIONARY_LIMIT) {
+      dictionary.push(previous.concat(entry[0]));
+    }
+    previous = entry;
+  }
+
+  return fromUtf8Bytes(bytes);
+};
+
+/**
+ * Compress text only when it is longer than the threshold and compression pays off
+ * @param {string} text - Text to store
+ * @param {number} threshold - Minimum length worth compressing
+ * @returns {string} Compressed or original text
+ */
+export const compressIfLarge = (text, threshold) => {
+  if (text.length <= threshold) return text;
+
+  const compressed = compressText(text);
+  return compressed.length < text.length ? compressed : text;
+};
+
+/**
+ * Read a value that may have been compressed
+ * @param {string} value - Stored value
+ * @returns {string}
+ */
+export const readStoredText = (value) => (isCompressed(value) ? decompressText(value) : value);
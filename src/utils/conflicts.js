@@ -0,0 +1,171 @@
+// Sync conflicts: strategies and per-field resolution.
+// A conflict pairs the local version of a record (queued while offline) with the
+// newer server version. With the 'user_choice' strategy the user picks, field by
+// field, whether to keep their value, take the server one or merge both.
+
+export const CONFLICT_STRATEGIES = {
+  CLIENT_WINS: 'client_wins',
+  SERVER_WINS: 'server_wins',
+  MERGE: 'merge',
+  USER_CHOICE: 'user_choice',
+};
+
+export const CONFLICT_STRATEGY_LABELS = {
+  [CONFLICT_STRATEGIES.CLIENT_WINS]: 'Zachowaj moje zmiany',
+  [CONFLICT_STRATEGIES.SERVER_WINS]: 'Zachowaj wersje z serwera',
+  [CONFLICT_STRATEGIES.MERGE]: 'Polacz automatycznie',
+  [CONFLICT_STRATEGIES.USER_CHOICE]: 'Pytaj mnie',
+};
+
+// Entities with conflict detection (goals are upserts, the last write wins)
+export const CONFLICT_ENTITIES = [
+  { key: 'book', label: 'Ksiazki' },
+  { key: 'shelf', label: 'Polki' },
+];
+
+export const FIELD_CHOICES = {
+  MINE: 'mine',
+  THEIRS: 'theirs',
+  MERGE: 'merge',
+};
+
+export const MERGE_KINDS = {
+  TEXT: 'text', // both texts kept
+  SET: 'set', // union of values
+  LIST: 'list', // union of entries (by id)
+  MAX: 'max', // progress - the larger value wins
+};
+
+export const CONFLICT_FIELDS = {
+  book: [
+    { key: 'title', label: 'Tytul' },
+    { key: 'author', label: 'Autor' },
+    { key: 'status', label: 'Status' },
+    { key: 'rating', label: 'Ocena' },
+    { key: 'description', label: 'Opis', merge: MERGE_KINDS.TEXT },
+    { key: 'notes', label: 'Notatki', merge: MERGE_KINDS.TEXT },
+    { key: 'isbn', label: 'ISBN' },
+    { key: 'totalPages', label: 'Liczba stron' },
+    { key: 'currentPage', label: 'Aktualna strona', merge: MERGE_KINDS.MAX },
+    { key: 'coverImage', label: 'Okladka' },
+    { key: 'tags', label: 'Tagi', merge: MERGE_KINDS.SET },
+    { key: 'startedAt', label: 'Rozpoczeto', format: 'date' },
+    { key: 'finishedAt', label: 'Ukonczono', format: 'date' },
+    { key: 'readingSessions', label: 'Sesje czytania', merge: MERGE_KINDS.LIST },
+    { key: 'readHistory', label: 'Historia czytania', merge: MERGE_KINDS.LIST },
+    { key: 'loans', label: 'Wypozyczenia', merge: MERGE_KINDS.LIST },
+    { key: 'deletedAt', label: 'W koszu', format: 'flag' },
+  ],
+  shelf: [
+    { key: 'name', label: 'Nazwa' },
+    { key: 'icon', label: 'Ikona' },
+    { key: 'color', label: 'Kolor' },
+    { key: 'sortOrder', label: 'Kolejnosc' },
+    { key: 'bookIds', label: 'Ksiazki', merge: MERGE_KINDS.SET },
+  ],
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+export const isSameValue = (a, b) => {
+  if (isEmpty(a) && isEmpty(b)) return true;
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+  return a === b;
+};
+
+const hasField = (record, key) => Object.prototype.hasOwnProperty.call(record || {}, key);
+
+export const canMergeField = (field) => Boolean(field.merge);
+
+/**
+ * Fields edited locally whose value differs on the server
+ * @param {string} entity - 'book' or 'shelf'
+ * @param {object} local - Local version (may hold only the changed fields)
+ * @param {object} server - Server version
+ * @returns {Array<object>} Field definitions from CONFLICT_FIELDS
+ */
+export const getConflictingFields = (entity, local, server) => (
+  (CONFLICT_FIELDS[entity] || []).filter(field => (
+    hasField(local, field.key) && !isSameValue(local[field.key], server[field.key])
+  ))
+);
+
+/**
+ * Combine both values of a mergeable field
+ * @param {object} field - Field definition
+ * @param {*} mine - Local value
+ * @param {*} theirs - Server value
+ * @returns {*}
+ */
+export const mergeFieldValues = (field, mine, theirs) => {
+  switch (field.merge) {
+    case MERGE_KINDS.TEXT: {
+      if (isEmpty(mine)) return theirs;
+      if (isEmpty(theirs)) return mine;
+      if (String(theirs).includes(mine)) return theirs;
+      if (String(mine).includes(theirs)) return mine;
+      return `${theirs}\n\n${mine}`;
+    }
+
+    case MERGE_KINDS.SET:
+      return [...new Set([...(theirs || []), ...(mine || [])])];
+
+    case MERGE_KINDS.LIST: {
+      const merged = [...(theirs || [])];
+      (mine || []).forEach(entry => {
+        const exists = merged.some(existing => (
+          entry && entry.id !== undefined ? existing?.id === entry.id : isSameValue(existing, entry)
+        ));
+        if (!exists) merged.push(entry);
+      });
+      return merged;
+    }
+
+    case MERGE_KINDS.MAX:
+      return Math.max(Number(mine) || 0, Number(theirs) || 0);
+
+    default:
+      return mine;
+  }
+};
+
+/**
+ * Build the resolved record from per-field choices
+ * @param {string} entity - 'book' or 'shelf'
+ * @param {object} local - Local version
+ * @param {object} server - Server version
+ * @param {object} choices - { [fieldKey]: FIELD_CHOICES value }, local value by default
+ * @returns {object}
+ */
+export const resolveConflictFields = (entity, local, server, choices = {}) => {
+  const resolved = { ...server, ...local };
+
+  getConflictingFields(entity, local, server).forEach(field => {
+    const choice = choices[field.key] || FIELD_CHOICES.MINE;
+
+    if (choice === FIELD_CHOICES.THEIRS) {
+      resolved[field.key] = server[field.key];
+    } else if (choice === FIELD_CHOICES.MERGE && canMergeField(field)) {
+      resolved[field.key] = mergeFieldValues(field, local[field.key], server[field.key]);
+    }
+  });
+
+  return resolved;
+};
+
+/**
+ * Short text shown for a field value
+ * @param {object} field - Field definition
+ * @param {*} value - Value
+ * @returns {string}
+ */
+export const formatFieldValue = (field, value) => {
+  if (field.format === 'flag') return value ? 'tak' : 'nie';
+  if (isEmpty(value) || (Array.isArray(value) && value.length === 0)) return '—';
+  if (field.format === 'date') return new Date(value).toLocaleDateString('pl-PL');
+  if (field.merge === MERGE_KINDS.LIST || field.key === 'bookIds') return `Pozycji: ${value.length}`;
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
@@ -0,0 +1,161 @@
+// Manifest of the cover cache (services/coverCache).
+// Every cover source (URL or local photo) has one entry with its cached files - the
+// full image and a small thumbnail for lists - and the time it was last shown.
+// When the files exceed the size budget the least recently used entries go first;
+// pinned entries (photos not uploaded yet, the only copy of a cover) are never evicted.
+
+export const COVER_VARIANTS = {
+  FULL: 'full',
+  THUMBNAIL: 'thumbnail',
+};
+
+export const COVER_CACHE_BUDGET_BYTES = 50 * 1024 * 1024;
+
+// Width of list thumbnails in pixels (about 2x the cover size on the list)
+export const THUMBNAIL_WIDTH = 240;
+
+export const createEmptyManifest = () => ({ version: 1, entries: {} });
+
+/**
+ * File-name safe key of a cover source (djb2 hash and length)
+ * @param {string} source - Cover URL or local URI
+ * @returns {string}
+ */
+export const getCoverCacheKey = (source) => {
+  let hash = 5381;
+  for (let index = 0; index < source.length; index++) {
+    hash = ((hash * 33) ^ source.charCodeAt(index)) >>> 0;
+  }
+  return `${hash.toString(36)}${source.length.toString(36)}`;
+};
+
+export const getEntrySize = (entry) => (
+  Object.values(entry?.files || {}).reduce((total, file) => total + (file.size || 0), 0)
+);
+
+export const getManifestSize = (manifest) => (
+  Object.values(manifest.entries).reduce((total, entry) => total + getEntrySize(entry), 0)
+);
+
+export const getManifestFileCount = (manifest) => (
+  Object.values(manifest.entries).reduce((total, entry) => total + Object.keys(entry.files || {}).length, 0)
+);
+
+/**
+ * Cached file of a variant
+ * @returns {{uri: string, size: number}|null}
+ */
+export const getCachedFile = (manifest, source, variant) => (
+  manifest.entries[getCoverCacheKey(source)]?.files?.[variant] || null
+);
+
+/**
+ * Mark an entry as just used
+ * @returns {object} New manifest (the same one when there is no entry)
+ */
+export const touchEntry = (manifest, source, now = new Date()) => {
+  const key = getCoverCacheKey(source);
+  const entry = manifest.entries[key];
+  if (!entry) return manifest;
+
+  return {
+    ...manifest,
+    entries: { ...manifest.entries, [key]: { ...entry, lastUsedAt: now.toISOString() } },
+  };
+};
+
+/**
+ * Record a cached file of a cover
+ * @param {object} manifest - Manifest
+ * @param {string} source - Cover URL or local URI
+ * @param {string} variant - COVER_VARIANTS value
+ * @param {{uri: string, size: number}} file - Cached file
+ * @param {object} options - { pinned, now }
+ * @returns {object} New manifest
+ */
+export const setCachedFile = (manifest, source, variant, file, { pinned, now = new Date() } = {}) => {
+  const key = getCoverCacheKey(source);
+  const entry = manifest.entries[key] || { source, pinned: false, files: {} };
+
+  return {
+    ...manifest,
+    entries: {
+      ...manifest.entries,
+      [key]: {
+        ...entry,
+        pinned: pinned ?? entry.pinned,
+        lastUsedAt: now.toISOString(),
+        files: { ...entry.files, [variant]: file },
+      },
+    },
+  };
+};
+
+/**
+ * Move an entry to another source (a photo that got its URL after upload); it is no longer pinned
+ * @returns {object} New manifest
+ */
+export const renameEntry = (manifest, fromSource, toSource) => {
+  const fromKey = getCoverCacheKey(fromSource);
+  const entry = manifest.entries[fromKey];
+  if (!entry) return manifest;
+
+  const { [fromKey]: removed, ...entries } = manifest.entries;
+  return {
+    ...manifest,
+    entries: { ...entries, [getCoverCacheKey(toSource)]: { ...entry, source: toSource, pinned: false } },
+  };
+};
+
+/**
+ * Entries to remove to fit in the budget, least recently used first
+ * @param {object} manifest - Manifest
+ * @param {number} budget - Size budget in bytes
+ * @param {string[]} keepSources - Sources in use right now, never evicted
+ * @returns {string[]} Keys of the entries to remove
+ */
+export const selectEvictions = (manifest, budget = COVER_CACHE_BUDGET_BYTES, keepSources = []) => {
+  const keepKeys = keepSources.map(getCoverCacheKey);
+  let size = getManifestSize(manifest);
+  if (size <= budget) return [];
+
+  const candidates = Object.entries(manifest.entries)
+    .filter(([key, entry]) => !entry.pinned && !keepKeys.includes(key))
+    .sort(([, a], [, b]) => new Date(a.lastUsedAt || 0) - new Date(b.lastUsedAt || 0));
+
+  const evicted = [];
+  for (const [key, entry] of candidates) {
+    if (size <= budget) break;
+    evicted.push(key);
+    size -= getEntrySize(entry);
+  }
+  return evicted;
+};
+
+/**
+ * Remove entries by key
+ * @returns {{manifest: object, files: string[]}} New manifest and URIs of the files to delete
+ */
+export const removeEntries = (manifest, keys) => {
+  const entries = { ...manifest.entries };
+  const files = [];
+
+  keys.forEach(key => {
+    Object.values(entries[key]?.files || {}).forEach(file => files.push(file.uri));
+    delete entries[key];
+  });
+
+  return { manifest: { ...manifest, entries }, files };
+};
+
+/**
+ * Entries that can be cleared by the user: everything except photos still used by books
+ * @param {object} manifest - Manifest
+ * @param {string[]} usedSources - Covers of all books (including the trash)
+ * @returns {string[]} Keys
+ */
+export const selectClearableEntries = (manifest, usedSources = []) => (
+  Object.entries(manifest.entries)
+    .filter(([, entry]) => !entry.pinned || !usedSources.includes(entry.source))
+    .map(([key]) => key)
+);
@@ -0,0 +1,97 @@
+// Geometry of cover editing (components/CoverEditor, utils/imageHandler).
+// A photographed cover is marked with its four corners. The marked quadrilateral is
+// warped onto a straight rectangle with the cover aspect ratio (utils/perspectiveWarp),
+// which corrects both the tilt and the perspective of a cover shot at an angle.
+
+import { APP_CONFIG } from '../constants';
+
+// Width of an edited cover in pixels
+export const COVER_OUTPUT_WIDTH = 800;
+
+/**
+ * Size of an edited cover
+ * @param {number[]} aspect - [width, height] ratio
+ * @returns {{width: number, height: number}}
+ */
+export const getCoverOutputSize = (aspect = APP_CONFIG.ASPECT_RATIO, width = COVER_OUTPUT_WIDTH) => ({
+  width,
+  height: Math.round((width * aspect[1]) / aspect[0]),
+});
+
+/**
+ * Starting corners: the largest centred box with the cover aspect ratio, slightly inset
+ * @returns {{topLeft: object, topRight: object, bottomRight: object, bottomLeft: object}} Points {x, y}
+ */
+export const getDefaultCorners = (width, height, aspect = APP_CONFIG.ASPECT_RATIO, inset = 0.9) => {
+  const ratio = aspect[0] / aspect[1];
+  const boxWidth = Math.min(width, height * ratio) * inset;
+  const boxHeight = boxWidth / ratio;
+  const left = (width - boxWidth) / 2;
+  const top = (height - boxHeight) / 2;
+
+  return {
+    topLeft: { x: left, y: top },
+    topRight: { x: left + boxWidth, y: top },
+    bottomRight: { x: left + boxWidth, y: top + boxHeight },
+    bottomLeft: { x: left, y: top + boxHeight },
+  };
+};
+
+const distance = (from, to) => Math.hypot(to.x - from.x, to.y - from.y);
+
+/**
+ * Corners in the order used by utils/perspectiveWarp
+ * @returns {Array<{x: number, y: number}>} Top left, top right, bottom right, bottom left
+ */
+export const getCornerList = ({ topLeft, topRight, bottomRight, bottomLeft }) => (
+  [topLeft, topRight, bottomRight, bottomLeft]
+);
+
+/**
+ * Whether the corners form a convex quadrilateral (no crossed or collapsed edges)
+ * @param {object} corners - Cover corners
+ * @returns {boolean}
+ */
+export const isConvexQuad = (corners) => {
+  const points = getCornerList(corners);
+  const turns = points.map((point, index) => {
+    const next = points[(index + 1) % points.length];
+    const after = points[(index + 2) % points.length];
+    return (next.x - point.x) * (after.y - next.y) - (next.y - point.y) * (after.x - next.x);
+  });
+  return turns.every(turn => turn > 1) || turns.every(turn => turn < -1);
+};
+
+/**
+ * Plan of straightening a photographed cover
+ * The photo is first scaled so the marked cover keeps about the output resolution: no
+ * pixels are decoded only to be averaged away, and sampling does not skip detail.
+ * @param {{width: number, height: number}} image - Photo size
+ * @param {object} corners - Cover corners in photo pixels
+ * @param {number[]} aspect - Cover aspect ratio
+ * @returns {{resize: object|null, corners: Array<object>, size: object}} Photo size to
+ *   decode (null keeps it), corners in that photo and the edited cover size
+ */
+export const getCoverWarp = (image, corners, aspect = APP_CONFIG.ASPECT_RATIO) => {
+  if (!isConvexQuad(corners)) {
+    throw new Error('Cover corners do not form a box');
+  }
+
+  const size = getCoverOutputSize(aspect);
+  const { topLeft, topRight, bottomRight, bottomLeft } = corners;
+  const coverWidth = Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight));
+  const coverHeight = Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight));
+  const scale = Math.min(1, Math.max(size.width / coverWidth, size.height / coverHeight));
+
+  const resize = scale < 1
+    ? { width: Math.round(image.width * scale), height: Math.round(image.height * scale) }
+    : null;
+  const scaleX = resize ? resize.width / image.width : 1;
+  const scaleY = resize ? resize.height / image.height : 1;
+
+  return {
+    resize,
+    corners: getCornerList(corners).map(({ x, y }) => ({ x: x * scaleX, y: y * scaleY })),
+    size,
+  };
+};
@@ -0,0 +1,108 @@
+// CSV utilities - RFC 4180 parsing and serialization (quoted fields, escaped quotes, line breaks in fields)
+
+const BOM = '\uFEFF';
+const CANDIDATE_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the header line
+ * Spreadsheets with a Polish locale export semicolon-separated files
+ * @param {string} text - CSV content
+ * @returns {string}
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = (text || '').replace(BOM, '').split(/\r?\n/)[0] || '';
+  const unquoted = firstLine.replace(/"[^"]*"/g, '');
+
+  return CANDIDATE_DELIMITERS.reduce((best, delimiter) => (
+    unquoted.split(delimiter).length > unquoted.split(best).length ? delimiter : best
+  ), ',');
+};
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @param {object} options - { delimiter } (detected when omitted)
+ * @returns {Array<Array<string>>} Rows without blank lines
+ */
+export const parseCsv = (text, options = {}) => {
+  const content = (text || '').replace(BOM, '');
+  const delimiter = options.delimiter || detectDelimiter(content);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Quote a field when it contains the delimiter, quotes or line breaks
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string}
+ */
+export const escapeCsvField = (value, delimiter = ',') => {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text.trim() !== text) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Serialize rows of fields into CSV text
+ * @param {Array<Array<*>>} rows - Rows including the header
+ * @param {object} options - { delimiter, bom }
+ * @returns {string} CSV with CRLF line endings (what spreadsheets expect)
+ */
+export const toCsv = (rows, options = {}) => {
+  const { delimiter = ',', bom = false } = options;
+  const content = rows
+    .map(row => row.map(value => escapeCsvField(value, delimiter)).join(delimiter))
+    .join('\r\n');
+
+  return bom ? `${BOM}${content}` : content;
+};
@@ -0,0 +1,255 @@
+// CSV import - column mapping, conversion, validation and duplicate detection
+
+import { BOOK_STATUS } from '../constants';
+import { parseCsv } from './csv';
+import { normalizeTags } from './tags';
+import { isValidIsbn, toIsbn13 } from './isbn';
+import { BookSchema } from './validation';
+
+export const CSV_FORMATS = {
+  GOODREADS: 'goodreads',
+  STORYGRAPH: 'storygraph',
+  GENERIC: 'generic',
+};
+
+// Book fields a column can be mapped to, in display order
+export const IMPORT_FIELDS = [
+  { key: 'title', label: 'Tytul', required: true },
+  { key: 'author', label: 'Autor', required: true },
+  { key: 'isbn', label: 'ISBN' },
+  { key: 'status', label: 'Status' },
+  { key: 'rating', label: 'Ocena' },
+  { key: 'totalPages', label: 'Liczba stron' },
+  { key: 'startedAt', label: 'Data rozpoczecia' },
+  { key: 'finishedAt', label: 'Data ukonczenia' },
+  { key: 'dateAdded', label: 'Data dodania' },
+  { key: 'tags', label: 'Tagi' },
+  { key: 'description', label: 'Opis' },
+  { key: 'notes', label: 'Notatki' },
+];
+
+// Known header names (lowercase), in order of preference.
+// Covers Goodreads and StoryGraph exports and our own CSV export.
+const COLUMN_ALIASES = {
+  title: ['title', 'tytul', 'tytuł'],
+  author: ['author', 'authors', 'autor'],
+  isbn: ['isbn13', 'isbn', 'isbn/uid'],
+  status: ['exclusive shelf', 'read status', 'status'],
+  rating: ['my rating', 'star rating', 'rating', 'ocena'],
+  totalPages: ['number of pages', 'pages', 'liczba stron', 'strony'],
+  startedAt: ['date started', 'started', 'data rozpoczecia'],
+  finishedAt: ['date read', 'last date read', 'finished', 'data ukonczenia'],
+  dateAdded: ['date added', 'data dodania'],
+  tags: ['bookshelves', 'tags', 'tagi'],
+  description: ['description', 'opis'],
+  notes: ['my review', 'review', 'private notes', 'notes', 'notatki'],
+};
+
+// Shelf names used by Goodreads and StoryGraph for reading status
+const STATUS_ALIASES = {
+  'read': BOOK_STATUS.READ,
+  'currently-reading': BOOK_STATUS.reading,
+  'to-read': BOOK_STATUS.wantToRead,
+  [BOOK_STATUS.READ.toLowerCase()]: BOOK_STATUS.READ,
+  [BOOK_STATUS.reading.toLowerCase()]: BOOK_STATUS.reading,
+  [BOOK_STATUS.wantToRead.toLowerCase()]: BOOK_STATUS.wantToRead,
+};
+
+const normalizeHeader = (header) => (header || '').trim().toLowerCase();
+
+/**
+ * Recognise the application that produced the file
+ * @param {Array<string>} headers - Header row
+ * @returns {string} One of CSV_FORMATS
+ */
+export const detectCsvFormat = (headers = []) => {
+  const normalized = headers.map(normalizeHeader);
+
+  if (normalized.includes('book id') && normalized.includes('exclusive shelf')) {
+    return CSV_FORMATS.GOODREADS;
+  }
+  if (normalized.includes('isbn/uid') && normalized.includes('read status')) {
+    return CSV_FORMATS.STORYGRAPH;
+  }
+  return CSV_FORMATS.GENERIC;
+};
+
+/**
+ * Suggest a column for every field based on known header names
+ * @param {Array<string>} headers - Header row
+ * @returns {object} Map of field key to column index (null when not found)
+ */
+export const suggestColumnMapping = (headers = []) => {
+  const normalized = headers.map(normalizeHeader);
+
+  return IMPORT_FIELDS.reduce((mapping, { key }) => {
+    const alias = COLUMN_ALIASES[key].find(name => normalized.includes(name));
+    mapping[key] = alias ? normalized.indexOf(alias) : null;
+    return mapping;
+  }, {});
+};
+
+/**
+ * Parse a date in ISO, Goodreads (2023/05/14) or Polish (14.05.2023) format
+ * @returns {string|null} ISO date, or the raw value when it cannot be parsed
+ */
+export const parseImportDate = (value) => {
+  const text = (value || '').trim();
+  if (!text) return null;
+
+  const polish = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/);
+  const slashed = text.match(/^(\d{4})\/(\d{1,2})\/(\d{1,2})$/);
+  const parts = polish
+    ? [polish[3], polish[2], polish[1]]
+    : slashed ? [slashed[1], slashed[2], slashed[3]] : null;
+
+  const date = parts
+    ? new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2])))
+    : new Date(text);
+
+  return Number.isNaN(date.getTime()) ? text : date.toISOString();
+};
+
+const parseNumber = (value) => {
+  const number = parseFloat((value || '').replace(',', '.'));
+  return Number.isNaN(number) ? null : number;
+};
+
+// Goodreads wraps ISBNs in ="..." to stop spreadsheets from mangling them.
+// StoryGraph puts its own ids in the ISBN/UID column, those are dropped.
+const cleanIsbn = (value) => {
+  const digits = (value || '').replace(/[^0-9Xx]/g, '').toUpperCase();
+  return isValidIsbn(digits) ? digits : null;
+};
+
+const parseStatus = (value, finishedAt) => {
+  const status = STATUS_ALIASES[(value || '').trim().toLowerCase()];
+  if (status) return status;
+  return finishedAt ? BOOK_STATUS.READ : BOOK_STATUS.wantToRead;
+};
+
+const parseTags = (value) => {
+  const tags = normalizeTags((value || '').split(/[,;]/));
+  return tags.filter(tag => !STATUS_ALIASES[tag.toLowerCase()]);
+};
+
+/**
+ * Convert one CSV row into a book using a column mapping
+ * @param {Array<string>} row - CSV fields
+ * @param {object} mapping - Map of field key to column index
+ * @returns {object} Book draft
+ */
+export const mapRowToBook = (row, mapping) => {
+  const read = (key) => {
+    const index = mapping[key];
+    return index === null || index === undefined ? '' : (row[index] || '').trim();
+  };
+
+  const finishedAt = parseImportDate(read('finishedAt'));
+  const rating = parseNumber(read('rating'));
+  const totalPages = parseNumber(read('totalPages'));
+
+  const book = {
+    title: read('title'),
+    author: read('author'),
+    description: read('description'),
+    notes: read('notes'),
+    status: parseStatus(read('status'), finishedAt),
+    rating: rating === null ? 0 : Math.min(Math.max(Math.round(rating), 0), 5),
+    isbn: cleanIsbn(read('isbn')),
+    totalPages: totalPages && totalPages > 0 ? Math.round(totalPages) : null,
+    startedAt: parseImportDate(read('startedAt')),
+    finishedAt,
+    tags: parseTags(read('tags')),
+  };
+
+  const dateAdded = parseImportDate(read('dateAdded'));
+  if (dateAdded) {
+    book.dateAdded = dateAdded;
+  }
+
+  return book;
+};
+
+// ISBN when available, otherwise title and author
+const getDuplicateKeys = (book) => {
+  const keys = [`${(book.title || '').trim().toLowerCase()}|${(book.author || '').trim().toLowerCase()}`];
+  const isbn = toIsbn13(book.isbn);
+  if (isbn) keys.push(`isbn:${isbn}`);
+  return keys;
+};
+
+const validateBook = (book) => {
+  try {
+    BookSchema.validateSync(book, { abortEarly: false });
+    return {};
+  } catch (error) {
+    return (error.inner || []).reduce((errors, { path, message }) => {
+      if (path && !errors[path]) errors[path] = message;
+      return errors;
+    }, {});
+  }
+};
+
+/**
+ * Convert rows, validate them and flag duplicates
+ * @param {Array<Array<string>>} rows - Data rows (without header)
+ * @param {object} mapping - Map of field key to column index
+ * @param {Array<object>} existingBooks - Books already in the library
+ * @returns {Array<{index: number, book: object, errors: object, duplicate: string|null}>}
+ *          duplicate is 'library' or 'file' when the book was seen before
+ */
+export const buildImportPreview = (rows, mapping, existingBooks = []) => {
+  const libraryKeys = new Set(existingBooks.flatMap(getDuplicateKeys));
+  const fileKeys = new Set();
+
+  return rows.map((row, index) => {
+    const book = mapRowToBook(row, mapping);
+    const keys = getDuplicateKeys(book);
+
+    let duplicate = null;
+    if (keys.some(key => libraryKeys.has(key))) {
+      duplicate = 'library';
+    } else if (keys.some(key => fileKeys.has(key))) {
+      duplicate = 'file';
+    }
+    keys.forEach(key => fileKeys.add(key));
+
+    return { index, book, errors: validateBook(book), duplicate };
+  });
+};
+
+/**
+ * Books from the preview that can be imported
+ * @param {Array<object>} preview - Result of buildImportPreview
+ * @param {object} options - { skipDuplicates }
+ * @returns {Array<object>}
+ */
+export const getImportableBooks = (preview, options = {}) => {
+  const { skipDuplicates = true } = options;
+
+  return preview
+    .filter(item => Object.keys(item.errors).length === 0)
+    .filter(item => !skipDuplicates || !item.duplicate)
+    .map(item => item.book);
+};
+
+/**
+ * Parse CSV content and suggest a mapping
+ * @param {string} text - CSV content
+ * @returns {{headers: Array<string>, rows: Array<Array<string>>, format: string, mapping: object}}
+ */
+export const readCsvForImport = (text) => {
+  const [headers = [], ...rows] = parseCsv(text);
+
+  if (headers.length === 0) {
+    throw new Error('CSV file is empty');
+  }
+
+  return {
+    headers,
+    rows,
+    format: detectCsvFormat(headers),
+    mapping: suggestColumnMapping(headers),
+  };
+};
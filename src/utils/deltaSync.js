@@ -0,0 +1,81 @@
+// Incremental book sync.
+// Instead of refetching the whole library, only rows with `updated_at` at or after
+// the sync cursor are fetched, together with tombstones of deleted books, and merged
+// into the last synced list. The cursor is the newest server timestamp seen, so the
+// device clock never decides what is fetched.
+import { applyRemoteBookChange, isLocalChangePending, REMOTE_CHANGE_TYPES } from './remoteChanges';
+
+// Rows committed a moment after the cursor was taken may carry an earlier timestamp,
+// so each fetch starts a little before the cursor (the merge is idempotent)
+export const SYNC_CURSOR_OVERLAP_MS = 5000;
+
+const toTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Newest timestamp among fetched rows
+ * @param {Array} rows - Rows with updated_at (books) or deleted_at (tombstones)
+ * @param {string|null} previousCursor - Cursor of the previous sync
+ * @returns {string|null} ISO timestamp
+ */
+export const getLatestCursor = (rows, previousCursor = null) => {
+  const latest = rows.reduce((current, row) => {
+    const time = toTime(row.updated_at || row.deleted_at);
+    return time !== null && (current === null || time > current) ? time : current;
+  }, toTime(previousCursor));
+
+  return latest === null ? null : new Date(latest).toISOString();
+};
+
+/**
+ * Lower bound of the next incremental fetch
+ * @param {string} cursor - Sync cursor
+ * @returns {string} ISO timestamp
+ */
+export const getCursorQueryStart = (cursor) => (
+  new Date(toTime(cursor) - SYNC_CURSOR_OVERLAP_MS).toISOString()
+);
+
+/**
+ * Merge fetched changes into the last synced list
+ * @param {Array} localBooks - Books from the previous sync
+ * @param {object} changes - { changed: Array of books, deletedIds: Array of ids }
+ * @param {object} local - Pending local changes, see isLocalChangePending
+ * @returns {Array} Merged books, new ones first (newest created first, like a full fetch)
+ */
+export const mergeBookChanges = (localBooks, changes, local = {}) => {
+  const { changed = [], deletedIds = [] } = changes;
+  let books = localBooks;
+  const added = [];
+
+  deletedIds.forEach((id) => {
+    const change = { type: REMOTE_CHANGE_TYPES.DELETE, id };
+    if (!isLocalChangePending(change, local)) {
+      books = applyRemoteBookChange(books, change);
+    }
+  });
+
+  changed.forEach((book) => {
+    const exists = books.some(localBook => localBook.id === book.id);
+    const change = {
+      type: exists ? REMOTE_CHANGE_TYPES.UPDATE : REMOTE_CHANGE_TYPES.INSERT,
+      id: book.id,
+      book,
+    };
+
+    if (isLocalChangePending(change, local) || deletedIds.includes(book.id)) return;
+
+    if (exists) {
+      books = applyRemoteBookChange(books, change);
+    } else if (!added.some(addedBook => addedBook.id === book.id)) {
+      added.push(book);
+    }
+  });
+
+  if (added.length === 0) return books;
+
+  added.sort((a, b) => (toTime(b.created_at) || 0) - (toTime(a.created_at) || 0));
+  return [...added, ...books];
+};
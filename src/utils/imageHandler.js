@@ -1,7 +1,19 @@
 import * as ImagePicker from 'expo-image-picker';
+import * as ImageManipulator from 'expo-image-manipulator';
 import * as FileSystem from 'expo-file-system';
-import { Platform, Alert } from 'react-native';
+import { Platform, Alert, Image } from 'react-native';
+import { Buffer } from 'buffer';
+import { decode as decodeJpeg, encode as encodeJpeg } from 'jpeg-js';
 import { APP_CONFIG, ERROR_MESSAGES } from '../constants';
+import { CoverCache } from '../services/coverCache';
+import { COVER_VARIANTS } from './coverCacheManifest';
+import { getCoverWarp } from './coverGeometry';
+import { warpPerspective } from './perspectiveWarp';
+
+// The JPEG encoder returns a global Buffer, which React Native does not provide
+if (typeof global.Buffer === 'undefined') {
+  global.Buffer = Buffer;
+}
 
 // Image handling utilities for camera and gallery
 export class ImageHandler {
@@ -81,7 +93,7 @@ export class ImageHandler {
 
       const result = await ImagePicker.launchImageLibraryAsync({
         mediaTypes: ImagePicker.MediaTypeOptions.Images,
-        allowsEditing: true,
+        allowsEditing: options.allowsEditing ?? true,
         aspect: options.aspect || APP_CONFIG.ASPECT_RATIO,
         quality: options.quality || APP_CONFIG.IMAGE_QUALITY,
         allowsMultipleSelection: false,
@@ -117,7 +129,7 @@ export class ImageHandler {
       }
 
       const result = await ImagePicker.launchCameraAsync({
-        allowsEditing: true,
+        allowsEditing: options.allowsEditing ?? true,
         aspect: options.aspect || APP_CONFIG.ASPECT_RATIO,
         quality: options.quality || APP_CONFIG.IMAGE_QUALITY,
       });
@@ -149,47 +161,43 @@ export class ImageHandler {
       } = options;
 
       let processedUri = imageAsset.uri;
+      let { width, height } = imageAsset;
 
-      // Resize image if it's too large
-      if (imageAsset.width > maxWidth || imageAsset.height > maxHeight) {
-        const manipulatorResult = await ImagePicker.manipulateAsync(
+      // Resize image if it's too large, keeping its proportions
+      if (width > maxWidth || height > maxHeight) {
+        const scale = Math.min(maxWidth / width, maxHeight / height);
+        const manipulatorResult = await ImageManipulator.manipulateAsync(
           imageAsset.uri,
           [
             {
               resize: {
-                width: Math.min(imageAsset.width, maxWidth),
-                height: Math.min(imageAsset.height, maxHeight),
+                width: Math.round(width * scale),
+                height: Math.round(height * scale),
               },
             },
           ],
           {
             compress: compress ? 0.8 : 1,
-            format: ImagePicker.SaveFormat.JPEG,
+            format: ImageManipulator.SaveFormat.JPEG,
           }
         );
         processedUri = manipulatorResult.uri;
+        width = manipulatorResult.width;
+        height = manipulatorResult.height;
       }
 
       // Get file info
       const fileInfo = await FileSystem.getInfoAsync(processedUri);
 
-      // Save to app's cache directory if requested
+      // Keep the photo in the cover cache (documentDirectory), pinned until it is uploaded
       if (saveToCache && Platform.OS !== 'web') {
-        const fileName = `book_cover_${Date.now()}.jpg`;
-        const cachedUri = `${FileSystem.cacheDirectory}${fileName}`;
-        
-        await FileSystem.copyAsync({
-          from: processedUri,
-          to: cachedUri,
-        });
-        
-        processedUri = cachedUri;
+        processedUri = await CoverCache.savePhoto(processedUri);
       }
 
       return {
         uri: processedUri,
-        width: imageAsset.width,
-        height: imageAsset.height,
+        width,
+        height,
         size: fileInfo.size,
         type: 'image/jpeg',
         fileName: `book_cover_${Date.now()}.jpg`,
@@ -209,7 +217,97 @@ export class ImageHandler {
   }
 
   /**
-   * Clear cached images older than specified days
+   * Rotate an image by a quarter turn (or any angle)
+   * @param {object} image - Image info { uri, width, height }
+   * @param {number} degrees - Clockwise angle
+   * @returns {Promise<object|null>} Rotated image info, null on failure
+   */
+  static async rotateImage(image, degrees) {
+    try {
+      const result = await ImageManipulator.manipulateAsync(
+        image.uri,
+        [{ rotate: degrees }],
+        { compress: 1, format: ImageManipulator.SaveFormat.JPEG }
+      );
+      return { ...image, uri: result.uri, width: result.width, height: result.height };
+    } catch (error) {
+      console.error('Error rotating image:', error);
+      Alert.alert('Błąd', 'Nie udało się obrócić zdjęcia.');
+      return null;
+    }
+  }
+
+  /**
+   * Warp the marked corners of a photographed cover onto a straight cover (perspective corrected)
+   * @param {object} image - Image info { uri, width, height }
+   * @param {object} corners - Cover corners in image pixels (see utils/coverGeometry)
+   * @param {object} options - { aspect, saveToCache }
+   * @returns {Promise<object|null>} Edited cover info, null on failure
+   */
+  static async editCover(image, corners, options = {}) {
+    const { aspect = APP_CONFIG.ASPECT_RATIO, saveToCache = true } = options;
+
+    try {
+      const warp = getCoverWarp(image, corners, aspect);
+
+      // The manipulator only scales the photo; the warp runs on its decoded pixels
+      const photo = await ImageManipulator.manipulateAsync(
+        image.uri,
+        warp.resize ? [{ resize: warp.resize }] : [],
+        { compress: 1, format: ImageManipulator.SaveFormat.JPEG, base64: true }
+      );
+      const pixels = decodeJpeg(Buffer.from(photo.base64, 'base64'), { useTArray: true, formatAsRGBA: true });
+      const cover = warpPerspective(pixels, warp.corners, warp.size);
+      const encoded = Buffer.from(encodeJpeg(cover, 80).data).toString('base64');
+
+      let editedUri = `data:image/jpeg;base64,${encoded}`;
+      if (Platform.OS !== 'web') {
+        editedUri = `${FileSystem.cacheDirectory}book_cover_${Date.now()}.jpg`;
+        await FileSystem.writeAsStringAsync(editedUri, encoded, { encoding: FileSystem.EncodingType.Base64 });
+      }
+
+      const uri = saveToCache && Platform.OS !== 'web'
+        ? await CoverCache.savePhoto(editedUri)
+        : editedUri;
+      const fileInfo = Platform.OS !== 'web' ? await FileSystem.getInfoAsync(uri) : {};
+
+      return {
+        uri,
+        width: cover.width,
+        height: cover.height,
+        size: fileInfo.size,
+        type: 'image/jpeg',
+        fileName: `book_cover_${Date.now()}.jpg`,
+      };
+    } catch (error) {
+      console.error('Error editing cover:', error);
+      Alert.alert('Błąd', 'Nie udało się zapisać okładki.');
+      return null;
+    }
+  }
+
+  /**
+   * Local copy and size of a cover, so it can be edited (remote covers are downloaded)
+   * @param {string} uri - Cover URI or URL
+   * @returns {Promise<object|null>} Image info { uri, width, height }, null on failure
+   */
+  static async loadCoverForEditing(uri) {
+    try {
+      const localUri = await CoverCache.getCover(uri, COVER_VARIANTS.FULL);
+      const { width, height } = await new Promise((resolve, reject) => {
+        Image.getSize(localUri, (imageWidth, imageHeight) => resolve({ width: imageWidth, height: imageHeight }), reject);
+      });
+      return { uri: localUri, width, height };
+    } catch (error) {
+      console.error('Error loading cover for editing:', error);
+      Alert.alert('Błąd', 'Nie udało się wczytać okładki.');
+      return null;
+    }
+  }
+
+  /**
+   * Clear covers older than specified days left in cacheDirectory by older app versions
+   * (covers are kept by CoverCache now, which evicts them by size)
    * @param {number} daysOld - Days old threshold
    */
   static async clearOldCachedImages(daysOld = 30) {
@@ -237,45 +335,15 @@ export class ImageHandler {
   }
 
   /**
-   * Get cached images info
-   * @returns {Promise<object>} Cache statistics
+   * Get cached covers info
+   * @returns {Promise<{totalFiles: number, totalSize: number, budget: number}>} Cache statistics
    */
   static async getCacheInfo() {
     try {
-      if (Platform.OS === 'web') {
-        return { totalFiles: 0, totalSize: 0, files: [] };
-      }
-
-      const cacheDir = FileSystem.cacheDirectory;
-      const files = await FileSystem.readDirectoryAsync(cacheDir);
-      
-      const bookCoverFiles = files.filter(file => file.startsWith('book_cover_'));
-      let totalSize = 0;
-      const fileDetails = [];
-
-      for (const file of bookCoverFiles) {
-        const filePath = `${cacheDir}${file}`;
-        const fileInfo = await FileSystem.getInfoAsync(filePath);
-        
-        if (fileInfo.exists) {
-          totalSize += fileInfo.size;
-          fileDetails.push({
-            name: file,
-            size: fileInfo.size,
-            modificationTime: fileInfo.modificationTime,
-          });
-        }
-      }
-
-      return {
-        totalFiles: bookCoverFiles.length,
-        totalSize,
-        files: fileDetails.sort((a, b) => b.modificationTime - a.modificationTime),
-      };
-
+      return await CoverCache.getCacheInfo();
     } catch (error) {
       console.error('Error getting cache info:', error);
-      return { totalFiles: 0, totalSize: 0, files: [] };
+      return { totalFiles: 0, totalSize: 0, budget: 0 };
     }
   }
 
@@ -0,0 +1,133 @@
+// ISBN utilities - normalisation, checksum validation and barcode parsing
+
+// EAN-13 prefixes reserved for books ("Bookland")
+const BOOKLAND_PREFIXES = ['978', '979'];
+
+/**
+ * Strip separators and whitespace from an ISBN
+ * @param {string} value - Raw ISBN as typed or scanned
+ * @returns {string} Digits (and a trailing X for ISBN-10)
+ */
+export const normalizeIsbn = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[\s-]/g, '').toUpperCase();
+};
+
+/**
+ * Validate ISBN-10 checksum (weights 10..1, mod 11, X = 10)
+ * @param {string} value - ISBN-10
+ * @returns {boolean}
+ */
+export const isValidIsbn10 = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+
+  const sum = isbn.split('').reduce((acc, char, index) => {
+    const digit = char === 'X' ? 10 : parseInt(char, 10);
+    return acc + digit * (10 - index);
+  }, 0);
+
+  return sum % 11 === 0;
+};
+
+/**
+ * Validate EAN-13 / ISBN-13 checksum (alternating weights 1 and 3, mod 10)
+ * @param {string} value - ISBN-13 or any EAN-13 code
+ * @returns {boolean}
+ */
+export const isValidEan13 = (value) => {
+  const code = normalizeIsbn(value);
+  if (!/^\d{13}$/.test(code)) return false;
+
+  const sum = code.split('').reduce((acc, char, index) => {
+    return acc + parseInt(char, 10) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+
+  return sum % 10 === 0;
+};
+
+/**
+ * Validate ISBN-13 (EAN-13 with a Bookland prefix)
+ * @param {string} value - ISBN-13
+ * @returns {boolean}
+ */
+export const isValidIsbn13 = (value) => {
+  const isbn = normalizeIsbn(value);
+  return isValidEan13(isbn) && BOOKLAND_PREFIXES.includes(isbn.slice(0, 3));
+};
+
+/**
+ * Validate either ISBN-10 or ISBN-13
+ * @param {string} value - ISBN
+ * @returns {boolean}
+ */
+export const isValidIsbn = (value) => {
+  const isbn = normalizeIsbn(value);
+  return isbn.length === 10 ? isValidIsbn10(isbn) : isValidIsbn13(isbn);
+};
+
+/**
+ * Convert ISBN-10 to ISBN-13
+ * @param {string} value - Valid ISBN-10
+ * @returns {string|null} ISBN-13 or null if input is invalid
+ */
+export const isbn10To13 = (value) => {
+  if (!isValidIsbn10(value)) return null;
+
+  const body = `978${normalizeIsbn(value).slice(0, 9)}`;
+  const sum = body.split('').reduce((acc, char, index) => {
+    return acc + parseInt(char, 10) * (index % 2 === 0 ? 1 : 3);
+  }, 0);
+  const checkDigit = (10 - (sum % 10)) % 10;
+
+  return `${body}${checkDigit}`;
+};
+
+/**
+ * Bring any valid ISBN to its canonical ISBN-13 form
+ * @param {string} value - ISBN-10 or ISBN-13
+ * @returns {string|null} ISBN-13 or null if input is invalid
+ */
+export const toIsbn13 = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  return isbn10To13(isbn);
+};
+
+/**
+ * Extract an ISBN from barcode scanner data
+ * Accepts EAN-13 Bookland codes and printed ISBN-10 codes, ignores
+ * anything else (e.g. price add-ons, QR codes, non-book EANs)
+ * @param {string} data - Raw barcode payload
+ * @returns {string|null} ISBN-13 or null if the barcode is not an ISBN
+ */
+export const parseIsbnFromBarcode = (data) => {
+  const code = normalizeIsbn(data);
+
+  // Some scanners append the EAN-2/EAN-5 supplement to the main code
+  const main = code.length > 13 && /^\d+$/.test(code) ? code.slice(0, 13) : code;
+
+  if (main.length === 13) {
+    return isValidIsbn13(main) ? main : null;
+  }
+
+  if (main.length === 10) {
+    return isbn10To13(main);
+  }
+
+  return null;
+};
+
+/**
+ * Format ISBN-13 for display (978-83-12345-67-8 style grouping is
+ * registrant-specific, so only the prefix is separated)
+ * @param {string} value - ISBN
+ * @returns {string}
+ */
+export const formatIsbn = (value) => {
+  const isbn = normalizeIsbn(value);
+  if (isbn.length === 13) {
+    return `${isbn.slice(0, 3)}-${isbn.slice(3)}`;
+  }
+  return isbn;
+};
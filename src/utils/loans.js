@@ -0,0 +1,115 @@
+// Loan utilities - tracking physical books lent to other people
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_LOAN_DAYS = 14;
+
+/**
+ * Create a loan record
+ * @param {object} params - { borrowerName, borrowerContact, lentAt, dueAt }
+ * @returns {object} Loan with returnedAt = null
+ */
+export const createLoan = ({ borrowerName, borrowerContact = '', lentAt, dueAt = null }) => {
+  const name = (borrowerName || '').trim();
+  if (!name) {
+    throw new Error('Borrower name is required');
+  }
+
+  const lent = lentAt ? new Date(lentAt) : new Date();
+  const due = dueAt ? new Date(dueAt) : null;
+
+  if (due && due < lent) {
+    throw new Error('Due date cannot be before the lent date');
+  }
+
+  return {
+    id: `loan_${lent.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+    borrowerName: name,
+    borrowerContact: (borrowerContact || '').trim(),
+    lentAt: lent.toISOString(),
+    dueAt: due ? due.toISOString() : null,
+    returnedAt: null,
+  };
+};
+
+/**
+ * Due date a number of days after the lent date
+ * @returns {string|null} ISO date, null for loans without a due date
+ */
+export const getDueDate = (lentAt, days) => {
+  if (!days || days <= 0) return null;
+  return new Date(new Date(lentAt).getTime() + days * DAY_MS).toISOString();
+};
+
+/**
+ * Loan that has not been returned yet
+ * @param {object} book - Book
+ * @returns {object|null}
+ */
+export const getActiveLoan = (book) => {
+  return (book?.loans || []).find(loan => !loan.returnedAt) || null;
+};
+
+export const isLentOut = (book) => getActiveLoan(book) !== null;
+
+/**
+ * Check whether a loan is past its due date
+ * @param {object} loan - Loan
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {boolean}
+ */
+export const isLoanOverdue = (loan, now = new Date()) => {
+  if (!loan || loan.returnedAt || !loan.dueAt) return false;
+  return new Date(loan.dueAt) < now;
+};
+
+export const isBookOverdue = (book, now = new Date()) => isLoanOverdue(getActiveLoan(book), now);
+
+/**
+ * Whole days a loan is past its due date
+ * @returns {number} 0 when not overdue
+ */
+export const getDaysOverdue = (loan, now = new Date()) => {
+  if (!isLoanOverdue(loan, now)) return 0;
+  return Math.floor((now - new Date(loan.dueAt)) / DAY_MS);
+};
+
+/**
+ * Return a copy of the book with a new loan added
+ * @throws when the book is already lent out
+ */
+export const addLoan = (book, loan) => {
+  if (isLentOut(book)) {
+    throw new Error('Book is already lent out');
+  }
+
+  return {
+    ...book,
+    loans: [...(book.loans || []), loan],
+  };
+};
+
+/**
+ * Return a copy of the book with the active loan marked as returned
+ * @throws when the book is not lent out
+ */
+export const returnLoan = (book, returnedAt = new Date()) => {
+  const activeLoan = getActiveLoan(book);
+  if (!activeLoan) {
+    throw new Error('Book is not lent out');
+  }
+
+  return {
+    ...book,
+    loans: book.loans.map(loan => (
+      loan.id === activeLoan.id ? { ...loan, returnedAt: new Date(returnedAt).toISOString() } : loan
+    )),
+  };
+};
+
+/**
+ * All loans of a book, newest first
+ */
+export const getLoanHistory = (book) => {
+  return [...(book?.loans || [])].sort((a, b) => new Date(b.lentAt) - new Date(a.lentAt));
+};
@@ -0,0 +1,158 @@
+/**
+ * Migracje schematu danych lokalnych
+ *
+ * Funkcjonalności:
+ * - Uporządkowany rejestr migracji (klucz: numer wersji schematu)
+ * - Migracja książek w STORAGE_KEYS.BOOKS i OfflineManager.OFFLINE_KEYS.OFFLINE_BOOKS
+ * - Migracja danych w kolejce operacji offline (bez dopisywania wartości domyślnych do UPDATE)
+ * - Zapis zastosowanej wersji w STORAGE_KEYS.SCHEMA_VERSION
+ * - Zachowanie metadanych list książek (odczyt i zapis przez aktywny magazyn, zob. bookStore)
+ *
+ * Dodanie nowego pola do książki: dopisz migrację z kolejnym numerem wersji
+ * na końcu MIGRATIONS. Migracje muszą być idempotentne.
+ *
+ * @author MojeKZ Team
+ * @version 1.0
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { STORAGE_KEYS } from '../constants';
+import { OfflineManager } from './offlineManager';
+import { normalizeTags } from './tags';
+import { loadBookList, saveBookList, loadOperationQueue, saveOperationQueue } from './bookStore';
+
+/**
+ * Ordered migration registry.
+ * migrateBook receives a full stored book, migrateOperation a queued operation.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Reading progress fields',
+    migrateBook: (book) => ({
+      ...book,
+      totalPages: book.totalPages || null,
+      currentPage: book.currentPage || 0,
+      readingSessions: Array.isArray(book.readingSessions) ? book.readingSessions : [],
+      startedAt: book.startedAt || null,
+      finishedAt: book.finishedAt || null,
+      readHistory: Array.isArray(book.readHistory) ? book.readHistory : [],
+    }),
+  },
+  {
+    version: 2,
+    description: 'ISBN and tags',
+    migrateBook: (book) => ({
+      ...book,
+      isbn: book.isbn || null,
+      tags: normalizeTags(book.tags),
+    }),
+    // Tags from older forms could be saved as a comma-separated string
+    migrateOperation: (operation) => (
+      operation.entity === 'book' && operation.data && operation.data.tags !== undefined
+        ? { ...operation, data: { ...operation.data, tags: normalizeTags(operation.data.tags) } }
+        : operation
+    ),
+  },
+  {
+    version: 3,
+    description: 'Book loans',
+    migrateBook: (book) => ({
+      ...book,
+      loans: Array.isArray(book.loans) ? book.loans : [],
+    }),
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const migrateBooks = (books, migrateBook) => (
+  books && migrateBook
+    ? books.map(book => (book && typeof book === 'object' ? migrateBook(book) : book))
+    : books
+);
+
+/**
+ * Apply pending migrations to already parsed data (pure, used by runStorageMigrations)
+ * @param {object} data - { books, offlineBooks, operationQueue } (null when missing)
+ * @param {number} fromVersion - Schema version the data is in
+ * @param {Array} migrations - Migration registry
+ * @returns {object} { data, version, applied }
+ */
+export const applyMigrations = (data, fromVersion, migrations = MIGRATIONS) => {
+  const pending = migrations
+    .filter(migration => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version);
+
+  const migrated = pending.reduce((current, migration) => ({
+    books: migrateBooks(current.books, migration.migrateBook),
+    offlineBooks: migrateBooks(current.offlineBooks, migration.migrateBook),
+    operationQueue: current.operationQueue && migration.migrateOperation
+      ? current.operationQueue.map(migration.migrateOperation)
+      : current.operationQueue,
+  }), data);
+
+  return {
+    data: migrated,
+    version: pending.length > 0 ? pending[pending.length - 1].version : fromVersion,
+    applied: pending.map(migration => migration.version),
+  };
+};
+
+/**
+ * Read the schema version recorded on this device (0 for installs from before migrations)
+ * @returns {Promise<number>}
+ */
+export const getSchemaVersion = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION);
+  const version = parseInt(stored, 10);
+
+  return Number.isNaN(version) ? 0 : version;
+};
+
+/**
+ * Migrate stored books, offline books and the operation queue to the current schema.
+ * Must run before OfflineManager.initialize() loads the queue into memory.
+ * The version is recorded last, so after a failure the (idempotent) migrations
+ * run again on the next start.
+ * @param {object} options - { migrations }
+ * @returns {Promise<object>} { success, fromVersion, toVersion, applied, error }
+ */
+export const runStorageMigrations = async (options = {}) => {
+  const { migrations = MIGRATIONS } = options;
+
+  try {
+    const fromVersion = await getSchemaVersion();
+    const targetVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+    if (fromVersion >= targetVersion) {
+      return { success: true, fromVersion, toVersion: fromVersion, applied: [] };
+    }
+
+    const booksKey = STORAGE_KEYS.BOOKS;
+    const offlineBooksKey = OfflineManager.OFFLINE_KEYS.OFFLINE_BOOKS;
+    const queueKey = OfflineManager.OFFLINE_KEYS.OPERATIONS_QUEUE;
+
+    const books = await loadBookList(booksKey);
+    const offlineBooks = await loadBookList(offlineBooksKey);
+    const operationQueue = await loadOperationQueue(queueKey);
+
+    const { data, version, applied } = applyMigrations({
+      books: books && books.books,
+      offlineBooks: offlineBooks && offlineBooks.books,
+      operationQueue,
+    }, fromVersion, migrations);
+
+    if (books) await saveBookList(booksKey, data.books, books.metadata || {});
+    if (offlineBooks) await saveBookList(offlineBooksKey, data.offlineBooks, offlineBooks.metadata || {});
+    if (operationQueue) await saveOperationQueue(queueKey, data.operationQueue);
+
+    await AsyncStorage.setItem(STORAGE_KEYS.SCHEMA_VERSION, String(version));
+
+    console.log(`Storage migrated from schema ${fromVersion} to ${version}`);
+    return { success: true, fromVersion, toVersion: version, applied };
+  } catch (error) {
+    console.error('Error migrating local storage:', error);
+    return { success: false, error: error.message, applied: [] };
+  }
+};
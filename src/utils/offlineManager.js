@@ -6,7 +6,11 @@
  * - Kolejkowanie operacji podczas trybu offline
  * - Automatyczna synchronizacja po przywróceniu połączenia internetowego
  * - Rozwiązywanie konfliktów między danymi lokalnymi a serwerowymi
- * - Lokalne przechowywanie danych książek z fallback mechanism
+ * - Lokalne przechowywanie danych książek z fallback mechanism (duże biblioteki w porcjach)
+ * - Książki i kolejka operacji w aktywnym magazynie (SQLite lub AsyncStorage, zob. utils/bookStore)
+ * - Synchronizacja celów czytelniczych (encja 'goal') przez tę samą kolejkę
+ * - Półki (encja 'shelf') z kolejkowaniem create/update/delete i obsługą konfliktów
+ * - Wysyłanie okładek zrobionych offline (operacje UPLOAD po zapisaniu książki)
  * - Debounced network monitoring dla optymalnej wydajności
  * 
  * Architektura:
@@ -23,6 +27,19 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { NetworkStatus } from './networkStatus';
 import { EnhancedErrorHandler } from './enhancedErrorHandler';
 import { STORAGE_KEYS } from '../constants';
+import { CONFLICT_STRATEGIES } from './conflicts';
+import { threeWayMerge } from './threeWayMerge';
+import { CoverStorage } from '../services/coverStorage';
+import { transformGoalForSupabase } from './readingGoals';
+import { transformShelfForSupabase, transformShelfFromSupabase, replaceBookIdInShelves } from './shelves';
+import {
+  saveBookList,
+  loadBookList,
+  removeBookList,
+  saveOperationQueue as saveStoredQueue,
+  loadOperationQueue as loadStoredQueue,
+  removeOperationQueue as removeStoredQueue,
+} from './bookStore';
 
 // Utility functions for data transformation
 const transformBookForSupabase = (book) => ({
@@ -33,6 +50,16 @@ const transformBookForSupabase = (book) => ({
   status: book.status,
   rating: book.rating,
   notes: book.notes,
+  isbn: book.isbn || null,
+  total_pages: book.totalPages || null,
+  current_page: book.currentPage || 0,
+  reading_sessions: book.readingSessions || [],
+  started_at: book.startedAt || null,
+  finished_at: book.finishedAt || null,
+  read_history: book.readHistory || [],
+  tags: book.tags || [],
+  loans: book.loans || [],
+  deleted_at: book.deletedAt || null,
   date_added: book.dateAdded,
   created_at: book.created_at || new Date().toISOString(),
   updated_at: new Date().toISOString(),
@@ -42,6 +69,15 @@ const transformBookFromSupabase = (book) => ({
   ...book,
   coverImage: book.cover_image,
   dateAdded: book.date_added,
+  totalPages: book.total_pages,
+  currentPage: book.current_page || 0,
+  readingSessions: book.reading_sessions || [],
+  startedAt: book.started_at,
+  finishedAt: book.finished_at,
+  readHistory: book.read_history || [],
+  tags: book.tags || [],
+  loans: book.loans || [],
+  deletedAt: book.deleted_at || null,
 });
 
 /**
@@ -51,7 +87,10 @@ const transformBookFromSupabase = (book) => ({
 export class OfflineManager {
   static isOfflineModeEnabled = false;
   static operationQueue = [];
-  static conflictResolutionStrategies = new Map();
+  // Shelves are edited from several screens, so concurrent membership changes are merged
+  static conflictResolutionStrategies = new Map([['shelf', CONFLICT_STRATEGIES.MERGE]]);
+  // Conflicts waiting for the user ('user_choice' strategy), by entity and record id
+  static pendingConflicts = new Map();
   static listeners = new Set();
   static isSyncing = false;
   static syncCheckInterval = null;
@@ -60,9 +99,13 @@ export class OfflineManager {
   static OFFLINE_KEYS = {
     OPERATIONS_QUEUE: 'offline_operations_queue',
     LAST_SYNC: 'offline_last_sync',
+    BOOKS_SYNC_CURSOR: 'offline_books_sync_cursor',
+    CONFLICT_STRATEGIES: 'offline_conflict_strategies',
     OFFLINE_BOOKS: 'offline_books',
     OFFLINE_USER_DATA: 'offline_user_data',
     PENDING_UPLOADS: 'offline_pending_uploads',
+    OFFLINE_GOALS: 'offline_goals',
+    OFFLINE_SHELVES: 'offline_shelves',
   };
 
   // Operation types
@@ -84,10 +127,12 @@ export class OfflineManager {
       
       // Load existing operation queue
       await this.loadOperationQueue();
+      await this.loadConflictResolutionStrategies();
       
       // Clean up duplicates and processed operations
       await this.removeDuplicateOperations();
       await this.clearProcessedOperations();
+      this.restorePendingConflicts();
       
       // Set up network listener with smart debouncing
       let networkChangeTimeout = null;
@@ -122,7 +167,7 @@ export class OfflineManager {
           console.log('🟢 Going online. Offline mode:', this.isOfflineModeEnabled, 'Syncing:', this.isSyncing, 'Queue:', this.operationQueue.length);
           
           // Always sync if we have pending operations, regardless of offline mode
-          if (this.operationQueue.length > 0 && !this.isSyncing) {
+          if (this.getSyncableOperations().length > 0 && !this.isSyncing) {
             console.log('📡 Network available with pending operations - starting immediate sync...');
             
             // Very short debounce for immediate response
@@ -168,7 +213,7 @@ export class OfflineManager {
       }
       
       // Check if we should sync immediately on initialization
-      if (this.operationQueue.length > 0 && isOnline) {
+      if (this.getSyncableOperations().length > 0 && isOnline) {
         console.log('🚀 Starting immediate sync on app start...');
         setTimeout(async () => {
           if (this.isOfflineModeEnabled) {
@@ -198,13 +243,14 @@ export class OfflineManager {
     }
     
     // Only start if we have pending operations
-    if (this.operationQueue.length === 0) {
+    if (this.getSyncableOperations().length === 0) {
       return;
     }
     
     console.log('🔄 Starting periodic sync check (every 10s)');
     this.syncCheckInterval = setInterval(async () => {
-      if (this.operationQueue.length > 0 && !this.isSyncing) {
+      const syncableCount = this.getSyncableOperations().length;
+      if (syncableCount > 0 && !this.isSyncing) {
         console.log('⏰ Periodic sync check - checking network...');
         const isOnline = await NetworkStatus.isOnline();
         console.log('📡 Network status during periodic check:', isOnline);
@@ -217,7 +263,7 @@ export class OfflineManager {
             await this.syncPendingOperations();
           }
         }
-      } else if (this.operationQueue.length === 0) {
+      } else if (syncableCount === 0) {
         // Stop interval if no pending operations
         clearInterval(this.syncCheckInterval);
         this.syncCheckInterval = null;
@@ -315,16 +361,11 @@ export class OfflineManager {
    */
   static async saveOfflineBooks(books) {
     try {
-      const offlineData = {
-        books,
+      // Saved through the active book store (SQLite or chunked AsyncStorage)
+      await saveBookList(this.OFFLINE_KEYS.OFFLINE_BOOKS, books, {
         timestamp: new Date().toISOString(),
         version: '1.0',
-      };
-
-      await AsyncStorage.setItem(
-        this.OFFLINE_KEYS.OFFLINE_BOOKS,
-        JSON.stringify(offlineData)
-      );
+      });
 
       return true;
     } catch (error) {
@@ -338,12 +379,11 @@ export class OfflineManager {
    */
   static async loadOfflineBooks() {
     try {
-      const data = await AsyncStorage.getItem(this.OFFLINE_KEYS.OFFLINE_BOOKS);
+      const offlineData = await loadBookList(this.OFFLINE_KEYS.OFFLINE_BOOKS);
       
-      if (!data) return null;
+      if (!offlineData) return null;
 
-      const offlineData = JSON.parse(data);
-      return offlineData.books || [];
+      return offlineData.books;
     } catch (error) {
       console.error('Error loading offline books:', error);
       return null;
@@ -355,8 +395,10 @@ export class OfflineManager {
    */
   static async createBookOffline(bookData, userId = null) {
     const tempId = `offline_${Date.now()}`;
+    const localCover = await this.keepLocalCover(bookData.coverImage);
     const book = {
       ...bookData,
+      ...(localCover && { coverImage: localCover }),
       id: tempId,
       offline: true,
       created_at: new Date().toISOString(),
@@ -368,19 +410,60 @@ export class OfflineManager {
     const updatedBooks = [...existingBooks, book];
     await this.saveOfflineBooks(updatedBooks);
 
-    // Queue for sync
+    // Queue for sync; a local cover is never sent as a file URI, the UPLOAD sets its URL
     await this.queueOperation({
       type: this.OPERATION_TYPES.CREATE,
       entity: 'book',
-      data: bookData,
+      data: localCover ? { ...bookData, coverImage: null } : bookData,
       tempId,
       userId,
       retryCount: 0,
     });
 
+    if (localCover) {
+      await this.queueCoverUpload(tempId, localCover, userId);
+    }
+
     return book;
   }
 
+  /**
+   * Create several books in offline mode with a single storage write
+   */
+  static async createBooksOffline(booksData, userId = null) {
+    const batchId = Date.now();
+    const timestamp = new Date().toISOString();
+    const books = booksData.map((bookData, index) => ({
+      ...bookData,
+      id: `offline_${batchId}_${index}`,
+      offline: true,
+      created_at: timestamp,
+      updated_at: timestamp,
+    }));
+
+    const existingBooks = (await this.loadOfflineBooks()) || [];
+    await this.saveOfflineBooks([...existingBooks, ...books]);
+
+    const operations = books.map((book, index) => ({
+      id: batchId + Math.random(),
+      timestamp,
+      type: this.OPERATION_TYPES.CREATE,
+      entity: 'book',
+      data: booksData[index],
+      tempId: book.id,
+      userId,
+      retryCount: 0,
+    }));
+
+    this.operationQueue.push(...operations);
+    await this.saveOperationQueue();
+
+    operations.forEach(operation => this.notifyListeners('operation_queued', operation));
+    this.startSyncCheckInterval();
+
+    return books;
+  }
+
   /**
    * Update book in offline mode
    */
@@ -392,9 +475,14 @@ export class OfflineManager {
       throw new Error('Book not found in offline storage');
     }
 
+    const baseBook = existingBooks[bookIndex];
+    // A new photo is kept out of the cache until it is uploaded
+    const coverChanged = 'coverImage' in updates && updates.coverImage !== baseBook.coverImage;
+    const localCover = coverChanged ? await this.keepLocalCover(updates.coverImage) : null;
     const updatedBook = {
       ...existingBooks[bookIndex],
       ...updates,
+      ...(localCover && { coverImage: localCover }),
       updated_at: new Date().toISOString(),
       offline: true,
     };
@@ -402,15 +490,53 @@ export class OfflineManager {
     existingBooks[bookIndex] = updatedBook;
     await this.saveOfflineBooks(existingBooks);
 
-    // Queue for sync
-    await this.queueOperation({
-      type: this.OPERATION_TYPES.UPDATE,
-      entity: 'book',
-      id: bookId,
-      data: updates,
-      userId,
-      retryCount: 0,
-    });
+    const queuedUpdates = localCover ? { ...updates, coverImage: null } : updates;
+
+    // A book that was never synced is still a pending CREATE - update that instead
+    const pendingCreate = this.operationQueue.find(operation =>
+      operation.entity === 'book' &&
+      operation.type === this.OPERATION_TYPES.CREATE &&
+      operation.tempId === bookId
+    );
+
+    // An unsynced UPDATE takes the edit too. It keeps its base and timestamp (the version
+    // before all unsynced edits), so the edits never conflict with each other
+    const pendingUpdate = this.operationQueue.find(operation =>
+      operation.entity === 'book' &&
+      operation.type === this.OPERATION_TYPES.UPDATE &&
+      operation.id === bookId
+    );
+
+    if (pendingCreate) {
+      pendingCreate.data = { ...pendingCreate.data, ...queuedUpdates };
+      await this.saveOperationQueue();
+    } else if (pendingUpdate) {
+      pendingUpdate.data = { ...pendingUpdate.data, ...queuedUpdates };
+      if (pendingUpdate.awaitingResolution) {
+        // The user resolves the conflict with the latest local version
+        pendingUpdate.conflict.local = { ...pendingUpdate.conflict.local, ...queuedUpdates };
+        this.restorePendingConflicts();
+      }
+      await this.saveOperationQueue();
+    } else {
+      // Queue for sync with the version the edit started from (base of a three-way merge)
+      await this.queueOperation({
+        type: this.OPERATION_TYPES.UPDATE,
+        entity: 'book',
+        id: bookId,
+        data: queuedUpdates,
+        base: baseBook,
+        userId,
+        retryCount: 0,
+      });
+    }
+
+    if (localCover) {
+      await this.queueCoverUpload(bookId, localCover, userId);
+    } else if (coverChanged) {
+      // Cover removed or replaced with a remote one - an older photo is not sent
+      await this.removeCoverUploads(bookId);
+    }
 
     return updatedBook;
   }
@@ -421,19 +547,429 @@ export class OfflineManager {
   static async deleteBookOffline(bookId, userId = null) {
     const existingBooks = (await this.loadOfflineBooks()) || [];
     const filteredBooks = existingBooks.filter(book => book.id !== bookId);
+    const deletedBook = existingBooks.find(book => book.id === bookId);
     
     await this.saveOfflineBooks(filteredBooks);
+    await this.removeCoverUploads(bookId);
+
+    // Never synced - dropping the pending CREATE is enough
+    const hadPendingCreate = this.operationQueue.some(operation =>
+      operation.entity === 'book' && operation.tempId === bookId
+    );
+
+    if (hadPendingCreate) {
+      this.operationQueue = this.operationQueue.filter(operation =>
+        !(operation.entity === 'book' && (operation.tempId === bookId || operation.id === bookId))
+      );
+      await this.saveOperationQueue();
+      return true;
+    }
 
-    // Queue for sync
+    // Queue for sync; the uploaded cover is deleted once the book is
     await this.queueOperation({
       type: this.OPERATION_TYPES.DELETE,
       entity: 'book',
       id: bookId,
+      data: { coverImage: deletedBook?.coverImage || null },
+      userId,
+      retryCount: 0,
+    });
+
+    return true;
+  }
+
+  /**
+   * Copy of a local cover kept until upload (see CoverStorage.keepForUpload)
+   * @returns {Promise<string|null>} null when the cover is not a local file
+   */
+  static async keepLocalCover(uri) {
+    if (!CoverStorage.isLocalCover(uri)) return null;
+
+    const copyUri = await CoverStorage.keepForUpload(uri);
+    await this.addPendingUpload(copyUri);
+    return copyUri;
+  }
+
+  /**
+   * Queue upload of a local cover; runs after the queued operations of the book,
+   * so a book created offline has its real id by then
+   */
+  static async queueCoverUpload(bookId, uri, userId = null) {
+    // Only the latest cover of a book is uploaded
+    this.operationQueue = this.operationQueue.filter(operation => !(
+      operation.type === this.OPERATION_TYPES.UPLOAD && operation.data?.bookId === bookId
+    ));
+
+    await this.addPendingUpload(uri);
+    await this.queueOperation({
+      type: this.OPERATION_TYPES.UPLOAD,
+      entity: 'book',
+      data: { bookId, uri },
       userId,
       retryCount: 0,
     });
+    await this.removeUnusedUploadCopies();
+  }
+
+  /**
+   * Drop queued cover uploads of a book
+   */
+  static async removeCoverUploads(bookId) {
+    const remaining = this.operationQueue.filter(operation => !(
+      operation.type === this.OPERATION_TYPES.UPLOAD && operation.data?.bookId === bookId
+    ));
+
+    if (remaining.length !== this.operationQueue.length) {
+      this.operationQueue = remaining;
+      await this.saveOperationQueue();
+      await this.removeUnusedUploadCopies();
+    }
+  }
+
+  /**
+   * Delete an uploaded cover unless another book still shows it
+   * @param {string|null} url - Cover the book no longer uses
+   * @param {string} bookId - Book that used it
+   */
+  static async deleteUnusedCover(url, bookId) {
+    if (!url) return;
+
+    const books = (await this.loadOfflineBooks()) || [];
+    if (books.some(book => book.id !== bookId && book.coverImage === url)) return;
+
+    await CoverStorage.deleteCover(url);
+  }
+
+  /**
+   * Local cover files waiting for upload
+   */
+  static async loadPendingUploads() {
+    try {
+      const stored = await AsyncStorage.getItem(this.OFFLINE_KEYS.PENDING_UPLOADS);
+      return stored ? JSON.parse(stored) : [];
+    } catch (error) {
+      console.error('Error loading pending uploads:', error);
+      return [];
+    }
+  }
+
+  static async addPendingUpload(uri) {
+    const uploads = await this.loadPendingUploads();
+    if (uploads.includes(uri)) return;
+
+    try {
+      await AsyncStorage.setItem(this.OFFLINE_KEYS.PENDING_UPLOADS, JSON.stringify([...uploads, uri]));
+    } catch (error) {
+      console.error('Error saving pending uploads:', error);
+    }
+  }
+
+  /**
+   * Delete cover copies no longer needed - uploaded or replaced, and not shown by any book
+   */
+  static async removeUnusedUploadCopies() {
+    const uploads = await this.loadPendingUploads();
+    if (uploads.length === 0) return;
+
+    const books = (await this.loadOfflineBooks()) || [];
+    const usedUris = [
+      ...this.operationQueue
+        .filter(operation => operation.type === this.OPERATION_TYPES.UPLOAD)
+        .map(operation => operation.data?.uri),
+      ...books.map(book => book.coverImage),
+    ];
+    const unused = uploads.filter(uri => !usedUris.includes(uri));
+
+    if (unused.length === 0) return;
+
+    await CoverStorage.removeUploadCopies(unused);
+
+    try {
+      await AsyncStorage.setItem(
+        this.OFFLINE_KEYS.PENDING_UPLOADS,
+        JSON.stringify(uploads.filter(uri => usedUris.includes(uri)))
+      );
+    } catch (error) {
+      console.error('Error saving pending uploads:', error);
+    }
+  }
+
+  /**
+   * Save reading goals of a user to offline storage
+   */
+  static async saveOfflineGoals(goals, userId = null) {
+    try {
+      const offlineData = {
+        goals,
+        userId,
+        timestamp: new Date().toISOString(),
+        version: '1.0',
+      };
+
+      await AsyncStorage.setItem(
+        this.OFFLINE_KEYS.OFFLINE_GOALS,
+        JSON.stringify(offlineData)
+      );
+
+      return true;
+    } catch (error) {
+      console.error('Error saving offline goals:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load reading goals of a user from offline storage
+   */
+  static async loadOfflineGoals(userId = null) {
+    try {
+      const data = await AsyncStorage.getItem(this.OFFLINE_KEYS.OFFLINE_GOALS);
+
+      if (!data) return null;
+
+      const offlineData = JSON.parse(data);
+
+      // Goals are stored per user - ignore a copy left by another account
+      if (userId && offlineData.userId && offlineData.userId !== userId) {
+        return null;
+      }
+
+      return offlineData.goals || [];
+    } catch (error) {
+      console.error('Error loading offline goals:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save (create or replace) a reading goal and queue it for sync
+   */
+  static async saveGoalOffline(goal, userId = null) {
+    const existingGoals = (await this.loadOfflineGoals(userId)) || [];
+    const updatedGoals = [
+      ...existingGoals.filter(existing => existing.id !== goal.id),
+      { ...goal, offline: true },
+    ];
+    await this.saveOfflineGoals(updatedGoals, userId);
+
+    // Only the latest version of a goal needs to reach the server
+    await this.removeQueuedOperations('goal', goal.id);
+
+    await this.queueOperation({
+      type: this.OPERATION_TYPES.UPDATE,
+      entity: 'goal',
+      id: goal.id,
+      data: goal,
+      userId,
+      retryCount: 0,
+    });
+
+    return goal;
+  }
+
+  /**
+   * Delete a reading goal and queue the deletion for sync
+   */
+  static async deleteGoalOffline(goal, userId = null) {
+    const existingGoals = (await this.loadOfflineGoals(userId)) || [];
+    await this.saveOfflineGoals(
+      existingGoals.filter(existing => existing.id !== goal.id),
+      userId
+    );
+
+    await this.removeQueuedOperations('goal', goal.id);
+
+    await this.queueOperation({
+      type: this.OPERATION_TYPES.DELETE,
+      entity: 'goal',
+      id: goal.id,
+      data: { year: goal.year },
+      userId,
+      retryCount: 0,
+    });
+
+    return true;
+  }
+
+  /**
+   * Save shelves to offline storage
+   */
+  static async saveOfflineShelves(shelves) {
+    try {
+      const offlineData = {
+        shelves,
+        timestamp: new Date().toISOString(),
+        version: '1.0',
+      };
+
+      await AsyncStorage.setItem(
+        this.OFFLINE_KEYS.OFFLINE_SHELVES,
+        JSON.stringify(offlineData)
+      );
+
+      return true;
+    } catch (error) {
+      console.error('Error saving offline shelves:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load shelves from offline storage
+   */
+  static async loadOfflineShelves() {
+    try {
+      const data = await AsyncStorage.getItem(this.OFFLINE_KEYS.OFFLINE_SHELVES);
+
+      if (!data) return null;
+
+      const offlineData = JSON.parse(data);
+      return offlineData.shelves || [];
+    } catch (error) {
+      console.error('Error loading offline shelves:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Create shelf in offline storage and queue it for sync
+   */
+  static async createShelfOffline(shelfData, userId = null) {
+    const tempId = `offline_shelf_${Date.now()}`;
+    const shelf = {
+      ...shelfData,
+      id: tempId,
+      offline: true,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    };
+
+    const existingShelves = (await this.loadOfflineShelves()) || [];
+    await this.saveOfflineShelves([...existingShelves, shelf]);
+
+    await this.queueOperation({
+      type: this.OPERATION_TYPES.CREATE,
+      entity: 'shelf',
+      data: shelfData,
+      tempId,
+      userId,
+      retryCount: 0,
+    });
+
+    return shelf;
+  }
+
+  /**
+   * Update shelf in offline storage and queue it for sync
+   */
+  static async updateShelfOffline(shelfId, updates, userId = null) {
+    const existingShelves = (await this.loadOfflineShelves()) || [];
+    const shelfIndex = existingShelves.findIndex(shelf => shelf.id === shelfId);
+
+    if (shelfIndex === -1) {
+      throw new Error('Shelf not found in offline storage');
+    }
+
+    const baseShelf = existingShelves[shelfIndex];
+    const updatedShelf = {
+      ...existingShelves[shelfIndex],
+      ...updates,
+      updated_at: new Date().toISOString(),
+      offline: true,
+    };
+
+    existingShelves[shelfIndex] = updatedShelf;
+    await this.saveOfflineShelves(existingShelves);
+
+    // A shelf that was never synced is still a pending CREATE - update that instead
+    const pendingCreate = this.operationQueue.find(operation =>
+      operation.entity === 'shelf' &&
+      operation.type === this.OPERATION_TYPES.CREATE &&
+      operation.tempId === shelfId
+    );
+
+    if (pendingCreate) {
+      pendingCreate.data = { ...pendingCreate.data, ...updates };
+      await this.saveOperationQueue();
+      return updatedShelf;
+    }
+
+    // The superseded update knows the version before all unsynced edits
+    const supersededUpdate = this.operationQueue.find(operation =>
+      operation.entity === 'shelf' &&
+      operation.type === this.OPERATION_TYPES.UPDATE &&
+      operation.id === shelfId
+    );
+
+    await this.removeQueuedOperations('shelf', shelfId);
+
+    await this.queueOperation({
+      type: this.OPERATION_TYPES.UPDATE,
+      entity: 'shelf',
+      id: shelfId,
+      data: updatedShelf,
+      base: supersededUpdate?.base || baseShelf,
+      userId,
+      retryCount: 0,
+    });
+
+    return updatedShelf;
+  }
+
+  /**
+   * Delete shelf from offline storage and queue the deletion
+   */
+  static async deleteShelfOffline(shelfId, userId = null) {
+    const existingShelves = (await this.loadOfflineShelves()) || [];
+    await this.saveOfflineShelves(existingShelves.filter(shelf => shelf.id !== shelfId));
+
+    // Never synced - dropping the pending CREATE is enough
+    const hadPendingCreate = this.operationQueue.some(operation =>
+      operation.entity === 'shelf' && operation.tempId === shelfId
+    );
+
+    if (hadPendingCreate) {
+      this.operationQueue = this.operationQueue.filter(operation =>
+        !(operation.entity === 'shelf' && operation.tempId === shelfId)
+      );
+      await this.saveOperationQueue();
+      return true;
+    }
+
+    await this.removeQueuedOperations('shelf', shelfId);
+
+    await this.queueOperation({
+      type: this.OPERATION_TYPES.DELETE,
+      entity: 'shelf',
+      id: shelfId,
+      userId,
+      retryCount: 0,
+    });
+
+    return true;
+  }
+
+  /**
+   * Queued operations, optionally limited to one entity type
+   */
+  static getQueuedOperations(entity = null) {
+    return entity
+      ? this.operationQueue.filter(operation => operation.entity === entity)
+      : [...this.operationQueue];
+  }
 
-    return true;
+  /**
+   * Remove queued operations of an entity record (superseded by a newer one)
+   */
+  static async removeQueuedOperations(entity, id) {
+    const remaining = this.operationQueue.filter(operation =>
+      !(operation.entity === entity && operation.id === id)
+    );
+
+    if (remaining.length !== this.operationQueue.length) {
+      this.operationQueue = remaining;
+      await this.saveOperationQueue();
+    }
   }
 
   /**
@@ -445,7 +981,7 @@ export class OfflineManager {
       return;
     }
 
-    if (this.operationQueue.length === 0) {
+    if (this.getSyncableOperations().length === 0) {
       await this.updateLastSync();
       return;
     }
@@ -482,7 +1018,7 @@ export class OfflineManager {
     const successfulOperations = [];
     const failedOperations = [];
 
-    for (const operation of this.operationQueue) {
+    for (const operation of this.getSyncableOperations()) {
       try {
         const result = await this.executeOperation(operation, supabase);
         
@@ -522,14 +1058,27 @@ export class OfflineManager {
       !failedOperations.some(failedOp => failedOp.id === op.id)
     );
 
-    // Handle conflicts
+    // Handle conflicts - operations resolved automatically leave the queue
+    const resolvedOperations = [];
     for (const conflictInfo of conflicts) {
-      await this.resolveConflict(conflictInfo.operation, conflictInfo.conflict);
+      try {
+        const resolved = await this.resolveConflict(conflictInfo.operation, conflictInfo.conflict);
+        if (resolved) {
+          resolvedOperations.push(conflictInfo.operation);
+        }
+      } catch (error) {
+        console.error(`Failed to resolve conflict for operation ${conflictInfo.operation.id}:`, error);
+      }
     }
 
+    this.operationQueue = this.operationQueue.filter(op =>
+      !resolvedOperations.some(resolvedOp => resolvedOp.id === op.id)
+    );
+
     try {
       // Update storage
       await this.saveOperationQueue();
+      await this.removeUnusedUploadCopies();
       await this.updateLastSync();
 
       this.notifyListeners('sync_completed', {
@@ -558,6 +1107,10 @@ export class OfflineManager {
     switch (operation.entity) {
       case 'book':
         return await this.executeBookOperation(operation, supabase);
+      case 'goal':
+        return await this.executeGoalOperation(operation, supabase);
+      case 'shelf':
+        return await this.executeShelfOperation(operation, supabase);
       default:
         throw new Error(`Unknown entity: ${operation.entity}`);
     }
@@ -596,7 +1149,8 @@ export class OfflineManager {
         if (operation.tempId) {
           const existingBooks = await this.loadOfflineBooks();
           const existingBook = existingBooks?.find(book => 
-            book.id !== operation.tempId && book.title === operation.data.title && book.author === operation.data.author
+            book.id !== operation.tempId && !book.deletedAt &&
+            book.title === operation.data.title && book.author === operation.data.author
           );
           
           if (existingBook && !existingBook.id.toString().startsWith('offline_')) {
@@ -613,7 +1167,8 @@ export class OfflineManager {
           .select('id, title, author')
           .eq('user_id', userId)
           .ilike('title', operation.data.title)
-          .ilike('author', operation.data.author);
+          .ilike('author', operation.data.author)
+          .is('deleted_at', null);
 
         if (checkError) {
           console.error('❌ Error checking existing books:', checkError);
@@ -672,10 +1227,10 @@ export class OfflineManager {
           return { success: true, skipped: true };
         }
 
-        // Check for conflicts
+        // Check for conflicts - the whole row, so the user can compare it field by field
         const { data: currentData, error: fetchError } = await supabase
           .from('books')
-          .select('updated_at')
+          .select('*')
           .eq('id', operation.id)
           .single();
 
@@ -685,7 +1240,13 @@ export class OfflineManager {
         const localUpdateTime = new Date(operation.timestamp);
 
         if (serverUpdateTime > localUpdateTime) {
-          return { conflict: { server: currentData, local: operation.data } };
+          return {
+            conflict: {
+              server: transformBookFromSupabase(currentData),
+              local: operation.data,
+              base: operation.base,
+            },
+          };
         }
 
         // Transform data for Supabase
@@ -701,6 +1262,10 @@ export class OfflineManager {
 
         if (error) throw error;
 
+        if (data.cover_image !== currentData.cover_image) {
+          await this.deleteUnusedCover(currentData.cover_image, operation.id);
+        }
+
         return { success: true, data: transformBookFromSupabase(data) };
       }
 
@@ -719,6 +1284,196 @@ export class OfflineManager {
 
         if (error) throw error;
 
+        await this.deleteUnusedCover(operation.data?.coverImage, operation.id);
+
+        return { success: true };
+      }
+
+      case this.OPERATION_TYPES.UPLOAD: {
+        const { bookId, uri } = operation.data;
+
+        // Retried until the CREATE of the book goes through
+        if (bookId.toString().startsWith('offline_')) {
+          throw new Error(`Book ${bookId} is not synced yet`);
+        }
+
+        // The cover was removed or replaced meanwhile
+        const book = ((await this.loadOfflineBooks()) || []).find(offlineBook => offlineBook.id === bookId);
+        if (book && !CoverStorage.isLocalCover(book.coverImage)) {
+          return { success: true, skipped: true };
+        }
+
+        const coverUrl = await CoverStorage.uploadCover(uri, userId);
+        if (!coverUrl) {
+          console.warn(`⚠️ Cover file of book ${bookId} no longer exists, skipping upload`);
+          return { success: true, skipped: true };
+        }
+
+        const { error } = await supabase
+          .from('books')
+          .update({ cover_image: coverUrl })
+          .eq('id', bookId)
+          .eq('user_id', userId);
+
+        if (error) throw error;
+
+        await this.updateLocalData('book', bookId, { coverImage: coverUrl });
+        this.notifyListeners('cover_uploaded', { bookId, uri, coverImage: coverUrl });
+
+        return { success: true, data: { bookId, coverImage: coverUrl } };
+      }
+
+      default:
+        throw new Error(`Unknown operation type: ${operation.type}`);
+    }
+  }
+
+  /**
+   * Execute reading goal operations
+   * Goals are keyed by (user, year), so updates are upserts and the last write wins
+   */
+  static async executeGoalOperation(operation, supabase) {
+    let { data: { session }, error: sessionError } = await supabase.auth.getSession();
+
+    if (sessionError || !session?.user) {
+      const { data: refreshData, error: refreshError } = await supabase.auth.refreshSession();
+
+      if (refreshError || !refreshData.session?.user) {
+        console.log('Session refresh failed, goal operation will be kept for later');
+        return { success: false, needsAuth: true };
+      }
+
+      session = refreshData.session;
+    }
+
+    const userId = session.user.id;
+
+    switch (operation.type) {
+      case this.OPERATION_TYPES.CREATE:
+      case this.OPERATION_TYPES.UPDATE: {
+        const { error } = await supabase
+          .from('reading_goals')
+          .upsert(
+            { ...transformGoalForSupabase(operation.data), user_id: userId },
+            { onConflict: 'user_id,year' }
+          );
+
+        if (error) throw error;
+
+        // Mark the local copy as synced
+        const goals = (await this.loadOfflineGoals(userId)) || [];
+        await this.saveOfflineGoals(
+          goals.map(goal => (goal.id === operation.id ? { ...goal, offline: false } : goal)),
+          userId
+        );
+
+        return { success: true };
+      }
+
+      case this.OPERATION_TYPES.DELETE: {
+        const { error } = await supabase
+          .from('reading_goals')
+          .delete()
+          .eq('user_id', userId)
+          .eq('year', operation.data.year);
+
+        if (error) throw error;
+
+        return { success: true };
+      }
+
+      default:
+        throw new Error(`Unknown operation type: ${operation.type}`);
+    }
+  }
+
+  /**
+   * Execute shelf-related operations
+   */
+  static async executeShelfOperation(operation, supabase) {
+    let { data: { session }, error: sessionError } = await supabase.auth.getSession();
+
+    if (sessionError || !session?.user) {
+      const { data: refreshData, error: refreshError } = await supabase.auth.refreshSession();
+
+      if (refreshError || !refreshData.session?.user) {
+        console.log('Session refresh failed, shelf operation will be kept for later');
+        return { success: false, needsAuth: true };
+      }
+
+      session = refreshData.session;
+    }
+
+    const userId = session.user.id;
+
+    switch (operation.type) {
+      case this.OPERATION_TYPES.CREATE: {
+        const { data, error } = await supabase
+          .from('shelves')
+          .insert([{ ...transformShelfForSupabase(operation.data), user_id: userId }])
+          .select()
+          .single();
+
+        if (error) throw error;
+
+        if (operation.tempId) {
+          await this.replaceShelfTempId(operation.tempId, data.id);
+        }
+
+        return { success: true, data: transformShelfFromSupabase(data) };
+      }
+
+      case this.OPERATION_TYPES.UPDATE: {
+        if (operation.id && operation.id.toString().startsWith('offline_')) {
+          console.log(`⚠️ Skipping UPDATE operation for offline shelf ID: ${operation.id}`);
+          return { success: true, skipped: true };
+        }
+
+        // Check for conflicts
+        const { data: currentData, error: fetchError } = await supabase
+          .from('shelves')
+          .select('*')
+          .eq('id', operation.id)
+          .single();
+
+        if (fetchError) throw fetchError;
+
+        if (new Date(currentData.updated_at) > new Date(operation.timestamp)) {
+          return {
+            conflict: {
+              server: transformShelfFromSupabase(currentData),
+              local: operation.data,
+              base: operation.base,
+            },
+          };
+        }
+
+        const { data, error } = await supabase
+          .from('shelves')
+          .update(transformShelfForSupabase(operation.data))
+          .eq('id', operation.id)
+          .eq('user_id', userId)
+          .select()
+          .single();
+
+        if (error) throw error;
+
+        return { success: true, data: transformShelfFromSupabase(data) };
+      }
+
+      case this.OPERATION_TYPES.DELETE: {
+        if (operation.id && operation.id.toString().startsWith('offline_')) {
+          return { success: true, skipped: true };
+        }
+
+        const { error } = await supabase
+          .from('shelves')
+          .delete()
+          .eq('id', operation.id)
+          .eq('user_id', userId);
+
+        if (error) throw error;
+
         return { success: true };
       }
 
@@ -729,46 +1484,207 @@ export class OfflineManager {
 
   /**
    * Resolve sync conflicts
+   * @returns {Promise<boolean>} true when the conflict was resolved and the operation can leave the queue
    */
   static async resolveConflict(operation, conflict) {
-    const strategy = this.conflictResolutionStrategies.get(operation.entity) || 'client_wins';
+    const strategy = this.getConflictResolutionStrategy(operation.entity);
 
     switch (strategy) {
-      case 'server_wins':
+      case CONFLICT_STRATEGIES.SERVER_WINS:
         // Server data takes precedence
         await this.updateLocalData(operation.entity, operation.id, conflict.server);
-        break;
+        return true;
 
-      case 'client_wins':
+      case CONFLICT_STRATEGIES.CLIENT_WINS:
         // Force update server with client data
         await this.forceServerUpdate(operation);
-        break;
+        return true;
 
-      case 'merge':
+      case CONFLICT_STRATEGIES.MERGE: {
         // Merge client and server data
-        const merged = await this.mergeData(conflict.local, conflict.server);
+        const { merged, unresolvedFields } = await this.mergeData(
+          conflict.local,
+          conflict.server,
+          operation.entity,
+          conflict.base
+        );
+
+        // Fields changed on both sides that could not be combined go to the user
+        if (unresolvedFields.length > 0) {
+          this.addPendingConflict(operation, { ...conflict, local: merged }, unresolvedFields);
+          return false;
+        }
+
         await this.forceServerUpdate({ ...operation, data: merged });
-        break;
+        await this.updateLocalData(operation.entity, operation.id, merged);
+        return true;
+      }
 
-      case 'user_choice':
-        // Let user decide
-        this.notifyListeners('conflict_requires_resolution', {
-          operation,
-          conflict,
-        });
-        break;
+      case CONFLICT_STRATEGIES.USER_CHOICE:
+        // Let user decide; the operation stays queued until resolvePendingConflict
+        this.addPendingConflict(operation, conflict);
+        return false;
 
       default:
         console.warn(`Unknown conflict resolution strategy: ${strategy}`);
-        break;
+        return false;
+    }
+  }
+
+  /**
+   * Keep a conflict until the user picks the versions of its fields
+   * @param {object} operation - Queued operation that hit the conflict
+   * @param {object} conflict - { local, server }
+   * @param {string[]|null} fields - Keys left to choose (null - all differing fields)
+   */
+  static addPendingConflict(operation, conflict, fields = null) {
+    const waiting = this.pendingConflicts.get(this.toPendingConflict(operation).key);
+
+    if (waiting && waiting.operation !== operation) {
+      // A later update of the same record joins the conflict already waiting for the user,
+      // so there is one choice per record and the earlier operation keeps its base
+      const target = waiting.operation;
+      const waitingFields = target.conflict.fields;
+      target.data = { ...target.data, ...operation.data };
+      target.conflict = {
+        ...target.conflict,
+        local: { ...target.conflict.local, ...conflict.local },
+        server: conflict.server,
+        fields: waitingFields && fields ? [...new Set([...waitingFields, ...fields])] : null,
+      };
+      this.operationQueue = this.operationQueue.filter(queued => queued !== operation);
+    } else {
+      // The operation stays queued but is not sent again until the user decides;
+      // the conflict is saved with the queue, so it survives a restart
+      operation.awaitingResolution = true;
+      operation.conflict = {
+        local: conflict.local,
+        server: conflict.server,
+        fields,
+        detectedAt: new Date().toISOString(),
+      };
     }
+
+    const pending = this.toPendingConflict(waiting ? waiting.operation : operation);
+    this.pendingConflicts.set(pending.key, pending);
+    this.notifyListeners('conflict_requires_resolution', {
+      key: pending.key,
+      operation: pending.operation,
+      conflict,
+    });
+  }
+
+  /**
+   * Pending conflict of an operation waiting for the user's choice
+   */
+  static toPendingConflict(operation) {
+    return {
+      key: `${operation.entity}:${operation.id}`,
+      entity: operation.entity,
+      id: operation.id,
+      operation,
+      ...operation.conflict,
+    };
+  }
+
+  /**
+   * Rebuild the conflicts waiting for the user from the loaded queue
+   */
+  static restorePendingConflicts() {
+    this.pendingConflicts.clear();
+    this.operationQueue
+      .filter(operation => operation.awaitingResolution && operation.conflict)
+      .forEach(operation => {
+        const pending = this.toPendingConflict(operation);
+        this.pendingConflicts.set(pending.key, pending);
+      });
+  }
+
+  /**
+   * Queued operations that can be sent; those waiting for the user's choice are skipped
+   */
+  static getSyncableOperations() {
+    return this.operationQueue.filter(operation => !operation.awaitingResolution);
   }
 
   /**
    * Set conflict resolution strategy for an entity type
    */
-  static setConflictResolutionStrategy(entity, strategy) {
+  static async setConflictResolutionStrategy(entity, strategy) {
     this.conflictResolutionStrategies.set(entity, strategy);
+
+    try {
+      await AsyncStorage.setItem(
+        this.OFFLINE_KEYS.CONFLICT_STRATEGIES,
+        JSON.stringify(Object.fromEntries(this.conflictResolutionStrategies))
+      );
+    } catch (error) {
+      console.error('Error saving conflict resolution strategies:', error);
+    }
+  }
+
+  /**
+   * Conflict resolution strategy of an entity type
+   */
+  static getConflictResolutionStrategy(entity) {
+    return this.conflictResolutionStrategies.get(entity) || CONFLICT_STRATEGIES.CLIENT_WINS;
+  }
+
+  /**
+   * Load strategies chosen in the settings
+   */
+  static async loadConflictResolutionStrategies() {
+    try {
+      const stored = await AsyncStorage.getItem(this.OFFLINE_KEYS.CONFLICT_STRATEGIES);
+      if (!stored) return;
+
+      const validStrategies = Object.values(CONFLICT_STRATEGIES);
+      Object.entries(JSON.parse(stored)).forEach(([entity, strategy]) => {
+        if (validStrategies.includes(strategy)) {
+          this.conflictResolutionStrategies.set(entity, strategy);
+        }
+      });
+    } catch (error) {
+      console.error('Error loading conflict resolution strategies:', error);
+    }
+  }
+
+  /**
+   * Conflicts waiting for the user's choice
+   */
+  static getPendingConflicts() {
+    return [...this.pendingConflicts.values()];
+  }
+
+  /**
+   * Save the version chosen by the user and drop the conflicting operation from the queue
+   * @param {string} key - Key of the pending conflict
+   * @param {object} resolvedData - Record built from the user's choices
+   * @returns {Promise<boolean>} false when the conflict no longer exists
+   */
+  static async resolvePendingConflict(key, resolvedData) {
+    const pending = this.pendingConflicts.get(key);
+    if (!pending) return false;
+
+    await this.forceServerUpdate({ ...pending.operation, data: resolvedData });
+    await this.updateLocalData(pending.entity, pending.id, resolvedData);
+
+    this.operationQueue = this.operationQueue.filter(operation => !(
+      operation.entity === pending.entity &&
+      operation.id === pending.id &&
+      operation.timestamp === pending.operation.timestamp
+    ));
+    await this.saveOperationQueue();
+
+    this.pendingConflicts.delete(key);
+    this.notifyListeners('conflict_resolved', {
+      key,
+      entity: pending.entity,
+      id: pending.id,
+      data: resolvedData,
+    });
+
+    return true;
   }
 
   /**
@@ -783,6 +1699,44 @@ export class OfflineManager {
       books[bookIndex].offline = false;
       await this.saveOfflineBooks(books);
     }
+
+    // Shelves may reference the book by its temporary id
+    const shelves = await this.loadOfflineShelves();
+    if (shelves) {
+      await this.saveOfflineShelves(replaceBookIdInShelves(shelves, tempId, realId));
+    }
+
+    let queueChanged = false;
+    this.operationQueue.forEach(operation => {
+      if (operation.entity === 'shelf' && operation.data?.bookIds?.includes(tempId)) {
+        operation.data = replaceBookIdInShelves([operation.data], tempId, realId)[0];
+        queueChanged = true;
+      }
+      if (operation.type === this.OPERATION_TYPES.UPLOAD && operation.data?.bookId === tempId) {
+        operation.data = { ...operation.data, bookId: realId };
+        queueChanged = true;
+      }
+    });
+    if (queueChanged) {
+      await this.saveOperationQueue();
+    }
+  }
+
+  /**
+   * Replace temporary shelf ID with real ID in offline storage and queued operations
+   */
+  static async replaceShelfTempId(tempId, realId) {
+    const shelves = (await this.loadOfflineShelves()) || [];
+    await this.saveOfflineShelves(shelves.map(shelf => (
+      shelf.id === tempId ? { ...shelf, id: realId, offline: false } : shelf
+    )));
+
+    this.operationQueue.forEach(operation => {
+      if (operation.entity === 'shelf' && operation.id === tempId) {
+        operation.id = realId;
+      }
+    });
+    await this.saveOperationQueue();
   }
 
   /**
@@ -790,10 +1744,7 @@ export class OfflineManager {
    */
   static async saveOperationQueue() {
     try {
-      await AsyncStorage.setItem(
-        this.OFFLINE_KEYS.OPERATIONS_QUEUE,
-        JSON.stringify(this.operationQueue)
-      );
+      await saveStoredQueue(this.OFFLINE_KEYS.OPERATIONS_QUEUE, this.operationQueue);
     } catch (error) {
       console.error('Error saving operation queue:', error);
     }
@@ -804,8 +1755,8 @@ export class OfflineManager {
    */
   static async loadOperationQueue() {
     try {
-      const data = await AsyncStorage.getItem(this.OFFLINE_KEYS.OPERATIONS_QUEUE);
-      this.operationQueue = data ? JSON.parse(data) : [];
+      const operations = await loadStoredQueue(this.OFFLINE_KEYS.OPERATIONS_QUEUE);
+      this.operationQueue = operations || [];
     } catch (error) {
       console.error('Error loading operation queue:', error);
       this.operationQueue = [];
@@ -839,6 +1790,35 @@ export class OfflineManager {
     }
   }
 
+  /**
+   * Save the books sync cursor (newest server timestamp seen by the user)
+   */
+  static async updateBooksSyncCursor(userId, cursor) {
+    try {
+      if (!cursor) return;
+      await AsyncStorage.setItem(
+        this.OFFLINE_KEYS.BOOKS_SYNC_CURSOR,
+        JSON.stringify({ userId, cursor })
+      );
+    } catch (error) {
+      console.error('Error updating books sync cursor:', error);
+    }
+  }
+
+  /**
+   * Get the books sync cursor; null when there is none for this user
+   */
+  static async getBooksSyncCursor(userId) {
+    try {
+      const stored = await AsyncStorage.getItem(this.OFFLINE_KEYS.BOOKS_SYNC_CURSOR);
+      const parsed = stored ? JSON.parse(stored) : null;
+      return parsed && parsed.userId === userId ? parsed.cursor : null;
+    } catch (error) {
+      console.error('Error getting books sync cursor:', error);
+      return null;
+    }
+  }
+
   /**
    * Clear processed operations from queue
    */
@@ -898,14 +1878,20 @@ export class OfflineManager {
    */
   static async clearOfflineData() {
     try {
+      await CoverStorage.removeUploadCopies(await this.loadPendingUploads());
+
+      await removeBookList(this.OFFLINE_KEYS.OFFLINE_BOOKS);
+      await removeStoredQueue(this.OFFLINE_KEYS.OPERATIONS_QUEUE);
       await AsyncStorage.multiRemove([
-        this.OFFLINE_KEYS.OPERATIONS_QUEUE,
-        this.OFFLINE_KEYS.OFFLINE_BOOKS,
         this.OFFLINE_KEYS.OFFLINE_USER_DATA,
         this.OFFLINE_KEYS.PENDING_UPLOADS,
+        this.OFFLINE_KEYS.OFFLINE_GOALS,
+        this.OFFLINE_KEYS.OFFLINE_SHELVES,
+        this.OFFLINE_KEYS.BOOKS_SYNC_CURSOR,
       ]);
 
       this.operationQueue = [];
+      this.pendingConflicts.clear();
       
       console.log('🗑️ Cleared all offline data');
       
@@ -1021,14 +2007,30 @@ export class OfflineManager {
 
   /**
    * Merge local and server data
+   * With the base version (queued with the update) the merge is three-way, field by
+   * field - see utils/threeWayMerge. Operations queued before bases were stored fall
+   * back to local data winning.
+   * @returns {Promise<{merged: object, unresolvedFields: string[]}>}
    */
-  static async mergeData(localData, serverData) {
+  static async mergeData(localData, serverData, entity = 'book', baseData = null) {
+    if (baseData) {
+      const { merged, unresolvedFields } = threeWayMerge(entity, baseData, localData, serverData);
+      return { merged: { ...merged, updated_at: new Date().toISOString() }, unresolvedFields };
+    }
+
     // Default merge strategy: local data takes precedence for user-modified fields
-    return {
+    const merged = {
       ...serverData,
       ...localData,
       updated_at: new Date().toISOString(),
     };
+
+    // Books added to a shelf on either side are kept
+    if (entity === 'shelf') {
+      merged.bookIds = [...new Set([...(serverData.bookIds || []), ...(localData.bookIds || [])])];
+    }
+
+    return { merged, unresolvedFields: [] };
   }
 
   /**
@@ -1052,14 +2054,15 @@ export class OfflineManager {
       session = refreshData.session;
     }
     
-    const supabaseBook = {
-      ...transformBookForSupabase(operation.data),
+    const isShelf = operation.entity === 'shelf';
+    const supabaseData = {
+      ...(isShelf ? transformShelfForSupabase(operation.data) : transformBookForSupabase(operation.data)),
       updated_at: new Date().toISOString(),
     };
     
     const { error } = await supabase
-      .from('books')
-      .update(supabaseBook)
+      .from(isShelf ? 'shelves' : 'books')
+      .update(supabaseData)
       .eq('id', operation.id)
       .eq('user_id', session.user.id);
 
@@ -1078,6 +2081,11 @@ export class OfflineManager {
         books[bookIndex] = { ...books[bookIndex], ...data };
         await this.saveOfflineBooks(books);
       }
+    } else if (entity === 'shelf') {
+      const shelves = (await this.loadOfflineShelves()) || [];
+      await this.saveOfflineShelves(shelves.map(shelf => (
+        shelf.id === id ? { ...shelf, ...data, offline: false } : shelf
+      )));
     }
   }
 }
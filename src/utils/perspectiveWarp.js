@@ -0,0 +1,120 @@
+// Four-point perspective correction of decoded images (used by utils/imageHandler).
+// A homography maps every pixel of the straight output back into the source quadrilateral,
+// where the colour is sampled bilinearly - so a cover photographed at an angle or from
+// above comes out as a flat rectangle.
+
+/**
+ * Solve a linear system by Gaussian elimination with partial pivoting
+ * @param {number[][]} matrix - Square coefficient matrix
+ * @param {number[]} values - Right-hand side
+ * @returns {number[]|null} Solution, null when the system is singular
+ */
+const solveLinear = (matrix, values) => {
+  const rows = matrix.map((row, index) => [...row, values[index]]);
+  const size = rows.length;
+
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-10) return null;
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = 0; row < size; row++) {
+      if (row === column) continue;
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k <= size; k++) {
+        rows[row][k] -= factor * rows[column][k];
+      }
+    }
+  }
+
+  return rows.map((row, index) => row[size] / row[index]);
+};
+
+/**
+ * Homography mapping four points onto four other points
+ * @param {Array<{x: number, y: number}>} from - Four source points
+ * @param {Array<{x: number, y: number}>} to - Four target points, in the same order
+ * @returns {number[]} Row-major 3x3 matrix
+ */
+export const getPerspectiveTransform = (from, to) => {
+  const matrix = [];
+  const values = [];
+
+  from.forEach(({ x, y }, index) => {
+    const target = to[index];
+    matrix.push([x, y, 1, 0, 0, 0, -target.x * x, -target.x * y]);
+    values.push(target.x);
+    matrix.push([0, 0, 0, x, y, 1, -target.y * x, -target.y * y]);
+    values.push(target.y);
+  });
+
+  const solution = solveLinear(matrix, values);
+  if (!solution) {
+    throw new Error('Points do not form a quadrilateral');
+  }
+  return [...solution, 1];
+};
+
+/**
+ * Where a point ends up under a homography
+ * @returns {{x: number, y: number}}
+ */
+export const transformPoint = (matrix, { x, y }) => {
+  const w = matrix[6] * x + matrix[7] * y + matrix[8];
+  return {
+    x: (matrix[0] * x + matrix[1] * y + matrix[2]) / w,
+    y: (matrix[3] * x + matrix[4] * y + matrix[5]) / w,
+  };
+};
+
+/**
+ * Straight rectangle cut out of a quadrilateral of an image
+ * @param {{width: number, height: number, data: Uint8Array}} image - RGBA pixels
+ * @param {Array<{x: number, y: number}>} quad - Corners in the image: top left, top right,
+ *   bottom right, bottom left
+ * @param {{width: number, height: number}} size - Output size
+ * @returns {{width: number, height: number, data: Uint8Array}} RGBA pixels
+ */
+export const warpPerspective = (image, quad, { width, height }) => {
+  const matrix = getPerspectiveTransform(
+    [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }],
+    quad
+  );
+  const source = image.data;
+  const maxX = image.width - 1;
+  const maxY = image.height - 1;
+  const data = new Uint8Array(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Pixel centres on both sides, clamped to the photo edge
+      const point = transformPoint(matrix, { x: x + 0.5, y: y + 0.5 });
+      const sx = Math.min(Math.max(point.x - 0.5, 0), maxX);
+      const sy = Math.min(Math.max(point.y - 0.5, 0), maxY);
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(x0 + 1, maxX);
+      const y1 = Math.min(y0 + 1, maxY);
+      const fx = sx - x0;
+      const fy = sy - y0;
+
+      const topLeft = (y0 * image.width + x0) * 4;
+      const topRight = (y0 * image.width + x1) * 4;
+      const bottomLeft = (y1 * image.width + x0) * 4;
+      const bottomRight = (y1 * image.width + x1) * 4;
+      const target = (y * width + x) * 4;
+
+      for (let channel = 0; channel < 3; channel++) {
+        const top = source[topLeft + channel] * (1 - fx) + source[topRight + channel] * fx;
+        const bottom = source[bottomLeft + channel] * (1 - fx) + source[bottomRight + channel] * fx;
+        data[target + channel] = Math.round(top * (1 - fy) + bottom * fy);
+      }
+      data[target + 3] = 255;
+    }
+  }
+
+  return { width, height, data };
+};
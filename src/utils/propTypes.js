@@ -10,7 +10,33 @@ export const BookPropType = PropTypes.shape({
   status: PropTypes.string.isRequired,
   rating: PropTypes.number,
   coverImage: PropTypes.string,
+  isbn: PropTypes.string,
+  totalPages: PropTypes.number,
+  currentPage: PropTypes.number,
+  readingSessions: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    startedAt: PropTypes.string.isRequired,
+    endedAt: PropTypes.string.isRequired,
+    startPage: PropTypes.number,
+    endPage: PropTypes.number,
+    pagesRead: PropTypes.number,
+  })),
   dateAdded: PropTypes.string,
+  startedAt: PropTypes.string,
+  finishedAt: PropTypes.string,
+  readHistory: PropTypes.arrayOf(PropTypes.shape({
+    startedAt: PropTypes.string,
+    finishedAt: PropTypes.string.isRequired,
+  })),
+  tags: PropTypes.arrayOf(PropTypes.string),
+  loans: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    borrowerName: PropTypes.string.isRequired,
+    borrowerContact: PropTypes.string,
+    lentAt: PropTypes.string.isRequired,
+    dueAt: PropTypes.string,
+    returnedAt: PropTypes.string,
+  })),
   created_at: PropTypes.string,
   updated_at: PropTypes.string,
 });
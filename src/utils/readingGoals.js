@@ -0,0 +1,155 @@
+// Reading goals - yearly (and optional monthly) targets of books or pages
+
+import { BOOK_STATUS } from '../constants';
+import { getCompletedReads } from './readingHistory';
+
+export const GOAL_TYPES = {
+  BOOKS: 'books',
+  PAGES: 'pages',
+};
+
+// One goal per year, so the year doubles as the local id
+export const getGoalId = (year) => `goal_${year}`;
+
+/**
+ * Build a goal record for a year
+ * @param {object} goal - { year, type, yearlyTarget, monthlyTarget }
+ * @returns {object} Normalized goal; monthlyTarget is null when not set
+ */
+export const createGoal = ({ year, type = GOAL_TYPES.BOOKS, yearlyTarget, monthlyTarget = null }) => {
+  const toTarget = (value) => {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+  };
+
+  return {
+    id: getGoalId(year),
+    year,
+    type: Object.values(GOAL_TYPES).includes(type) ? type : GOAL_TYPES.BOOKS,
+    yearlyTarget: toTarget(yearlyTarget),
+    monthlyTarget: toTarget(monthlyTarget),
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+export const transformGoalForSupabase = (goal) => ({
+  year: goal.year,
+  goal_type: goal.type,
+  yearly_target: goal.yearlyTarget,
+  monthly_target: goal.monthlyTarget,
+  updated_at: goal.updatedAt || new Date().toISOString(),
+});
+
+export const transformGoalFromSupabase = (goal) => ({
+  id: getGoalId(goal.year),
+  year: goal.year,
+  type: goal.goal_type,
+  yearlyTarget: goal.yearly_target,
+  monthlyTarget: goal.monthly_target,
+  updatedAt: goal.updated_at,
+});
+
+const getPeriodBounds = (year, month) => {
+  if (month === null || month === undefined) {
+    return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+  }
+  return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+};
+
+/**
+ * Books or pages read in a period
+ * Pages count finished reads in full plus current progress of books being
+ * read, when the period contains the current date.
+ * @param {Array<object>} books - Books
+ * @param {string} type - GOAL_TYPES value
+ * @param {number} year - Full year
+ * @param {number|null} month - Month index 0-11, null for the whole year
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {number}
+ */
+export const getAmountRead = (books, type, year, month = null, now = new Date()) => {
+  const { start, end } = getPeriodBounds(year, month);
+  const inPeriod = (date) => date >= start && date < end;
+
+  const reads = books.flatMap(book =>
+    getCompletedReads(book)
+      .filter(read => inPeriod(new Date(read.finishedAt)))
+      .map(read => ({ ...read, book }))
+  );
+
+  if (type !== GOAL_TYPES.PAGES) {
+    return reads.length;
+  }
+
+  const finishedPages = reads.reduce((sum, read) => sum + (read.book.totalPages || 0), 0);
+  const currentPages = inPeriod(now)
+    ? books
+      .filter(book => book.status === BOOK_STATUS.reading)
+      .reduce((sum, book) => sum + (book.currentPage || 0), 0)
+    : 0;
+
+  return finishedPages + currentPages;
+};
+
+/**
+ * Progress towards a target in a period
+ * @returns {{current: number, target: number, expected: number, behind: number, ahead: number, percentage: number, completed: boolean}}
+ */
+export const getPeriodProgress = (books, type, target, year, month = null, now = new Date()) => {
+  const { start, end } = getPeriodBounds(year, month);
+  const current = getAmountRead(books, type, year, month, now);
+
+  // Share of the period that has already passed
+  const elapsed = Math.min(Math.max((now - start) / (end - start), 0), 1);
+  const expected = Math.floor(target * elapsed);
+
+  return {
+    current,
+    target,
+    expected,
+    behind: Math.max(expected - current, 0),
+    ahead: Math.max(current - expected, 0),
+    percentage: Math.min(Math.round((current / target) * 100), 100),
+    completed: current >= target,
+  };
+};
+
+/**
+ * Yearly and monthly progress of a goal
+ * @param {object} goal - Goal record
+ * @param {Array<object>} books - Books
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {{yearly: object|null, monthly: object|null}}
+ */
+export const getGoalProgress = (goal, books = [], now = new Date()) => {
+  if (!goal) {
+    return { yearly: null, monthly: null };
+  }
+
+  const isCurrentYear = goal.year === now.getFullYear();
+
+  return {
+    yearly: goal.yearlyTarget
+      ? getPeriodProgress(books, goal.type, goal.yearlyTarget, goal.year, null, now)
+      : null,
+    monthly: goal.monthlyTarget && isCurrentYear
+      ? getPeriodProgress(books, goal.type, goal.monthlyTarget, goal.year, now.getMonth(), now)
+      : null,
+  };
+};
+
+/**
+ * Short progress summary, e.g. "12 / 30, 3 do nadrobienia"
+ * @param {object} progress - Result of getPeriodProgress
+ * @returns {string}
+ */
+export const formatGoalProgress = (progress) => {
+  if (!progress) return '';
+
+  const base = `${progress.current} / ${progress.target}`;
+
+  if (progress.completed) return `${base}, cel osiagniety`;
+  if (progress.behind > 0) return `${base}, ${progress.behind} do nadrobienia`;
+  if (progress.ahead > 0) return `${base}, ${progress.ahead} przed planem`;
+  return `${base}, zgodnie z planem`;
+};
@@ -0,0 +1,88 @@
+// Reading history utilities - start/finish dates driven by status transitions
+
+import { BOOK_STATUS } from '../constants';
+
+// A date is treated as edited by the user when it differs from the stored one
+const isEdited = (previousBook, nextBook, field) => {
+  return (nextBook[field] || null) !== (previousBook?.[field] || null);
+};
+
+/**
+ * Apply automatic start/finish dates for a status change
+ *
+ * - moving to READING sets startedAt (a READ book moving back to READING is a
+ *   re-read: the finished read is archived in readHistory first)
+ * - moving to READ sets finishedAt
+ * - dates explicitly changed in the same update are never overwritten
+ *
+ * @param {object|undefined} previousBook - Book before the update (undefined when adding)
+ * @param {object} nextBook - Book after the update
+ * @param {Date} now - Current time (injectable for tests)
+ * @returns {object} Book with startedAt / finishedAt / readHistory applied
+ */
+export const applyStatusTransition = (previousBook, nextBook, now = new Date()) => {
+  const previousStatus = previousBook?.status;
+  const nextStatus = nextBook.status;
+  const timestamp = now.toISOString();
+
+  const book = {
+    ...nextBook,
+    startedAt: nextBook.startedAt || null,
+    finishedAt: nextBook.finishedAt || null,
+    readHistory: nextBook.readHistory || previousBook?.readHistory || [],
+  };
+
+  if (previousStatus === nextStatus) {
+    return book;
+  }
+
+  if (nextStatus === BOOK_STATUS.reading) {
+    const isReRead = previousBook?.finishedAt && !isEdited(previousBook, nextBook, 'finishedAt');
+
+    if (isReRead) {
+      book.readHistory = [
+        ...book.readHistory,
+        { startedAt: previousBook.startedAt || null, finishedAt: previousBook.finishedAt },
+      ];
+      book.finishedAt = null;
+      if (!isEdited(previousBook, nextBook, 'startedAt')) {
+        book.startedAt = timestamp;
+      }
+    } else if (!book.startedAt) {
+      book.startedAt = timestamp;
+    }
+  }
+
+  if (nextStatus === BOOK_STATUS.READ && !isEdited(previousBook, nextBook, 'finishedAt')) {
+    book.finishedAt = timestamp;
+  }
+
+  return book;
+};
+
+/**
+ * All completed reads of a book, newest first
+ * @param {object} book - Book
+ * @returns {Array<{startedAt: string|null, finishedAt: string}>}
+ */
+export const getCompletedReads = (book) => {
+  const reads = [...(book?.readHistory || [])];
+
+  if (book?.status === BOOK_STATUS.READ && book.finishedAt) {
+    reads.push({ startedAt: book.startedAt || null, finishedAt: book.finishedAt });
+  }
+
+  return reads.sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+};
+
+/**
+ * Days between start and finish of a read
+ * @param {object} read - { startedAt, finishedAt }
+ * @returns {number|null} null when either date is missing
+ */
+export const getReadDurationDays = (read) => {
+  if (!read?.startedAt || !read?.finishedAt) return null;
+
+  const duration = new Date(read.finishedAt) - new Date(read.startedAt);
+  return Math.max(Math.round(duration / (24 * 60 * 60 * 1000)), 0);
+};
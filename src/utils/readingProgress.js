@@ -0,0 +1,100 @@
+// Reading progress utilities - page progress and reading sessions
+
+const toPageNumber = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) || number < 0 ? null : number;
+};
+
+/**
+ * Get reading progress of a book
+ * @param {object} book - Book with totalPages / currentPage
+ * @returns {{currentPage: number, totalPages: number, percentage: number}|null}
+ *   null when the page count is unknown
+ */
+export const getReadingProgress = (book) => {
+  const totalPages = toPageNumber(book?.totalPages);
+  if (!totalPages) return null;
+
+  const currentPage = Math.min(toPageNumber(book.currentPage) || 0, totalPages);
+
+  return {
+    currentPage,
+    totalPages,
+    percentage: Math.round((currentPage / totalPages) * 100),
+  };
+};
+
+/**
+ * Create a reading session record
+ * @param {object} params - { startedAt, endedAt, startPage, endPage }
+ * @returns {object} Session with pagesRead computed
+ */
+export const createReadingSession = ({ startedAt, endedAt, startPage = 0, endPage }) => {
+  const fromPage = toPageNumber(startPage) || 0;
+  const toPage = toPageNumber(endPage);
+
+  if (toPage === null) {
+    throw new Error('End page is required');
+  }
+
+  const end = endedAt ? new Date(endedAt) : new Date();
+  const start = startedAt ? new Date(startedAt) : end;
+
+  if (start > end) {
+    throw new Error('Session cannot end before it starts');
+  }
+
+  return {
+    id: `session_${end.getTime()}_${Math.random().toString(36).slice(2, 8)}`,
+    startedAt: start.toISOString(),
+    endedAt: end.toISOString(),
+    startPage: fromPage,
+    endPage: toPage,
+    pagesRead: Math.max(toPage - fromPage, 0),
+  };
+};
+
+/**
+ * Return a copy of the book with a new reading session applied
+ * Moves currentPage forward (never backwards) and caps it at totalPages
+ * @param {object} book - Book
+ * @param {object} session - Session created by createReadingSession
+ * @returns {object} Updated book
+ */
+export const addReadingSession = (book, session) => {
+  const totalPages = toPageNumber(book.totalPages);
+  const previousPage = toPageNumber(book.currentPage) || 0;
+  let currentPage = Math.max(previousPage, session.endPage);
+
+  if (totalPages) {
+    currentPage = Math.min(currentPage, totalPages);
+  }
+
+  return {
+    ...book,
+    currentPage,
+    readingSessions: [...(book.readingSessions || []), session],
+  };
+};
+
+/**
+ * Sum of pages read across all sessions of a book
+ * @param {object} book - Book
+ * @returns {number}
+ */
+export const getPagesReadInSessions = (book) => {
+  return (book?.readingSessions || []).reduce((sum, session) => sum + (session.pagesRead || 0), 0);
+};
+
+/**
+ * Total reading time across all sessions, in minutes
+ * @param {object} book - Book
+ * @returns {number}
+ */
+export const getReadingTimeMinutes = (book) => {
+  const totalMs = (book?.readingSessions || []).reduce((sum, session) => {
+    return sum + (new Date(session.endedAt) - new Date(session.startedAt));
+  }, 0);
+
+  return Math.round(totalMs / 60000);
+};
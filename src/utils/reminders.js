@@ -0,0 +1,180 @@
+// Reminder utilities - what local notifications should be scheduled and when
+
+import { BOOK_STATUS } from '../constants';
+import { getActiveLoan, isLoanOverdue } from './loans';
+import { getGoalId, getGoalProgress, GOAL_TYPES } from './readingGoals';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Hour of day at which reminders are delivered
+export const REMINDER_HOUR = 18;
+
+export const REMINDER_CATEGORIES = {
+  LOANS: 'loans',
+  INACTIVITY: 'inactivity',
+  GOALS: 'goals',
+};
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  [REMINDER_CATEGORIES.LOANS]: true,
+  [REMINDER_CATEGORIES.INACTIVITY]: true,
+  [REMINDER_CATEGORIES.GOALS]: true,
+  inactivityDays: 3,
+};
+
+// Days before the end of a goal period to remind about a missing amount
+const GOAL_NOTICE_DAYS = {
+  monthly: 3,
+  yearly: 14,
+};
+
+const atReminderHour = (date) => {
+  const result = new Date(date);
+  result.setHours(REMINDER_HOUR, 0, 0, 0);
+  return result;
+};
+
+// First reminder slot after now
+const getNextReminderTime = (now) => {
+  const result = atReminderHour(now);
+  if (result <= now) {
+    result.setDate(result.getDate() + 1);
+  }
+  return result;
+};
+
+// Dates in the past are moved to the next reminder slot
+const notBefore = (date, now) => (date > now ? date : getNextReminderTime(now));
+
+const createReminder = (id, category, title, body, date) => ({
+  id,
+  category,
+  title,
+  body,
+  date: date.toISOString(),
+});
+
+/**
+ * Most recent reading activity across all books
+ * @param {Array<object>} books - Books
+ * @returns {Date|null}
+ */
+export const getLastReadingDate = (books = []) => {
+  const timestamps = books.flatMap(book => [
+    ...(book.readingSessions || []).map(session => session.endedAt),
+    book.status === BOOK_STATUS.reading ? book.startedAt : null,
+  ])
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+
+  return timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
+};
+
+/**
+ * Reminders for loans that are due or overdue
+ */
+export const getLoanReminders = (books = [], now = new Date()) => {
+  return books.reduce((reminders, book) => {
+    const loan = getActiveLoan(book);
+    if (!loan || !loan.dueAt) return reminders;
+
+    const overdue = isLoanOverdue(loan, now);
+    const date = notBefore(atReminderHour(loan.dueAt), now);
+
+    reminders.push(createReminder(
+      `loan_${loan.id}`,
+      REMINDER_CATEGORIES.LOANS,
+      overdue ? 'Termin zwrotu minal' : 'Dzis mija termin zwrotu',
+      `Czas odebrac "${book.title}" od: ${loan.borrowerName}`,
+      date
+    ));
+    return reminders;
+  }, []);
+};
+
+/**
+ * Reminder sent after a number of days without logged reading
+ * Only scheduled while at least one book is being read
+ */
+export const getInactivityReminder = (books = [], days = DEFAULT_REMINDER_SETTINGS.inactivityDays, now = new Date()) => {
+  const currentlyReading = books.filter(book => book.status === BOOK_STATUS.reading);
+  if (currentlyReading.length === 0 || !days) return null;
+
+  const lastReading = getLastReadingDate(books) || now;
+  const date = notBefore(atReminderHour(new Date(lastReading.getTime() + days * DAY_MS)), now);
+
+  return createReminder(
+    'inactivity',
+    REMINDER_CATEGORIES.INACTIVITY,
+    'Czas na czytanie',
+    `Od ${days} dni brak zapisanego postepu. Wroc do "${currentlyReading[0].title}"`,
+    date
+  );
+};
+
+/**
+ * Reminders before the end of the month and the year when a goal is not met yet
+ */
+export const getGoalReminders = (goals = [], books = [], now = new Date()) => {
+  const year = now.getFullYear();
+  const goal = goals.find(existing => existing.id === getGoalId(year));
+  if (!goal) return [];
+
+  const { yearly, monthly } = getGoalProgress(goal, books, now);
+  const unit = goal.type === GOAL_TYPES.PAGES ? 'stron' : 'ksiazek';
+  const reminders = [];
+
+  const addDeadlineReminder = (id, progress, periodEnd, noticeDays, title) => {
+    if (!progress || progress.completed) return;
+
+    const date = notBefore(atReminderHour(new Date(periodEnd.getTime() - noticeDays * DAY_MS)), now);
+    if (date >= periodEnd) return;
+
+    reminders.push(createReminder(
+      id,
+      REMINDER_CATEGORIES.GOALS,
+      title,
+      `Brakuje ${progress.target - progress.current} ${unit} do celu (${progress.current} / ${progress.target})`,
+      date
+    ));
+  };
+
+  addDeadlineReminder(
+    `goal_${year}_${now.getMonth()}`,
+    monthly,
+    new Date(year, now.getMonth() + 1, 1),
+    GOAL_NOTICE_DAYS.monthly,
+    'Koniec miesiaca blisko'
+  );
+  addDeadlineReminder(
+    `goal_${year}`,
+    yearly,
+    new Date(year + 1, 0, 1),
+    GOAL_NOTICE_DAYS.yearly,
+    'Koniec roku blisko'
+  );
+
+  return reminders;
+};
+
+/**
+ * All reminders enabled in settings, soonest first
+ * @param {object} params - { books, goals, settings, now }
+ * @returns {Array<{id: string, category: string, title: string, body: string, date: string}>}
+ */
+export const buildReminders = ({ books = [], goals = [], settings = DEFAULT_REMINDER_SETTINGS, now = new Date() }) => {
+  const reminders = [];
+
+  if (settings[REMINDER_CATEGORIES.LOANS]) {
+    reminders.push(...getLoanReminders(books, now));
+  }
+  if (settings[REMINDER_CATEGORIES.INACTIVITY]) {
+    const reminder = getInactivityReminder(books, settings.inactivityDays, now);
+    if (reminder) reminders.push(reminder);
+  }
+  if (settings[REMINDER_CATEGORIES.GOALS]) {
+    reminders.push(...getGoalReminders(goals, books, now));
+  }
+
+  return reminders.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
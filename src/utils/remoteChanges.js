@@ -0,0 +1,73 @@
+// Applying Supabase realtime changes of books to the local list.
+// Changes made on this device are skipped while they are still in flight
+// (optimistic updates) or waiting in the offline queue, so an echo of an older
+// server state never overwrites them.
+
+export const REMOTE_CHANGE_TYPES = {
+  INSERT: 'INSERT',
+  UPDATE: 'UPDATE',
+  DELETE: 'DELETE',
+};
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase();
+
+// Same record created twice: by its creation time when both have one, otherwise by title and author
+const isSameNewBook = (localBook, remoteBook) => {
+  if (localBook.created_at && remoteBook.created_at) {
+    return new Date(localBook.created_at).getTime() === new Date(remoteBook.created_at).getTime()
+      && normalizeText(localBook.title) === normalizeText(remoteBook.title);
+  }
+  return normalizeText(localBook.title) === normalizeText(remoteBook.title)
+    && normalizeText(localBook.author) === normalizeText(remoteBook.author);
+};
+
+const isNewer = (remoteBook, localBook) => (
+  !remoteBook.updated_at || !localBook.updated_at
+    || new Date(remoteBook.updated_at) > new Date(localBook.updated_at)
+);
+
+/**
+ * Check whether a local change of the same book is still pending
+ * @param {object} change - { type, id, book }
+ * @param {object} local - { optimisticBooks: Map(id -> book), queuedOperations: Array }
+ * @returns {boolean} true when the remote change should be skipped
+ */
+export const isLocalChangePending = (change, local = {}) => {
+  const { optimisticBooks = new Map(), queuedOperations = [] } = local;
+  const pendingOperations = queuedOperations.filter(operation => !operation.processed);
+
+  if (optimisticBooks.has(change.id) || pendingOperations.some(operation => operation.id === change.id)) {
+    return true;
+  }
+
+  if (change.type === REMOTE_CHANGE_TYPES.INSERT && change.book) {
+    // Echo of an insert from this device that has not been replaced by the saved book yet
+    const localNewBooks = [
+      ...optimisticBooks.values(),
+      ...pendingOperations.filter(operation => operation.type === 'CREATE').map(operation => operation.data),
+    ];
+    return localNewBooks.some(book => book && isSameNewBook(book, change.book));
+  }
+
+  return false;
+};
+
+/**
+ * Apply a remote change to the book list
+ * @param {Array} books - Current books
+ * @param {object} change - { type, id, book }
+ * @returns {Array} New list, or the same list when nothing changed
+ */
+export const applyRemoteBookChange = (books, change) => {
+  const index = books.findIndex(book => book.id === change.id);
+
+  if (change.type === REMOTE_CHANGE_TYPES.DELETE) {
+    return index === -1 ? books : books.filter(book => book.id !== change.id);
+  }
+
+  if (!change.book) return books;
+  if (index === -1) return [...books, change.book];
+  if (!isNewer(change.book, books[index])) return books;
+
+  return books.map(book => (book.id === change.id ? change.book : book));
+};
@@ -0,0 +1,42 @@
+// File sharing - writes exported data to the cache directory and opens the system share sheet
+
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+/**
+ * File name with the current date, e.g. biblioteka_2024-03-20.csv
+ * or biblioteka_2024-03-20_18-30-05.json with options.withTime
+ * @param {string} prefix - Name prefix
+ * @param {string} extension - Extension without the dot
+ * @param {object} options - { withTime, date } (date is injectable for tests)
+ * @returns {string}
+ */
+export const getExportFileName = (prefix, extension, options = {}) => {
+  const { withTime = false, date = new Date() } = options;
+  const iso = date.toISOString();
+  const stamp = withTime ? `${iso.slice(0, 10)}_${iso.slice(11, 19).replace(/:/g, '-')}` : iso.slice(0, 10);
+
+  return `${prefix}_${stamp}.${extension}`;
+};
+
+/**
+ * Save text to a file and share it
+ * @param {string} content - File content
+ * @param {string} fileName - File name
+ * @param {object} options - { mimeType, UTI } (UTI is used on iOS)
+ * @returns {Promise<string>} File uri
+ */
+export const shareTextFile = async (content, fileName, options = {}) => {
+  const { mimeType = 'text/plain', UTI } = options;
+
+  const available = await Sharing.isAvailableAsync();
+  if (!available) {
+    throw new Error('Sharing is not available on this device');
+  }
+
+  const uri = `${FileSystem.cacheDirectory}${fileName}`;
+  await FileSystem.writeAsStringAsync(uri, content, { encoding: FileSystem.EncodingType.UTF8 });
+  await Sharing.shareAsync(uri, { mimeType, UTI, dialogTitle: fileName });
+
+  return uri;
+};
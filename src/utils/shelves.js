@@ -0,0 +1,125 @@
+// Shelves - user-defined collections of books
+
+export const SHELF_ICONS = [
+  'bookshelf',
+  'star',
+  'heart',
+  'bookmark',
+  'school',
+  'briefcase',
+  'palette',
+  'rocket-launch',
+  'magnify',
+  'gift',
+];
+
+export const SHELF_COLORS = [
+  '#6200ee',
+  '#03a9f4',
+  '#4caf50',
+  '#ff9800',
+  '#f44336',
+  '#e91e63',
+  '#795548',
+  '#607d8b',
+];
+
+/**
+ * Build a new shelf, placed after the existing ones
+ * @param {object} data - { name, icon, color }
+ * @param {Array<object>} existingShelves - Current shelves
+ * @returns {object} Shelf without id (assigned when saved)
+ */
+export const createShelf = ({ name, icon = SHELF_ICONS[0], color = SHELF_COLORS[0] }, existingShelves = []) => {
+  const maxOrder = existingShelves.reduce((max, shelf) => Math.max(max, shelf.sortOrder ?? -1), -1);
+
+  return {
+    name: name.trim(),
+    icon,
+    color,
+    sortOrder: maxOrder + 1,
+    bookIds: [],
+  };
+};
+
+export const sortShelves = (shelves = []) => {
+  return [...shelves].sort((a, b) =>
+    (a.sortOrder ?? 0) - (b.sortOrder ?? 0) || a.name.localeCompare(b.name)
+  );
+};
+
+export const isBookOnShelf = (shelf, bookId) => (shelf.bookIds || []).includes(bookId);
+
+/**
+ * Add or remove a book from a shelf
+ * @returns {object} Updated shelf
+ */
+export const toggleBookOnShelf = (shelf, bookId) => {
+  const bookIds = shelf.bookIds || [];
+
+  return {
+    ...shelf,
+    bookIds: bookIds.includes(bookId)
+      ? bookIds.filter(id => id !== bookId)
+      : [...bookIds, bookId],
+  };
+};
+
+export const getShelvesForBook = (shelves = [], bookId) => {
+  return sortShelves(shelves.filter(shelf => isBookOnShelf(shelf, bookId)));
+};
+
+// Books that still exist in the library (membership may reference deleted books)
+export const getBooksOnShelf = (books = [], shelf) => {
+  if (!shelf) return books;
+  return books.filter(book => isBookOnShelf(shelf, book.id));
+};
+
+/**
+ * Move a shelf one position up or down
+ * @param {Array<object>} shelves - All shelves
+ * @param {string} shelfId - Shelf to move
+ * @param {number} direction - -1 (up) or 1 (down)
+ * @returns {Array<object>} Shelves whose sortOrder changed (empty when the move is not possible)
+ */
+export const moveShelf = (shelves, shelfId, direction) => {
+  const sorted = sortShelves(shelves);
+  const index = sorted.findIndex(shelf => shelf.id === shelfId);
+  const targetIndex = index + direction;
+
+  if (index === -1 || targetIndex < 0 || targetIndex >= sorted.length) {
+    return [];
+  }
+
+  // Renumber so orders are unique, then swap the two neighbours
+  const renumbered = sorted.map((shelf, position) => ({ ...shelf, sortOrder: position }));
+  renumbered[index] = { ...renumbered[index], sortOrder: targetIndex };
+  renumbered[targetIndex] = { ...renumbered[targetIndex], sortOrder: index };
+
+  return renumbered.filter((shelf, position) => shelf.sortOrder !== sorted[position].sortOrder);
+};
+
+// Replace a temporary (offline) book id in shelf membership
+export const replaceBookIdInShelves = (shelves, tempId, realId) => {
+  return shelves.map(shelf => (
+    isBookOnShelf(shelf, tempId)
+      ? { ...shelf, bookIds: shelf.bookIds.map(id => (id === tempId ? realId : id)) }
+      : shelf
+  ));
+};
+
+export const transformShelfForSupabase = (shelf) => ({
+  name: shelf.name,
+  icon: shelf.icon,
+  color: shelf.color,
+  sort_order: shelf.sortOrder ?? 0,
+  book_ids: shelf.bookIds || [],
+  created_at: shelf.created_at || new Date().toISOString(),
+  updated_at: new Date().toISOString(),
+});
+
+export const transformShelfFromSupabase = (shelf) => ({
+  ...shelf,
+  sortOrder: shelf.sort_order ?? 0,
+  bookIds: shelf.book_ids || [],
+});
@@ -0,0 +1,179 @@
+// Reading statistics - pure functions computed from the list of books
+
+import { BOOK_STATUS, APP_CONFIG } from '../constants';
+import { getCompletedReads, getReadDurationDays } from './readingHistory';
+
+const TOP_AUTHORS_LIMIT = 5;
+
+// Every completed read of every book, with a reference to the book
+const getAllCompletedReads = (books) => {
+  return books.flatMap(book => getCompletedReads(book).map(read => ({ ...read, book })));
+};
+
+/**
+ * Books finished per month of the given year
+ * @param {Array<object>} books - Books
+ * @param {number} year - Full year, e.g. 2024
+ * @returns {Array<number>} 12 counts, January first
+ */
+export const getBooksReadByMonth = (books, year) => {
+  const months = new Array(12).fill(0);
+
+  getAllCompletedReads(books).forEach(read => {
+    const finished = new Date(read.finishedAt);
+    if (finished.getFullYear() === year) {
+      months[finished.getMonth()] += 1;
+    }
+  });
+
+  return months;
+};
+
+/**
+ * Books finished per year
+ * @param {Array<object>} books - Books
+ * @returns {Array<{year: number, count: number}>} Sorted by year ascending
+ */
+export const getBooksReadByYear = (books) => {
+  const counts = {};
+
+  getAllCompletedReads(books).forEach(read => {
+    const year = new Date(read.finishedAt).getFullYear();
+    counts[year] = (counts[year] || 0) + 1;
+  });
+
+  return Object.keys(counts)
+    .map(year => ({ year: parseInt(year, 10), count: counts[year] }))
+    .sort((a, b) => a.year - b.year);
+};
+
+/**
+ * Pages read: full page count of finished reads plus progress of current reads
+ * @param {Array<object>} books - Books
+ * @param {number|null} year - Limit to reads finished in this year (null = all time)
+ * @returns {number}
+ */
+export const getPagesRead = (books, year = null) => {
+  const finishedPages = getAllCompletedReads(books)
+    .filter(read => year === null || new Date(read.finishedAt).getFullYear() === year)
+    .reduce((sum, read) => sum + (read.book.totalPages || 0), 0);
+
+  const currentPages = year === null || year === new Date().getFullYear()
+    ? books
+      .filter(book => book.status === BOOK_STATUS.reading)
+      .reduce((sum, book) => sum + (book.currentPage || 0), 0)
+    : 0;
+
+  return finishedPages + currentPages;
+};
+
+/**
+ * Rating distribution of rated books
+ * @param {Array<object>} books - Books
+ * @returns {{distribution: object, average: number|null, ratedCount: number}}
+ */
+export const getRatingStats = (books) => {
+  const distribution = {};
+  for (let rating = 1; rating <= APP_CONFIG.MAX_RATING; rating++) {
+    distribution[rating] = 0;
+  }
+
+  const rated = books.filter(book => book.rating > 0);
+  rated.forEach(book => {
+    distribution[book.rating] = (distribution[book.rating] || 0) + 1;
+  });
+
+  const total = rated.reduce((sum, book) => sum + book.rating, 0);
+
+  return {
+    distribution,
+    average: rated.length > 0 ? Math.round((total / rated.length) * 10) / 10 : null,
+    ratedCount: rated.length,
+  };
+};
+
+/**
+ * Most frequent authors in the library
+ * @param {Array<object>} books - Books
+ * @param {number} limit - Number of authors to return
+ * @returns {Array<{author: string, count: number}>}
+ */
+export const getTopAuthors = (books, limit = TOP_AUTHORS_LIMIT) => {
+  const counts = new Map();
+
+  books.forEach(book => {
+    const author = (book.author || '').trim();
+    if (!author) return;
+
+    // Group case-insensitively, display the first spelling seen
+    const key = author.toLowerCase();
+    const entry = counts.get(key) || { author, count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  });
+
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.author.localeCompare(b.author))
+    .slice(0, limit);
+};
+
+/**
+ * Number of books in each status
+ * @param {Array<object>} books - Books
+ * @returns {object} { [status]: count }
+ */
+export const getStatusBreakdown = (books) => {
+  const breakdown = {
+    [BOOK_STATUS.READ]: 0,
+    [BOOK_STATUS.reading]: 0,
+    [BOOK_STATUS.wantToRead]: 0,
+  };
+
+  books.forEach(book => {
+    breakdown[book.status] = (breakdown[book.status] || 0) + 1;
+  });
+
+  return breakdown;
+};
+
+/**
+ * Average number of days from start to finish of completed reads
+ * @param {Array<object>} books - Books
+ * @returns {number|null} null when no read has both dates
+ */
+export const getAverageDaysToFinish = (books) => {
+  const durations = getAllCompletedReads(books)
+    .map(getReadDurationDays)
+    .filter(days => days !== null);
+
+  if (durations.length === 0) return null;
+
+  const total = durations.reduce((sum, days) => sum + days, 0);
+  return Math.round((total / durations.length) * 10) / 10;
+};
+
+/**
+ * Full statistics summary used by the statistics screen
+ * @param {Array<object>} books - Books
+ * @param {number} year - Year for the monthly breakdown
+ * @returns {object}
+ */
+export const computeReadingStats = (books = [], year = new Date().getFullYear()) => {
+  const ratingStats = getRatingStats(books);
+  const booksReadByMonth = getBooksReadByMonth(books, year);
+
+  return {
+    year,
+    totalBooks: books.length,
+    booksReadThisYear: booksReadByMonth.reduce((sum, count) => sum + count, 0),
+    booksReadByMonth,
+    booksReadByYear: getBooksReadByYear(books),
+    pagesRead: getPagesRead(books),
+    pagesReadThisYear: getPagesRead(books, year),
+    averageRating: ratingStats.average,
+    ratingDistribution: ratingStats.distribution,
+    topAuthors: getTopAuthors(books),
+    statusBreakdown: getStatusBreakdown(books),
+    averageDaysToFinish: getAverageDaysToFinish(books),
+  };
+};
@@ -1,19 +1,29 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
 import { STORAGE_KEYS, APP_CONFIG } from '../constants';
+import { normalizeTags } from './tags';
+import { toCsv } from './csv';
+import { getActiveLoan } from './loans';
+import { isInTrash } from './trash';
+import { saveBookList, loadBookList, removeBookList, getBookStore } from './bookStore';
+import { assembleBookList, saveBookList as saveChunkedList } from './chunkedStorage';
+import { compressIfLarge, readStoredText } from './compression';
 
 // Storage configuration
 const STORAGE_CONFIG = {
   MAX_STORAGE_SIZE: 50 * 1024 * 1024, // 50MB limit
-  COMPRESSION_THRESHOLD: 1024 * 1024, // 1MB
+  COMPRESSION_THRESHOLD: 256 * 1024, // 256KB, applied per stored value
   BACKUP_RETENTION_DAYS: 30,
+  BACKUP_RETENTION_COUNT: 10, // Per backup type, configurable in settings
+  BACKUP_INTERVAL: 60 * 60 * 1000, // Automatic books backup at most once an hour
 };
 
-// Enhanced save books with error handling and metadata
+// Enhanced save books with error handling and metadata.
+// Goes through the active book store: SQLite when available, otherwise AsyncStorage,
+// where large libraries are stored in chunks and only changed chunks are rewritten.
 export const saveBooks = async (books) => {
   try {
-    const dataToSave = {
-      books,
+    const metadata = {
       lastModified: new Date().toISOString(),
       version: '1.0',
       deviceInfo: {
@@ -22,19 +32,15 @@ export const saveBooks = async (books) => {
       },
     };
     
-    const serializedData = JSON.stringify(dataToSave);
-    
-    // Check storage size
-    if (serializedData.length > STORAGE_CONFIG.MAX_STORAGE_SIZE) {
-      throw new Error('Data size exceeds storage limit');
-    }
-    
-    await AsyncStorage.setItem(STORAGE_KEYS.BOOKS, serializedData);
+    const { size, chunked } = await saveBookList(STORAGE_KEYS.BOOKS, books, metadata, {
+      maxSize: STORAGE_CONFIG.MAX_STORAGE_SIZE,
+      compressionThreshold: STORAGE_CONFIG.COMPRESSION_THRESHOLD,
+    });
     
     // Save backup copy
-    await createBackup(serializedData);
+    await createBackup(books);
     
-    return { success: true, size: serializedData.length };
+    return { success: true, size, chunked };
   } catch (error) {
     console.error('Error saving books to storage:', error);
     return { success: false, error: error.message };
@@ -44,33 +50,27 @@ export const saveBooks = async (books) => {
 // Enhanced load books with fallback and migration
 export const loadBooks = async () => {
   try {
-    const storedData = await AsyncStorage.getItem(STORAGE_KEYS.BOOKS);
+    const storedData = await loadBookList(STORAGE_KEYS.BOOKS);
     
     if (!storedData) {
       return { books: [], metadata: null };
     }
     
-    const parsedData = JSON.parse(storedData);
-    
     // Handle legacy format (array of books)
-    if (Array.isArray(parsedData)) {
-      await migrateLegacyData(parsedData);
-      return { books: parsedData, metadata: null };
-    }
-    
-    // Handle new format with metadata
-    if (parsedData.books && Array.isArray(parsedData.books)) {
-      return {
-        books: parsedData.books,
-        metadata: {
-          lastModified: parsedData.lastModified,
-          version: parsedData.version,
-          deviceInfo: parsedData.deviceInfo,
-        },
-      };
+    if (storedData.legacy) {
+      await migrateLegacyData(storedData.books);
+      return { books: storedData.books, metadata: null };
     }
     
-    throw new Error('Invalid data format');
+    // Handle new format with metadata (inline or chunked)
+    return {
+      books: storedData.books,
+      metadata: {
+        lastModified: storedData.metadata.lastModified,
+        version: storedData.metadata.version,
+        deviceInfo: storedData.metadata.deviceInfo,
+      },
+    };
     
   } catch (error) {
     console.error('Error loading books from storage:', error);
@@ -110,6 +110,9 @@ export const clearAllData = async (options = {}) => {
   }
 };
 
+// Remove the saved library together with its chunks
+export const clearSavedBooks = () => removeBookList(STORAGE_KEYS.BOOKS);
+
 // Enhanced export with metadata
 export const exportBooksToJson = (books, includeMetadata = true) => {
   try {
@@ -127,10 +130,67 @@ export const exportBooksToJson = (books, includeMetadata = true) => {
   }
 };
 
+// Date-only values sort and filter well in spreadsheets
+const formatCsvDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Columns available in the CSV export. Headers match what the CSV importer recognises.
+export const CSV_EXPORT_COLUMNS = [
+  { key: 'title', header: 'Tytul', value: book => book.title },
+  { key: 'author', header: 'Autor', value: book => book.author },
+  { key: 'isbn', header: 'ISBN', value: book => book.isbn },
+  { key: 'status', header: 'Status', value: book => book.status },
+  { key: 'rating', header: 'Ocena', value: book => book.rating || '' },
+  { key: 'totalPages', header: 'Liczba stron', value: book => book.totalPages },
+  { key: 'currentPage', header: 'Aktualna strona', value: book => book.currentPage || '' },
+  { key: 'startedAt', header: 'Data rozpoczecia', value: book => formatCsvDate(book.startedAt) },
+  { key: 'finishedAt', header: 'Data ukonczenia', value: book => formatCsvDate(book.finishedAt) },
+  { key: 'dateAdded', header: 'Data dodania', value: book => formatCsvDate(book.dateAdded) },
+  { key: 'tags', header: 'Tagi', value: book => (book.tags || []).join(', ') },
+  { key: 'lentTo', header: 'Wypozyczona', value: book => getActiveLoan(book)?.borrowerName },
+  { key: 'description', header: 'Opis', value: book => book.description },
+  { key: 'notes', header: 'Notatki', value: book => book.notes },
+];
+
+// CSV export for spreadsheets
+export const exportBooksToCsv = (books, options = {}) => {
+  try {
+    const {
+      columns = CSV_EXPORT_COLUMNS.map(column => column.key),
+      delimiter = ',',
+      includeBom = true, // Excel needs the BOM to read UTF-8 (Polish characters)
+    } = options;
+
+    const selectedColumns = CSV_EXPORT_COLUMNS.filter(column => columns.includes(column.key));
+    if (selectedColumns.length === 0) {
+      throw new Error('No columns selected for export');
+    }
+
+    const rows = [
+      selectedColumns.map(column => column.header),
+      ...books.map(book => selectedColumns.map(column => column.value(book))),
+    ];
+
+    return toCsv(rows, { delimiter, bom: includeBom });
+  } catch (error) {
+    console.error('Error exporting books to CSV:', error);
+    return null;
+  }
+};
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase();
+
+// Same book when ids match or title and author are equal
+const isSameBook = (a, b) => (
+  (a.id && a.id === b.id) ||
+  (normalizeText(a.title) === normalizeText(b.title) && normalizeText(a.author) === normalizeText(b.author))
+);
+
 // Enhanced import with validation
+// With mergeWithExisting only books missing from existingBooks are returned,
+// otherwise all valid books are returned (they replace the library)
 export const importBooksFromJson = (jsonString, options = {}) => {
   try {
-    const { validateBooks = true, mergeWithExisting = false } = options;
+    const { validateBooks = true, mergeWithExisting = false, existingBooks = [] } = options;
     const parsedData = JSON.parse(jsonString);
     
     let books = [];
@@ -144,6 +204,8 @@ export const importBooksFromJson = (jsonString, options = {}) => {
       throw new Error('Invalid data format: Expected array of books');
     }
     
+    const totalCount = books.length;
+    
     // Validate book structure
     if (validateBooks) {
       books = books.filter(book => {
@@ -155,9 +217,22 @@ export const importBooksFromJson = (jsonString, options = {}) => {
       });
     }
     
+    // Tags may come from other tools as a comma-separated string
+    books = books.map(book => (
+      book && book.tags !== undefined ? { ...book, tags: normalizeTags(book.tags) } : book
+    ));
+    
+    const newBooks = books.filter(book => book && !existingBooks.some(existing => isSameBook(book, existing)));
+    
     return {
       success: true,
-      books,
+      books: mergeWithExisting ? newBooks : books,
+      summary: {
+        total: totalCount,
+        new: newBooks.length,
+        duplicate: books.length - newBooks.length,
+        invalid: totalCount - books.length,
+      },
       metadata: parsedData.exportedAt ? {
         exportedAt: parsedData.exportedAt,
         version: parsedData.version,
@@ -171,6 +246,7 @@ export const importBooksFromJson = (jsonString, options = {}) => {
       success: false,
       error: error.message,
       books: [],
+      summary: null,
       metadata: null,
     };
   }
@@ -207,13 +283,138 @@ export const getStorageInfo = async () => {
 };
 
 // Backup functionality
-const createBackup = async (data) => {
+// Each backup has a main key (`<prefix><timestamp>`) and rows of its own under
+// `<main key>_...`, so no backup value grows beyond the rows it was copied from:
+// - books backups are book lists saved in chunks (chunkedStorage)
+// - full backups keep an index of the copied keys in the main key, every copied
+//   value in its own row (`_item_<n>`) and the books as a chunked list (`_books`)
+const BOOKS_BACKUP_PREFIX = `${STORAGE_KEYS.BOOKS}_backup_`;
+const FULL_BACKUP_PREFIX = 'full_backup_';
+const FULL_BACKUP_FORMAT = 'rows';
+
+export const BACKUP_TYPES = {
+  BOOKS: 'books', // books_backup_<ts> - copy of the saved books
+  FULL: 'full',   // full_backup_<ts> - every storage key, taken before clearing data
+};
+
+const DEFAULT_BACKUP_SETTINGS = {
+  retentionCount: STORAGE_CONFIG.BACKUP_RETENTION_COUNT,
+};
+
+const isTimestamp = (value) => /^\d+$/.test(value);
+
+// Type of a backup main key, null for any other key (including the rows of a backup)
+const getBackupType = (key) => {
+  if (key.startsWith(BOOKS_BACKUP_PREFIX) && isTimestamp(key.slice(BOOKS_BACKUP_PREFIX.length))) return BACKUP_TYPES.BOOKS;
+  if (key.startsWith(FULL_BACKUP_PREFIX) && isTimestamp(key.slice(FULL_BACKUP_PREFIX.length))) return BACKUP_TYPES.FULL;
+  return null;
+};
+
+const isBackupStorageKey = (key) => key.startsWith(BOOKS_BACKUP_PREFIX) || key.startsWith(FULL_BACKUP_PREFIX);
+
+// Main key of a backup row
+const getBackupMainKey = (key) => {
+  const match = key.match(/^(.*?_backup_\d+)(_|$)/);
+  return match ? match[1] : null;
+};
+
+// Storage keys of a backup: the main key and its rows
+const getBackupStorageKeys = (backupKey, allKeys) => (
+  allKeys.filter(key => key === backupKey || key.startsWith(`${backupKey}_`))
+);
+
+const getBackupTimestamp = (key) => parseInt(key.split('_').pop(), 10);
+
+// Most recent first
+const sortBackupKeys = (keys) => [...keys].sort((a, b) => getBackupTimestamp(b) - getBackupTimestamp(a));
+
+const getFullBackupBooksKey = (backupKey) => `${backupKey}_books`;
+
+const getFullBackupItemKey = (backupKey, index) => `${backupKey}_item_${index}`;
+
+// Book list stored under a key, read from already loaded values
+const assembleStoredList = (key, values) => {
+  const mainValue = values.get(key);
+  if (!mainValue) return null;
+  return assembleBookList(key, JSON.parse(readStoredText(mainValue)), chunkKey => values.get(chunkKey));
+};
+
+// Books held by a backup, read from the values of its storage keys
+const parseBackupBooks = (key, values) => {
+  if (getBackupType(key) === BACKUP_TYPES.FULL) {
+    const index = JSON.parse(readStoredText(values.get(key)));
+
+    // Older full backups kept every value (book chunks included) in the main key
+    if (index.format !== FULL_BACKUP_FORMAT) {
+      const data = index.data || {};
+      const booksValue = data[STORAGE_KEYS.BOOKS];
+      if (!booksValue) return [];
+
+      return assembleBookList(STORAGE_KEYS.BOOKS, JSON.parse(readStoredText(booksValue)), chunkKey => data[chunkKey]).books;
+    }
+
+    const books = assembleStoredList(getFullBackupBooksKey(key), values);
+    return books ? books.books : [];
+  }
+
+  return assembleStoredList(key, values).books;
+};
+
+const writeBooksBackup = async (books) => {
+  const key = `${BOOKS_BACKUP_PREFIX}${Date.now()}`;
+
+  await saveChunkedList(key, books, {
+    lastModified: new Date().toISOString(),
+    version: '1.0',
+  }, {
+    compressionThreshold: STORAGE_CONFIG.COMPRESSION_THRESHOLD,
+    cache: false,
+  });
+  await cleanOldBackups();
+
+  return key;
+};
+
+// Read a backup; its size counts all of its rows
+const readBackup = async (key, allKeys) => {
+  const values = new Map(await AsyncStorage.multiGet(getBackupStorageKeys(key, allKeys)));
+  if (!values.get(key)) return null;
+
+  let books = null;
   try {
-    const backupKey = `${STORAGE_KEYS.BOOKS}_backup_${Date.now()}`;
-    await AsyncStorage.setItem(backupKey, data);
+    books = parseBackupBooks(key, values);
+  } catch (error) {
+    console.warn(`Unreadable backup ${key}:`, error);
+  }
+
+  return {
+    key,
+    type: getBackupType(key),
+    createdAt: new Date(getBackupTimestamp(key)).toISOString(),
+    size: [...values.values()].reduce((total, value) => total + (value ? value.length : 0), 0),
+    bookCount: books ? books.length : null, // null when the backup cannot be read
+    books,
+  };
+};
+
+const removeBackups = async (backupKeys, allKeys) => {
+  const keys = backupKeys.flatMap(backupKey => getBackupStorageKeys(backupKey, allKeys));
+  if (keys.length > 0) {
+    await AsyncStorage.multiRemove(keys);
+  }
+};
+
+// Automatic backup on save, skipped when the latest one is newer than BACKUP_INTERVAL
+const createBackup = async (books) => {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    const [latestBackup] = sortBackupKeys(keys.filter(key => getBackupType(key) === BACKUP_TYPES.BOOKS));
     
-    // Clean old backups
-    await cleanOldBackups();
+    if (latestBackup && Date.now() - getBackupTimestamp(latestBackup) < STORAGE_CONFIG.BACKUP_INTERVAL) {
+      return;
+    }
+    
+    await writeBooksBackup(books);
   } catch (error) {
     console.warn('Failed to create backup:', error);
   }
@@ -222,23 +423,18 @@ const createBackup = async (data) => {
 const loadFromBackup = async () => {
   try {
     const keys = await AsyncStorage.getAllKeys();
-    const backupKeys = keys
-      .filter(key => key.startsWith(`${STORAGE_KEYS.BOOKS}_backup_`))
-      .sort((a, b) => {
-        const timeA = parseInt(a.split('_').pop());
-        const timeB = parseInt(b.split('_').pop());
-        return timeB - timeA; // Most recent first
-      });
+    const backupKeys = sortBackupKeys(keys.filter(key => getBackupType(key) === BACKUP_TYPES.BOOKS));
     
     if (backupKeys.length > 0) {
-      const backupData = await AsyncStorage.getItem(backupKeys[0]);
-      if (backupData) {
-        const parsedData = JSON.parse(backupData);
+      const values = new Map(await AsyncStorage.multiGet(getBackupStorageKeys(backupKeys[0], keys)));
+      const backup = assembleStoredList(backupKeys[0], values);
+      if (backup) {
         return {
-          books: parsedData.books || parsedData,
-          metadata: parsedData.lastModified ? {
-            lastModified: parsedData.lastModified,
+          books: backup.books,
+          metadata: backup.metadata && backup.metadata.lastModified ? {
+            lastModified: backup.metadata.lastModified,
             isFromBackup: true,
+            backupKey: backupKeys[0],
           } : null,
         };
       }
@@ -251,20 +447,27 @@ const loadFromBackup = async () => {
   }
 };
 
+// Keeps at most retentionCount backups of each type, none older than BACKUP_RETENTION_DAYS.
+// Rows left by a backup that was not finished (no main key) are removed too.
 const cleanOldBackups = async () => {
   try {
     const keys = await AsyncStorage.getAllKeys();
-    const backupKeys = keys.filter(key => key.startsWith(`${STORAGE_KEYS.BOOKS}_backup_`));
+    const { retentionCount } = await getBackupSettings();
     
     const cutoffTime = Date.now() - (STORAGE_CONFIG.BACKUP_RETENTION_DAYS * 24 * 60 * 60 * 1000);
     
-    const oldBackups = backupKeys.filter(key => {
-      const timestamp = parseInt(key.split('_').pop());
-      return timestamp < cutoffTime;
-    });
-    
-    if (oldBackups.length > 0) {
-      await AsyncStorage.multiRemove(oldBackups);
+    const oldBackups = Object.values(BACKUP_TYPES).flatMap(type => (
+      sortBackupKeys(keys.filter(key => getBackupType(key) === type))
+        .filter((key, index) => index >= retentionCount || getBackupTimestamp(key) < cutoffTime)
+    ));
+    const mainKeys = new Set(keys.filter(key => getBackupType(key)));
+    const orphanRows = keys.filter(key => (
+      isBackupStorageKey(key) && !getBackupType(key) && !mainKeys.has(getBackupMainKey(key))
+    ));
+    
+    await removeBackups(oldBackups, keys);
+    if (orphanRows.length > 0) {
+      await AsyncStorage.multiRemove(orphanRows);
     }
   } catch (error) {
     console.warn('Error cleaning old backups:', error);
@@ -273,31 +476,282 @@ const cleanOldBackups = async () => {
 
 const createFullBackup = async () => {
   try {
-    const keys = await AsyncStorage.getAllKeys();
-    const allData = await AsyncStorage.multiGet(keys);
-    
-    const backupData = {
+    const backupKey = `${FULL_BACKUP_PREFIX}${Date.now()}`;
+
+    // Older backups are not nested inside the new one; the books are copied as a list of their own
+    const isBooksKey = (key) => key === STORAGE_KEYS.BOOKS || key.startsWith(`${STORAGE_KEYS.BOOKS}_chunk_`);
+    const keys = (await AsyncStorage.getAllKeys()).filter(key => !isBackupStorageKey(key) && !isBooksKey(key));
+
+    // Every value in a row of its own - none larger than the row it was copied from
+    const entries = await AsyncStorage.multiGet(keys);
+    for (const [index, [, value]] of entries.entries()) {
+      if (value !== null && value !== undefined) {
+        await AsyncStorage.setItem(getFullBackupItemKey(backupKey, index), value);
+      }
+    }
+
+    // Books from the active store (AsyncStorage chunks or SQLite)
+    const storedBooks = await loadBookList(STORAGE_KEYS.BOOKS);
+    if (storedBooks) {
+      await saveChunkedList(getFullBackupBooksKey(backupKey), storedBooks.books, storedBooks.metadata || {}, {
+        compressionThreshold: STORAGE_CONFIG.COMPRESSION_THRESHOLD,
+        cache: false,
+      });
+    }
+
+    // The index is written last, so an interrupted backup is never listed
+    await AsyncStorage.setItem(backupKey, JSON.stringify({
       timestamp: Date.now(),
-      data: Object.fromEntries(allData),
-    };
+      format: FULL_BACKUP_FORMAT,
+      keys,
+    }));
     
-    const backupKey = `full_backup_${Date.now()}`;
-    await AsyncStorage.setItem(backupKey, JSON.stringify(backupData));
+    await cleanOldBackups();
   } catch (error) {
     console.warn('Failed to create full backup:', error);
   }
 };
 
+/**
+ * Backup settings (retention count), merged with defaults
+ * @returns {Promise<object>}
+ */
+export const getBackupSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.BACKUP_SETTINGS);
+    return { ...DEFAULT_BACKUP_SETTINGS, ...(stored ? JSON.parse(stored) : {}) };
+  } catch (error) {
+    console.warn('Error loading backup settings:', error);
+    return DEFAULT_BACKUP_SETTINGS;
+  }
+};
+
+/**
+ * Save backup settings and drop backups over the new retention count
+ * @param {object} settings - { retentionCount }
+ * @returns {Promise<object>} { success, settings, error }
+ */
+export const saveBackupSettings = async (settings) => {
+  try {
+    const retentionCount = parseInt(settings.retentionCount, 10);
+    if (!Number.isInteger(retentionCount) || retentionCount < 1) {
+      throw new Error('Retention count must be a positive integer');
+    }
+
+    const nextSettings = { ...(await getBackupSettings()), retentionCount };
+    await AsyncStorage.setItem(STORAGE_KEYS.BACKUP_SETTINGS, JSON.stringify(nextSettings));
+    await cleanOldBackups();
+
+    return { success: true, settings: nextSettings };
+  } catch (error) {
+    console.error('Error saving backup settings:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Save the given books as a new point-in-time backup
+ * @param {Array} books - Books to back up
+ * @returns {Promise<object>} { success, key, error }
+ */
+export const createBooksBackup = async (books) => {
+  try {
+    const key = await writeBooksBackup(books);
+    return { success: true, key };
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Backups stored on the device, most recent first
+ * @returns {Promise<Array>} [{ key, type, createdAt, size, bookCount }]
+ */
+export const listBackups = async () => {
+  try {
+    const allKeys = await AsyncStorage.getAllKeys();
+    const backups = [];
+
+    // One backup at a time, so only one is held in memory
+    for (const key of sortBackupKeys(allKeys.filter(key => getBackupType(key)))) {
+      const backup = await readBackup(key, allKeys);
+      if (backup) {
+        const { books, ...description } = backup;
+        backups.push(description);
+      }
+    }
+
+    return backups;
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    return [];
+  }
+};
+
+/**
+ * Read a single backup together with its books
+ * @param {string} key - Backup storage key
+ * @returns {Promise<object|null>} Backup description with books, null when missing or unreadable
+ */
+export const getBackup = async (key) => {
+  try {
+    if (!getBackupType(key)) {
+      throw new Error(`Not a backup key: ${key}`);
+    }
+
+    const backup = await readBackup(key, await AsyncStorage.getAllKeys());
+    if (!backup || !backup.books) return null;
+
+    return backup;
+  } catch (error) {
+    console.error('Error reading backup:', error);
+    return null;
+  }
+};
+
+// Fields compared when diffing a backup against the library
+const DIFF_FIELDS = [
+  'title', 'author', 'description', 'status', 'rating', 'notes', 'isbn',
+  'totalPages', 'currentPage', 'startedAt', 'finishedAt', 'tags', 'loans',
+];
+
+// Missing, empty and empty-list values are treated as equal
+const normalizeDiffValue = (value) => (
+  value === undefined || value === '' || (Array.isArray(value) && value.length === 0)
+    ? null
+    : JSON.stringify(value)
+);
+
+/**
+ * Compare backup books with the current library
+ * @param {Array} backupBooks - Books from the backup
+ * @param {Array} currentBooks - Books in the library
+ * @returns {object} { added, removed, changed, unchanged }
+ *   added - only in the backup, removed - only in the library (lost on restore),
+ *   changed - [{ book, current, fields }], unchanged - count
+ */
+export const diffBackupBooks = (backupBooks, currentBooks) => {
+  const matched = new Set();
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  backupBooks.filter(Boolean).forEach(book => {
+    const current = currentBooks.find(candidate => (
+      candidate && !matched.has(candidate) && isSameBook(book, candidate)
+    ));
+
+    if (!current) {
+      added.push(book);
+      return;
+    }
+
+    matched.add(current);
+    const fields = DIFF_FIELDS.filter(field => normalizeDiffValue(book[field]) !== normalizeDiffValue(current[field]));
+    if (fields.length > 0) {
+      changed.push({ book, current, fields });
+    } else {
+      unchanged += 1;
+    }
+  });
+
+  return {
+    added,
+    removed: currentBooks.filter(book => book && !matched.has(book)),
+    changed,
+    unchanged,
+  };
+};
+
+/**
+ * Plan restoring backup books in place, matched by id
+ * @param {Array} backupBooks - Books from the backup
+ * @param {Array} currentBooks - Books in the library, including the trash
+ * @returns {object} { toUpdate, toCreate, toTrash }
+ *   toUpdate - books that still exist, with the backup data and out of the trash,
+ *   toCreate - backup books missing from the library,
+ *   toTrash - library books absent from the backup
+ */
+export const planBackupRestore = (backupBooks, currentBooks) => {
+  const currentById = new Map(currentBooks.filter(Boolean).map(book => [book.id, book]));
+  const backupIds = new Set();
+  const toUpdate = [];
+  const toCreate = [];
+
+  backupBooks.filter(Boolean).forEach(book => {
+    const current = book.id !== undefined && book.id !== null ? currentById.get(book.id) : null;
+    if (!current) {
+      toCreate.push(book);
+      return;
+    }
+
+    backupIds.add(book.id);
+    const isChanged = isInTrash(current)
+      || DIFF_FIELDS.some(field => normalizeDiffValue(book[field]) !== normalizeDiffValue(current[field]))
+      || (book.coverImage || null) !== (current.coverImage || null);
+    if (isChanged) {
+      toUpdate.push({ ...current, ...book, deletedAt: null });
+    }
+  });
+
+  return {
+    toUpdate,
+    toCreate,
+    toTrash: currentBooks.filter(book => book && !isInTrash(book) && !backupIds.has(book.id)),
+  };
+};
+
+/**
+ * Prepare a point-in-time restore. The current books are backed up first so the
+ * restore can be undone; the returned books are applied in place through the book
+ * context (restoreBooks) so the server copy is updated as well.
+ * @param {string} key - Backup storage key
+ * @param {Array} currentBooks - Books in the library
+ * @returns {Promise<object>} { success, books, safetyBackupKey, error }
+ */
+export const restoreBackup = async (key, currentBooks) => {
+  const backup = await getBackup(key);
+  if (!backup) {
+    return { success: false, error: 'Backup not found or unreadable' };
+  }
+
+  const safetyBackup = await createBooksBackup(currentBooks);
+  if (!safetyBackup.success) {
+    return { success: false, error: safetyBackup.error };
+  }
+
+  return { success: true, books: backup.books, safetyBackupKey: safetyBackup.key };
+};
+
+/**
+ * Delete a backup
+ * @param {string} key - Backup storage key
+ * @returns {Promise<object>} { success, error }
+ */
+export const deleteBackup = async (key) => {
+  try {
+    if (!getBackupType(key)) {
+      throw new Error(`Not a backup key: ${key}`);
+    }
+
+    await removeBackups([key], await AsyncStorage.getAllKeys());
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting backup:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 const migrateLegacyData = async (legacyBooks) => {
   try {
-    const migratedData = {
-      books: legacyBooks,
+    await saveBookList(STORAGE_KEYS.BOOKS, legacyBooks, {
       lastModified: new Date().toISOString(),
       version: '1.0',
       migrated: true,
-    };
-    
-    await AsyncStorage.setItem(STORAGE_KEYS.BOOKS, JSON.stringify(migratedData));
+    }, {
+      compressionThreshold: STORAGE_CONFIG.COMPRESSION_THRESHOLD,
+    });
     console.log('Successfully migrated legacy data');
   } catch (error) {
     console.error('Error migrating legacy data:', error);
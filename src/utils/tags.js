@@ -0,0 +1,104 @@
+// Tag utilities - free-form tags/genres attached to books
+
+import { VALIDATION } from '../constants';
+
+export const TAG_FILTER_MODES = {
+  AND: 'and', // book must have every selected tag
+  OR: 'or',   // book must have at least one selected tag
+};
+
+const DEFAULT_SUGGESTION_LIMIT = 8;
+
+/**
+ * Normalize a single tag: trim, collapse whitespace, limit length
+ * @param {string} tag - Raw tag
+ * @returns {string} Normalized tag ('' when empty)
+ */
+export const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') return '';
+  return tag.trim().replace(/\s+/g, ' ').slice(0, VALIDATION.MAX_TAG_LENGTH);
+};
+
+/**
+ * Normalize a list of tags, removing empty and duplicate (case-insensitive) entries
+ * @param {Array<string>|string} tags - Array of tags or comma-separated string
+ * @returns {Array<string>}
+ */
+export const normalizeTags = (tags) => {
+  const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+  const seen = new Set();
+
+  return list.map(normalizeTag).filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * All tags used in the library, most used first
+ * @param {Array<object>} books - Books
+ * @returns {Array<{tag: string, count: number}>}
+ */
+export const getAllTags = (books = []) => {
+  const counts = new Map();
+
+  books.forEach(book => {
+    normalizeTags(book.tags).forEach(tag => {
+      // Group case-insensitively, display the first spelling seen
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { tag, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+  });
+
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Autocomplete suggestions for a partially typed tag
+ * @param {string} query - Typed text
+ * @param {Array<string>} availableTags - Existing tags
+ * @param {Array<string>} selectedTags - Tags already on the book (excluded)
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<string>}
+ */
+export const suggestTags = (query, availableTags, selectedTags = [], limit = DEFAULT_SUGGESTION_LIMIT) => {
+  const normalizedQuery = normalizeTag(query).toLowerCase();
+  const selected = new Set(selectedTags.map(tag => tag.toLowerCase()));
+
+  const candidates = availableTags.filter(tag => !selected.has(tag.toLowerCase()));
+
+  if (!normalizedQuery) {
+    return candidates.slice(0, limit);
+  }
+
+  // Prefix matches first, then matches anywhere in the tag
+  const prefix = candidates.filter(tag => tag.toLowerCase().startsWith(normalizedQuery));
+  const contains = candidates.filter(tag =>
+    !tag.toLowerCase().startsWith(normalizedQuery) && tag.toLowerCase().includes(normalizedQuery)
+  );
+
+  return [...prefix, ...contains].slice(0, limit);
+};
+
+/**
+ * Check whether a book matches a tag filter
+ * @param {object} book - Book
+ * @param {Array<string>} selectedTags - Tags to filter by (empty = no filter)
+ * @param {string} mode - TAG_FILTER_MODES value
+ * @returns {boolean}
+ */
+export const matchesTags = (book, selectedTags = [], mode = TAG_FILTER_MODES.OR) => {
+  if (selectedTags.length === 0) return true;
+
+  const bookTags = new Set(normalizeTags(book.tags).map(tag => tag.toLowerCase()));
+  const wanted = selectedTags.map(tag => tag.toLowerCase());
+
+  return mode === TAG_FILTER_MODES.AND
+    ? wanted.every(tag => bookTags.has(tag))
+    : wanted.some(tag => bookTags.has(tag));
+};
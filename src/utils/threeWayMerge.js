@@ -0,0 +1,260 @@
+// Three-way merge of a record edited offline.
+// Besides the local and server versions it uses the base - the version the local
+// edit started from - so a field changed on one side only takes that side's value
+// without asking. Fields changed on both sides are merged by kind (CONFLICT_FIELDS):
+// texts line by line, sets and lists entry by entry, progress by the larger value.
+// What still cannot be combined is reported back, keeping the local value.
+
+import { CONFLICT_FIELDS, MERGE_KINDS, isSameValue } from './conflicts';
+
+// Identity and sync bookkeeping - never merged
+const IGNORED_KEYS = ['id', 'user_id', 'created_at', 'updated_at', 'offline'];
+
+const hasField = (record, key) => Object.prototype.hasOwnProperty.call(record || {}, key);
+
+const toLines = (text) => (text === null || text === undefined || text === '' ? [] : String(text).split('\n'));
+
+/**
+ * Changed regions of a side against the base (line diff based on the LCS)
+ * @returns {Array<{start: number, end: number, lines: string[]}>} base[start, end) replaced by lines
+ */
+const diffLines = (base, side) => {
+  const lcs = Array.from({ length: base.length + 1 }, () => new Array(side.length + 1).fill(0));
+  for (let i = base.length - 1; i >= 0; i--) {
+    for (let j = side.length - 1; j >= 0; j--) {
+      lcs[i][j] = base[i] === side[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let hunk = null;
+  let i = 0;
+  let j = 0;
+
+  while (i < base.length || j < side.length) {
+    if (i < base.length && j < side.length && base[i] === side[j]) {
+      if (hunk) hunks.push(hunk);
+      hunk = null;
+      i++;
+      j++;
+    } else if (j < side.length && (i >= base.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      hunk = hunk || { start: i, end: i, lines: [] };
+      hunk.lines.push(side[j]);
+      j++;
+    } else {
+      hunk = hunk || { start: i, end: i, lines: [] };
+      hunk.end = i + 1;
+      i++;
+    }
+  }
+
+  if (hunk) hunks.push(hunk);
+  return hunks;
+};
+
+// Lines of base[from, to) after applying the hunks of one side
+const applyHunks = (base, hunks, from, to) => {
+  const lines = [];
+  let position = from;
+  hunks.forEach(hunk => {
+    lines.push(...base.slice(position, hunk.start), ...hunk.lines);
+    position = hunk.end;
+  });
+  lines.push(...base.slice(position, to));
+  return lines;
+};
+
+/**
+ * Merge two edits of a text line by line (diff3)
+ * Lines added at the same place on both sides are all kept, server ones first.
+ * @param {string} base - Text both edits started from
+ * @param {string} local - Local text
+ * @param {string} server - Server text
+ * @returns {{value: string, conflict: boolean}} On conflict the local lines are kept in that region
+ */
+export const mergeText = (base, local, server) => {
+  if (isSameValue(local, server) || isSameValue(server, base)) return { value: local, conflict: false };
+  if (isSameValue(local, base)) return { value: server, conflict: false };
+
+  const baseLines = toLines(base);
+  const localLines = toLines(local);
+  const serverLines = toLines(server);
+  const changes = [
+    ...diffLines(baseLines, localLines).map(hunk => ({ ...hunk, side: 'local' })),
+    ...diffLines(baseLines, serverLines).map(hunk => ({ ...hunk, side: 'server' })),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const result = [];
+  let position = 0;
+  let conflict = false;
+  let index = 0;
+
+  while (index < changes.length) {
+    // Changes touching the same base lines form one region
+    const group = [changes[index]];
+    const start = changes[index].start;
+    let end = changes[index].end;
+    index++;
+    while (index < changes.length && changes[index].start <= end) {
+      end = Math.max(end, changes[index].end);
+      group.push(changes[index]);
+      index++;
+    }
+
+    result.push(...baseLines.slice(position, start));
+    position = end;
+
+    const localHunks = group.filter(hunk => hunk.side === 'local');
+    const serverHunks = group.filter(hunk => hunk.side === 'server');
+    const localRegion = applyHunks(baseLines, localHunks, start, end);
+
+    if (serverHunks.length === 0) {
+      result.push(...localRegion);
+      continue;
+    }
+
+    const serverRegion = applyHunks(baseLines, serverHunks, start, end);
+    const onlyInsertions = group.every(hunk => hunk.start === start && hunk.end === start);
+
+    if (localHunks.length === 0 || isSameValue(localRegion, serverRegion)) {
+      result.push(...serverRegion);
+    } else if (onlyInsertions) {
+      result.push(...serverRegion, ...localRegion);
+    } else {
+      result.push(...localRegion);
+      conflict = true;
+    }
+  }
+
+  result.push(...baseLines.slice(position));
+  return { value: result.join('\n'), conflict };
+};
+
+/**
+ * Merge two edits of a set of values
+ * Values added on either side are kept, values removed on either side are dropped.
+ * @returns {Array}
+ */
+export const mergeSet = (base, local, server) => {
+  const baseValues = base || [];
+  const localValues = local || [];
+  const serverValues = server || [];
+  const removed = baseValues.filter(value => !localValues.includes(value) || !serverValues.includes(value));
+
+  return [...new Set([...serverValues, ...localValues])].filter(value => !removed.includes(value));
+};
+
+const entryKey = (entry) => (
+  entry && entry.id !== undefined ? `id:${entry.id}` : `value:${JSON.stringify(entry)}`
+);
+
+/**
+ * Merge two edits of a list of entries (reading sessions, loans), matched by id
+ * An entry edited on both sides differently, or edited on one side and removed
+ * on the other, is a conflict; the local entry (or the edited one) is kept.
+ * @returns {{value: Array, conflict: boolean}}
+ */
+export const mergeList = (base, local, server) => {
+  const byKey = (entries) => new Map((entries || []).map(entry => [entryKey(entry), entry]));
+  const baseEntries = byKey(base);
+  const localEntries = byKey(local);
+  const serverEntries = byKey(server);
+  const keys = [...new Set([...serverEntries.keys(), ...localEntries.keys()])];
+
+  const value = [];
+  let conflict = false;
+
+  keys.forEach(key => {
+    const inBase = baseEntries.has(key);
+    const baseEntry = baseEntries.get(key);
+    const localEntry = localEntries.get(key);
+    const serverEntry = serverEntries.get(key);
+
+    if (localEntries.has(key) && serverEntries.has(key)) {
+      if (isSameValue(localEntry, baseEntry) || isSameValue(localEntry, serverEntry)) {
+        value.push(serverEntry);
+      } else if (isSameValue(serverEntry, baseEntry)) {
+        value.push(localEntry);
+      } else {
+        value.push(localEntry);
+        conflict = true;
+      }
+      return;
+    }
+
+    // Present on one side only: added there, or removed on the other side
+    const [entry, changedSinceBase] = localEntries.has(key)
+      ? [localEntry, !isSameValue(localEntry, baseEntry)]
+      : [serverEntry, !isSameValue(serverEntry, baseEntry)];
+
+    if (!inBase) {
+      value.push(entry);
+    } else if (changedSinceBase) {
+      value.push(entry);
+      conflict = true;
+    }
+  });
+
+  return { value, conflict };
+};
+
+// Merge of a field changed on both sides
+const mergeChangedField = (kind, base, local, server) => {
+  switch (kind) {
+    case MERGE_KINDS.TEXT:
+      return mergeText(base, local, server);
+
+    case MERGE_KINDS.SET:
+      return { value: mergeSet(base, local, server), conflict: false };
+
+    case MERGE_KINDS.LIST:
+      return mergeList(base, local, server);
+
+    case MERGE_KINDS.MAX:
+      return { value: Math.max(Number(local) || 0, Number(server) || 0), conflict: false };
+
+    default:
+      return { value: local, conflict: true };
+  }
+};
+
+/**
+ * Three-way merge of a record
+ * @param {string} entity - 'book' or 'shelf'
+ * @param {object} base - Version the local edit started from
+ * @param {object} local - Local version (may hold only the changed fields)
+ * @param {object} server - Server version
+ * @returns {{merged: object, unresolvedFields: string[]}} Keys changed on both sides
+ *   that could not be combined; merged holds the local value for them
+ */
+export const threeWayMerge = (entity, base, local, server) => {
+  const mergeKinds = Object.fromEntries(
+    (CONFLICT_FIELDS[entity] || []).map(field => [field.key, field.merge])
+  );
+  const merged = { ...server, ...local };
+  const unresolvedFields = [];
+
+  Object.keys(local || {})
+    .filter(key => !IGNORED_KEYS.includes(key))
+    .forEach(key => {
+      const baseValue = hasField(base, key) ? base[key] : undefined;
+      const localValue = local[key];
+      const serverValue = server?.[key];
+
+      if (isSameValue(localValue, serverValue) || isSameValue(serverValue, baseValue)) {
+        merged[key] = localValue;
+        return;
+      }
+
+      if (isSameValue(localValue, baseValue)) {
+        merged[key] = serverValue;
+        return;
+      }
+
+      const { value, conflict } = mergeChangedField(mergeKinds[key], baseValue, localValue, serverValue);
+      merged[key] = value;
+      if (conflict) unresolvedFields.push(key);
+    });
+
+  return { merged, unresolvedFields };
+};
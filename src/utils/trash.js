@@ -0,0 +1,63 @@
+// Trash (soft delete) of books.
+// A deleted book keeps its data with a `deletedAt` timestamp, so it can be restored
+// until it is purged by hand or automatically after TRASH_RETENTION_DAYS.
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isInTrash = (book) => Boolean(book && book.deletedAt);
+
+/**
+ * Mark a book as deleted
+ * @param {object} book - Book
+ * @param {Date} now - Current date
+ * @returns {object}
+ */
+export const moveToTrash = (book, now = new Date()) => ({
+  ...book,
+  deletedAt: now.toISOString(),
+});
+
+/**
+ * Bring a book back from the trash
+ * @param {object} book - Book
+ * @returns {object}
+ */
+export const restoreFromTrash = (book) => ({
+  ...book,
+  deletedAt: null,
+});
+
+/**
+ * Split books into the library and the trash
+ * @param {Array} books - Books
+ * @returns {object} { active, trashed }
+ */
+export const splitTrash = (books) => {
+  const active = [];
+  const trashed = [];
+  books.forEach(book => (isInTrash(book) ? trashed : active).push(book));
+  return { active, trashed };
+};
+
+/**
+ * Full days left before a book in the trash is purged
+ * @param {object} book - Book in the trash
+ * @param {Date} now - Current date
+ * @returns {number}
+ */
+export const getDaysLeftInTrash = (book, now = new Date()) => {
+  const purgeAt = new Date(book.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS;
+  return Math.max(0, Math.ceil((purgeAt - now.getTime()) / DAY_MS));
+};
+
+/**
+ * Books kept in the trash longer than TRASH_RETENTION_DAYS
+ * @param {Array} books - Books
+ * @param {Date} now - Current date
+ * @returns {Array}
+ */
+export const getExpiredTrash = (books, now = new Date()) => (
+  books.filter(book => isInTrash(book) && getDaysLeftInTrash(book, now) === 0)
+);
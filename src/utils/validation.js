@@ -1,5 +1,6 @@
 import * as Yup from 'yup';
 import { VALIDATION, ERROR_MESSAGES } from '../constants';
+import { isValidIsbn } from './isbn';
 
 // Common validation schemas
 export const emailValidation = Yup.string()
@@ -24,6 +25,9 @@ export const RegisterSchema = Yup.object().shape({
     .required('Potwierdzenie hasla jest wymagane'),
 });
 
+// Numeric inputs arrive as strings; an empty field means "not set"
+const emptyStringToNull = (value, originalValue) => (originalValue === '' ? null : value);
+
 // Book schema
 export const BookSchema = Yup.object().shape({
   title: Yup.string()
@@ -38,6 +42,36 @@ export const BookSchema = Yup.object().shape({
     .max(VALIDATION.MAX_NOTES_LENGTH, `Notatki nie moga byc dluzsze niz ${VALIDATION.MAX_NOTES_LENGTH} znakow`),
   status: Yup.string().required('Status jest wymagany'),
   rating: Yup.number().min(0).max(5),
+  isbn: Yup.string()
+    .nullable()
+    .test('isbn', 'Nieprawidlowy numer ISBN', value => !value || isValidIsbn(value)),
+  totalPages: Yup.number()
+    .transform(emptyStringToNull)
+    .nullable()
+    .integer('Liczba stron musi byc liczba calkowita')
+    .min(1, 'Liczba stron musi byc wieksza od zera'),
+  currentPage: Yup.number()
+    .transform(emptyStringToNull)
+    .nullable()
+    .integer('Numer strony musi byc liczba calkowita')
+    .min(0, 'Numer strony nie moze byc ujemny')
+    .when('totalPages', ([totalPages], schema) => (
+      totalPages ? schema.max(totalPages, 'Aktualna strona nie moze przekraczac liczby stron') : schema
+    )),
+  startedAt: Yup.date()
+    .transform(emptyStringToNull)
+    .nullable()
+    .typeError('Podaj date w formacie RRRR-MM-DD'),
+  finishedAt: Yup.date()
+    .transform(emptyStringToNull)
+    .nullable()
+    .typeError('Podaj date w formacie RRRR-MM-DD')
+    .when('startedAt', ([startedAt], schema) => (
+      startedAt ? schema.min(startedAt, 'Data ukonczenia nie moze byc wczesniejsza niz data rozpoczecia') : schema
+    )),
+  tags: Yup.array()
+    .of(Yup.string().max(VALIDATION.MAX_TAG_LENGTH, `Tag nie moze byc dluzszy niz ${VALIDATION.MAX_TAG_LENGTH} znakow`))
+    .max(VALIDATION.MAX_TAGS, `Ksiazka moze miec maksymalnie ${VALIDATION.MAX_TAGS} tagow`),
 });
 
 // Utility functions